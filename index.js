@@ -7,7 +7,15 @@
 
 import path from 'path';
 import fs from 'fs';
-import { Orchestrator } from './lib/index.js';
+import {
+  Orchestrator,
+  validateConfig,
+  formatValidationIssues,
+  formatPlan,
+  loadPreviousResults,
+  WatchSession,
+  OUTPUT_MODES,
+} from './lib/index.js';
 import { log } from './lib/logger.js';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
@@ -40,9 +48,33 @@ const argv = yargs(hideBin(process.argv))
     description:
       'Cap how many commands a phase runs at once: a positive integer, or \'auto\' (cpuCount - 1). Overrides config max_concurrency. Ignored under --sequential.',
   })
+  .option('timeout', {
+    type: 'number',
+    description:
+      'Run-wide default timeout in ms for each foreground command (SIGTERM, then SIGKILL after timeout_grace_ms). Overrides config timeout_ms; a command or phase timeout_ms still wins.',
+  })
+  .option('rerun-failed', {
+    type: 'string',
+    description:
+      'Rerun only the commands that failed in this previous results JSON (plus their dependencies); the rest are reported as passed_previously and the results are merged.',
+  })
+  .option('fail-on-flaky', {
+    type: 'boolean',
+    description: 'Fail a command that passes only on a retry (overrides config fail_on_flaky).',
+  })
+  .option('stream', {
+    type: 'boolean',
+    description: 'Also print each command\'s output to the console, line by line behind a [command] prefix (same as --output stream).',
+  })
+  .option('output', {
+    type: 'string',
+    choices: OUTPUT_MODES,
+    description:
+      'Where command output goes besides its log file: files (log files only), stream (console too) or on-failure (console, once a command fails). Overrides config output; a command\'s own output still wins.',
+  })
   .option('force', {
     type: 'boolean',
-    description: 'Force execution even if git state is unchanged',
+    description: 'Force execution even if git state is unchanged (also ignores per-command cache hits)',
   })
   .option('metrics', {
     type: 'string',
@@ -56,9 +88,19 @@ const argv = yargs(hideBin(process.argv))
     type: 'string',
     description: 'Write HTML report to this path; use "-" for stdout only',
   })
+  .option('junit-results', {
+    type: 'string',
+    description: 'Write JUnit XML (one testsuite per phase) to this path when the run ends; use "-" for stdout only',
+  })
   .option('render', {
     type: 'string',
-    description: 'Render an existing results JSON file to HTML (no run). Use with --html-results.',
+    description:
+      'Render an existing results JSON file (or workspace roll-up) to HTML and/or JUnit XML (no run). Use with --html-results / --junit-results.',
+  })
+  .option('history', {
+    type: 'string',
+    description:
+      'Render trends from the run history (no run): per-command pass rates, duration/memory/CPU sparklines and the latest regressions. Optionally pass the history directory (default scripts-orchestrator-logs/history). Writes HTML to --html-results (stdout by default) and the trends JSON to --json-results.',
   })
   .option('recommend', {
     type: 'string',
@@ -86,19 +128,65 @@ const argv = yargs(hideBin(process.argv))
     type: 'string',
     description: 'Write the --recommend report to this file (plain text) instead of the console.',
   })
+  .option('plan', {
+    alias: 'dry-run',
+    type: 'boolean',
+    description:
+      'Print the resolved execution plan (skipped phases, prefixes, env, background deps, concurrency, git-cache decision) as a tree and exit without running anything.',
+  })
+  .option('plan-json', {
+    type: 'string',
+    description: 'Write the resolved execution plan as JSON to this path ("-" or no value for stdout) and exit without running anything.',
+  })
+  .option('validate', {
+    type: 'boolean',
+    description:
+      'Validate the config (unknown keys, bad values, duplicate commands, unknown needs) and exit without running. Exits non-zero on any error or warning.',
+  })
+  .option('ui', {
+    type: 'boolean',
+    description:
+      'Show a live terminal dashboard (phases, command status, log tail; kill/restart keys). Falls back to plain output when stdout is not a TTY.',
+  })
+  .option('watch', {
+    type: 'boolean',
+    description:
+      'After the first run, keep watching the working tree and rerun only the commands whose `inputs` match changed files (background dependencies stay up between iterations).',
+  })
   .option('memory-guard', {
     type: 'boolean',
     description:
       'Host-memory safety guard (admission control + abort watchdog). On by default; use --no-memory-guard to disable for this run (overrides config memory_guard).',
   })
+  .option('cpu-guard', {
+    type: 'boolean',
+    description:
+      'CPU/I-O pressure guard: hold the next command while the host is contended (Linux PSI, load average). Off by default; --cpu-guard enables it with the config cpu_guard thresholds (or defaults), --no-cpu-guard disables it for this run.',
+  })
   .help()
   .alias('h', 'help')
   .parse();
 
-// --render mode: turn an existing results JSON into HTML and exit (no orchestration run).
-// Keeps all HTML rendering in the library so consumers never reimplement it.
+// Write a rendered report (--render / --history) to `out`, atomically, or to stdout for none / '-'
+// (yargs hands a bare `-` over as '').
+function emitRendered(text, out, from) {
+  if (out == null || out === '' || out === '-') {
+    console.log(text);
+    return;
+  }
+  const outPath = path.resolve(process.cwd(), out);
+  const tmpPath = outPath + '.tmp';
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(tmpPath, text, 'utf8');
+  fs.renameSync(tmpPath, outPath);
+  log.info(`📄 Rendered ${path.relative(process.cwd(), from) || '.'} → ${path.relative(process.cwd(), outPath)}`);
+}
+
+// --render mode: turn an existing results JSON into HTML and/or JUnit XML and exit (no orchestration
+// run). Keeps all report rendering in the library so consumers never reimplement it. HTML is the
+// default; asking for --junit-results alone renders just the XML.
 if (argv.render != null) {
-  const { renderReportHtml } = await import('./lib/index.js');
+  const { renderReportHtml, renderJunitXml } = await import('./lib/index.js');
   const srcPath = path.resolve(process.cwd(), argv.render);
   if (!fs.existsSync(srcPath)) {
     log.error(`Error: --render source not found at ${srcPath}`);
@@ -111,17 +199,38 @@ if (argv.render != null) {
     log.error(`Error: failed to parse --render JSON: ${err.message}`);
     process.exit(1);
   }
-  const html = renderReportHtml(payload);
-  const out = argv.htmlResults ?? null;
-  if (out == null || out === '-') {
-    console.log(html);
-  } else {
-    const outPath = path.resolve(process.cwd(), out);
-    const tmpPath = outPath + '.tmp';
-    fs.mkdirSync(path.dirname(outPath), { recursive: true });
-    fs.writeFileSync(tmpPath, html, 'utf8');
-    fs.renameSync(tmpPath, outPath);
-    log.info(`📄 Rendered ${path.relative(process.cwd(), srcPath)} → ${path.relative(process.cwd(), outPath)}`);
+  if (argv.htmlResults != null || argv.junitResults == null) {
+    emitRendered(renderReportHtml(payload), argv.htmlResults ?? null, srcPath);
+  }
+  if (argv.junitResults != null) {
+    emitRendered(renderJunitXml(payload), argv.junitResults, srcPath);
+  }
+  process.exit(0);
+}
+
+// --history mode: read the runs stored under the log folder (see lib/history.js) and render their
+// trends — HTML by default, JSON for other tooling with --json-results. No orchestration run.
+if (argv.history != null) {
+  const { RunHistory, computeTrends, renderHistoryHtml } = await import('./lib/index.js');
+  // Runs are recorded under the config's log_folder unless --logFolder overrides it, so read it the
+  // same way here. The config is optional: without one the history is looked up in the working directory.
+  let logFolder = argv.logFolder;
+  const configFile = path.resolve(process.cwd(), argv._[0] || './scripts-orchestrator.config.js');
+  if (!logFolder && fs.existsSync(configFile)) {
+    logFolder = (await import(new URL(`file://${configFile}`).href)).default?.log_folder;
+  }
+  const history = new RunHistory(logFolder ?? null, { dir: argv.history || null });
+  const records = history.list();
+  if (records.length === 0) {
+    log.error(`Error: no runs recorded in ${path.relative(process.cwd(), history.dir) || '.'} yet`);
+    process.exit(1);
+  }
+  const trends = computeTrends(records);
+  if (argv.htmlResults != null || argv.jsonResults == null) {
+    emitRendered(renderHistoryHtml(trends), argv.htmlResults ?? null, history.dir);
+  }
+  if (argv.jsonResults != null) {
+    emitRendered(JSON.stringify(trends, null, 2), argv.jsonResults, history.dir);
   }
   process.exit(0);
 }
@@ -227,6 +336,32 @@ const configFilePath = path.resolve(process.cwd(), configPath);
 const fileUrl = new URL(`file://${configFilePath}`).href;
 const commandsConfig = (await import(fileUrl)).default;
 
+// Validate the config before anything runs. Errors (bad values, duplicate commands, unknown `needs`)
+// stop the run; unknown keys are warnings — printed every run, and failures under --validate.
+const validation = validateConfig(commandsConfig);
+const validationIssues = validation.errors.length + validation.warnings.length;
+if (argv.validate) {
+  if (validationIssues === 0) {
+    log.success(`✅ ${path.relative(process.cwd(), configFilePath)} is valid`);
+    process.exit(0);
+  }
+  console.error(formatValidationIssues(validation));
+  log.error(
+    `❌ ${path.relative(process.cwd(), configFilePath)}: ${validation.errors.length} error(s), ${validation.warnings.length} warning(s)`,
+  );
+  process.exit(1);
+}
+for (const { path: at, message } of validation.warnings) {
+  log.warn(`⚠️  config ${at || '(config)'}: ${message}`);
+}
+if (validation.errors.length > 0) {
+  for (const { path: at, message } of validation.errors) {
+    log.error(`config ${at || '(config)'}: ${message}`);
+  }
+  log.error('❌ Invalid config — fix the errors above (or run with --validate to check it on its own).');
+  process.exit(1);
+}
+
 // Check for start_phase in config if not provided via command line
 if (!startPhase && commandsConfig.start_phase) {
   startPhase = commandsConfig.start_phase;
@@ -260,6 +395,9 @@ const htmlResultsPath =
     ? argv.htmlResults
     : (commandsConfig.html_results ?? commandsConfig.html_results_path ?? null);
 
+// JUnit XML path: CLI overrides config (optional)
+const junitResultsPath = argv.junitResults != null ? argv.junitResults : (commandsConfig.junit_results ?? null);
+
 // post-run hook — shell command run after json_results written
 const postRun = commandsConfig.post_run ?? null;
 
@@ -311,18 +449,26 @@ if (logFolder) {
   log.setLogFolder(logFolder);
 }
 
-// Create and run the orchestrator
-const orchestrator = new Orchestrator(
-  commandsConfig,
-  startPhase,
-  logFolder,
-  phases,
-  sequential,
-  force,
-  metrics,
-  jsonResultsPath,
-  htmlResultsPath,
-);
+// Create and run the orchestrator. Construction validates the `needs` graph, so an unknown name or a
+// cycle is reported here, before anything runs.
+let orchestrator;
+try {
+  orchestrator = new Orchestrator(
+    commandsConfig,
+    startPhase,
+    logFolder,
+    phases,
+    sequential,
+    force,
+    metrics,
+    jsonResultsPath,
+    htmlResultsPath,
+    junitResultsPath,
+  );
+} catch (err) {
+  log.error(`Error: invalid config: ${err.message}`);
+  process.exit(1);
+}
 // wire post-run hook from config
 orchestrator.postRun = postRun;
 // wire memory heat thresholds from config (HTML report colouring)
@@ -337,6 +483,19 @@ orchestrator.aggregateOptions = aggregateOptions;
 if (argv.maxConcurrency != null && argv.maxConcurrency !== '') {
   orchestrator.maxConcurrency = orchestrator._resolveMaxConcurrency(argv.maxConcurrency);
 }
+// CLI --timeout overrides the config's run-wide timeout_ms (0 disables it).
+if (argv.timeout != null) {
+  orchestrator.defaultTimeoutMs = orchestrator._normalizeTimeout(argv.timeout);
+}
+if (argv.failOnFlaky != null) {
+  orchestrator.failOnFlaky = argv.failOnFlaky;
+}
+// CLI --output / --stream override the config's output mode (--output wins when both are given).
+if (argv.output != null) {
+  orchestrator.outputMode = argv.output;
+} else if (argv.stream) {
+  orchestrator.outputMode = 'stream';
+}
 // CLI --no-memory-guard is an operator escape hatch that disables the host-memory guard for this run
 // (yargs sets argv.memoryGuard === false only when --no-memory-guard is passed; left undefined
 // otherwise, so the config-driven default stands).
@@ -344,12 +503,76 @@ if (argv.memoryGuard === false) {
   orchestrator.memoryGovernor.opts.enabled = false;
   log.warn('⚠️  Host-memory guard disabled for this run (--no-memory-guard).');
 }
+// CLI --cpu-guard / --no-cpu-guard switch the CPU/I-O pressure guard on or off for this run; the
+// thresholds still come from the config's cpu_guard (or the defaults). Undefined leaves the config alone.
+if (argv.cpuGuard != null) {
+  orchestrator.cpuGovernor.opts.enabled = argv.cpuGuard;
+  if (!argv.cpuGuard) log.warn('⚠️  CPU/I-O pressure guard disabled for this run (--no-cpu-guard).');
+}
+
+// --rerun-failed: run only what did not pass in a previous results JSON. Read before the run starts,
+// so pointing it at this run's own json_results is fine — that file is rewritten with merged results.
+if (argv.rerunFailed != null) {
+  const srcPath = path.resolve(process.cwd(), argv.rerunFailed);
+  let previous;
+  try {
+    previous = loadPreviousResults(srcPath);
+  } catch (err) {
+    log.error(`Error: --rerun-failed: ${err.message}`);
+    process.exit(1);
+  }
+  const { rerun, carried } = orchestrator.useRerunFailed(previous);
+  log.info(
+    rerun.length > 0
+      ? `🔁 Rerunning ${rerun.length} command(s) that did not pass in ${path.relative(process.cwd(), srcPath)}: ${rerun.join(', ')} (${carried} carried over)`
+      : `🔁 Nothing failed in ${path.relative(process.cwd(), srcPath)} — all ${carried} command(s) carried over`,
+  );
+}
+
+// --plan / --dry-run / --plan-json: resolve the run with every CLI override applied, report it and
+// exit. Nothing is spawned and no results, logs or cache files are written.
+if (argv.plan || argv.planJson != null) {
+  const plan = await orchestrator.buildPlan();
+  const source = path.relative(process.cwd(), configFilePath);
+  if (argv.planJson != null) {
+    const json = JSON.stringify({ config: source, ...plan }, null, 2);
+    if (argv.planJson === '' || argv.planJson === '-') {
+      console.log(json);
+    } else {
+      const outPath = path.resolve(process.cwd(), argv.planJson);
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      fs.writeFileSync(outPath, json + '\n', 'utf8');
+      log.info(`📄 Plan written to ${path.relative(process.cwd(), outPath)}`);
+    }
+  }
+  if (argv.plan) {
+    console.log(formatPlan(plan, { source }));
+  }
+  process.exit(0);
+}
+
+// --ui: the dashboard needs an interactive terminal; piped or CI output keeps the plain log lines.
+// It draws a single run, so it is not combined with --watch.
+if (argv.ui && argv.watch) {
+  log.warn('⚠️  --ui is not available with --watch — using plain output.');
+} else if (argv.ui && !orchestrator.enableDashboard()) {
+  log.warn('⚠️  --ui needs an interactive terminal — using plain output.');
+}
+
+// --watch: iterations run until Ctrl-C (see lib/watch.js).
+const watchSession = argv.watch ? new WatchSession(orchestrator) : null;
 
 // Enhanced signal handlers. The library owns the whole interrupt lifecycle (cleanup, terminal
 // results, run-state removal, final static roll-up) via finalizeInterrupted — so a killed run never
 // lingers as RUNNING and the consumer's run wrapper needs no interrupt fallback of its own.
 const handleSignal = async (signal) => {
   log.warn(`\nReceived ${signal} signal. Cleaning up...`);
+  // Between --watch iterations there is no run to interrupt: stop watching, and the session exits
+  // with the last iteration's status.
+  if (watchSession && !watchSession.running && !watchSession.stopped) {
+    await watchSession.stop();
+    return;
+  }
   await orchestrator.finalizeInterrupted();
   process.exit(1);
 };
@@ -372,4 +595,14 @@ process.on('unhandledRejection', async (reason, promise) => {
 });
 
 // Run the orchestrator
-orchestrator.run();
+if (watchSession) {
+  watchSession.start().then(
+    (code) => process.exit(code),
+    (err) => {
+      log.error(`Orchestrator failed: ${err.message}`);
+      process.exit(err.exitCode ?? 1);
+    },
+  );
+} else {
+  orchestrator.run();
+}
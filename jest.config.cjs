@@ -18,7 +18,8 @@ module.exports = {
     '!**/node_modules/**',
     '!**/dist/**',
     '!**/coverage/**',
-    '!**/logger.{js,ts}'
+    '!**/logger.{js,ts}',
+    '!**/*.test-helpers.js'
   ],
   coverageThreshold: {
     global: {
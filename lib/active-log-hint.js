@@ -13,8 +13,11 @@
 import fs from 'fs';
 import path from 'path';
 import { discoverWorkspaceDirs } from './workspaces.js';
+import { RUNS_DIR, LATEST_LINK } from './run-logs.js';
 
 const LOG_SUBDIR = path.join('logs', 'scripts-orchestrator-logs');
+// Where a run with per-run log directories (see run-logs.js) writes: its logs dir's `runs/latest`.
+const LATEST_RUN_SUBDIR = path.join(LOG_SUBDIR, RUNS_DIR, LATEST_LINK);
 
 // A "detail" log is a per-command log a tailer actually wants. Skip the orchestrator's own
 // bookkeeping log and the fan-out command's log (task-runner summary output only) — neither points
@@ -72,10 +75,10 @@ export function startActiveLogHint({ repoRoot, intervalMs = 20000, onHint }) {
   } catch {
     workspaceDirs = [];
   }
-  const roots = [
-    path.join(repoRoot, LOG_SUBDIR),
-    ...workspaceDirs.map((ws) => path.join(ws, LOG_SUBDIR)),
-  ];
+  const roots = [repoRoot, ...workspaceDirs].flatMap((dir) => [
+    path.join(dir, LOG_SUBDIR),
+    path.join(dir, LATEST_RUN_SUBDIR),
+  ]);
 
   let lastFile = null;
   const tick = () => {
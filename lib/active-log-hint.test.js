@@ -56,6 +56,20 @@ describe('startActiveLogHint', () => {
     expect(typeof hints[0].ageSec).toBe('number');
   });
 
+  test('finds logs in a workspace\'s latest per-run log directory', () => {
+    const root = makeRepo();
+    const a = logDir(root, 'packages/a');
+    writeLog(a, 'build.log', 'from before per-run directories', 1_000_000);
+    const run = path.join(a, 'runs', '2026-01-01T00-00-00-000Z-0123456');
+    fs.mkdirSync(run, { recursive: true });
+    fs.symlinkSync(path.basename(run), path.join(a, 'runs', 'latest'), 'dir');
+    writeLog(run, 'test.log', 'current run', 2_000_000);
+
+    const hints = [];
+    startActiveLogHint({ repoRoot: root, onHint: (rel) => hints.push(rel) })();
+    expect(hints).toEqual([path.join('packages/a', 'logs', 'scripts-orchestrator-logs', 'runs', 'latest', 'test.log')]);
+  });
+
   test('ignores empty logs, the orchestrator main log and the fan-out summary log', () => {
     const root = makeRepo();
     const a = logDir(root, 'packages/a');
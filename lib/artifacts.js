@@ -0,0 +1,101 @@
+/**
+ * @file artifacts.js
+ * @description Per-command artifact collection. A command's `artifacts` globs (a Playwright report,
+ * coverage HTML, screenshots) are matched once the command has finished, and the files are copied into
+ * the run's log directory, so they sit next to its log and survive the next run overwriting the
+ * originals. The results list every copied file with its size; the HTML report links them.
+ *
+ * Globs use the same syntax as `inputs` (see command-cache.js), relative to the working directory.
+ */
+import fs from 'fs';
+import path from 'path';
+import { expandInputs } from './command-cache.js';
+
+export const ARTIFACT_WHEN = ['always', 'on-failure'];
+
+// Per-command cap on what is copied, so a stray `**` can't fill the disk.
+export const DEFAULT_ARTIFACTS_MAX_SIZE_MB = 100;
+
+/**
+ * Normalize a command's `artifacts` key: a glob, a list of globs, or
+ * `{ paths, when: 'always' | 'on-failure', max_size_mb }`.
+ *
+ * @param {string|string[]|object|undefined} value
+ * @returns {{ paths: string[], when: string, maxSizeMb: number }|null} null when nothing is collected.
+ */
+export function resolveArtifacts(value) {
+  if (value == null || value === false) return null;
+  const spec = typeof value === 'string' || Array.isArray(value) ? { paths: value } : value;
+  const paths = [].concat(spec.paths ?? []);
+  if (paths.length === 0) return null;
+  return {
+    paths,
+    when: spec.when ?? 'always',
+    maxSizeMb: spec.max_size_mb ?? DEFAULT_ARTIFACTS_MAX_SIZE_MB,
+  };
+}
+
+/**
+ * Why an `artifacts` glob can't be collected, or null when it can: the copies keep their paths under
+ * the run directory, so an absolute path or a `..` segment would write outside it.
+ */
+export function artifactPathError(glob) {
+  const pattern = String(glob).replace(/^!/, '');
+  if (path.isAbsolute(pattern) || /^[A-Za-z]:/.test(pattern)) {
+    return 'must be relative to the working directory, got an absolute path';
+  }
+  if (pattern.split(/[\\/]/).includes('..')) return 'must stay inside the working directory (no `..`)';
+  return null;
+}
+
+/** Whether a command that ended with `success` collects its artifacts under `when`. */
+export function shouldCollect(when, success) {
+  return when === 'always' || (when === 'on-failure' && !success);
+}
+
+/**
+ * Copy the files matching `paths` into `destDir`, keeping their paths relative to `cwd`. Files are
+ * taken in path order; one that would take the total past `maxSizeMb` is left out (a smaller one after
+ * it may still fit).
+ *
+ * @param {object} opts
+ * @param {string[]} opts.paths - Globs, relative to `cwd`.
+ * @param {string} opts.destDir - Where the copies go.
+ * @param {number} [opts.maxSizeMb]
+ * @param {string} [opts.cwd]
+ * @returns {Promise<{ files: Array<{ source: string, path: string, size: number }>, totalBytes: number,
+ *   omitted: Array<{ source: string, size: number }> }>} `path` is the absolute path of the copy.
+ */
+export async function collectArtifacts({
+  paths,
+  destDir,
+  maxSizeMb = DEFAULT_ARTIFACTS_MAX_SIZE_MB,
+  cwd = process.cwd(),
+}) {
+  const maxBytes = maxSizeMb * 1024 * 1024;
+  const files = [];
+  const omitted = [];
+  let totalBytes = 0;
+  for (const source of expandInputs(paths, cwd)) {
+    let size;
+    try {
+      size = fs.statSync(path.join(cwd, source)).size;
+    } catch {
+      continue; // removed between matching and copying
+    }
+    if (totalBytes + size > maxBytes) {
+      omitted.push({ source, size });
+      continue;
+    }
+    // The config check rejects globs that reach outside the working directory (artifactPathError);
+    // this keeps a copy inside destDir for an embedded run that skipped it.
+    const dest = path.resolve(destDir, source);
+    const within = path.relative(path.resolve(destDir), dest);
+    if (within === '..' || within.startsWith(`..${path.sep}`) || path.isAbsolute(within)) continue;
+    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+    await fs.promises.copyFile(path.join(cwd, source), dest);
+    files.push({ source, path: dest, size });
+    totalBytes += size;
+  }
+  return { files, totalBytes, omitted };
+}
@@ -0,0 +1,93 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveArtifacts, artifactPathError, shouldCollect, collectArtifacts, DEFAULT_ARTIFACTS_MAX_SIZE_MB } from './artifacts.js';
+
+describe('resolveArtifacts', () => {
+  test('takes a glob, a list of globs or an object, with defaults for when and the cap', () => {
+    expect(resolveArtifacts(undefined)).toBeNull();
+    expect(resolveArtifacts([])).toBeNull();
+    expect(resolveArtifacts('coverage/**')).toEqual({
+      paths: ['coverage/**'],
+      when: 'always',
+      maxSizeMb: DEFAULT_ARTIFACTS_MAX_SIZE_MB,
+    });
+    expect(resolveArtifacts({ paths: ['a/**', 'b/**'], when: 'on-failure', max_size_mb: 5 })).toEqual({
+      paths: ['a/**', 'b/**'],
+      when: 'on-failure',
+      maxSizeMb: 5,
+    });
+  });
+});
+
+describe('artifactPathError', () => {
+  test('rejects absolute paths and `..` segments', () => {
+    expect(artifactPathError('playwright-report/**')).toBeNull();
+    expect(artifactPathError('!coverage/tmp/**')).toBeNull();
+    expect(artifactPathError('/var/log/**')).toMatch(/absolute path/);
+    expect(artifactPathError('C:\\reports')).toMatch(/absolute path/);
+    expect(artifactPathError('../shared/**')).toMatch(/no `\.\.`/);
+    expect(artifactPathError('report/../../etc')).toMatch(/no `\.\.`/);
+    expect(artifactPathError('..report/x')).toBeNull();
+  });
+});
+
+describe('shouldCollect', () => {
+  test('always collects; on-failure only for a failed command', () => {
+    expect(shouldCollect('always', true)).toBe(true);
+    expect(shouldCollect('on-failure', true)).toBe(false);
+    expect(shouldCollect('on-failure', false)).toBe(true);
+  });
+});
+
+describe('collectArtifacts', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (rel, bytes) => {
+    fs.mkdirSync(path.join(dir, path.dirname(rel)), { recursive: true });
+    fs.writeFileSync(path.join(dir, rel), 'x'.repeat(bytes));
+  };
+
+  test('copies matching files under the destination, keeping their paths, until the cap', async () => {
+    write('report/index.html', 400 * 1024);
+    write('report/data/big.zip', 700 * 1024);
+    write('report/trace.json', 100 * 1024);
+    write('src/app.js', 10);
+    const destDir = path.join(dir, 'out');
+
+    const result = await collectArtifacts({ paths: ['report/**'], destDir, maxSizeMb: 1, cwd: dir });
+
+    expect(result.files.map(({ source, size }) => [source, size])).toEqual([
+      ['report/data/big.zip', 700 * 1024],
+      ['report/trace.json', 100 * 1024],
+    ]);
+    expect(result.files[0].path).toBe(path.join(destDir, 'report/data/big.zip'));
+    expect(result.totalBytes).toBe(800 * 1024);
+    expect(result.omitted).toEqual([{ source: 'report/index.html', size: 400 * 1024 }]);
+    expect(fs.readFileSync(path.join(destDir, 'report/trace.json'), 'utf8')).toHaveLength(100 * 1024);
+    expect(fs.existsSync(path.join(destDir, 'src'))).toBe(false);
+  });
+
+  test('never copies outside the destination', async () => {
+    write('work/report.html', 10);
+    write('secret.txt', 10);
+    const destDir = path.join(dir, 'work', 'out');
+
+    const result = await collectArtifacts({ paths: ['../secret.txt', 'report.html'], destDir, cwd: path.join(dir, 'work') });
+
+    expect(result.files.map(({ source }) => source)).toEqual(['report.html']);
+    expect(fs.readdirSync(path.join(dir, 'work'))).toEqual(['out', 'report.html']);
+  });
+
+  test('nothing matched, nothing copied', async () => {
+    const result = await collectArtifacts({ paths: ['missing/**'], destDir: path.join(dir, 'out'), cwd: dir });
+    expect(result).toEqual({ files: [], totalBytes: 0, omitted: [] });
+    expect(fs.existsSync(path.join(dir, 'out'))).toBe(false);
+  });
+});
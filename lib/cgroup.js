@@ -0,0 +1,134 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * @file cgroup.js
+ * @description Container memory and CPU limits from the cgroup filesystem.
+ *
+ * Inside a Docker or Kubernetes CI container `/proc/meminfo` and `os.cpus()` describe the host, not
+ * the container: a job limited to 4 GB on a 64 GB node sees 64 GB, so the memory guard never trips
+ * before the cgroup's OOM killer does, and `auto` concurrency sizes itself for CPUs it is throttled
+ * off. The limits live in the container's own cgroup, mounted at `/sys/fs/cgroup`:
+ *
+ *   - v2: `memory.max`, `memory.current`, `memory.stat` and `cpu.max` in the mount itself.
+ *   - v1: `memory/memory.limit_in_bytes`, `memory/memory.usage_in_bytes`, `memory/memory.stat` and
+ *         `cpu/cpu.cfs_quota_us` + `cpu/cpu.cfs_period_us`.
+ *
+ * Outside a container (or without a limit) these files are absent or say "unlimited" and every
+ * reader returns null, so callers keep the host figures. Parsing is split from reading so fixtures
+ * can stand in for the files.
+ */
+
+export const CGROUP_ROOT = '/sys/fs/cgroup';
+
+// cgroup v1 has no "max": an unlimited group reports LONG_MAX rounded down to a page. Anything this
+// large is not a real limit.
+const UNLIMITED_BYTES = 2 ** 60;
+
+const readFile = (file) => {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+};
+
+/** A `key value` line of a `memory.stat` file, or null. */
+export function memoryStatField(text, key) {
+  const m = String(text ?? '').match(new RegExp(`^${key}\\s+(\\d+)`, 'm'));
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * A cgroup's memory limit and what is still available under it, from the contents of its files.
+ * Page cache the kernel can drop under pressure (`inactive_file`) counts as available, as
+ * MemAvailable does for the host.
+ *
+ * @param {{ limit: string|null, usage: string|null, stat?: string|null }} files - `memory.max` /
+ *   `memory.limit_in_bytes`, `memory.current` / `memory.usage_in_bytes`, and `memory.stat`.
+ * @returns {{ limitBytes: number, availableBytes: number }|null} null when there is no limit.
+ */
+export function parseCgroupMemory({ limit, usage, stat = null }) {
+  const limitText = String(limit ?? '').trim();
+  if (!limitText || limitText === 'max') return null;
+  const limitBytes = Number(limitText);
+  if (!Number.isFinite(limitBytes) || limitBytes <= 0 || limitBytes >= UNLIMITED_BYTES) return null;
+  const usageBytes = Number(String(usage ?? '').trim());
+  if (!Number.isFinite(usageBytes)) return { limitBytes, availableBytes: limitBytes };
+  // v2 names the field inactive_file; v1 reports the group's own and, with hierarchy, total_ figures.
+  const inactive = memoryStatField(stat, 'inactive_file') ?? memoryStatField(stat, 'total_inactive_file') ?? 0;
+  const usedBytes = Math.max(0, usageBytes - inactive);
+  return { limitBytes, availableBytes: Math.max(0, limitBytes - usedBytes) };
+}
+
+/**
+ * CPUs a cgroup may use, from its `cpu.max` (`"<quota> <period>"`, or `"max <period>"`); v1's
+ * `cfs_quota_us` and `cfs_period_us` joined the same way. Fractional: a 150000/100000 quota is 1.5.
+ *
+ * @param {string|null} text
+ * @returns {number|null} null when unlimited.
+ */
+export function parseCgroupCpu(text) {
+  const [quota, period] = String(text ?? '').trim().split(/\s+/);
+  if (!quota || quota === 'max') return null;
+  const q = Number(quota);
+  const p = Number(period ?? 100000);
+  if (!Number.isFinite(q) || q <= 0 || !Number.isFinite(p) || p <= 0) return null;
+  return q / p;
+}
+
+/**
+ * Memory limit of the cgroup this process runs in (v2, else v1), or null without one.
+ *
+ * @param {string} [root]
+ * @returns {{ limitBytes: number, availableBytes: number }|null}
+ */
+export function readCgroupMemory(root = CGROUP_ROOT) {
+  const v2Limit = readFile(path.join(root, 'memory.max'));
+  if (v2Limit != null) {
+    return parseCgroupMemory({
+      limit: v2Limit,
+      usage: readFile(path.join(root, 'memory.current')),
+      stat: readFile(path.join(root, 'memory.stat')),
+    });
+  }
+  const v1 = path.join(root, 'memory');
+  return parseCgroupMemory({
+    limit: readFile(path.join(v1, 'memory.limit_in_bytes')),
+    usage: readFile(path.join(v1, 'memory.usage_in_bytes')),
+    stat: readFile(path.join(v1, 'memory.stat')),
+  });
+}
+
+/**
+ * CPU quota of the cgroup this process runs in (v2, else v1), or null without one.
+ *
+ * @param {string} [root]
+ * @returns {number|null}
+ */
+export function readCgroupCpus(root = CGROUP_ROOT) {
+  const v2 = readFile(path.join(root, 'cpu.max'));
+  if (v2 != null) return parseCgroupCpu(v2);
+  for (const dir of ['cpu', 'cpu,cpuacct']) {
+    const quota = readFile(path.join(root, dir, 'cpu.cfs_quota_us'));
+    if (quota == null) continue;
+    return parseCgroupCpu(`${quota.trim()} ${(readFile(path.join(root, dir, 'cpu.cfs_period_us')) ?? '').trim()}`);
+  }
+  return null;
+}
+
+/**
+ * CPUs this process can keep busy: the host's count, capped by a cgroup quota rounded up (a 1.5 CPU
+ * quota still runs two processes part of the time).
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.root] - cgroup mount.
+ * @param {number} [opts.hostCpus]
+ * @returns {number}
+ */
+export function effectiveCpuCount({ root = CGROUP_ROOT, hostCpus = os.cpus().length } = {}) {
+  const quota = readCgroupCpus(root);
+  if (quota == null) return hostCpus;
+  return Math.max(1, Math.min(hostCpus, Math.ceil(quota)));
+}
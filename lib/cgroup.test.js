@@ -0,0 +1,104 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  memoryStatField,
+  parseCgroupMemory,
+  parseCgroupCpu,
+  readCgroupMemory,
+  readCgroupCpus,
+  effectiveCpuCount,
+} from './cgroup.js';
+
+const MB = 1024 * 1024;
+
+let root;
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'so-cgroup-'));
+});
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// Write fake cgroup files under the fixture root, e.g. { 'memory.max': '1024\n' }.
+function files(entries) {
+  for (const [name, text] of Object.entries(entries)) {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), text);
+  }
+}
+
+describe('parseCgroupMemory', () => {
+  test('counts reclaimable page cache as available', () => {
+    const stat = `anon ${300 * MB}\ninactive_file ${100 * MB}\nactive_file ${50 * MB}\n`;
+    expect(memoryStatField(stat, 'inactive_file')).toBe(100 * MB);
+    expect(parseCgroupMemory({ limit: `${1024 * MB}\n`, usage: `${500 * MB}\n`, stat })).toEqual({
+      limitBytes: 1024 * MB,
+      availableBytes: 624 * MB,
+    });
+  });
+
+  test('an unlimited group has no limit', () => {
+    expect(parseCgroupMemory({ limit: 'max\n', usage: '123' })).toBeNull();
+    expect(parseCgroupMemory({ limit: '9223372036854771712\n', usage: '123' })).toBeNull();
+    expect(parseCgroupMemory({ limit: null, usage: null })).toBeNull();
+  });
+
+  test('an unreadable usage leaves the whole limit available', () => {
+    expect(parseCgroupMemory({ limit: `${512 * MB}`, usage: null })).toEqual({
+      limitBytes: 512 * MB,
+      availableBytes: 512 * MB,
+    });
+  });
+});
+
+describe('parseCgroupCpu', () => {
+  test('divides the quota by the period', () => {
+    expect(parseCgroupCpu('200000 100000\n')).toBe(2);
+    expect(parseCgroupCpu('150000 100000')).toBe(1.5);
+    expect(parseCgroupCpu('max 100000\n')).toBeNull();
+    expect(parseCgroupCpu('-1 100000')).toBeNull();
+    expect(parseCgroupCpu(null)).toBeNull();
+  });
+});
+
+describe('reading a cgroup mount', () => {
+  test('v2 memory and CPU files', () => {
+    files({
+      'memory.max': `${2048 * MB}\n`,
+      'memory.current': `${1024 * MB}\n`,
+      'memory.stat': `inactive_file ${256 * MB}\n`,
+      'cpu.max': '250000 100000\n',
+    });
+    expect(readCgroupMemory(root)).toEqual({ limitBytes: 2048 * MB, availableBytes: 1280 * MB });
+    expect(readCgroupCpus(root)).toBe(2.5);
+    expect(effectiveCpuCount({ root, hostCpus: 16 })).toBe(3);
+  });
+
+  test('v1 memory and cpu,cpuacct files', () => {
+    files({
+      'memory/memory.limit_in_bytes': `${1024 * MB}\n`,
+      'memory/memory.usage_in_bytes': `${900 * MB}\n`,
+      'memory/memory.stat': `inactive_file ${10 * MB}\ntotal_inactive_file ${100 * MB}\n`,
+      'cpu,cpuacct/cpu.cfs_quota_us': '100000\n',
+      'cpu,cpuacct/cpu.cfs_period_us': '100000\n',
+    });
+    expect(readCgroupMemory(root)).toEqual({ limitBytes: 1024 * MB, availableBytes: 134 * MB });
+    expect(readCgroupCpus(root)).toBe(1);
+    expect(effectiveCpuCount({ root, hostCpus: 8 })).toBe(1);
+  });
+
+  test('no limit, or no cgroup at all, keeps the host figures', () => {
+    expect(readCgroupMemory(root)).toBeNull();
+    expect(effectiveCpuCount({ root, hostCpus: 8 })).toBe(8);
+
+    files({ 'memory.max': 'max\n', 'cpu.max': 'max 100000\n' });
+    expect(readCgroupMemory(root)).toBeNull();
+    expect(effectiveCpuCount({ root, hostCpus: 8 })).toBe(8);
+  });
+
+  test('a quota above the host CPU count does not raise it', () => {
+    files({ 'cpu.max': '1600000 100000\n' });
+    expect(effectiveCpuCount({ root, hostCpus: 4 })).toBe(4);
+  });
+});
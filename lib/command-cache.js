@@ -0,0 +1,244 @@
+/**
+ * @file command-cache.js
+ * @description Per-command content-hash cache. A command that declares `inputs` (globs) gets a cache
+ * key built from the content of the files they match, its resolved command line, its `env` overrides
+ * and the nearest lockfile. When a command passes, its key and log are stored; a later run with the
+ * same key replays the stored log instead of running the command, and reports it as CACHED.
+ *
+ * Unlike GitCache, which skips the whole run only when HEAD is unchanged and the tree is clean, this
+ * is per command: touching a README reruns only the commands whose inputs match it.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Lockfiles looked for (in this order) from the working directory upwards.
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'pnpm-lock.yaml', 'yarn.lock', 'bun.lockb'];
+
+// Never descended into while expanding globs, unless a pattern's base directory is inside one.
+const SKIPPED_DIRS = new Set(['node_modules', '.git']);
+
+const GLOB_CHARS = /[*?{]/;
+
+function escapeRegExp(s) {
+  return s.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+}
+
+/**
+ * Translate a glob into an anchored RegExp over `/`-separated relative paths. Supports `**` (any
+ * number of directories), `*` and `?` (within one path segment) and `{a,b}` alternatives.
+ */
+export function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        re += '(?:.*/)?';
+      } else {
+        re += '.*';
+      }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i);
+      re += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      re += escapeRegExp(ch);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// Every file under `dir`, as paths relative to `root` with `/` separators.
+function walk(root, dir, out) {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(root, dir), { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    const rel = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRS.has(entry.name)) walk(root, rel, out);
+    } else if (entry.isFile()) {
+      out.push(rel);
+    }
+  }
+}
+
+/**
+ * Expand `inputs` globs to the sorted list of files they match, relative to `cwd`. A pattern without
+ * glob characters names a file or a whole directory; a leading `!` excludes matches.
+ *
+ * @param {string|string[]} patterns
+ * @param {string} [cwd]
+ * @returns {string[]}
+ */
+export function expandInputs(patterns, cwd = process.cwd()) {
+  const list = (Array.isArray(patterns) ? patterns : [patterns]).map((p) => p.replace(/^\.\//, ''));
+  const include = list.filter((p) => !p.startsWith('!'));
+  const exclude = list.filter((p) => p.startsWith('!')).map((p) => globToRegExp(p.slice(1)));
+  const files = new Set();
+  for (const pattern of include) {
+    if (!GLOB_CHARS.test(pattern)) {
+      const abs = path.join(cwd, pattern);
+      let stat = null;
+      try {
+        stat = fs.statSync(abs);
+      } catch {
+        continue; // a missing input is simply not part of the key
+      }
+      if (stat.isFile()) {
+        files.add(pattern);
+      } else if (stat.isDirectory()) {
+        const found = [];
+        walk(cwd, pattern.replace(/\/+$/, ''), found);
+        found.forEach((f) => files.add(f));
+      }
+      continue;
+    }
+    // Only walk below the pattern's literal prefix (e.g. `src/` for `src/**/*.js`).
+    const segments = pattern.split('/');
+    const firstGlob = segments.findIndex((s) => GLOB_CHARS.test(s));
+    const base = segments.slice(0, firstGlob).join('/');
+    const matcher = globToRegExp(pattern);
+    const found = [];
+    walk(cwd, base, found);
+    found.filter((f) => matcher.test(f)).forEach((f) => files.add(f));
+  }
+  return Array.from(files)
+    .filter((f) => !exclude.some((re) => re.test(f)))
+    .sort();
+}
+
+/**
+ * Whether a file (relative to the directory `inputs` are resolved from) is one of the files the
+ * patterns cover — the test expandInputs applies, without touching the disk, so it also answers for
+ * a file that has just been deleted.
+ *
+ * @param {string|string[]} patterns
+ * @param {string} file
+ * @returns {boolean}
+ */
+export function matchesInputs(patterns, file) {
+  const list = (Array.isArray(patterns) ? patterns : [patterns]).map((p) => p.replace(/^\.\//, ''));
+  const rel = file.split(path.sep).join('/');
+  if (list.some((p) => p.startsWith('!') && globToRegExp(p.slice(1)).test(rel))) return false;
+  return list
+    .filter((p) => !p.startsWith('!'))
+    .some((pattern) => {
+      if (GLOB_CHARS.test(pattern)) return globToRegExp(pattern).test(rel);
+      const literal = pattern.replace(/\/+$/, '');
+      return rel === literal || rel.startsWith(`${literal}/`);
+    });
+}
+
+/** The nearest lockfile at or above `cwd`, or null. */
+export function findLockfile(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    for (const name of LOCKFILES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Cache key for one command: a hash over its command line, env overrides, the lockfile and the
+ * path + content of every input file. Any change to one of them gives a new key.
+ *
+ * @param {object} opts
+ * @param {string} opts.commandLine - The resolved command line (prefix included).
+ * @param {string|string[]} opts.inputs - `inputs` globs.
+ * @param {object} [opts.env] - The command's `env` overrides.
+ * @param {string} [opts.cwd]
+ * @returns {{ key: string, files: number }}
+ */
+export function computeCacheKey({ commandLine, inputs, env = {}, cwd = process.cwd() }) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`command\0${commandLine}\0`);
+  for (const name of Object.keys(env || {}).sort()) {
+    hash.update(`env\0${name}=${env[name]}\0`);
+  }
+  const lockfile = findLockfile(cwd);
+  hash.update(`lockfile\0${lockfile ? sha256(fs.readFileSync(lockfile)) : 'none'}\0`);
+  const files = expandInputs(inputs, cwd);
+  for (const file of files) {
+    hash.update(`file\0${file}\0${sha256(fs.readFileSync(path.join(cwd, file)))}\0`);
+  }
+  return { key: hash.digest('hex'), files: files.length };
+}
+
+export class CommandCache {
+  // Lives next to the command logs (and GitCache's hash file).
+  constructor(logFolder = null) {
+    const baseDir = logFolder ? path.resolve(logFolder) : process.cwd();
+    this.dir = path.join(baseDir, 'scripts-orchestrator-logs', '.command-cache');
+  }
+
+  // One entry per command (the latest pass), so the cache never grows beyond the config's commands.
+  _entryPaths(command) {
+    const id = sha256(command).slice(0, 16);
+    return { meta: path.join(this.dir, `${id}.json`), log: path.join(this.dir, `${id}.log`) };
+  }
+
+  /**
+   * The stored entry for `command` when it was recorded under `key`, else null.
+   * @returns {{ command: string, key: string, storedAt: string, durationMs: number|null, logPath: string|null }|null}
+   */
+  lookup(command, key) {
+    const paths = this._entryPaths(command);
+    let meta;
+    try {
+      meta = JSON.parse(fs.readFileSync(paths.meta, 'utf8'));
+    } catch {
+      return null;
+    }
+    if (meta.command !== command || meta.key !== key) return null;
+    return { ...meta, logPath: fs.existsSync(paths.log) ? paths.log : null };
+  }
+
+  /** Record a passing run of `command` under `key`, keeping a copy of its log for replays. */
+  store(command, key, { logPath = null, durationMs = null } = {}) {
+    const paths = this._entryPaths(command);
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      if (logPath && fs.existsSync(logPath)) {
+        fs.copyFileSync(logPath, paths.log);
+      } else {
+        fs.rmSync(paths.log, { force: true });
+      }
+      const meta = { command, key, storedAt: new Date().toISOString(), durationMs };
+      fs.writeFileSync(paths.meta, JSON.stringify(meta, null, 2) + '\n', 'utf8');
+    } catch {
+      /* a cache write failure only costs a rerun next time */
+    }
+  }
+
+  /** Restore a cached log to `logPath` (the command's usual log file). Returns false if there is none. */
+  replayLog(entry, logPath) {
+    if (!entry.logPath || !logPath) return false;
+    try {
+      fs.mkdirSync(path.dirname(logPath), { recursive: true });
+      fs.copyFileSync(entry.logPath, logPath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
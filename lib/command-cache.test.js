@@ -0,0 +1,118 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  globToRegExp,
+  expandInputs,
+  matchesInputs,
+  findLockfile,
+  computeCacheKey,
+  CommandCache,
+} from './command-cache.js';
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'command-cache-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function write(rel, content = rel) {
+  const abs = path.join(dir, rel);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(abs, content);
+}
+
+describe('globToRegExp', () => {
+  test('* stays within a segment, ** spans directories', () => {
+    expect(globToRegExp('src/*.js').test('src/a.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/lib/a.js')).toBe(false);
+    expect(globToRegExp('src/**/*.js').test('src/a.js')).toBe(true);
+    expect(globToRegExp('src/**/*.js').test('src/lib/deep/a.js')).toBe(true);
+    expect(globToRegExp('src/**').test('src/lib/a.css')).toBe(true);
+  });
+
+  test('? and {a,b} alternatives, with other characters literal', () => {
+    expect(globToRegExp('a?.{js,ts}').test('ab.ts')).toBe(true);
+    expect(globToRegExp('a?.{js,ts}').test('ab.css')).toBe(false);
+    expect(globToRegExp('v1.0+x').test('v1.0+x')).toBe(true);
+    expect(globToRegExp('v1.0+x').test('v100+x')).toBe(false);
+  });
+});
+
+describe('expandInputs', () => {
+  test('expands globs, plain files and directories, honouring ! excludes', () => {
+    write('src/a.js');
+    write('src/lib/b.js');
+    write('src/lib/b.test.js');
+    write('src/node_modules/dep/index.js');
+    write('docs/guide.md');
+    write('package.json');
+    expect(expandInputs(['src/**/*.js', '!**/*.test.js', 'package.json', 'docs', 'missing.txt'], dir)).toEqual([
+      'docs/guide.md',
+      'package.json',
+      'src/a.js',
+      'src/lib/b.js',
+    ]);
+  });
+});
+
+describe('matchesInputs', () => {
+  test('matches globs, plain files and directory prefixes, honouring ! excludes', () => {
+    const inputs = ['src/**/*.js', '!**/*.test.js', './package.json', 'docs/'];
+    expect(matchesInputs(inputs, 'src/lib/b.js')).toBe(true);
+    expect(matchesInputs(inputs, 'src/lib/b.test.js')).toBe(false);
+    expect(matchesInputs(inputs, 'package.json')).toBe(true);
+    expect(matchesInputs(inputs, 'docs/guide.md')).toBe(true);
+    expect(matchesInputs(inputs, 'docs-old/guide.md')).toBe(false);
+    expect(matchesInputs('README.md', 'README.md')).toBe(true);
+  });
+});
+
+describe('computeCacheKey', () => {
+  const key = (over = {}) =>
+    computeCacheKey({ commandLine: 'npm run build', inputs: ['src/**'], env: { A: '1' }, cwd: dir, ...over }).key;
+
+  test('is stable, and changes with inputs, command line, env and lockfile', () => {
+    write('src/a.js', 'one');
+    write('README.md', 'readme');
+    const base = key();
+    expect(key()).toBe(base);
+    write('README.md', 'edited'); // not an input
+    expect(key()).toBe(base);
+
+    expect(key({ commandLine: 'npm run build -- --prod' })).not.toBe(base);
+    expect(key({ env: { A: '2' } })).not.toBe(base);
+
+    write('package-lock.json', '{}');
+    expect(findLockfile(dir)).toBe(path.join(dir, 'package-lock.json'));
+    const withLock = key();
+    expect(withLock).not.toBe(base);
+
+    write('src/a.js', 'two');
+    expect(key()).not.toBe(withLock);
+  });
+});
+
+describe('CommandCache', () => {
+  test('stores the latest pass per command and replays its log', () => {
+    const cache = new CommandCache(dir);
+    write('logs/build.log', 'build output');
+    expect(cache.lookup('build', 'k1')).toBeNull();
+
+    cache.store('build', 'k1', { logPath: path.join(dir, 'logs/build.log'), durationMs: 1200 });
+    const entry = cache.lookup('build', 'k1');
+    expect(entry).toMatchObject({ command: 'build', key: 'k1', durationMs: 1200 });
+    expect(cache.lookup('build', 'k2')).toBeNull();
+    expect(cache.lookup('lint', 'k1')).toBeNull();
+
+    const target = path.join(dir, 'replayed/build.log');
+    expect(cache.replayLog(entry, target)).toBe(true);
+    expect(fs.readFileSync(target, 'utf8')).toBe('build output');
+
+    cache.store('build', 'k2');
+    expect(cache.lookup('build', 'k1')).toBeNull();
+    expect(cache.lookup('build', 'k2').logPath).toBeNull();
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * @file command-graph.js
+ * @description Builds the dependency graph for `needs:`-driven scheduling. In graph mode every
+ * top-level command is a node, and a command starts as soon as the commands it `needs` (by name)
+ * have passed — instead of waiting for the whole previous phase to finish.
+ *
+ * Phases remain valid config in graph mode and keep their meaning as sugar: a command that declares
+ * no `needs` of its own implicitly needs every command of the previous phase. A command that does
+ * declare `needs` gets exactly those edges, which is how an independent command escapes a slow
+ * phase ahead of it.
+ *
+ * The graph is validated when it is built (unknown names, duplicate command names, cycles), so a
+ * bad config fails at load time with the offending path rather than part-way through a run.
+ */
+
+/**
+ * Whether a config opts into graph scheduling — true when any top-level command declares `needs`.
+ * Configs without `needs` keep the classic phase-by-phase loop unchanged.
+ */
+export function usesNeeds(config) {
+  return topLevelEntries(config).some(({ commandConfig }) => commandConfig.needs != null);
+}
+
+// Every top-level command with the phase it belongs to (null for the legacy array format).
+function topLevelEntries(config) {
+  if (Array.isArray(config)) {
+    return config.map((commandConfig) => ({ commandConfig, phase: null }));
+  }
+  if (config && Array.isArray(config.phases)) {
+    return config.phases.flatMap((phase) =>
+      (phase.parallel || []).map((commandConfig) => ({ commandConfig, phase: phase.name })),
+    );
+  }
+  return [];
+}
+
+function toNameList(needs) {
+  if (needs == null) return [];
+  return (Array.isArray(needs) ? needs : [needs]).map((n) => String(n));
+}
+
+/**
+ * Build and validate the command graph.
+ *
+ * @param {object|Array} config - Orchestrator config (phases format or legacy array).
+ * @returns {{ nodes: Array<{ command: string, config: object, phase: string|null, needs: string[] }>,
+ *   byName: Map<string, object> }}
+ * @throws {Error} on a duplicate command name, an unknown `needs` entry, or a cycle.
+ */
+export function buildCommandGraph(config) {
+  const nodes = [];
+  const byName = new Map();
+  for (const { commandConfig, phase } of topLevelEntries(config)) {
+    const name = commandConfig.command;
+    if (byName.has(name)) {
+      throw new Error(
+        `Duplicate command "${name}" — commands must have unique names when \`needs\` is used`,
+      );
+    }
+    const node = {
+      command: name,
+      config: commandConfig,
+      phase,
+      // Explicit edges only; phase sugar is resolved by the scheduler, which knows which phases
+      // actually run this time (start phase / optional phases).
+      needs: toNameList(commandConfig.needs),
+      explicit: commandConfig.needs != null,
+    };
+    nodes.push(node);
+    byName.set(name, node);
+  }
+
+  for (const node of nodes) {
+    for (const need of node.needs) {
+      if (need === node.command) {
+        throw new Error(`Command "${node.command}" needs itself`);
+      }
+      if (!byName.has(need)) {
+        throw new Error(`Command "${node.command}" needs unknown command "${need}"`);
+      }
+    }
+  }
+
+  const cycle = findCycle(nodes, byName, config);
+  if (cycle) {
+    throw new Error(`Dependency cycle detected: ${cycle.join(' -> ')}`);
+  }
+
+  return { nodes, byName };
+}
+
+/**
+ * The edges a node waits on once phase sugar is applied: its explicit `needs`, or — when it declares
+ * none — every command of `previousPhase` (the nearest earlier phase that runs this time).
+ */
+export function effectiveNeeds(node, previousPhaseCommands = []) {
+  return node.explicit ? node.needs : previousPhaseCommands;
+}
+
+// Depth-first search for a cycle over explicit + phase-sugar edges. Sugar edges only ever point
+// backwards a phase, so any cycle must involve an explicit edge — but including them reports cycles
+// such as "build needs test" where test (phase 2) implicitly needs build (phase 1).
+function findCycle(nodes, byName, config) {
+  const phaseOrder = Array.isArray(config?.phases) ? config.phases.map((p) => p.name) : [];
+  const commandsByPhase = new Map();
+  for (const node of nodes) {
+    if (node.phase == null) continue;
+    if (!commandsByPhase.has(node.phase)) commandsByPhase.set(node.phase, []);
+    commandsByPhase.get(node.phase).push(node.command);
+  }
+  const edgesOf = (node) => {
+    if (node.explicit || node.phase == null) return node.needs;
+    const idx = phaseOrder.indexOf(node.phase);
+    return idx > 0 ? commandsByPhase.get(phaseOrder[idx - 1]) ?? [] : [];
+  };
+
+  const WHITE = 0;
+  const GREY = 1;
+  const BLACK = 2;
+  const color = new Map(nodes.map((n) => [n.command, WHITE]));
+  const stack = [];
+
+  const visit = (name) => {
+    color.set(name, GREY);
+    stack.push(name);
+    for (const next of edgesOf(byName.get(name))) {
+      if (color.get(next) === GREY) {
+        return [...stack.slice(stack.indexOf(next)), next];
+      }
+      if (color.get(next) === WHITE) {
+        const found = visit(next);
+        if (found) return found;
+      }
+    }
+    stack.pop();
+    color.set(name, BLACK);
+    return null;
+  };
+
+  for (const node of nodes) {
+    if (color.get(node.command) === WHITE) {
+      const found = visit(node.command);
+      if (found) return found;
+    }
+  }
+  return null;
+}
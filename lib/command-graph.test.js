@@ -0,0 +1,80 @@
+import { usesNeeds, buildCommandGraph, effectiveNeeds } from './command-graph.js';
+
+describe('usesNeeds', () => {
+  test('is false for a classic phases config', () => {
+    expect(usesNeeds({ phases: [{ name: 'a', parallel: [{ command: 'build' }] }] })).toBe(false);
+  });
+
+  test('is true once any top-level command declares needs (phases or legacy array)', () => {
+    expect(
+      usesNeeds({
+        phases: [
+          { name: 'a', parallel: [{ command: 'build' }] },
+          { name: 'b', parallel: [{ command: 'test', needs: ['build'] }] },
+        ],
+      }),
+    ).toBe(true);
+    expect(usesNeeds([{ command: 'build' }, { command: 'test', needs: [] }])).toBe(true);
+  });
+});
+
+describe('buildCommandGraph', () => {
+  test('returns one node per top-level command with its phase and explicit needs', () => {
+    const graph = buildCommandGraph({
+      phases: [
+        { name: 'build', parallel: [{ command: 'build' }, { command: 'typecheck' }] },
+        { name: 'test', parallel: [{ command: 'unit', needs: 'build' }, { command: 'e2e' }] },
+      ],
+    });
+    expect(graph.nodes.map((n) => [n.command, n.phase, n.needs, n.explicit])).toEqual([
+      ['build', 'build', [], false],
+      ['typecheck', 'build', [], false],
+      ['unit', 'test', ['build'], true],
+      ['e2e', 'test', [], false],
+    ]);
+    expect(graph.byName.get('unit').phase).toBe('test');
+  });
+
+  test('rejects an unknown need, a self-need and duplicate names', () => {
+    expect(() => buildCommandGraph([{ command: 'a', needs: ['nope'] }])).toThrow(
+      'Command "a" needs unknown command "nope"',
+    );
+    expect(() => buildCommandGraph([{ command: 'a', needs: ['a'] }])).toThrow('needs itself');
+    expect(() => buildCommandGraph([{ command: 'a', needs: [] }, { command: 'a' }])).toThrow(
+      'Duplicate command "a"',
+    );
+  });
+
+  test('detects a cycle of explicit needs and reports its path', () => {
+    expect(() =>
+      buildCommandGraph([
+        { command: 'a', needs: ['c'] },
+        { command: 'b', needs: ['a'] },
+        { command: 'c', needs: ['b'] },
+      ]),
+    ).toThrow('Dependency cycle detected: a -> c -> b -> a');
+  });
+
+  test('detects a cycle closed by an implicit phase edge', () => {
+    // `unit` (phase 2) implicitly needs all of phase 1, so build needing unit closes a loop.
+    expect(() =>
+      buildCommandGraph({
+        phases: [
+          { name: 'one', parallel: [{ command: 'build', needs: ['unit'] }] },
+          { name: 'two', parallel: [{ command: 'unit' }] },
+        ],
+      }),
+    ).toThrow('Dependency cycle detected: build -> unit -> build');
+  });
+});
+
+describe('effectiveNeeds', () => {
+  test('explicit needs replace the phase edges; otherwise the previous phase is needed', () => {
+    expect(effectiveNeeds({ explicit: true, needs: ['build'] }, ['build', 'typecheck'])).toEqual(['build']);
+    expect(effectiveNeeds({ explicit: true, needs: [] }, ['build'])).toEqual([]);
+    expect(effectiveNeeds({ explicit: false, needs: [] }, ['build', 'typecheck'])).toEqual([
+      'build',
+      'typecheck',
+    ]);
+  });
+});
@@ -0,0 +1,712 @@
+/**
+ * @file config-validate.js
+ * @description Validates an orchestrator config before anything runs. The orchestrator itself is
+ * deliberately forgiving — an unparseable `max_concurrency` falls back to 'auto', an unknown key is
+ * ignored — which means a typo (`paralel`, `health_check.max_attemps`, `status: 'enable'`) silently
+ * does the wrong thing. This module checks every key the library understands and reports each
+ * problem with a file-path-style location (`phases[2].parallel[1].health_check.interval`) and, for
+ * misspelt keys and names, a "did you mean" suggestion.
+ *
+ * Issues come in two severities:
+ *   - errors   — the value is wrong or the config cannot run as written (bad type, missing `parallel`,
+ *                duplicate command, unknown `needs`/`start_phase` target). A normal run refuses to start.
+ *   - warnings — an unknown key. Reported on every run; `--validate` treats them as failures too.
+ */
+import { AGGREGATE_DEFAULTS } from './workspaces.js';
+import { MEMORY_GUARD_DEFAULTS, ON_CRITICAL_POLICIES } from './memory-governor.js';
+import { HEALTH_CHECK_TYPES, healthCheckType, statusMatcher } from './health-check.js';
+import { MATRIX_DIRECTIVES, matrixCombinations } from './matrix.js';
+import { SHARD_COUNT_KEY, SHARD_INDEX_KEY } from './shard.js';
+import { OUTPUT_MODES } from './output-stream.js';
+import { ARTIFACT_WHEN, artifactPathError } from './artifacts.js';
+
+const VALID_METRICS = ['time', 'memory', 'cpu'];
+const VALID_STATUSES = ['enabled', 'disabled'];
+
+// ---- value checkers -------------------------------------------------------------------------
+// Each returns null when the value is acceptable, or a short description of what was expected.
+
+const describe = (value) => {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'function') return 'a function';
+  if (Array.isArray(value)) return 'an array';
+  if (value && typeof value === 'object') return 'an object';
+  return String(value);
+};
+const isObjectValue = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+const isString = (v) => (typeof v === 'string' ? null : 'expected a string');
+const isNonEmptyString = (v) =>
+  typeof v === 'string' && v.trim() !== '' ? null : 'expected a non-empty string';
+const isBoolean = (v) => (typeof v === 'boolean' ? null : 'expected true or false');
+const isFunction = (v) => (typeof v === 'function' ? null : 'expected a function');
+const isPositiveInt = (v) =>
+  Number.isInteger(v) && v > 0 ? null : 'expected a positive integer';
+const isPositiveMs = (v) =>
+  typeof v === 'number' && Number.isFinite(v) && v > 0 ? null : 'expected a positive number of ms';
+const isPositiveNumber = (v) =>
+  typeof v === 'number' && Number.isFinite(v) && v > 0 ? null : 'expected a positive number';
+// cpu_guard thresholds take `false` to turn that signal off.
+const isThresholdOrFalse = (v) =>
+  v === false || (typeof v === 'number' && Number.isFinite(v) && v > 0) ? null : 'expected a positive number or false';
+const isInteger = (v) => (Number.isInteger(v) ? null : 'expected an integer');
+const isNonNegativeMs = (v) =>
+  typeof v === 'number' && Number.isFinite(v) && v >= 0 ? null : 'expected a number of ms (>= 0)';
+const isFraction = (v) =>
+  typeof v === 'number' && v > 0 && v < 1 ? null : 'expected a fraction between 0 and 1';
+const isStringOrFalse = (v) =>
+  typeof v === 'string' || v === false || v === null ? null : 'expected a string, false or null';
+// 0 / negative integers are documented to mean 'auto', so only non-numeric values are rejected.
+const isConcurrency = (v) =>
+  v === 'auto' || Number.isInteger(v) || (typeof v === 'string' && /^\d+$/.test(v.trim()))
+    ? null
+    : 'expected \'auto\' or a positive integer';
+const isTimeout = (v) =>
+  v === false || v === null || (typeof v === 'number' && Number.isFinite(v) && v >= 0)
+    ? null
+    : 'expected a number of ms (0 / false disables it)';
+const isOneOf = (choices) => (v) =>
+  choices.includes(v) ? null : `expected one of ${choices.map((c) => `'${c}'`).join(', ')}`;
+const isNameList = (v) =>
+  typeof v === 'string' || (Array.isArray(v) && v.every((n) => typeof n === 'string'))
+    ? null
+    : 'expected a command name or an array of names';
+const isPort = (v) =>
+  Number.isInteger(v) && v > 0 && v < 65536 ? null : 'expected a port number (1-65535)';
+const isStatusExpectation = (v) => {
+  try {
+    statusMatcher(v);
+    return null;
+  } catch {
+    return 'expected a status code, a class like \'2xx\', a range like \'200-399\', or an array of those';
+  }
+};
+const isPattern = (v) => {
+  if (v instanceof RegExp) return null;
+  if (typeof v !== 'string') return 'expected a regular expression or a string pattern';
+  try {
+    new RegExp(v);
+    return null;
+  } catch (err) {
+    return `expected a valid regular expression (${err.message})`;
+  }
+};
+const isSecretList = (v) =>
+  Array.isArray(v) && v.every((n) => typeof n === 'string' && n !== '')
+    ? null
+    : 'expected an array of environment variable names or patterns like \'*_TOKEN\'';
+const isGlobList = (v) =>
+  (typeof v === 'string' && v !== '') ||
+  (Array.isArray(v) && v.length > 0 && v.every((g) => typeof g === 'string' && g !== ''))
+    ? null
+    : 'expected a glob or a non-empty array of globs';
+
+// ---- suggestions ----------------------------------------------------------------------------
+
+// Edit distance counting an adjacent transposition as one edit (optimal string alignment), so the
+// commonest typos — `tset`, `biuld` — are a single edit away. Small inputs only (keys and names).
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)),
+  );
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * The closest candidate to `name`, or null when nothing is close enough to be a plausible typo
+ * (at most a third of the name's length in edits, and never more than 3).
+ */
+export function suggest(name, candidates) {
+  const needle = String(name).toLowerCase();
+  const limit = Math.min(3, Math.max(1, Math.floor(needle.length / 3)));
+  let best = null;
+  for (const candidate of candidates) {
+    const d = editDistance(needle, String(candidate).toLowerCase());
+    if (d <= limit && (best == null || d < best.d)) best = { candidate, d };
+  }
+  return best ? best.candidate : null;
+}
+
+const didYouMean = (name, candidates) => {
+  const s = suggest(name, candidates);
+  return s ? ` — did you mean "${s}"?` : '';
+};
+
+// ---- schemas --------------------------------------------------------------------------------
+
+const HEAT_SCHEMA = { mid: isFraction, high: isFraction };
+
+const HEALTH_CHECK_SCHEMA = {
+  type: isOneOf(HEALTH_CHECK_TYPES),
+  url: isNonEmptyString,
+  method: isNonEmptyString,
+  headers: null,
+  expect_status: isStatusExpectation,
+  body_contains: isString,
+  body_matches: isPattern,
+  insecure: isBoolean,
+  host: isNonEmptyString,
+  port: isPort,
+  command: isNonEmptyString,
+  path: isNonEmptyString,
+  timeout_ms: isPositiveMs,
+  max_attempts: isPositiveInt,
+  interval: isPositiveMs,
+};
+
+// The field each probe type cannot do without.
+const HEALTH_CHECK_TARGETS = { http: 'url', tcp: 'port', command: 'command', file: 'path' };
+
+const MEMORY_GUARD_SCHEMA = {
+  enabled: isBoolean,
+  minFreeRatio: isFraction,
+  abortFreeRatio: isFraction,
+  sustainedMs: isPositiveMs,
+  pollMs: isPositiveMs,
+  maxHoldMs: isNonNegativeMs,
+  reserve: isBoolean,
+  on_critical: isOneOf(ON_CRITICAL_POLICIES),
+  timeline: isBoolean,
+};
+
+const CPU_GUARD_SCHEMA = {
+  enabled: isBoolean,
+  maxCpuPressure: isThresholdOrFalse,
+  maxIoPressure: isThresholdOrFalse,
+  maxLoadPerCpu: isThresholdOrFalse,
+  pollMs: isPositiveMs,
+  maxHoldMs: isNonNegativeMs,
+};
+
+const AGGREGATE_SCHEMA = {
+  ...Object.fromEntries(Object.keys(AGGREGATE_DEFAULTS).map((k) => [k, null])),
+  title: isString,
+  refreshSecs: isPositiveMs,
+  exclude: (v) => (Array.isArray(v) ? null : 'expected an array of workspace paths'),
+  repoRoot: isString,
+  inProgress: isBoolean,
+};
+
+// Command fields. `dependencies`, `health_check` and `env` are nested and checked separately.
+const COMMAND_SCHEMA = {
+  command: isNonEmptyString,
+  description: isString,
+  status: isOneOf(VALID_STATUSES),
+  attempts: isPositiveInt,
+  retry_command: isNonEmptyString,
+  should_retry: isFunction,
+  dependencies: null,
+  needs: isNameList,
+  background: isBoolean,
+  persist: isBoolean,
+  wait: isNonNegativeMs,
+  shell: isBoolean,
+  prefix: isStringOrFalse,
+  env: null,
+  kill_command: isNonEmptyString,
+  health_check: null,
+  process_tracking: isBoolean,
+  log: isString,
+  logFile: isString,
+  timeout_ms: isTimeout,
+  timeout_grace_ms: isNonNegativeMs,
+  inputs: isGlobList,
+  matrix: null,
+  shard: null,
+  output: isOneOf(OUTPUT_MODES),
+  artifacts: null,
+  memory_mb: isPositiveNumber,
+  memory_priority: isInteger,
+};
+
+const PHASE_SCHEMA = {
+  name: isNonEmptyString,
+  optional: isBoolean,
+  parallel: null,
+  max_concurrency: isConcurrency,
+  timeout_ms: isTimeout,
+  timeout_grace_ms: isNonNegativeMs,
+};
+
+const TOP_LEVEL_SCHEMA = {
+  phases: null,
+  command_prefix: isStringOrFalse,
+  max_concurrency: isConcurrency,
+  memory_guard: null,
+  cpu_guard: null,
+  metrics: null,
+  json_results: isString,
+  json_results_path: isString,
+  html_results: isString,
+  html_results_path: isString,
+  junit_results: isString,
+  log_folder: isString,
+  start_phase: isNonEmptyString,
+  post_run: isString,
+  memory_heat: null,
+  duration_heat: null,
+  periodic_hook: isString,
+  periodic_interval_ms: isPositiveMs,
+  aggregate: null,
+  timeout_ms: isTimeout,
+  timeout_grace_ms: isNonNegativeMs,
+  history: null,
+  retention: null,
+  fail_on_flaky: isBoolean,
+  output: isOneOf(OUTPUT_MODES),
+  secrets: isSecretList,
+  sampling: null,
+};
+
+// Run history retention (see history.js).
+const HISTORY_SCHEMA = { keep: isPositiveInt };
+
+// Pruning of per-run log directories (see run-logs.js).
+const RETENTION_SCHEMA = {
+  runs: isPositiveInt,
+  maxAgeDays: isPositiveNumber,
+  maxSizeMb: isPositiveNumber,
+  compress: isBoolean,
+};
+
+// Process-tree sampling behind the memory/cpu metrics (see process-sampler.js).
+const SAMPLING_SCHEMA = {
+  interval_ms: isPositiveMs,
+  timeline: isBoolean,
+  max_points: isPositiveInt,
+};
+
+// Matrix keys and a shard's `env` become environment variables of each cell.
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Keys of a command's `shard`. `items` and `list_command` are the two ways to name what it splits.
+const SHARD_SCHEMA = {
+  count: isPositiveInt,
+  items: isGlobList,
+  list_command: isNonEmptyString,
+  env: (v) => (typeof v === 'string' && ENV_NAME.test(v) ? null : 'expected an environment variable name'),
+  timeout_ms: isPositiveMs,
+};
+
+// Keys of a command's `artifacts` when it is an object rather than a list of globs.
+const ARTIFACTS_SCHEMA = {
+  paths: isGlobList,
+  when: isOneOf(ARTIFACT_WHEN),
+  max_size_mb: isPositiveNumber,
+};
+
+// ---- validation -----------------------------------------------------------------------------
+
+class Collector {
+  constructor() {
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  error(path, message) {
+    this.errors.push({ path, message });
+  }
+
+  warn(path, message) {
+    this.warnings.push({ path, message });
+  }
+
+  // Check an object's keys against a schema: unknown keys warn (with a suggestion), known keys with a
+  // checker are type-checked. Keys mapped to null are validated by the caller.
+  object(obj, schema, path) {
+    const known = Object.keys(schema);
+    for (const [key, value] of Object.entries(obj)) {
+      const at = path ? `${path}.${key}` : key;
+      if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+        this.warn(at, `unknown key "${key}"${didYouMean(key, known)}`);
+        continue;
+      }
+      const check = schema[key];
+      if (!check || value === undefined) continue;
+      const problem = check(value);
+      if (problem) this.error(at, `${problem}, got ${describe(value)}`);
+    }
+  }
+}
+
+function validateHeat(c, value, path) {
+  if (!isObjectValue(value)) {
+    c.error(path, `expected { mid, high }, got ${describe(value)}`);
+    return;
+  }
+  c.object(value, HEAT_SCHEMA, path);
+  if (typeof value.mid === 'number' && typeof value.high === 'number' && value.mid >= value.high) {
+    c.error(path, `mid (${value.mid}) must be lower than high (${value.high})`);
+  }
+}
+
+function validateHealthCheck(c, check, path) {
+  c.object(check, HEALTH_CHECK_SCHEMA, path);
+  if (check.headers != null) {
+    if (!isObjectValue(check.headers)) {
+      c.error(`${path}.headers`, `expected an object of header: value, got ${describe(check.headers)}`);
+    } else {
+      for (const [name, value] of Object.entries(check.headers)) {
+        if (typeof value !== 'string') c.error(`${path}.headers.${name}`, `expected a string, got ${describe(value)}`);
+      }
+    }
+  }
+  const type = healthCheckType(check);
+  if (type == null) {
+    c.error(path, 'needs a url, port, command or path to probe');
+  } else if (HEALTH_CHECK_TYPES.includes(type)) {
+    const target = HEALTH_CHECK_TARGETS[type];
+    // A tcp check may name its target as a tcp://host:port url instead of host/port.
+    if (check[target] == null && !(type === 'tcp' && check.url != null)) {
+      c.error(`${path}.${target}`, `is required for a ${type} health check`);
+    }
+  }
+}
+
+const isScalar = (v) => typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean';
+
+function validateMatrix(c, cmd, path) {
+  const { matrix } = cmd;
+  if (!isObjectValue(matrix)) {
+    c.error(path, `expected an object of VAR: [values], got ${describe(matrix)}`);
+    return;
+  }
+  const axes = Object.keys(matrix).filter((key) => !MATRIX_DIRECTIVES.includes(key));
+  let valid = true;
+  for (const key of axes) {
+    const values = matrix[key];
+    if (!ENV_NAME.test(key)) {
+      c.error(`${path}.${key}`, 'matrix keys become environment variables; expected a name like SHARD');
+      valid = false;
+    } else if (cmd.shard != null && (key === SHARD_INDEX_KEY || key === SHARD_COUNT_KEY)) {
+      c.error(`${path}.${key}`, 'is set by `shard` on this command; use another name');
+    } else if (!Array.isArray(values) || values.length === 0 || !values.every(isScalar)) {
+      c.error(`${path}.${key}`, `expected a non-empty array of strings, numbers or booleans, got ${describe(values)}`);
+      valid = false;
+    }
+  }
+  for (const directive of MATRIX_DIRECTIVES) {
+    const entries = matrix[directive];
+    if (entries == null) continue;
+    if (!Array.isArray(entries)) {
+      c.error(`${path}.${directive}`, `expected an array of { VAR: value } objects, got ${describe(entries)}`);
+      valid = false;
+      continue;
+    }
+    entries.forEach((entry, i) => {
+      const at = `${path}.${directive}[${i}]`;
+      if (!isObjectValue(entry) || Object.keys(entry).length === 0) {
+        c.error(at, `expected a { VAR: value } object, got ${describe(entry)}`);
+        valid = false;
+        return;
+      }
+      for (const [key, value] of Object.entries(entry)) {
+        if (directive === 'exclude' && !axes.includes(key)) {
+          c.error(`${at}.${key}`, `not a key of this matrix${didYouMean(key, axes)}`);
+          valid = false;
+        } else if (!ENV_NAME.test(key) || !isScalar(value)) {
+          c.error(`${at}.${key}`, `expected a VAR: string, number or boolean, got ${describe(value)}`);
+          valid = false;
+        }
+      }
+    });
+  }
+  if (valid && matrixCombinations(matrix).length === 0) {
+    c.error(path, 'expands to no combinations');
+  }
+  if (cmd.background === true) {
+    c.error(path, 'cannot be combined with background: true');
+  }
+}
+
+function validateShard(c, cmd, path) {
+  const { shard } = cmd;
+  if (!isObjectValue(shard)) {
+    c.error(path, `expected { count, items | list_command }, got ${describe(shard)}`);
+    return;
+  }
+  c.object(shard, SHARD_SCHEMA, path);
+  if (shard.count == null) c.error(`${path}.count`, 'is required');
+  if ((shard.items == null) === (shard.list_command == null)) {
+    c.error(path, 'needs exactly one of items (globs) or list_command');
+  }
+  if (cmd.background === true) {
+    c.error(path, 'cannot be combined with background: true');
+  }
+}
+
+function validateArtifacts(c, cmd, path) {
+  const { artifacts } = cmd;
+  if (isObjectValue(artifacts)) {
+    c.object(artifacts, ARTIFACTS_SCHEMA, path);
+    if (artifacts.paths == null) c.error(`${path}.paths`, 'is required');
+  } else {
+    if (isGlobList(artifacts)) {
+      c.error(path, `expected a glob, a non-empty array of globs or { paths, when, max_size_mb }, got ${describe(artifacts)}`);
+    }
+  }
+  const globs = isObjectValue(artifacts) ? artifacts.paths : artifacts;
+  if (isGlobList(globs) == null) {
+    const at = isObjectValue(artifacts) ? `${path}.paths` : path;
+    [].concat(globs).forEach((glob, i) => {
+      const message = artifactPathError(glob);
+      if (message) c.error(Array.isArray(globs) ? `${at}[${i}]` : at, message);
+    });
+  }
+  if (cmd.background === true) {
+    c.error(path, 'cannot be combined with background: true (collected when a command finishes)');
+  }
+}
+
+function validateCommand(c, cmd, path, names) {
+  if (!isObjectValue(cmd)) {
+    c.error(path, `expected a command object, got ${describe(cmd)}`);
+    return;
+  }
+  c.object(cmd, COMMAND_SCHEMA, path);
+  if (cmd.command == null) c.error(`${path}.command`, 'is required');
+
+  if (cmd.env != null) {
+    if (!isObjectValue(cmd.env)) {
+      c.error(`${path}.env`, `expected an object of VAR: value, got ${describe(cmd.env)}`);
+    } else {
+      for (const [key, value] of Object.entries(cmd.env)) {
+        if (value != null && typeof value === 'object') {
+          c.error(`${path}.env.${key}`, `expected a string, number or boolean, got ${describe(value)}`);
+        }
+      }
+    }
+  }
+
+  if (cmd.health_check != null) {
+    if (!isObjectValue(cmd.health_check)) {
+      c.error(`${path}.health_check`, `expected an object, got ${describe(cmd.health_check)}`);
+    } else {
+      validateHealthCheck(c, cmd.health_check, `${path}.health_check`);
+    }
+  }
+
+  if (cmd.matrix != null) {
+    if (names) {
+      validateMatrix(c, cmd, `${path}.matrix`);
+    } else {
+      c.error(`${path}.matrix`, 'is only supported on top-level commands, not dependencies');
+    }
+  }
+
+  if (cmd.shard != null) {
+    if (names) {
+      validateShard(c, cmd, `${path}.shard`);
+    } else {
+      c.error(`${path}.shard`, 'is only supported on top-level commands, not dependencies');
+    }
+  }
+
+  if (cmd.artifacts != null) validateArtifacts(c, cmd, `${path}.artifacts`);
+
+  if (cmd.dependencies != null) {
+    if (!Array.isArray(cmd.dependencies)) {
+      c.error(`${path}.dependencies`, `expected an array of commands, got ${describe(cmd.dependencies)}`);
+    } else {
+      cmd.dependencies.forEach((dep, i) => validateCommand(c, dep, `${path}.dependencies[${i}]`, null));
+    }
+  }
+
+  // Top-level commands only: record the name for duplicate / `needs` checks.
+  if (names && typeof cmd.command === 'string') {
+    const first = names.get(cmd.command);
+    if (first) {
+      c.error(`${path}.command`, `duplicate command "${cmd.command}" (first defined at ${first})`);
+    } else {
+      names.set(cmd.command, path);
+    }
+  }
+}
+
+function validateNeeds(c, entries, names) {
+  const all = Array.from(names.keys());
+  for (const { cmd, path } of entries) {
+    if (!cmd || cmd.needs == null || isNameList(cmd.needs) !== null) continue;
+    const needs = Array.isArray(cmd.needs) ? cmd.needs : [cmd.needs];
+    needs.forEach((need, i) => {
+      const at = Array.isArray(cmd.needs) ? `${path}.needs[${i}]` : `${path}.needs`;
+      if (need === cmd.command) {
+        c.error(at, `"${need}" cannot need itself`);
+      } else if (!names.has(need)) {
+        c.error(at, `unknown command "${need}"${didYouMean(need, all)}`);
+      }
+    });
+  }
+}
+
+/**
+ * Validate an orchestrator config (phases format or legacy array).
+ *
+ * @param {object|Array} config - The loaded config module's default export.
+ * @returns {{ errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}> }}
+ */
+export function validateConfig(config) {
+  const c = new Collector();
+  const names = new Map(); // top-level command name -> path of its first definition
+  const entries = []; // top-level { cmd, path } for the needs pass
+
+  if (Array.isArray(config)) {
+    config.forEach((cmd, i) => {
+      validateCommand(c, cmd, `[${i}]`, names);
+      entries.push({ cmd, path: `[${i}]` });
+    });
+    validateNeeds(c, entries, names);
+    return { errors: c.errors, warnings: c.warnings };
+  }
+
+  if (!isObjectValue(config)) {
+    c.error('', `expected the config to export an object or an array, got ${describe(config)}`);
+    return { errors: c.errors, warnings: c.warnings };
+  }
+
+  c.object(config, TOP_LEVEL_SCHEMA, '');
+
+  if (config.phases == null) {
+    c.error('phases', 'is required (or export an array of commands)');
+  } else if (!Array.isArray(config.phases)) {
+    c.error('phases', `expected an array of phases, got ${describe(config.phases)}`);
+  } else {
+    const phaseNames = new Map();
+    config.phases.forEach((phase, i) => {
+      const path = `phases[${i}]`;
+      if (!isObjectValue(phase)) {
+        c.error(path, `expected a phase object, got ${describe(phase)}`);
+        return;
+      }
+      c.object(phase, PHASE_SCHEMA, path);
+      if (phase.name == null) c.error(`${path}.name`, 'is required');
+      if (typeof phase.name === 'string') {
+        if (phaseNames.has(phase.name)) {
+          c.error(`${path}.name`, `duplicate phase "${phase.name}" (first defined at ${phaseNames.get(phase.name)})`);
+        } else {
+          phaseNames.set(phase.name, path);
+        }
+      }
+      if (phase.parallel == null) {
+        c.error(`${path}.parallel`, 'is required');
+      } else if (!Array.isArray(phase.parallel)) {
+        c.error(`${path}.parallel`, `expected an array of commands, got ${describe(phase.parallel)}`);
+      } else {
+        phase.parallel.forEach((cmd, j) => {
+          const cmdPath = `${path}.parallel[${j}]`;
+          validateCommand(c, cmd, cmdPath, names);
+          entries.push({ cmd, path: cmdPath });
+        });
+      }
+    });
+
+    if (typeof config.start_phase === 'string' && !phaseNames.has(config.start_phase)) {
+      c.error(
+        'start_phase',
+        `unknown phase "${config.start_phase}"${didYouMean(config.start_phase, Array.from(phaseNames.keys()))}`,
+      );
+    }
+  }
+
+  validateNeeds(c, entries, names);
+
+  if (config.memory_guard != null && typeof config.memory_guard !== 'boolean') {
+    if (!isObjectValue(config.memory_guard)) {
+      c.error('memory_guard', `expected true, false or an object, got ${describe(config.memory_guard)}`);
+    } else {
+      c.object(config.memory_guard, MEMORY_GUARD_SCHEMA, 'memory_guard');
+      const mg = { ...MEMORY_GUARD_DEFAULTS, ...config.memory_guard };
+      if (isFraction(mg.minFreeRatio) === null && isFraction(mg.abortFreeRatio) === null &&
+        mg.abortFreeRatio >= mg.minFreeRatio) {
+        c.error(
+          'memory_guard.abortFreeRatio',
+          `must be lower than minFreeRatio (${mg.minFreeRatio}), got ${mg.abortFreeRatio}`,
+        );
+      }
+    }
+  }
+
+  if (config.cpu_guard != null && typeof config.cpu_guard !== 'boolean') {
+    if (!isObjectValue(config.cpu_guard)) {
+      c.error('cpu_guard', `expected true, false or an object, got ${describe(config.cpu_guard)}`);
+    } else {
+      c.object(config.cpu_guard, CPU_GUARD_SCHEMA, 'cpu_guard');
+    }
+  }
+
+  if (config.history != null && typeof config.history !== 'boolean') {
+    if (!isObjectValue(config.history)) {
+      c.error('history', `expected true, false or { keep }, got ${describe(config.history)}`);
+    } else {
+      c.object(config.history, HISTORY_SCHEMA, 'history');
+    }
+  }
+
+  if (config.retention != null && typeof config.retention !== 'boolean') {
+    if (!isObjectValue(config.retention)) {
+      c.error('retention', `expected true, false or { runs, maxAgeDays, maxSizeMb, compress }, got ${describe(config.retention)}`);
+    } else {
+      c.object(config.retention, RETENTION_SCHEMA, 'retention');
+    }
+  }
+
+  if (config.sampling != null && typeof config.sampling !== 'boolean') {
+    if (!isObjectValue(config.sampling)) {
+      c.error('sampling', `expected true, false or { interval_ms, timeline, max_points }, got ${describe(config.sampling)}`);
+    } else {
+      c.object(config.sampling, SAMPLING_SCHEMA, 'sampling');
+    }
+  }
+
+  if (config.metrics != null) {
+    const list = Array.isArray(config.metrics)
+      ? config.metrics
+      : typeof config.metrics === 'string'
+        ? config.metrics.split(',').map((m) => m.trim())
+        : null;
+    if (!list) {
+      c.error('metrics', `expected an array or comma-separated string, got ${describe(config.metrics)}`);
+    } else {
+      list.forEach((m, i) => {
+        if (!VALID_METRICS.includes(m)) {
+          c.error(`metrics[${i}]`, `unknown metric ${describe(m)}${didYouMean(m, VALID_METRICS)}`);
+        }
+      });
+    }
+  }
+
+  if (config.memory_heat != null) validateHeat(c, config.memory_heat, 'memory_heat');
+  if (config.duration_heat != null) validateHeat(c, config.duration_heat, 'duration_heat');
+
+  const agg = config.aggregate;
+  if (agg != null && typeof agg !== 'boolean' && typeof agg !== 'string') {
+    if (!isObjectValue(agg)) {
+      c.error('aggregate', `expected true, a config path or an options object, got ${describe(agg)}`);
+    } else {
+      c.object(agg, AGGREGATE_SCHEMA, 'aggregate');
+    }
+  }
+
+  return { errors: c.errors, warnings: c.warnings };
+}
+
+/**
+ * Render validation issues one per line, e.g.
+ * `error   phases[2].parallel[1].health_check.interval: expected a positive number of ms, got "2s"`.
+ */
+export function formatValidationIssues({ errors = [], warnings = [] }) {
+  const line = (level, { path, message }) => `${level} ${path || '(config)'}: ${message}`;
+  return [
+    ...errors.map((issue) => line('error  ', issue)),
+    ...warnings.map((issue) => line('warning', issue)),
+  ].join('\n');
+}
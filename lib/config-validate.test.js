@@ -0,0 +1,340 @@
+import { validateConfig, formatValidationIssues, suggest } from './config-validate.js';
+
+const paths = (issues) => issues.map((i) => i.path);
+
+describe('validateConfig', () => {
+  test('a well-formed phases config has no issues', () => {
+    const result = validateConfig({
+      command_prefix: '',
+      max_concurrency: 'auto',
+      metrics: ['time', 'memory'],
+      memory_guard: { minFreeRatio: 0.2, abortFreeRatio: 0.05 },
+      memory_heat: { mid: 0.3, high: 0.6 },
+      aggregate: { title: 'Gate', exclude: ['packages/legacy'] },
+      timeout_ms: 60000,
+      history: { keep: 50 },
+      fail_on_flaky: true,
+      output: 'on-failure',
+      secrets: ['NPM_TOKEN', '*_API_KEY'],
+      phases: [
+        {
+          name: 'build',
+          parallel: [{ command: 'build', attempts: 2, inputs: ['src/**', '!**/*.test.js'], output: 'stream' }],
+        },
+        {
+          name: 'e2e',
+          optional: true,
+          max_concurrency: 1,
+          parallel: [
+            {
+              command: 'playwright',
+              needs: ['build'],
+              env: { PORT: 5173 },
+              should_retry: () => true,
+              dependencies: [
+                { command: 'dev', background: true, health_check: { url: 'http://localhost:5173', interval: 500 } },
+              ],
+            },
+          ],
+        },
+      ],
+    });
+    expect(result).toEqual({ errors: [], warnings: [] });
+  });
+
+  test('reports misspelt keys as warnings with a file-path location and a suggestion', () => {
+    const { warnings } = validateConfig({
+      phases: [
+        { name: 'a', parallel: [] },
+        { name: 'b', parallel: [{ command: 'x', health_check: { url: 'http://x', max_attemps: 3 } }] },
+      ],
+      memory_gaurd: false,
+    });
+    expect(warnings).toEqual([
+      { path: 'memory_gaurd', message: 'unknown key "memory_gaurd" — did you mean "memory_guard"?' },
+      {
+        path: 'phases[1].parallel[0].health_check.max_attemps',
+        message: 'unknown key "max_attemps" — did you mean "max_attempts"?',
+      },
+    ]);
+  });
+
+  test('checks history retention', () => {
+    expect(validateConfig({ history: false, phases: [] }).errors).toEqual([]);
+    const { errors, warnings } = validateConfig({ history: { keep: 0, kepe: 3 }, phases: [] });
+    expect(errors).toEqual([{ path: 'history.keep', message: 'expected a positive integer, got 0' }]);
+    expect(paths(warnings)).toEqual(['history.kepe']);
+    expect(validateConfig({ history: 30, phases: [] }).errors).toEqual([
+      { path: 'history', message: 'expected true, false or { keep }, got 30' },
+    ]);
+  });
+
+  test('checks run log retention', () => {
+    expect(validateConfig({ retention: { runs: 10, maxAgeDays: 0.5, compress: true }, phases: [] }).errors).toEqual([]);
+    const { errors, warnings } = validateConfig({ retention: { maxSizeMb: -1, maxAgeDay: 7 }, phases: [] });
+    expect(errors).toEqual([{ path: 'retention.maxSizeMb', message: 'expected a positive number, got -1' }]);
+    expect(warnings).toEqual([
+      { path: 'retention.maxAgeDay', message: 'unknown key "maxAgeDay" — did you mean "maxAgeDays"?' },
+    ]);
+  });
+
+  test('a misspelt `parallel` is both a warning and a missing-key error', () => {
+    const { errors, warnings } = validateConfig({ phases: [{ name: 'a', paralel: [{ command: 'x' }] }] });
+    expect(paths(errors)).toEqual(['phases[0].parallel']);
+    expect(warnings[0].message).toContain('did you mean "parallel"?');
+  });
+
+  test('reports wrong values as errors', () => {
+    const { errors } = validateConfig({
+      max_concurrency: 'lots',
+      metrics: 'time,memroy',
+      duration_heat: { mid: 0.7, high: 0.4 },
+      phases: [
+        {
+          name: 'p',
+          parallel: [
+            { command: 'a', status: 'enable', attempts: 0, output: 'console' },
+            { command: 'b', health_check: { url: 'http://x', interval: '2s' }, env: { X: { nested: 1 } } },
+          ],
+        },
+      ],
+    });
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        { path: 'max_concurrency', message: 'expected \'auto\' or a positive integer, got "lots"' },
+        { path: 'phases[0].parallel[0].status', message: 'expected one of \'enabled\', \'disabled\', got "enable"' },
+        { path: 'phases[0].parallel[0].attempts', message: 'expected a positive integer, got 0' },
+        {
+          path: 'phases[0].parallel[0].output',
+          message: 'expected one of \'files\', \'stream\', \'on-failure\', got "console"',
+        },
+        {
+          path: 'phases[0].parallel[1].health_check.interval',
+          message: 'expected a positive number of ms, got "2s"',
+        },
+        { path: 'phases[0].parallel[1].env.X', message: 'expected a string, number or boolean, got an object' },
+        { path: 'metrics[1]', message: 'unknown metric "memroy" — did you mean "memory"?' },
+        { path: 'duration_heat', message: 'mid (0.7) must be lower than high (0.4)' },
+      ]),
+    );
+    expect(errors).toHaveLength(8);
+  });
+
+  test('rejects empty or non-string `inputs`', () => {
+    const { errors } = validateConfig([
+      { command: 'a', inputs: [] },
+      { command: 'b', inputs: ['src/**', 3] },
+      { command: 'c', inputs: 'src/**' },
+    ]);
+    expect(errors).toEqual([
+      { path: '[0].inputs', message: 'expected a glob or a non-empty array of globs, got an array' },
+      { path: '[1].inputs', message: 'expected a glob or a non-empty array of globs, got an array' },
+    ]);
+  });
+
+  test('checks matrix axes, include / exclude entries and where a matrix may appear', () => {
+    const { errors } = validateConfig([
+      { command: 'ok', matrix: { SHARD: [1, 2], include: [{ SHARD: 3 }], exclude: [{ SHARD: 1 }] } },
+      { command: 'a', matrix: { SHARD: [], 'node-version': [18] } },
+      { command: 'b', matrix: { SHARD: [1], exclude: [{ SHRAD: 1 }] } },
+      { command: 'c', matrix: { SHARD: [1], exclude: [{ SHARD: 1 }] } },
+      { command: 'd', background: true, matrix: { PORT: [3000] } },
+      { command: 'e', dependencies: [{ command: 'f', matrix: { X: [1] } }] },
+    ]);
+    expect(errors).toEqual([
+      { path: '[1].matrix.SHARD', message: 'expected a non-empty array of strings, numbers or booleans, got an array' },
+      {
+        path: '[1].matrix.node-version',
+        message: 'matrix keys become environment variables; expected a name like SHARD',
+      },
+      { path: '[2].matrix.exclude[0].SHRAD', message: 'not a key of this matrix — did you mean "SHARD"?' },
+      { path: '[3].matrix', message: 'expands to no combinations' },
+      { path: '[4].matrix', message: 'cannot be combined with background: true' },
+      { path: '[5].dependencies[0].matrix', message: 'is only supported on top-level commands, not dependencies' },
+    ]);
+  });
+
+  test('checks shard settings', () => {
+    const { errors, warnings } = validateConfig([
+      { command: 'ok', shard: { count: 4, list_command: 'npx jest --listTests', env: 'TEST_FILES' } },
+      { command: 'a', shard: { count: 0, items: 'e2e/**/*.spec.ts', list_command: 'ls e2e' } },
+      { command: 'b', shard: { items: [], env: 'test-files' } },
+      { command: 'c', matrix: { SHARD_INDEX: [1] }, shard: { count: 2, items: '*.js' } },
+      { command: 'd', background: true, shard: { count: 2, items: '*.js', cout: 1 } },
+      { command: 'e', dependencies: [{ command: 'f', shard: { count: 2, items: '*.js' } }] },
+    ]);
+    expect(errors).toEqual([
+      { path: '[1].shard.count', message: 'expected a positive integer, got 0' },
+      { path: '[1].shard', message: 'needs exactly one of items (globs) or list_command' },
+      { path: '[2].shard.items', message: 'expected a glob or a non-empty array of globs, got an array' },
+      { path: '[2].shard.env', message: 'expected an environment variable name, got "test-files"' },
+      { path: '[2].shard.count', message: 'is required' },
+      { path: '[3].matrix.SHARD_INDEX', message: 'is set by `shard` on this command; use another name' },
+      { path: '[4].shard', message: 'cannot be combined with background: true' },
+      { path: '[5].dependencies[0].shard', message: 'is only supported on top-level commands, not dependencies' },
+    ]);
+    expect(warnings).toEqual([{ path: '[4].shard.cout', message: 'unknown key "cout" — did you mean "count"?' }]);
+  });
+
+  test('checks artifacts', () => {
+    const { errors, warnings } = validateConfig([
+      { command: 'ok', artifacts: ['playwright-report/**', 'coverage/lcov-report/**'] },
+      { command: 'ok2', artifacts: { paths: 'test-results/**', when: 'on-failure', max_size_mb: 50 } },
+      { command: 'a', artifacts: [] },
+      { command: 'b', artifacts: { when: 'sometimes', max_szie_mb: 5 } },
+      { command: 'c', background: true, artifacts: 'logs/**' },
+      { command: 'd', artifacts: ['report/**', '../shared/**'] },
+      { command: 'e', artifacts: { paths: '/tmp/out' } },
+    ]);
+    expect(errors).toEqual([
+      { path: '[2].artifacts', message: 'expected a glob, a non-empty array of globs or { paths, when, max_size_mb }, got an array' },
+      { path: '[3].artifacts.when', message: 'expected one of \'always\', \'on-failure\', got "sometimes"' },
+      { path: '[3].artifacts.paths', message: 'is required' },
+      { path: '[4].artifacts', message: 'cannot be combined with background: true (collected when a command finishes)' },
+      { path: '[5].artifacts[1]', message: 'must stay inside the working directory (no `..`)' },
+      { path: '[6].artifacts.paths', message: 'must be relative to the working directory, got an absolute path' },
+    ]);
+    expect(warnings).toEqual([
+      { path: '[3].artifacts.max_szie_mb', message: 'unknown key "max_szie_mb" — did you mean "max_size_mb"?' },
+    ]);
+  });
+
+  test('checks memory reservations', () => {
+    const config = {
+      memory_guard: { reserve: false, timeline: false },
+      phases: [{ name: 'build', parallel: [{ command: 'build', memory_mb: 2048 }] }],
+    };
+    expect(validateConfig(config).errors).toEqual([]);
+    const { errors } = validateConfig({
+      memory_guard: { reserve: 'yes' },
+      phases: [{ name: 'build', parallel: [{ command: 'build', memory_mb: 0 }] }],
+    });
+    expect(paths(errors)).toEqual(['phases[0].parallel[0].memory_mb', 'memory_guard.reserve']);
+  });
+
+  test('checks the memory-pressure policy', () => {
+    const config = {
+      memory_guard: { on_critical: 'requeue' },
+      phases: [{ name: 'build', parallel: [{ command: 'e2e', memory_priority: -1 }] }],
+    };
+    expect(validateConfig(config).errors).toEqual([]);
+    const { errors } = validateConfig({
+      memory_guard: { on_critical: 'kill' },
+      phases: [{ name: 'build', parallel: [{ command: 'e2e', memory_priority: 'low' }] }],
+    });
+    expect(errors).toEqual([
+      { path: 'phases[0].parallel[0].memory_priority', message: 'expected an integer, got "low"' },
+      { path: 'memory_guard.on_critical', message: 'expected one of \'abort\', \'requeue\', got "kill"' },
+    ]);
+  });
+
+  test('checks the CPU guard', () => {
+    expect(validateConfig({ cpu_guard: true, phases: [] }).errors).toEqual([]);
+    expect(validateConfig({ cpu_guard: { maxIoPressure: false, maxLoadPerCpu: 2 }, phases: [] }).errors).toEqual([]);
+    expect(validateConfig({ cpu_guard: { maxCpuPressure: 0, maxHoldMs: 'long' }, phases: [] }).errors).toEqual([
+      { path: 'cpu_guard.maxCpuPressure', message: 'expected a positive number or false, got 0' },
+      { path: 'cpu_guard.maxHoldMs', message: 'expected a number of ms (>= 0), got "long"' },
+    ]);
+    expect(paths(validateConfig({ cpu_guard: 'on', phases: [] }).errors)).toEqual(['cpu_guard']);
+  });
+
+  test('checks process sampling', () => {
+    expect(validateConfig({ sampling: { interval_ms: 500, timeline: false, max_points: 60 }, phases: [] }).errors).toEqual([]);
+    expect(validateConfig({ sampling: false, phases: [] }).errors).toEqual([]);
+    const { errors } = validateConfig({ sampling: { interval_ms: 0 }, phases: [] });
+    expect(paths(errors)).toEqual(['sampling.interval_ms']);
+    expect(validateConfig({ sampling: 'fast', phases: [] }).errors).toEqual([
+      { path: 'sampling', message: 'expected true, false or { interval_ms, timeline, max_points }, got "fast"' },
+    ]);
+  });
+
+  test('checks secrets', () => {
+    expect(validateConfig({ secrets: ['NPM_TOKEN', '*_SECRET'], phases: [] }).errors).toEqual([]);
+    expect(validateConfig({ secrets: 'NPM_TOKEN', phases: [] }).errors).toEqual([
+      { path: 'secrets', message: 'expected an array of environment variable names or patterns like \'*_TOKEN\', got "NPM_TOKEN"' },
+    ]);
+  });
+
+  test('checks structured health checks', () => {
+    const ok = validateConfig([
+      { command: 'api', health_check: { url: 'http://x/health', expect_status: ['2xx', 304], body_matches: 'ok|up' } },
+      { command: 'db', health_check: { type: 'tcp', port: 5432, timeout_ms: 500 } },
+      { command: 'redis', health_check: { url: 'tcp://localhost:6379' } },
+      { command: 'svc', health_check: { type: 'command', command: 'pg_isready' } },
+      { command: 'gen', health_check: { path: 'dist/index.js' } },
+    ]);
+    expect(ok).toEqual({ errors: [], warnings: [] });
+
+    const { errors } = validateConfig([
+      { command: 'a', health_check: { type: 'tcp', host: 'db' } },
+      { command: 'b', health_check: { url: 'http://x', expect_status: '2xxx', body_matches: '(' } },
+      { command: 'c', health_check: { port: 70000, headers: { Authorization: 1 } } },
+      { command: 'd', health_check: { interval: 500 } },
+    ]);
+    expect(paths(errors)).toEqual([
+      '[0].health_check.port',
+      '[1].health_check.expect_status',
+      '[1].health_check.body_matches',
+      '[2].health_check.port',
+      '[2].health_check.headers.Authorization',
+      '[3].health_check',
+    ]);
+  });
+
+  test('flags duplicate commands across phases and unknown needs / start_phase targets', () => {
+    const { errors } = validateConfig({
+      start_phase: 'tset',
+      phases: [
+        { name: 'build', parallel: [{ command: 'build' }] },
+        { name: 'test', parallel: [{ command: 'build' }, { command: 'unit', needs: ['biuld'] }] },
+      ],
+    });
+    expect(errors).toEqual([
+      {
+        path: 'phases[1].parallel[0].command',
+        message: 'duplicate command "build" (first defined at phases[0].parallel[0])',
+      },
+      { path: 'start_phase', message: 'unknown phase "tset" — did you mean "test"?' },
+      { path: 'phases[1].parallel[1].needs[0]', message: 'unknown command "biuld" — did you mean "build"?' },
+    ]);
+  });
+
+  test('validates legacy array configs and nested dependencies', () => {
+    const { errors, warnings } = validateConfig([
+      { command: 'build' },
+      { command: 'e2e', dependencies: [{ command: 'dev', background: 'yes', url: 'http://localhost' }] },
+    ]);
+    expect(errors).toEqual([
+      { path: '[1].dependencies[0].background', message: 'expected true or false, got "yes"' },
+    ]);
+    expect(paths(warnings)).toEqual(['[1].dependencies[0].url']);
+  });
+
+  test('rejects a config that is neither an object nor an array', () => {
+    expect(validateConfig(undefined).errors).toHaveLength(1);
+    expect(validateConfig({}).errors).toEqual([
+      { path: 'phases', message: 'is required (or export an array of commands)' },
+    ]);
+  });
+});
+
+describe('suggest', () => {
+  test('returns the closest plausible candidate, or null when nothing is close', () => {
+    expect(suggest('paralel', ['name', 'parallel', 'optional'])).toBe('parallel');
+    expect(suggest('Status', ['status'])).toBe('status');
+    expect(suggest('zzz', ['parallel', 'name'])).toBeNull();
+  });
+});
+
+describe('formatValidationIssues', () => {
+  test('prints errors before warnings, one per line', () => {
+    const text = formatValidationIssues({
+      errors: [{ path: 'phases[0].parallel', message: 'is required' }],
+      warnings: [{ path: 'foo', message: 'unknown key "foo"' }],
+    });
+    expect(text.split('\n')).toEqual([
+      'error   phases[0].parallel: is required',
+      'warning foo: unknown key "foo"',
+    ]);
+  });
+});
@@ -0,0 +1,235 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { log as defaultLogger } from './logger.js';
+
+/**
+ * @file cpu-governor.js
+ * @description CPU and I/O pressure guard for the orchestrator.
+ *
+ * `max_concurrency: 'auto'` is a fixed `cpuCount - 1`, sized as if the box were ours alone. On a
+ * shared CI agent other jobs may already be saturating it, and starting another parallel command then
+ * only makes every job on the box slower. This guard sits next to the MemoryGovernor's admission gate
+ * and holds the next command while the host is contended, reading:
+ *
+ *   - `/proc/pressure/cpu` and `/proc/pressure/io` (Linux PSI, 4.20+): the share of the last 10s in
+ *     which some runnable task was stalled waiting for a CPU, or on I/O (`some avg10`).
+ *   - `/proc/loadavg`: the 1-minute load average, divided by the host's CPU count. Where the file is
+ *     missing (macOS) `os.loadavg()` stands in; on Windows that is always 0, so only PSI can hold.
+ *
+ * A signal that cannot be read never holds. Like the memory gate it never holds the first/only
+ * in-flight command, and admits anyway once `maxHoldMs` elapses. Off by default: unlike memory
+ * exhaustion, contention slows a run down but does not break the host.
+ */
+
+export const CPU_GUARD_DEFAULTS = Object.freeze({
+  enabled: false,
+  // Hold the next command while tasks stalled waiting for a CPU more than this % of the last 10s.
+  maxCpuPressure: 60,
+  // Same for I/O: builds that hammer a shared disk stall each other long before CPUs run out.
+  maxIoPressure: 40,
+  // Hold while the 1-minute load average exceeds this many runnable tasks per CPU.
+  maxLoadPerCpu: 1.5,
+  // How often a held command re-reads the signals.
+  pollMs: 2000,
+  // Never hold a single command longer than this: the contention comes from other jobs and may last.
+  maxHoldMs: 120000,
+});
+
+const toThreshold = (value, fallback) => {
+  if (value === false) return null; // this signal is ignored
+  const n = Number(value);
+  if (value == null || !Number.isFinite(n) || n <= 0) return fallback;
+  return n;
+};
+
+const toPositiveMs = (value, fallback) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) return fallback;
+  return n;
+};
+
+/**
+ * Resolve a `cpu_guard` config value into a concrete options object.
+ *   - `undefined`/`null`/`false` -> disabled
+ *   - `true`                     -> defaults (enabled)
+ *   - object                     -> enabled, defaults with the provided fields overlaid (and sanitised)
+ * A threshold set to `false` turns that signal off; an out-of-range one falls back to its default.
+ */
+export function resolveCpuGuard(value) {
+  if (value == null || value === false) return { ...CPU_GUARD_DEFAULTS };
+  if (value === true || typeof value !== 'object') return { ...CPU_GUARD_DEFAULTS, enabled: value === true };
+
+  const d = CPU_GUARD_DEFAULTS;
+  return {
+    enabled: value.enabled !== false,
+    maxCpuPressure: toThreshold(value.maxCpuPressure, d.maxCpuPressure),
+    maxIoPressure: toThreshold(value.maxIoPressure, d.maxIoPressure),
+    maxLoadPerCpu: toThreshold(value.maxLoadPerCpu, d.maxLoadPerCpu),
+    pollMs: toPositiveMs(value.pollMs, d.pollMs) || d.pollMs,
+    maxHoldMs: toPositiveMs(value.maxHoldMs, d.maxHoldMs),
+  };
+}
+
+/**
+ * Parse a `/proc/pressure/<resource>` file:
+ *   `some avg10=1.23 avg60=0.50 avg300=0.10 total=12345`
+ *   `full avg10=0.00 avg60=0.00 avg300=0.00 total=0`
+ * into `{ some: { avg10, avg60, avg300, total }, full: … }`. Lines that are absent (the cpu file had
+ * no `full` line before 5.13) are left out; null when neither is there.
+ */
+export function parsePressure(text) {
+  const out = {};
+  for (const line of String(text ?? '').split('\n')) {
+    const m = line.match(/^(some|full)\s+(.*)$/);
+    if (!m) continue;
+    const fields = {};
+    for (const pair of m[2].trim().split(/\s+/)) {
+      const [key, value] = pair.split('=');
+      const n = Number(value);
+      if (key && Number.isFinite(n)) fields[key] = n;
+    }
+    out[m[1]] = fields;
+  }
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+/** The three load averages of a `/proc/loadavg` line (`0.52 0.58 0.59 1/467 12345`), or null. */
+export function parseLoadavg(text) {
+  const [one, five, fifteen] = String(text ?? '').trim().split(/\s+/).map(Number);
+  if (![one, five, fifteen].every(Number.isFinite)) return null;
+  return { load1: one, load5: five, load15: fifteen };
+}
+
+export class CpuGovernor {
+  /**
+   * @param {object|boolean} options - a `cpu_guard` config value (see resolveCpuGuard).
+   * @param {object} [deps] - injectable dependencies for testing.
+   * @param {object}   [deps.logger]   - logger (defaults to the shared library logger).
+   * @param {string}   [deps.procRoot] - where `pressure/` and `loadavg` are read from.
+   * @param {number}   [deps.cpuCount] - CPUs the load average is divided by.
+   * @param {Function} [deps.now]      - () => current epoch ms.
+   * @param {Function} [deps.setTimeoutFn] - (fn, ms) => timer handle.
+   */
+  constructor(options, deps = {}) {
+    this.opts = resolveCpuGuard(options);
+    this.logger = deps.logger ?? defaultLogger;
+    this.procRoot = deps.procRoot ?? '/proc';
+    // The load average counts every task on the host, so it is divided by the host's CPUs, not a
+    // container's quota.
+    this.cpuCount = deps.cpuCount ?? os.cpus().length;
+    this._now = deps.now ?? (() => Date.now());
+    this._setTimeout = deps.setTimeoutFn ?? ((fn, ms) => setTimeout(fn, ms));
+
+    this.admitted = new Set(); // commands let through and not yet released
+  }
+
+  get enabled() {
+    return this.opts.enabled;
+  }
+
+  _read(file) {
+    try {
+      return fs.readFileSync(path.join(this.procRoot, file), 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Current readings: `cpuPressure` / `ioPressure` as `some avg10` percentages and `loadPerCpu`, each
+   * null when it cannot be read.
+   */
+  sample() {
+    const cpu = parsePressure(this._read('pressure/cpu'));
+    const io = parsePressure(this._read('pressure/io'));
+    const loadavg = parseLoadavg(this._read('loadavg'));
+    // Without /proc (macOS) os.loadavg() reads the same figure; on Windows it is all zeros.
+    const load1 = loadavg ? loadavg.load1 : this.procRoot === '/proc' ? os.loadavg()[0] : null;
+    return {
+      cpuPressure: cpu?.some?.avg10 ?? null,
+      ioPressure: io?.some?.avg10 ?? null,
+      loadPerCpu: load1 != null && this.cpuCount > 0 ? load1 / this.cpuCount : null,
+    };
+  }
+
+  /** The thresholds `reading` exceeds, as log fragments; empty when the host is not contended. */
+  contention(reading = this.sample()) {
+    const over = [];
+    const { maxCpuPressure, maxIoPressure, maxLoadPerCpu } = this.opts;
+    if (maxCpuPressure != null && reading.cpuPressure != null && reading.cpuPressure > maxCpuPressure) {
+      over.push(`CPU pressure ${reading.cpuPressure.toFixed(0)}% > ${maxCpuPressure}%`);
+    }
+    if (maxIoPressure != null && reading.ioPressure != null && reading.ioPressure > maxIoPressure) {
+      over.push(`I/O pressure ${reading.ioPressure.toFixed(0)}% > ${maxIoPressure}%`);
+    }
+    if (maxLoadPerCpu != null && reading.loadPerCpu != null && reading.loadPerCpu > maxLoadPerCpu) {
+      over.push(`load ${reading.loadPerCpu.toFixed(2)}/CPU > ${maxLoadPerCpu}`);
+    }
+    return over;
+  }
+
+  _sleep(ms) {
+    return new Promise((resolve) => this._setTimeout(resolve, ms));
+  }
+
+  /**
+   * Admission gate. Resolves once `key` may start, and counts it as running until release(key).
+   * Returns straight away when the guard is off, nothing else is running, or the host is not
+   * contended; otherwise re-reads the signals every `pollMs` until they drop under the thresholds or
+   * `maxHoldMs` elapses.
+   *
+   * @param {string} key - The command (used in log lines).
+   * @param {number} inFlight - How many commands are already running.
+   * @returns {Promise<number>} How long the command was held, in ms.
+   */
+  async admit(key, inFlight) {
+    if (!this.opts.enabled) return 0;
+    // Pool workers admitted in the same tick all see the in-flight count from before any of them
+    // started; the commands let through but not yet released count as running too.
+    const running = Math.max(inFlight, this.admitted.size);
+    let over = running > 0 ? this.contention() : [];
+    if (over.length === 0) {
+      this.admitted.add(key);
+      return 0;
+    }
+    const start = this._now();
+    this.logger.info(`🔥 [cpu-guard] holding ${key} — ${over.join(', ')} (${running} running)`);
+    while (over.length > 0) {
+      const waited = this._now() - start;
+      if (waited >= this.opts.maxHoldMs) {
+        this.logger.warn(
+          `🔥 [cpu-guard] host still contended after holding ${key} ${Math.round(waited / 1000)}s ` +
+            `(${over.join(', ')}); admitting anyway.`,
+        );
+        break;
+      }
+      await this._sleep(this.opts.pollMs);
+      over = this.contention();
+    }
+    const heldMs = this._now() - start;
+    if (over.length === 0) {
+      this.logger.info(`🔥 [cpu-guard] admitting ${key} after ${Math.round(heldMs / 1000)}s.`);
+    }
+    this.admitted.add(key);
+    return heldMs;
+  }
+
+  /** Stop counting `key` as running once it has finished. */
+  release(key) {
+    this.admitted.delete(key);
+  }
+
+  /** One-line summary of the active thresholds, for the run header. */
+  describe() {
+    if (!this.opts.enabled) return 'cpu-guard: disabled';
+    const { maxCpuPressure, maxIoPressure, maxLoadPerCpu } = this.opts;
+    const limits = [
+      maxCpuPressure != null ? `CPU pressure above ${maxCpuPressure}%` : null,
+      maxIoPressure != null ? `I/O pressure above ${maxIoPressure}%` : null,
+      maxLoadPerCpu != null ? `load above ${maxLoadPerCpu}/CPU` : null,
+    ].filter(Boolean);
+    if (limits.length === 0) return 'cpu-guard: enabled, but every threshold is off';
+    return `cpu-guard: hold next command while ${limits.join(' or ')} (up to ${Math.round(this.opts.maxHoldMs / 1000)}s)`;
+  }
+}
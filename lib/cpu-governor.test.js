@@ -0,0 +1,117 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CpuGovernor, resolveCpuGuard, parsePressure, parseLoadavg, CPU_GUARD_DEFAULTS } from './cpu-governor.js';
+
+const silentLogger = { info() {}, warn() {}, error() {}, verbose() {} };
+
+let procRoot;
+beforeEach(() => {
+  procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'so-pressure-'));
+  fs.mkdirSync(path.join(procRoot, 'pressure'));
+});
+afterEach(() => {
+  fs.rmSync(procRoot, { recursive: true, force: true });
+});
+
+// Write fake PSI and loadavg files with the given `some avg10` values and 1-minute load.
+function host({ cpu = null, io = null, load = null }) {
+  const psi = (avg10) => `some avg10=${avg10.toFixed(2)} avg60=0.00 avg300=0.00 total=1\nfull avg10=0.00 avg60=0.00 avg300=0.00 total=0\n`;
+  if (cpu != null) fs.writeFileSync(path.join(procRoot, 'pressure', 'cpu'), psi(cpu));
+  if (io != null) fs.writeFileSync(path.join(procRoot, 'pressure', 'io'), psi(io));
+  if (load != null) fs.writeFileSync(path.join(procRoot, 'loadavg'), `${load} 1.00 1.00 3/300 4242\n`);
+}
+
+// A governor reading the fixture root on a virtual clock: `sleep` advances the clock and calls
+// `onSleep`, so a test can change the host between polls.
+const makeGovernor = (opts, { cpuCount = 4, onSleep = () => {} } = {}) => {
+  let nowMs = 0;
+  const gov = new CpuGovernor(opts, {
+    logger: silentLogger,
+    procRoot,
+    cpuCount,
+    now: () => nowMs,
+    setTimeoutFn: (fn, ms) => {
+      nowMs += ms;
+      onSleep(nowMs);
+      fn();
+    },
+  });
+  return { gov, now: () => nowMs };
+};
+
+describe('resolveCpuGuard', () => {
+  test('off unless asked for; an object turns it on with its overrides', () => {
+    expect(resolveCpuGuard(undefined)).toEqual(CPU_GUARD_DEFAULTS);
+    expect(resolveCpuGuard(false).enabled).toBe(false);
+    expect(resolveCpuGuard(true)).toEqual({ ...CPU_GUARD_DEFAULTS, enabled: true });
+    expect(resolveCpuGuard({ maxIoPressure: false, maxLoadPerCpu: 2, maxCpuPressure: -5 })).toEqual({
+      ...CPU_GUARD_DEFAULTS,
+      enabled: true,
+      maxIoPressure: null,
+      maxLoadPerCpu: 2,
+    });
+    expect(resolveCpuGuard({ enabled: false }).enabled).toBe(false);
+  });
+});
+
+describe('parsePressure / parseLoadavg', () => {
+  test('read the some/full lines and the load averages', () => {
+    expect(parsePressure('some avg10=12.50 avg60=3.00 avg300=1.00 total=9000\n')).toEqual({
+      some: { avg10: 12.5, avg60: 3, avg300: 1, total: 9000 },
+    });
+    expect(parsePressure('')).toBeNull();
+    expect(parseLoadavg('0.52 0.58 0.59 1/467 12345\n')).toEqual({ load1: 0.52, load5: 0.58, load15: 0.59 });
+    expect(parseLoadavg('garbage')).toBeNull();
+  });
+});
+
+describe('CpuGovernor', () => {
+  test('reports which thresholds the host exceeds', () => {
+    host({ cpu: 75, io: 10, load: 8 });
+    const { gov } = makeGovernor(true);
+    expect(gov.sample()).toEqual({ cpuPressure: 75, ioPressure: 10, loadPerCpu: 2 });
+    expect(gov.contention()).toEqual(['CPU pressure 75% > 60%', 'load 2.00/CPU > 1.5']);
+  });
+
+  test('unreadable signals never hold', () => {
+    const { gov } = makeGovernor(true);
+    expect(gov.sample()).toEqual({ cpuPressure: null, ioPressure: null, loadPerCpu: null });
+    expect(gov.contention()).toEqual([]);
+  });
+
+  test('never holds the only command, and holds the next one until pressure clears', async () => {
+    host({ cpu: 90, io: 0, load: 1 });
+    const { gov } = makeGovernor(true, {
+      onSleep: (nowMs) => {
+        if (nowMs >= 6000) host({ cpu: 20 });
+      },
+    });
+    expect(await gov.admit('build', 0)).toBe(0);
+    // `build` is still counted as running, even though the caller says nothing is in flight yet.
+    expect(await gov.admit('test', 0)).toBe(6000);
+    expect([...gov.admitted]).toEqual(['build', 'test']);
+    gov.release('build');
+    expect([...gov.admitted]).toEqual(['test']);
+  });
+
+  test('admits anyway once maxHoldMs elapses', async () => {
+    host({ io: 95 });
+    const { gov } = makeGovernor({ maxHoldMs: 10000, pollMs: 4000 });
+    expect(await gov.admit('lint', 1)).toBe(12000);
+  });
+
+  test('does nothing while disabled', async () => {
+    host({ cpu: 99 });
+    const { gov } = makeGovernor(false);
+    expect(await gov.admit('lint', 3)).toBe(0);
+    expect(gov.admitted.size).toBe(0);
+    expect(gov.describe()).toBe('cpu-guard: disabled');
+  });
+
+  test('describe lists the active thresholds', () => {
+    expect(makeGovernor({ maxIoPressure: false }).gov.describe()).toBe(
+      'cpu-guard: hold next command while CPU pressure above 60% or load above 1.5/CPU (up to 120s)',
+    );
+  });
+});
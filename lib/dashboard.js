@@ -0,0 +1,551 @@
+/**
+ * @file dashboard.js
+ * @description The opt-in `--ui` terminal dashboard. It takes over the terminal (alternate screen)
+ * for the length of the run and draws each phase as a panel of its commands — status, elapsed time,
+ * retries, and memory/CPU where metrics are collected — above a tail of the selected command's log
+ * file. Keys select a command and kill, restart or retry it.
+ *
+ * It is driven by the same events the orchestrator writes to its NDJSON stream (`command_start`,
+ * `command_retry`, `command_end`, ...), so what it shows never disagrees with the results files.
+ * Rendering is a pure function of that state (`renderDashboard`); the `Dashboard` class only owns
+ * the terminal, the keyboard and the refresh timer.
+ */
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import chalk from 'chalk';
+import { kernelUnits, readProcessTable } from './process-sampler.js';
+
+const REFRESH_MS = 500;
+// Live memory/CPU is sampled from /proc at most this often.
+const SAMPLE_MS = 1000;
+// Only the end of a log is read for the tail pane.
+const LOG_TAIL_BYTES = 64 * 1024;
+const KEEP_MESSAGES = 50;
+const SHOWN_MESSAGES = 2;
+
+const ICONS = {
+  pending: '○',
+  running: '◐',
+  passed: '✔',
+  cached: '♻',
+  failed: '✖',
+  timed_out: '⏰',
+  skipped: '–',
+};
+
+// Skip reasons that count against the run (mirrors the orchestrator's failure skips).
+const FAILURE_SKIPS = new Set(['failed_dependency', 'after_phase_failure']);
+
+const HELP = '↑/↓ select · x kill · r restart/retry · q plain output · Ctrl-C interrupt';
+
+// eslint-disable-next-line no-control-regex
+const ANSI = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+/** `4s`, `1m 04s`, `1h 02m`. */
+export function formatElapsed(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+  if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+  return `${s}s`;
+}
+
+/**
+ * Initial dashboard state for a config: one panel per phase (a single unnamed panel for a legacy
+ * array config), every command pending.
+ */
+export function createDashboardState(config, now = Date.now()) {
+  const groups = Array.isArray(config)
+    ? [{ name: null, parallel: config }]
+    : (config.phases || []).map((phase) => ({ name: phase.name, parallel: phase.parallel || [] }));
+  const state = { phases: [], commands: new Map(), startedAt: now, finished: null };
+  for (const group of groups) {
+    const panel = { name: group.name, commands: [] };
+    state.phases.push(panel);
+    for (const cmd of group.parallel) addCommand(state, panel, cmd.command);
+  }
+  return state;
+}
+
+function addCommand(state, panel, name, extra = {}) {
+  const entry = {
+    name,
+    phase: panel.name,
+    status: 'pending',
+    startedAt: null,
+    durationMs: null,
+    retries: 0,
+    memoryKb: null,
+    cpuPercent: null,
+    skipReason: null,
+    ...extra,
+  };
+  state.commands.set(name, entry);
+  panel.commands.push(name);
+  return entry;
+}
+
+// The entry for an event's command. Inline dependencies (e.g. a dev server) are not in the config's
+// phase lists, so they join their parent's panel the first time they start.
+function entryFor(state, event) {
+  const known = state.commands.get(event.command);
+  if (known) return known;
+  const panel = state.phases.find((p) => p.name === (event.phase ?? null)) || state.phases[0];
+  if (!panel) return null;
+  return addCommand(state, panel, event.command, { dependency: true });
+}
+
+/** Fold one orchestrator event into the dashboard state. */
+export function applyEvent(state, event) {
+  const at = Date.parse(event.timestamp) || Date.now();
+  switch (event.type) {
+  case 'command_start': {
+    const entry = entryFor(state, event);
+    if (!entry) return;
+    Object.assign(entry, { status: 'running', startedAt: at, durationMs: null });
+    break;
+  }
+  case 'command_retry': {
+    const entry = entryFor(state, event);
+    if (!entry) return;
+    entry.retries += 1;
+    entry.status = 'running';
+    break;
+  }
+  case 'command_end': {
+    const entry = entryFor(state, event);
+    if (!entry) return;
+    let status = event.success ? 'passed' : 'failed';
+    if (event.status === 'cached' || event.status === 'timed_out') status = event.status;
+    Object.assign(entry, {
+      status,
+      durationMs: event.durationMs ?? (entry.startedAt ? at - entry.startedAt : null),
+      memoryKb: event.memoryKb ?? null,
+      cpuPercent: event.cpuPercent ?? null,
+    });
+    break;
+  }
+  case 'run_end':
+  case 'run_aborted':
+    state.finished = { success: event.type === 'run_end' && event.success === true };
+    break;
+  default:
+    break;
+  }
+}
+
+/** Commands in display order (the order the selection cursor moves through). */
+export function commandOrder(state) {
+  return state.phases.flatMap((panel) => panel.commands);
+}
+
+function phaseStatus(state, panel) {
+  const statuses = panel.commands.map((name) => state.commands.get(name).status);
+  if (statuses.includes('running')) return 'running';
+  if (statuses.length === 0 || statuses.every((s) => s === 'pending')) return 'pending';
+  if (statuses.includes('pending')) return 'running';
+  if (statuses.some((s) => s === 'failed' || s === 'timed_out')) return 'failed';
+  return 'done';
+}
+
+function truncate(text, width) {
+  if (width <= 0) return '';
+  const chars = Array.from(text);
+  return chars.length > width ? chars.slice(0, width - 1).join('') + '…' : text;
+}
+
+function rule(title, width) {
+  const head = `── ${title} `;
+  return truncate(head + '─'.repeat(Math.max(0, width - Array.from(head).length)), width);
+}
+
+function colorFor(entry) {
+  switch (entry.status) {
+  case 'running':
+    return chalk.cyan;
+  case 'passed':
+  case 'cached':
+    return chalk.green;
+  case 'failed':
+  case 'timed_out':
+    return chalk.red;
+  case 'skipped':
+    return FAILURE_SKIPS.has(entry.skipReason) ? chalk.red : chalk.gray;
+  default:
+    return chalk.gray;
+  }
+}
+
+function commandRow(entry, { now, live, nameWidth }) {
+  const elapsed =
+    entry.status === 'running' && entry.startedAt
+      ? formatElapsed(now - entry.startedAt)
+      : entry.durationMs != null
+        ? formatElapsed(entry.durationMs)
+        : '';
+  const label = entry.status === 'skipped' ? `skipped (${entry.skipReason})` : entry.status.replace('_', ' ');
+  const sample = entry.status === 'running' ? live.get(entry.name) : null;
+  const memoryKb = sample ? sample.rssKb : entry.memoryKb;
+  const cpuPercent = sample ? sample.cpuPercent : entry.cpuPercent;
+  const parts = [
+    `${ICONS[entry.status] || ' '} ${entry.name.padEnd(nameWidth)}`,
+    label.padEnd(10),
+    elapsed.padStart(7),
+  ];
+  if (entry.retries > 0) parts.push(`retry ${entry.retries}`);
+  if (memoryKb != null) parts.push(`${Math.round(memoryKb / 1024)} MB`);
+  if (cpuPercent != null) parts.push(`${Math.round(cpuPercent)}% CPU`);
+  if (entry.dependency) parts.push('(dependency)');
+  return parts.join('  ');
+}
+
+/**
+ * Draw the dashboard as an array of `height` lines, each at most `width` columns wide.
+ *
+ * @param {object} view
+ * @param {object} view.state - From createDashboardState / applyEvent.
+ * @param {string|null} view.selected - Selected command name.
+ * @param {string[]} [view.logLines] - Tail of the selected command's log.
+ * @param {string|null} [view.logPath] - That log, as shown in the pane title.
+ * @param {Map<string, {rssKb: number, cpuPercent: number|null}>} [view.live] - Live samples per command.
+ * @param {{level: string, message: string}[]} [view.messages] - Recent orchestrator messages.
+ * @param {string|null} [view.notice] - One-off feedback for the last key press.
+ * @param {object} size - `{ width, height, now }`.
+ * @returns {string[]}
+ */
+export function renderDashboard(
+  { state, selected, logLines = [], logPath = null, live = new Map(), messages = [], notice = null },
+  { width = 80, height = 24, now = Date.now() } = {},
+) {
+  const entries = commandOrder(state).map((name) => state.commands.get(name));
+  const counts = {};
+  for (const entry of entries) counts[entry.status] = (counts[entry.status] || 0) + 1;
+  const summary = ['running', 'passed', 'cached', 'failed', 'timed_out', 'skipped', 'pending']
+    .filter((s) => counts[s])
+    .map((s) => `${counts[s]} ${s.replace('_', ' ')}`)
+    .join(' · ');
+  const outcome = state.finished ? (state.finished.success ? ' — run passed' : ' — run failed') : '';
+  const header = truncate(
+    `scripts-orchestrator  ${summary || 'starting'}  ·  ${formatElapsed(now - state.startedAt)}${outcome}`,
+    width,
+  );
+
+  // Commands: phase rules plus one row per command.
+  const nameWidth = Math.min(32, Math.max(8, ...entries.map((e) => Array.from(e.name).length)));
+  const rows = [];
+  for (const panel of state.phases) {
+    if (panel.name != null) rows.push({ text: rule(`${panel.name} (${phaseStatus(state, panel)})`, width) });
+    for (const name of panel.commands) {
+      const entry = state.commands.get(name);
+      const text = truncate(`${name === selected ? '▸' : ' '} ${commandRow(entry, { now, live, nameWidth })}`, width);
+      rows.push({ text, entry, selected: name === selected });
+    }
+  }
+
+  const footer = [
+    ...messages.slice(-SHOWN_MESSAGES).map(({ level, message }) => {
+      const text = truncate(`[${level.toUpperCase()}] ${message.replace(/\s+/g, ' ').trim()}`, width);
+      return level === 'error' ? chalk.red(text) : level === 'warn' ? chalk.yellow(text) : chalk.gray(text);
+    }),
+    chalk.gray(truncate(notice ? `${notice}  ·  ${HELP}` : HELP, width)),
+  ];
+
+  // The command list gets what it needs, up to half the screen once a log is selected; the log
+  // tail gets the rest.
+  const free = Math.max(0, height - 1 - footer.length);
+  const logHeight = selected ? free - Math.min(rows.length, Math.ceil(free / 2)) : 0;
+  const listHeight = Math.max(0, free - logHeight);
+
+  // Scroll the list so the selected row stays on screen.
+  let first = 0;
+  if (rows.length > listHeight) {
+    const at = Math.max(0, rows.findIndex((r) => r.selected));
+    first = Math.min(Math.max(0, at - Math.floor(listHeight / 2)), rows.length - listHeight);
+  }
+  const shown = rows.slice(first, first + listHeight).map((row) => {
+    if (!row.entry) return chalk.bold(row.text);
+    const colored = colorFor(row.entry)(row.text);
+    return row.selected ? chalk.inverse(colored) : colored;
+  });
+
+  const logPane = [];
+  if (logHeight > 0) {
+    logPane.push(chalk.bold(rule(`log: ${selected}${logPath ? ` · ${logPath}` : ''}`, width)));
+    const body = logLines.slice(-(logHeight - 1)).map((line) => truncate(line, width));
+    if (body.length === 0 && logHeight > 1) body.push(chalk.gray('(no output yet)'));
+    logPane.push(...body);
+  }
+
+  const lines = [header, ...shown, ...logPane];
+  while (lines.length < height - footer.length) lines.push('');
+  return [...lines, ...footer].slice(0, height);
+}
+
+/**
+ * The last `maxLines` lines of a log file, ready to draw: ANSI codes stripped, only what follows
+ * the last carriage return of each line (progress bars redraw with `\r`), tabs expanded.
+ */
+export function tailLines(file, maxLines) {
+  let text = '';
+  let fd = null;
+  try {
+    fd = fs.openSync(file, 'r');
+    const { size } = fs.fstatSync(fd);
+    const length = Math.min(size, LOG_TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    text = buffer.toString('utf8');
+  } catch {
+    return [];
+  } finally {
+    if (fd != null) fs.closeSync(fd);
+  }
+  const lines = text.replace(ANSI, '').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines.slice(-maxLines).map((line) => line.slice(line.lastIndexOf('\r') + 1).replace(/\t/g, '  '));
+}
+
+/**
+ * Resident memory (KB) and CPU time (clock ticks) of every process in each of the given process
+ * groups, read from `/proc/<pid>/stat`. Linux only; returns an empty Map elsewhere.
+ *
+ * @param {Iterable<number>} pgids
+ * @param {string} [procRoot]
+ * @param {number} [pageKb]
+ * @returns {Map<number, {rssKb: number, cpuTicks: number}>}
+ */
+export function sampleProcessGroups(pgids, procRoot = '/proc', pageKb = undefined) {
+  const wanted = new Set(pgids);
+  const samples = new Map();
+  if (wanted.size === 0) return samples;
+  for (const { pgid, rssKb, cpuTicks } of readProcessTable(procRoot, pageKb).values()) {
+    if (!wanted.has(pgid)) continue;
+    const sample = samples.get(pgid) || { rssKb: 0, cpuTicks: 0 };
+    sample.cpuTicks += cpuTicks;
+    sample.rssKb += rssKb;
+    samples.set(pgid, sample);
+  }
+  return samples;
+}
+
+export class Dashboard {
+  /**
+   * @param {object} opts
+   * @param {object} opts.orchestrator - The run being shown; its processManager stops commands.
+   * @param {object} [opts.stdin]
+   * @param {object} [opts.stdout]
+   * @param {number} [opts.refreshMs]
+   */
+  constructor({ orchestrator, stdin = process.stdin, stdout = process.stdout, refreshMs = REFRESH_MS }) {
+    this.orchestrator = orchestrator;
+    this.stdin = stdin;
+    this.stdout = stdout;
+    this.refreshMs = refreshMs;
+    this.state = createDashboardState(orchestrator.config);
+    this.selected = null;
+    this.follow = true; // until a key moves the cursor, follow the most recently started command
+    this.messages = [];
+    this.notice = null;
+    this.live = new Map(); // command -> { rssKb, cpuPercent }
+    this.lastSample = null; // { at, ticks: Map<command, cpuTicks> }
+    this.active = false;
+    this.timer = null;
+    this._onKeypress = (str, key) => this.handleKey(str, key);
+    this._render = () => this.render();
+    this._restoreTerminal = () => this._writeTerminalReset();
+  }
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this.state.startedAt = Date.now();
+    this.orchestrator.logger.suspendConsole((level, message) => this._pushMessage(level, message));
+    this.stdout.write('\x1b[?1049h\x1b[?25l'); // alternate screen, hide cursor
+    readline.emitKeypressEvents(this.stdin);
+    this.stdin.setRawMode(true);
+    this.stdin.resume();
+    this.stdin.on('keypress', this._onKeypress);
+    this.stdout.on('resize', this._render);
+    // Whatever ends the process, the user's terminal must come back usable.
+    process.once('exit', this._restoreTerminal);
+    this.timer = setInterval(() => this._tick(), this.refreshMs);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+    this.render();
+  }
+
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stdin.removeListener('keypress', this._onKeypress);
+    this.stdout.removeListener('resize', this._render);
+    process.removeListener('exit', this._restoreTerminal);
+    try {
+      this.stdin.setRawMode(false);
+    } catch {
+      // stdin already closed
+    }
+    this.stdin.pause();
+    this._writeTerminalReset();
+    this.orchestrator.logger.resumeConsole();
+  }
+
+  _writeTerminalReset() {
+    this.stdout.write('\x1b[?25h\x1b[?1049l'); // show cursor, leave the alternate screen
+  }
+
+  /** Called for every orchestrator event (see Orchestrator#_appendEvent). */
+  onEvent(event) {
+    applyEvent(this.state, event);
+    if (event.type === 'command_start' && this.follow) this.selected = event.command;
+    if (this.active) this.render();
+  }
+
+  _pushMessage(level, message) {
+    this.messages.push({ level, message });
+    if (this.messages.length > KEEP_MESSAGES) this.messages.shift();
+  }
+
+  /** Commands that never start are only known to the orchestrator as skips. */
+  _syncSkips() {
+    for (const entry of this.state.commands.values()) {
+      if (entry.status !== 'pending') continue;
+      const reason = this.orchestrator._skipReasonOf(entry.name);
+      if (reason) Object.assign(entry, { status: 'skipped', skipReason: reason });
+    }
+  }
+
+  _sampleLive() {
+    const { metrics = [], processManager } = this.orchestrator;
+    if (!metrics.includes('memory') && !metrics.includes('cpu')) return;
+    const now = Date.now();
+    if (this.lastSample && now - this.lastSample.at < SAMPLE_MS) return;
+    const pids = new Map();
+    for (const entry of this.state.commands.values()) {
+      if (entry.status !== 'running') continue;
+      const pid = processManager.foregroundPid(entry.name);
+      if (pid != null) pids.set(entry.name, pid);
+    }
+    const samples = sampleProcessGroups(pids.values());
+    const ticks = new Map();
+    const live = new Map();
+    for (const [name, pid] of pids) {
+      const sample = samples.get(pid);
+      if (!sample) continue;
+      ticks.set(name, sample.cpuTicks);
+      const before = this.lastSample?.ticks.get(name);
+      const cpuPercent =
+        metrics.includes('cpu') && before != null
+          ? ((sample.cpuTicks - before) / kernelUnits().clockTicks / ((now - this.lastSample.at) / 1000)) * 100
+          : null;
+      live.set(name, { rssKb: metrics.includes('memory') ? sample.rssKb : null, cpuPercent });
+    }
+    this.live = live;
+    this.lastSample = { at: now, ticks };
+  }
+
+  _tick() {
+    this._sampleLive();
+    this.render();
+  }
+
+  _move(delta) {
+    const order = commandOrder(this.state);
+    if (order.length === 0) return;
+    const at = order.indexOf(this.selected);
+    const next = at === -1 ? 0 : Math.min(order.length - 1, Math.max(0, at + delta));
+    this.selected = order[next];
+    this.follow = false;
+  }
+
+  // Kill or restart the selected command, if it is running.
+  _stopSelected(reason) {
+    const name = this.selected;
+    if (!name) return;
+    const entry = this.state.commands.get(name);
+    if (!entry || entry.status !== 'running' || !this.orchestrator.processManager.stopCommand(name, reason)) {
+      this.notice = `${name} is not running`;
+      return;
+    }
+    this.notice = reason === 'restart' ? `Restarting ${name}…` : `Killing ${name}…`;
+  }
+
+  // `r`: restart the selected command while it runs, or retry it once it has failed.
+  _restartSelected() {
+    const name = this.selected;
+    const entry = name ? this.state.commands.get(name) : null;
+    if (!entry || (entry.status !== 'failed' && entry.status !== 'timed_out')) {
+      this._stopSelected('restart');
+      return;
+    }
+    this.notice = this.orchestrator.retryCommand(name)
+      ? `Retrying ${name}…`
+      : `${name} can only be retried while its phase is running — rerun it after the run with --rerun-failed`;
+  }
+
+  handleKey(str, key = {}) {
+    this.notice = null;
+    if (key.ctrl && key.name === 'c') {
+      // Raw mode swallows the terminal's SIGINT; raise it so the usual interrupt handling runs.
+      this.stop();
+      process.kill(process.pid, 'SIGINT');
+      return;
+    }
+    switch (key.name || str) {
+    case 'up':
+    case 'k':
+      this._move(-1);
+      break;
+    case 'down':
+    case 'j':
+      this._move(1);
+      break;
+    case 'x':
+      this._stopSelected('killed');
+      break;
+    case 'r':
+      this._restartSelected();
+      break;
+    case 'q':
+      this.stop();
+      this.orchestrator.logger.info('Dashboard closed — continuing with plain output');
+      return;
+    default:
+      return;
+    }
+    this.render();
+  }
+
+  /** Everything the dashboard currently shows, for renderDashboard. */
+  view() {
+    this._syncSkips();
+    const { commandLogPaths, processManager, matrixCells } = this.orchestrator;
+    const logFile = this.selected
+      ? commandLogPaths.get(this.selected) ||
+        processManager.getLogPath(matrixCells?.get(this.selected)?.logName ?? this.selected)
+      : null;
+    return {
+      state: this.state,
+      selected: this.selected,
+      logLines: logFile ? tailLines(logFile, Math.max(1, (this.stdout.rows || 24) - 2)) : [],
+      logPath: logFile ? path.relative(process.cwd(), logFile) : null,
+      live: this.live,
+      messages: this.messages,
+      notice: this.notice,
+    };
+  }
+
+  render() {
+    if (!this.active) return;
+    const lines = renderDashboard(this.view(), {
+      width: this.stdout.columns || 80,
+      height: this.stdout.rows || 24,
+    });
+    // Home, then overwrite each line and clear what is left of the previous frame.
+    this.stdout.write(`\x1b[H${lines.map((line) => `${line}\x1b[K`).join('\n')}\x1b[J`);
+  }
+}
@@ -0,0 +1,215 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  Dashboard,
+  applyEvent,
+  commandOrder,
+  createDashboardState,
+  formatElapsed,
+  renderDashboard,
+  sampleProcessGroups,
+  tailLines,
+} from './dashboard.js';
+
+const config = {
+  phases: [
+    { name: 'build', parallel: [{ command: 'lint' }, { command: 'compile' }] },
+    { name: 'e2e', parallel: [{ command: 'playwright' }] },
+  ],
+};
+
+const at = (ms) => new Date(1_000_000 + ms).toISOString();
+// Rendered lines are coloured when the test runs in a colour terminal; compare the text only.
+// eslint-disable-next-line no-control-regex
+const plain = (lines) => lines.map((line) => line.replace(/\x1b\[[0-9;]*m/g, ''));
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('dashboard state', () => {
+  test('folds command events into per-phase panels', () => {
+    const state = createDashboardState(config, 1_000_000);
+    applyEvent(state, { type: 'command_start', command: 'lint', phase: 'build', timestamp: at(0) });
+    applyEvent(state, { type: 'command_start', command: 'compile', phase: 'build', timestamp: at(0) });
+    applyEvent(state, { type: 'command_retry', command: 'compile', phase: 'build', attempt: 2, timestamp: at(500) });
+    applyEvent(state, {
+      type: 'command_end', command: 'lint', phase: 'build', success: true, durationMs: 1200, memoryKb: 2048, timestamp: at(1200),
+    });
+    // An inline dependency joins its parent's panel.
+    applyEvent(state, { type: 'command_start', command: 'dev', phase: 'e2e', timestamp: at(2000) });
+
+    expect(state.commands.get('lint')).toMatchObject({ status: 'passed', durationMs: 1200, memoryKb: 2048 });
+    expect(state.commands.get('compile')).toMatchObject({ status: 'running', retries: 1, startedAt: 1_000_000 });
+    expect(state.commands.get('dev')).toMatchObject({ status: 'running', phase: 'e2e', dependency: true });
+    expect(commandOrder(state)).toEqual(['lint', 'compile', 'playwright', 'dev']);
+
+    applyEvent(state, { type: 'command_end', command: 'compile', success: false, status: 'timed_out', timestamp: at(3000) });
+    expect(state.commands.get('compile').status).toBe('timed_out');
+    applyEvent(state, { type: 'run_end', success: false, timestamp: at(4000) });
+    expect(state.finished).toEqual({ success: false });
+  });
+
+  test('a legacy array config is one unnamed panel', () => {
+    const state = createDashboardState([{ command: 'a' }, { command: 'b' }]);
+    expect(state.phases).toEqual([{ name: null, commands: ['a', 'b'] }]);
+  });
+});
+
+describe('renderDashboard', () => {
+  test('draws the summary, phase panels, the selected log and the key help within the screen', () => {
+    const state = createDashboardState(config, 1_000_000);
+    applyEvent(state, { type: 'command_start', command: 'lint', phase: 'build', timestamp: at(0) });
+    applyEvent(state, { type: 'command_start', command: 'compile', phase: 'build', timestamp: at(0) });
+    applyEvent(state, { type: 'command_end', command: 'lint', success: true, durationMs: 4000, timestamp: at(4000) });
+    const lines = plain(renderDashboard(
+      {
+        state,
+        selected: 'compile',
+        logLines: ['tsc -p .', 'src/a.ts(3,1): error TS1005'],
+        logPath: 'scripts-orchestrator-logs/compile.log',
+        live: new Map([['compile', { rssKb: 512 * 1024, cpuPercent: 93.4 }]]),
+        messages: [{ level: 'warn', message: 'Retrying compile (attempt 2/2)' }],
+      },
+      { width: 100, height: 14, now: 1_000_000 + 65_000 },
+    ));
+
+    expect(lines).toHaveLength(14);
+    expect(lines.every((line) => Array.from(line).length <= 100)).toBe(true);
+    expect(lines[0]).toBe('scripts-orchestrator  1 running · 1 passed · 1 pending  ·  1m 05s');
+    expect(lines[1]).toMatch(/^── build \(running\) ─+$/);
+    expect(lines[2]).toMatch(/^ {2}✔ lint +passed +4s$/);
+    expect(lines[3]).toMatch(/^▸ ◐ compile +running +1m 05s {2}512 MB {2}93% CPU$/);
+    expect(lines[4]).toMatch(/^── e2e \(pending\) ─+$/);
+    expect(lines[6]).toMatch(/^── log: compile · scripts-orchestrator-logs\/compile\.log ─+$/);
+    expect(lines.slice(7, 9)).toEqual(['tsc -p .', 'src/a.ts(3,1): error TS1005']);
+    expect(lines[12]).toBe('[WARN] Retrying compile (attempt 2/2)');
+    expect(lines[13]).toContain('x kill · r restart');
+  });
+
+  test('scrolls a long command list to keep the selection visible', () => {
+    const many = [{ name: 'p', parallel: Array.from({ length: 40 }, (_, i) => ({ command: `cmd-${i}` })) }];
+    const lines = plain(
+      renderDashboard({ state: createDashboardState({ phases: many }), selected: 'cmd-30' }, { width: 60, height: 12 }),
+    );
+    expect(lines).toHaveLength(12);
+    expect(lines.some((line) => line.startsWith('▸ ○ cmd-30'))).toBe(true);
+  });
+});
+
+describe('tailLines', () => {
+  test('returns the last lines without colour codes or carriage-return redraws', () => {
+    const file = path.join(dir, 'build.log');
+    fs.writeFileSync(file, 'one\n\x1b[32mtwo\x1b[0m\n10%\r50%\r100%\nfour\tend\n');
+    expect(tailLines(file, 3)).toEqual(['two', '100%', 'four  end']);
+    expect(tailLines(path.join(dir, 'missing.log'), 3)).toEqual([]);
+  });
+});
+
+describe('sampleProcessGroups', () => {
+  test('sums RSS and CPU ticks over each process group', () => {
+    const stat = (pid, comm, pgrp, utime, stime, rssPages) => {
+      fs.mkdirSync(path.join(dir, String(pid)));
+      // pid (comm) state ppid pgrp session tty tpgid flags minflt cminflt majflt cmajflt utime stime
+      // cutime cstime priority nice threads itrealvalue starttime vsize rss ...
+      const fields = ['S', 1, pgrp, pgrp, 0, -1, 0, 0, 0, 0, 0, utime, stime, 0, 0, 20, 0, 1, 0, 0, 0, rssPages, 0];
+      fs.writeFileSync(path.join(dir, String(pid), 'stat'), `${pid} (${comm}) ${fields.join(' ')}\n`);
+    };
+    stat(100, 'sh', 100, 1, 1, 100);
+    stat(101, 'node (worker)', 100, 50, 10, 1000);
+    stat(200, 'other', 200, 5, 5, 10);
+    fs.mkdirSync(path.join(dir, 'self'));
+
+    const samples = sampleProcessGroups([100], dir, 4);
+    expect(samples).toEqual(new Map([[100, { rssKb: 4400, cpuTicks: 62 }]]));
+    expect(sampleProcessGroups([], dir).size).toBe(0);
+  });
+});
+
+describe('Dashboard', () => {
+  function makeDashboard(running = [], { retryable = [] } = {}) {
+    const stops = [];
+    const retries = [];
+    const orchestrator = {
+      config,
+      metrics: [],
+      commandLogPaths: new Map(),
+      _skipReasonOf: (name) => (name === 'playwright' ? 'after_phase_failure' : null),
+      retryCommand: (name) => {
+        retries.push(name);
+        return retryable.includes(name);
+      },
+      logger: { suspendConsole() {}, resumeConsole() {}, info() {} },
+      processManager: {
+        getLogPath: (name) => path.join(dir, `${name}.log`),
+        foregroundPid: () => null,
+        stopCommand: (name, reason) => {
+          stops.push([name, reason]);
+          return running.includes(name);
+        },
+      },
+    };
+    const dashboard = new Dashboard({ orchestrator, stdout: { write() {}, columns: 80, rows: 20 } });
+    return { dashboard, stops, retries };
+  }
+
+  test('follows the latest started command until a key moves the cursor', () => {
+    const { dashboard } = makeDashboard();
+    dashboard.onEvent({ type: 'command_start', command: 'lint', timestamp: at(0) });
+    dashboard.onEvent({ type: 'command_start', command: 'compile', timestamp: at(0) });
+    expect(dashboard.selected).toBe('compile');
+    dashboard.handleKey(undefined, { name: 'up' });
+    expect(dashboard.selected).toBe('lint');
+    dashboard.onEvent({ type: 'command_start', command: 'playwright', timestamp: at(0) });
+    expect(dashboard.selected).toBe('lint');
+  });
+
+  test('x kills and r restarts the selected running command', () => {
+    const { dashboard, stops } = makeDashboard(['compile']);
+    dashboard.onEvent({ type: 'command_start', command: 'compile', timestamp: at(0) });
+    dashboard.handleKey('x', { name: 'x' });
+    dashboard.handleKey('r', { name: 'r' });
+    expect(stops).toEqual([
+      ['compile', 'killed'],
+      ['compile', 'restart'],
+    ]);
+    expect(dashboard.notice).toBe('Restarting compile…');
+
+    dashboard.onEvent({ type: 'command_end', command: 'compile', success: false, timestamp: at(10) });
+    dashboard.handleKey('r', { name: 'r' });
+    expect(dashboard.notice).toBe(
+      'compile can only be retried while its phase is running — rerun it after the run with --rerun-failed',
+    );
+    expect(stops).toHaveLength(2);
+  });
+
+  test('r retries the selected command once it has failed', () => {
+    const { dashboard, stops, retries } = makeDashboard([], { retryable: ['compile'] });
+    dashboard.onEvent({ type: 'command_start', command: 'compile', timestamp: at(0) });
+    dashboard.onEvent({ type: 'command_end', command: 'compile', success: false, timestamp: at(10) });
+    dashboard.handleKey('r', { name: 'r' });
+    expect(retries).toEqual(['compile']);
+    expect(stops).toEqual([]);
+    expect(dashboard.notice).toBe('Retrying compile…');
+  });
+
+  test('shows commands the orchestrator skipped, with the selected log tail', () => {
+    const { dashboard } = makeDashboard();
+    fs.writeFileSync(path.join(dir, 'lint.log'), 'eslint .\nall good\n');
+    dashboard.onEvent({ type: 'command_start', command: 'lint', timestamp: at(0) });
+    const view = dashboard.view();
+    expect(view.state.commands.get('playwright')).toMatchObject({ status: 'skipped', skipReason: 'after_phase_failure' });
+    expect(view.logLines).toEqual(['eslint .', 'all good']);
+  });
+});
+
+test('formatElapsed', () => {
+  expect(formatElapsed(4200)).toBe('4s');
+  expect(formatElapsed(65_000)).toBe('1m 05s');
+  expect(formatElapsed(3_720_000)).toBe('1h 02m');
+});
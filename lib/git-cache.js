@@ -59,6 +59,18 @@ export class GitCache {
     return null;
   }
 
+  /**
+   * Get the current branch name (null on a detached HEAD or outside a repository)
+   * @returns {Promise<string|null>}
+   */
+  async getCurrentBranch() {
+    const result = await this.executeGitCommand(['rev-parse', '--abbrev-ref', 'HEAD']);
+    if (result.success && result.output !== 'HEAD') {
+      return result.output;
+    }
+    return null;
+  }
+
   /**
    * Check if there are any staged or unstaged changes
    * @returns {Promise<boolean>}
@@ -132,42 +144,55 @@ export class GitCache {
   }
 
   /**
-   * Check if the orchestrator should skip running based on git state
-   * @returns {Promise<boolean>} - true if should skip, false if should run
+   * Decide whether the run could be skipped based on git state, without logging the outcome.
+   * Shared by the run itself and the --plan dry run.
+   * @returns {Promise<{skip: boolean, reason: string, hash: string|null}>}
    */
-  async shouldSkipExecution() {
-    log.verbose('Checking git state for caching...');
-
+  async evaluateSkip() {
     // Get current commit hash
     const currentHash = await this.getCurrentCommitHash();
     if (!currentHash) {
-      log.verbose('Could not get current git hash, will not skip execution');
-      return false;
+      return { skip: false, reason: 'Could not get current git hash', hash: null };
     }
 
     // Get cached hash
     const cachedHash = this.readCachedHash();
     if (!cachedHash) {
-      log.verbose('No cached git hash found, will not skip execution');
-      return false;
+      return { skip: false, reason: 'No cached git hash found', hash: currentHash };
     }
 
     // Check if hashes match
     if (currentHash !== cachedHash) {
-      log.verbose(`Git hash changed (${cachedHash.substring(0, 7)} -> ${currentHash.substring(0, 7)}), will not skip execution`);
-      return false;
+      return {
+        skip: false,
+        reason: `Git hash changed (${cachedHash.substring(0, 7)} -> ${currentHash.substring(0, 7)})`,
+        hash: currentHash,
+      };
     }
 
     // Check for uncommitted changes
     const hasChanges = await this.hasGitChanges();
     if (hasChanges) {
-      log.verbose('Git repository has uncommitted changes, will not skip execution');
-      return false;
+      return { skip: false, reason: 'Git repository has uncommitted changes', hash: currentHash };
     }
 
     // All conditions met - can skip
-    log.info(`✓ Git state unchanged (${currentHash.substring(0, 7)}), skipping execution`);
-    return true;
+    return { skip: true, reason: `Git state unchanged (${currentHash.substring(0, 7)})`, hash: currentHash };
+  }
+
+  /**
+   * Check if the orchestrator should skip running based on git state
+   * @returns {Promise<boolean>} - true if should skip, false if should run
+   */
+  async shouldSkipExecution() {
+    log.verbose('Checking git state for caching...');
+    const { skip, reason } = await this.evaluateSkip();
+    if (skip) {
+      log.info(`✓ ${reason}, skipping execution`);
+    } else {
+      log.verbose(`${reason}, will not skip execution`);
+    }
+    return skip;
   }
 
   /**
@@ -1,6 +1,79 @@
+import fs from 'fs';
+import net from 'net';
 import { log } from './logger.js';
+import { spawnGroupLeader, killGroup } from './process-group.js';
 import chalk from 'chalk';
 
+/** Probe kinds a `health_check` may declare with `type`. */
+export const HEALTH_CHECK_TYPES = ['http', 'tcp', 'command', 'file'];
+
+// Per-attempt probe timeout when the check sets no `timeout_ms`.
+const DEFAULT_PROBE_TIMEOUT_MS = 5000;
+// Body matchers read at most this much of a response.
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * The probe kind of a health check: its `type`, or — for configs that predate `type` — inferred from
+ * its fields (`url` is http, or tcp for a `tcp://` URL; `port` is tcp; `command`; `path` is file).
+ */
+export function healthCheckType(check) {
+  if (!check) return null;
+  if (check.type) return check.type;
+  if (check.url) return /^tcp:/i.test(check.url) ? 'tcp' : 'http';
+  if (check.port != null) return 'tcp';
+  if (check.command) return 'command';
+  if (check.path) return 'file';
+  return null;
+}
+
+// host/port of a tcp check, from `host`/`port` or a `tcp://host:port` url.
+function tcpTarget(check) {
+  if (check.url) {
+    const u = new URL(check.url);
+    return { host: u.hostname || 'localhost', port: Number(u.port) };
+  }
+  return { host: check.host || 'localhost', port: Number(check.port) };
+}
+
+/** One-line description of what a health check probes, for logs and `--plan`. */
+export function describeHealthCheck(check = {}) {
+  switch (healthCheckType(check)) {
+  case 'http':
+    return check.method && check.method.toUpperCase() !== 'GET' ? `${check.method.toUpperCase()} ${check.url}` : check.url;
+  case 'tcp': {
+    const { host, port } = tcpTarget(check);
+    return `tcp://${host}:${port}`;
+  }
+  case 'command':
+    return `command: ${check.command}`;
+  case 'file':
+    return `file: ${check.path}`;
+  default:
+    return '(no health check)';
+  }
+}
+
+/**
+ * Build a status-code predicate from `expect_status`: a code (`200`), a class (`'2xx'`), a range
+ * (`'200-399'`), or an array of any of those. Defaults to exactly 200.
+ */
+export function statusMatcher(expect = 200) {
+  const parts = (Array.isArray(expect) ? expect : [expect]).map((part) => {
+    const text = String(part).trim().toLowerCase();
+    let m = /^([1-5])xx$/.exec(text);
+    if (m) return (code) => Math.floor(code / 100) === Number(m[1]);
+    m = /^(\d{3})\s*-\s*(\d{3})$/.exec(text);
+    if (m) return (code) => code >= Number(m[1]) && code <= Number(m[2]);
+    if (/^\d{3}$/.test(text)) return (code) => code === Number(text);
+    throw new Error(`invalid expect_status "${part}"`);
+  });
+  return (code) => parts.some((matches) => matches(code));
+}
+
+function bodyRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern);
+}
+
 export class HealthCheck {
   constructor() {
     this.logger = log;
@@ -39,29 +112,143 @@ export class HealthCheck {
     }
   }
 
-  async waitForUrl({ url, maxAttempts = 20, interval = 2000, silent = false }) {
-    if (!silent) {
-      this.logger.startEphemeral(
-        `wait_${url}`,
-        chalk.yellow(`[INFO] ⏳ Waiting for ${url} to be available...`),
-      );
+  /**
+   * Run one attempt of a health check.
+   * @param {object} check - A `health_check` config.
+   * @returns {Promise<{ok: boolean, reason: string|null}>} `reason` says why a failed attempt failed.
+   */
+  static async probe(check) {
+    const timeout = check.timeout_ms || DEFAULT_PROBE_TIMEOUT_MS;
+    try {
+      switch (healthCheckType(check)) {
+      case 'http':
+        return await HealthCheck._probeHttp(check, timeout);
+      case 'tcp':
+        return await HealthCheck._probeTcp(check, timeout);
+      case 'command':
+        return await HealthCheck._probeCommand(check, timeout);
+      case 'file':
+        return fs.existsSync(check.path)
+          ? { ok: true, reason: null }
+          : { ok: false, reason: `file not found: ${check.path}` };
+      default:
+        return { ok: false, reason: `unknown health check type "${check.type}"` };
+      }
+    } catch (error) {
+      return { ok: false, reason: error.message };
     }
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      try {
-        const result = await HealthCheck.makeHttpRequest(url, 5000);
+  }
+
+  static async _probeHttp(check, timeout) {
+    const urlObj = new URL(check.url);
+    const isHttps = urlObj.protocol === 'https:';
+    const httpModule = (isHttps ? await import('https') : await import('http')).default;
+    const expected = statusMatcher(check.expect_status ?? 200);
+    const wantsBody = check.body_contains != null || check.body_matches != null;
 
-        if (result.success && result.statusCode === 200) {
-          if (!silent) {
-            this.logger.stopEphemeral(`wait_${url}`, `✅ ${url} is available`);
+    const response = await new Promise((resolve) => {
+      const req = httpModule.request(
+        check.url,
+        {
+          method: (check.method || 'GET').toUpperCase(),
+          headers: check.headers || {},
+          ...(isHttps && check.insecure ? { rejectUnauthorized: false } : {}),
+        },
+        (res) => {
+          if (!wantsBody) {
+            resolve({ statusCode: res.statusCode, body: '' });
+            res.destroy();
+            return;
           }
-          return true;
-        }
-      } catch (error) {
-        if (!silent) {
-          // You could potentially log attempts via verbose if needed, but not necessary.
-        }
-      }
+          let body = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            body += chunk;
+            if (body.length >= MAX_BODY_BYTES) res.destroy();
+          });
+          res.on('end', () => resolve({ statusCode: res.statusCode, body }));
+          res.on('close', () => resolve({ statusCode: res.statusCode, body }));
+        },
+      );
+      req.on('error', (error) => resolve({ error: error.message }));
+      req.setTimeout(timeout, () => {
+        req.destroy();
+        resolve({ error: `no response within ${timeout}ms` });
+      });
+      req.end();
+    });
+
+    if (response.error) return { ok: false, reason: response.error };
+    if (!expected(response.statusCode)) {
+      return {
+        ok: false,
+        reason: `HTTP ${response.statusCode} (expected ${[].concat(check.expect_status ?? 200).join(', ')})`,
+      };
+    }
+    if (check.body_contains != null && !response.body.includes(check.body_contains)) {
+      return { ok: false, reason: `HTTP ${response.statusCode}, but the body does not contain "${check.body_contains}"` };
+    }
+    if (check.body_matches != null && !bodyRegExp(check.body_matches).test(response.body)) {
+      return { ok: false, reason: `HTTP ${response.statusCode}, but the body does not match ${bodyRegExp(check.body_matches)}` };
+    }
+    return { ok: true, reason: null };
+  }
+
+  static _probeTcp(check, timeout) {
+    const { host, port } = tcpTarget(check);
+    return new Promise((resolve) => {
+      const socket = net.connect({ host, port });
+      const done = (result) => {
+        socket.destroy();
+        resolve(result);
+      };
+      socket.setTimeout(timeout, () => done({ ok: false, reason: `no connection within ${timeout}ms` }));
+      socket.once('connect', () => done({ ok: true, reason: null }));
+      socket.once('error', (error) => done({ ok: false, reason: error.message }));
+    });
+  }
 
+  static _probeCommand(check, timeout) {
+    return new Promise((resolve) => {
+      const child = spawnGroupLeader(check.command, { stdio: 'ignore' });
+      const timer = setTimeout(() => {
+        killGroup(child);
+        resolve({ ok: false, reason: `probe command did not finish within ${timeout}ms` });
+      }, timeout);
+      child.once('error', (error) => {
+        clearTimeout(timer);
+        resolve({ ok: false, reason: error.message });
+      });
+      child.once('exit', (code, signal) => {
+        clearTimeout(timer);
+        resolve(
+          code === 0
+            ? { ok: true, reason: null }
+            : { ok: false, reason: `probe command exited with ${signal ? `signal ${signal}` : `code ${code}`}` },
+        );
+      });
+    });
+  }
+
+  /**
+   * Retry a health check until it passes or `maxAttempts` run out. Every failed attempt's reason is
+   * written to the verbose log; the last one is returned so callers can report why a check failed.
+   * @returns {Promise<{ok: boolean, attempts: number, reason: string|null}>}
+   */
+  async waitFor(check, { maxAttempts = 20, interval = 2000, silent = false } = {}) {
+    const label = describeHealthCheck(check);
+    if (!silent) {
+      this.logger.startEphemeral(`wait_${label}`, chalk.yellow(`[INFO] ⏳ Waiting for ${label} to be available...`));
+    }
+    let reason = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const result = await HealthCheck.probe(check);
+      if (result.ok) {
+        if (!silent) this.logger.stopEphemeral(`wait_${label}`, `✅ ${label} is available`);
+        return { ok: true, attempts: attempt, reason: null };
+      }
+      reason = result.reason;
+      this.logger.verbose(`Health check ${label} attempt ${attempt}/${maxAttempts} failed: ${reason}`);
       if (attempt < maxAttempts) {
         await new Promise((resolve) => setTimeout(resolve, interval));
       }
@@ -69,13 +256,18 @@ export class HealthCheck {
 
     if (!silent) {
       this.logger.stopEphemeral(
-        `wait_${url}`,
-        `❌ Failed to connect to ${url} after ${maxAttempts} attempts`,
+        `wait_${label}`,
+        `❌ ${label} not available after ${maxAttempts} attempts: ${reason}`,
         true,
       );
     }
+    return { ok: false, attempts: maxAttempts, reason };
+  }
 
-    return false;
+  // Backward-compatible URL check: an HTTP GET that must answer 200.
+  async waitForUrl({ url, maxAttempts = 20, interval = 2000, silent = false }) {
+    const { ok } = await this.waitFor({ type: 'http', url }, { maxAttempts, interval, silent });
+    return ok;
   }
 }
 
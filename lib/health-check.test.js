@@ -0,0 +1,139 @@
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { HealthCheck, healthCheckType, describeHealthCheck, statusMatcher } from './health-check.js';
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+describe('statusMatcher', () => {
+  test('accepts codes, classes, ranges and lists of them', () => {
+    expect(statusMatcher()(200)).toBe(true);
+    expect(statusMatcher()(204)).toBe(false);
+    expect(statusMatcher('2xx')(204)).toBe(true);
+    expect(statusMatcher('200-399')(302)).toBe(true);
+    expect(statusMatcher('200-399')(404)).toBe(false);
+    expect(statusMatcher([200, '3xx'])(301)).toBe(true);
+    expect(() => statusMatcher('ok')).toThrow('invalid expect_status "ok"');
+  });
+});
+
+describe('healthCheckType / describeHealthCheck', () => {
+  test('uses `type`, or infers it from the fields of older configs', () => {
+    expect(healthCheckType({ url: 'http://localhost:3000' })).toBe('http');
+    expect(healthCheckType({ url: 'tcp://localhost:5432' })).toBe('tcp');
+    expect(healthCheckType({ port: 6379 })).toBe('tcp');
+    expect(healthCheckType({ command: 'pg_isready' })).toBe('command');
+    expect(healthCheckType({ path: 'dist/index.js' })).toBe('file');
+    expect(healthCheckType({ type: 'tcp', url: 'tcp://db:1' })).toBe('tcp');
+    expect(healthCheckType({ interval: 500 })).toBeNull();
+    expect(healthCheckType(undefined)).toBeNull();
+
+    expect(describeHealthCheck({ url: 'http://x/health', method: 'head' })).toBe('HEAD http://x/health');
+    expect(describeHealthCheck({ port: 5432 })).toBe('tcp://localhost:5432');
+    expect(describeHealthCheck({ url: 'tcp://db:5432' })).toBe('tcp://db:5432');
+  });
+});
+
+describe('HealthCheck.probe', () => {
+  test('http: status expectations, body matchers, method and headers', async () => {
+    const seen = [];
+    const server = http.createServer((req, res) => {
+      seen.push({ method: req.method, token: req.headers['x-token'] });
+      if (req.url === '/moved') {
+        res.writeHead(302, { Location: '/' });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"status":"UP"}');
+    });
+    const port = await listen(server);
+    const url = `http://127.0.0.1:${port}`;
+    try {
+      expect(await HealthCheck.probe({ url })).toEqual({ ok: true, reason: null });
+      expect(await HealthCheck.probe({ url: `${url}/moved` })).toEqual({
+        ok: false,
+        reason: 'HTTP 302 (expected 200)',
+      });
+      expect((await HealthCheck.probe({ url: `${url}/moved`, expect_status: '200-399' })).ok).toBe(true);
+
+      expect((await HealthCheck.probe({ url, body_contains: '"UP"' })).ok).toBe(true);
+      expect((await HealthCheck.probe({ url, body_matches: 'status"\\s*:\\s*"UP' })).ok).toBe(true);
+      expect((await HealthCheck.probe({ url, body_contains: 'DOWN' })).reason).toBe(
+        'HTTP 200, but the body does not contain "DOWN"',
+      );
+
+      await HealthCheck.probe({ url, method: 'head', headers: { 'X-Token': 'abc' } });
+      expect(seen[seen.length - 1]).toEqual({ method: 'HEAD', token: 'abc' });
+    } finally {
+      await close(server);
+    }
+  });
+
+  test('tcp: passes once the port accepts connections', async () => {
+    const server = net.createServer((socket) => socket.end());
+    const port = await listen(server);
+    try {
+      expect(await HealthCheck.probe({ type: 'tcp', host: '127.0.0.1', port })).toEqual({ ok: true, reason: null });
+      expect((await HealthCheck.probe({ url: `tcp://127.0.0.1:${port}` })).ok).toBe(true);
+    } finally {
+      await close(server);
+    }
+    const closed = await HealthCheck.probe({ type: 'tcp', host: '127.0.0.1', port });
+    expect(closed.ok).toBe(false);
+    expect(closed.reason).toMatch(/ECONNREFUSED/);
+  });
+
+  test('command and file probes', async () => {
+    expect(await HealthCheck.probe({ command: 'exit 0' })).toEqual({ ok: true, reason: null });
+    expect(await HealthCheck.probe({ command: 'exit 3' })).toEqual({
+      ok: false,
+      reason: 'probe command exited with code 3',
+    });
+    expect((await HealthCheck.probe({ command: 'sleep 5', timeout_ms: 100 })).reason).toBe(
+      'probe command did not finish within 100ms',
+    );
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-check-'));
+    try {
+      // A probe that times out is killed with everything it started.
+      const late = path.join(dir, 'late');
+      expect((await HealthCheck.probe({ command: `(sleep 0.5; touch ${late}) & wait`, timeout_ms: 100 })).ok).toBe(false);
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      expect(fs.existsSync(late)).toBe(false);
+
+      const file = path.join(dir, 'ready');
+      expect((await HealthCheck.probe({ path: file })).reason).toBe(`file not found: ${file}`);
+      fs.writeFileSync(file, '');
+      expect((await HealthCheck.probe({ type: 'file', path: file })).ok).toBe(true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('HealthCheck#waitFor', () => {
+  test('retries and returns the last failure reason', async () => {
+    const checker = new HealthCheck();
+    const noop = () => {};
+    checker.logger = new Proxy({}, { get: () => noop });
+    expect(await checker.waitFor({ command: 'exit 1' }, { maxAttempts: 2, interval: 1 })).toEqual({
+      ok: false,
+      attempts: 2,
+      reason: 'probe command exited with code 1',
+    });
+    expect(await checker.waitFor({ command: 'exit 0' }, { maxAttempts: 2, interval: 1 })).toEqual({
+      ok: true,
+      attempts: 1,
+      reason: null,
+    });
+  });
+});
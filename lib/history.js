@@ -0,0 +1,200 @@
+/**
+ * @file history.js
+ * @description Run history: every finished run's results payload is kept, with the git commit and
+ * branch it ran on, in `scripts-orchestrator-logs/history/` (one JSON file per run, oldest pruned past
+ * `history.keep`). `json_results` only ever holds the latest run; the history is what answers "has
+ * `build` been getting slower?" — computeTrends() turns it into per-command series, pass rates and
+ * regressions, which `--history` renders as an HTML page (renderHistoryHtml) or JSON.
+ */
+import fs from 'fs';
+import path from 'path';
+import { runId } from './run-logs.js';
+
+// Runs kept when `history.keep` is not set.
+export const DEFAULT_HISTORY_KEEP = 200;
+
+// A command's latest duration counts as a regression when it is at least this much slower than the
+// median of its earlier runs (and the baseline has at least MIN_BASELINE_RUNS samples).
+const REGRESSION_RATIO = 1.1;
+const MIN_BASELINE_RUNS = 2;
+
+/**
+ * Normalize the `history` config key: false turns recording off, true / omitted keeps the default
+ * number of runs, `{ keep }` sets it.
+ *
+ * @param {boolean|object|undefined} value
+ * @returns {{ keep: number }|null}
+ */
+export function resolveHistory(value) {
+  if (value === false) return null;
+  const keep = Number(value?.keep);
+  return { keep: Number.isInteger(keep) && keep > 0 ? keep : DEFAULT_HISTORY_KEEP };
+}
+
+export class RunHistory {
+  /**
+   * @param {string|null} logFolder - Base directory of `scripts-orchestrator-logs` (cwd when null).
+   * @param {object} [opts]
+   * @param {number} [opts.keep] - Runs to keep; older ones are deleted when a run is appended.
+   * @param {string} [opts.dir] - Use this directory instead (e.g. `--history <dir>`).
+   */
+  constructor(logFolder = null, { keep = DEFAULT_HISTORY_KEEP, dir = null } = {}) {
+    const baseDir = logFolder ? path.resolve(logFolder) : process.cwd();
+    this.dir = dir ? path.resolve(dir) : path.join(baseDir, 'scripts-orchestrator-logs', 'history');
+    this.keep = keep;
+  }
+
+  /**
+   * Store one run. The file name starts with the timestamp, so a directory listing is already in run
+   * order and retention only has to drop the first names.
+   *
+   * @param {object} payload - The final results payload.
+   * @param {{ sha?: string|null, branch?: string|null }} [git]
+   * @returns {string} The file written.
+   */
+  append(payload, { sha = null, branch = null } = {}) {
+    const timestamp = payload.timestamp || new Date().toISOString();
+    const name = `${runId(timestamp, sha)}.json`;
+    const file = path.join(this.dir, name);
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ timestamp, sha, branch, payload }) + '\n', 'utf8');
+    fs.renameSync(`${file}.tmp`, file);
+    this._prune();
+    return file;
+  }
+
+  _files() {
+    try {
+      return fs.readdirSync(this.dir).filter((name) => name.endsWith('.json')).sort();
+    } catch {
+      return [];
+    }
+  }
+
+  _prune() {
+    const files = this._files();
+    for (const name of files.slice(0, Math.max(0, files.length - this.keep))) {
+      fs.rmSync(path.join(this.dir, name), { force: true });
+    }
+  }
+
+  /**
+   * Every stored run, oldest first. Unreadable files are skipped.
+   *
+   * @returns {Array<{ timestamp: string, sha: string|null, branch: string|null, payload: object }>}
+   */
+  list() {
+    const records = [];
+    for (const name of this._files()) {
+      try {
+        const record = JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8'));
+        if (record?.payload) records.push(record);
+      } catch {
+        /* a half-written or foreign file is not a run */
+      }
+    }
+    return records.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+  }
+
+  /**
+   * The newest readable run, without reading the rest of the history.
+   *
+   * @returns {{ timestamp: string, sha: string|null, branch: string|null, payload: object }|null}
+   */
+  latest() {
+    for (const name of this._files().reverse()) {
+      try {
+        const record = JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8'));
+        if (record?.payload) return record;
+      } catch {
+        /* skip it, as list() does */
+      }
+    }
+    return null;
+  }
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// An entry that says something about the command itself: it ran this time. Skipped, carried
+// (`--rerun-failed`/`--watch`) and cache-replayed entries repeat or omit an earlier result.
+const ranThisRun = (entry) => typeof entry.success === 'boolean' && !entry.skipReason && !entry.cached;
+
+/**
+ * Per-command trends over stored runs.
+ *
+ * Each command gets one point per run (null where it did not run), so its series line up with
+ * `runs`. A regression is a command whose latest duration exceeds the median of its earlier ones by
+ * 10% or more; they are sorted by how much time they added.
+ *
+ * @param {object[]} records - RunHistory#list() output, oldest first.
+ * @param {object} [opts]
+ * @param {number} [opts.limit] - Keep only the newest runs.
+ * @returns {{ runs: object[], commands: object[], regressions: object[] }}
+ */
+export function computeTrends(records, { limit = null } = {}) {
+  const window = limit != null ? records.slice(-limit) : records;
+  const runs = window.map(({ timestamp, sha, branch, payload }) => ({
+    timestamp,
+    sha: sha ?? null,
+    branch: branch ?? null,
+    success: payload.success ?? null,
+    ...(payload.overallDurationMs != null ? { overallDurationMs: payload.overallDurationMs } : {}),
+  }));
+
+  const byCommand = new Map();
+  window.forEach(({ payload }, i) => {
+    for (const entry of payload.commands || []) {
+      if (!ranThisRun(entry)) continue;
+      if (!byCommand.has(entry.command)) byCommand.set(entry.command, { command: entry.command, points: new Map() });
+      byCommand.get(entry.command).points.set(i, entry);
+    }
+  });
+
+  const commands = Array.from(byCommand.values()).map(({ command, points }) => {
+    const series = (key) => window.map((_, i) => points.get(i)?.[key] ?? null);
+    const ran = Array.from(points.values());
+    const passed = ran.filter((entry) => entry.success).length;
+    const durations = series('durationMs');
+    const known = durations.filter((ms) => ms != null);
+    return {
+      command,
+      runs: ran.length,
+      passed,
+      failed: ran.length - passed,
+      passRate: ran.length > 0 ? passed / ran.length : null,
+      lastSuccess: points.get(Math.max(...points.keys())).success,
+      medianDurationMs: median(known),
+      durationMs: durations,
+      memoryKb: series('memoryKb'),
+      cpuPercent: series('cpuPercent'),
+    };
+  });
+
+  const regressions = [];
+  for (const trend of commands) {
+    const known = trend.durationMs.map((ms, i) => [ms, i]).filter(([ms]) => ms != null);
+    if (known.length < MIN_BASELINE_RUNS + 1) continue;
+    const [latestMs, at] = known[known.length - 1];
+    const baselineMs = median(known.slice(0, -1).map(([ms]) => ms));
+    if (!(baselineMs > 0) || latestMs < baselineMs * REGRESSION_RATIO) continue;
+    regressions.push({
+      command: trend.command,
+      latestMs,
+      baselineMs: Math.round(baselineMs),
+      deltaMs: Math.round(latestMs - baselineMs),
+      ratio: Math.round((latestMs / baselineMs) * 100) / 100,
+      timestamp: runs[at].timestamp,
+      sha: runs[at].sha,
+    });
+  }
+  regressions.sort((a, b) => b.deltaMs - a.deltaMs);
+
+  commands.sort((a, b) => a.command.localeCompare(b.command));
+  return { generatedAt: new Date().toISOString(), runs, commands, regressions };
+}
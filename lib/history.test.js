@@ -0,0 +1,109 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RunHistory, computeTrends, resolveHistory, DEFAULT_HISTORY_KEEP } from './history.js';
+
+const run = (timestamp, success, commands, extra = {}) => ({
+  timestamp,
+  sha: `${timestamp.slice(-3)}abcdef123`,
+  branch: 'main',
+  payload: { success, timestamp, commands, ...extra },
+});
+
+describe('resolveHistory', () => {
+  test('false turns it off; otherwise keep defaults unless set', () => {
+    expect(resolveHistory(false)).toBeNull();
+    expect(resolveHistory(undefined)).toEqual({ keep: DEFAULT_HISTORY_KEEP });
+    expect(resolveHistory(true)).toEqual({ keep: DEFAULT_HISTORY_KEEP });
+    expect(resolveHistory({ keep: 20 })).toEqual({ keep: 20 });
+  });
+});
+
+describe('RunHistory', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('stores runs with their commit and branch, oldest pruned past keep', () => {
+    const history = new RunHistory(dir, { keep: 2 });
+    expect(history.list()).toEqual([]);
+    const first = history.append({ success: true, timestamp: '2026-01-01T10:00:00.000Z', commands: [] }, {
+      sha: '0123456789abcdef',
+      branch: 'main',
+    });
+    expect(path.basename(first)).toBe('2026-01-01T10-00-00-000Z-0123456.json');
+    history.append({ success: false, timestamp: '2026-01-02T10:00:00.000Z', commands: [] });
+    history.append({ success: true, timestamp: '2026-01-03T10:00:00.000Z', commands: [] }, { sha: 'fedcba9876' });
+    fs.writeFileSync(path.join(history.dir, 'zz-broken.json'), '{');
+
+    const runs = new RunHistory(dir).list();
+    expect(runs.map(({ timestamp, sha, branch }) => [timestamp, sha, branch])).toEqual([
+      ['2026-01-02T10:00:00.000Z', null, null],
+      ['2026-01-03T10:00:00.000Z', 'fedcba9876', null],
+    ]);
+    expect(runs[0].payload.success).toBe(false);
+    expect(new RunHistory(dir).latest().timestamp).toBe('2026-01-03T10:00:00.000Z');
+  });
+});
+
+describe('computeTrends', () => {
+  const records = [
+    run('2026-01-01T00:00:00.001', true, [
+      { command: 'build', success: true, durationMs: 1000, memoryKb: 2048 },
+      { command: 'test', success: true, durationMs: 500 },
+    ]),
+    run('2026-01-02T00:00:00.002', false, [
+      { command: 'build', success: true, durationMs: 1200 },
+      { command: 'test', success: false, durationMs: 400 },
+    ]),
+    run('2026-01-03T00:00:00.003', true, [
+      { command: 'build', success: true, durationMs: 1100, cached: true },
+      { command: 'test', success: true, skipReason: 'passed_previously', durationMs: 400 },
+      { command: 'lint', success: true, durationMs: 100 },
+    ]),
+    run('2026-01-04T00:00:00.004', true, [
+      { command: 'build', success: true, durationMs: 2000 },
+      { command: 'test', success: true, durationMs: 560 },
+    ]),
+  ];
+
+  test('lines up per-command series with the runs, leaving out runs the command sat out', () => {
+    const trends = computeTrends(records);
+    expect(trends.runs.map((r) => [r.timestamp, r.success])).toEqual([
+      ['2026-01-01T00:00:00.001', true],
+      ['2026-01-02T00:00:00.002', false],
+      ['2026-01-03T00:00:00.003', true],
+      ['2026-01-04T00:00:00.004', true],
+    ]);
+    expect(trends.commands.map((c) => c.command)).toEqual(['build', 'lint', 'test']);
+    expect(trends.commands[0]).toMatchObject({
+      runs: 3,
+      passRate: 1,
+      medianDurationMs: 1200,
+      durationMs: [1000, 1200, null, 2000],
+      memoryKb: [2048, null, null, null],
+    });
+    expect(trends.commands[2]).toMatchObject({ runs: 3, passed: 2, failed: 1, lastSuccess: true });
+  });
+
+  test('flags commands whose latest run is well above their median, biggest slowdown first', () => {
+    const { regressions } = computeTrends(records);
+    expect(regressions).toEqual([
+      {
+        command: 'build',
+        latestMs: 2000,
+        baselineMs: 1100,
+        deltaMs: 900,
+        ratio: 1.82,
+        timestamp: '2026-01-04T00:00:00.004',
+        sha: '004abcdef123',
+      },
+      expect.objectContaining({ command: 'test', latestMs: 560, baselineMs: 450, deltaMs: 110 }),
+    ]);
+    expect(computeTrends(records, { limit: 2 }).regressions).toEqual([]);
+  });
+});
@@ -1,6 +1,7 @@
 import os from 'os';
 import fs from 'fs';
 import { execSync } from 'child_process';
+import { readCgroupMemory } from './cgroup.js';
 
 /**
  * @file host-memory.js
@@ -23,10 +24,14 @@ import { execSync } from 'child_process';
  * Every path is defensive: any parse/exec/permission failure (or an unsupported platform) falls back
  * to `os.freemem()/os.totalmem()`, so the governor degrades to its old behaviour rather than breaking
  * on a platform we don't special-case.
+ *
+ * On Linux the host figures are combined with the memory limit of the cgroup the run is in (see
+ * cgroup.js), keeping the tighter of the two: in a container limited below the host's RAM, the limit
+ * is what the OOM killer enforces.
  */
 
-/** Parse `/proc/meminfo` text into an available-memory fraction, or null if the fields are absent. */
-export function parseLinuxMeminfo(text) {
+/** Parse `/proc/meminfo` text into `{ totalKb, availableKb }`, or null if the fields are absent. */
+export function parseLinuxMeminfoKb(text) {
   const field = (key) => {
     const m = text.match(new RegExp(`^${key}:\\s+(\\d+)\\s+kB`, 'm'));
     return m ? Number(m[1]) : null;
@@ -43,7 +48,78 @@ export function parseLinuxMeminfo(text) {
     }
   }
   if (!total || available == null) return null;
-  return available / total;
+  return { totalKb: total, availableKb: available };
+}
+
+/** Parse `/proc/meminfo` text into an available-memory fraction, or null if the fields are absent. */
+export function parseLinuxMeminfo(text) {
+  const mem = parseLinuxMeminfoKb(text);
+  return mem ? mem.availableKb / mem.totalKb : null;
+}
+
+/**
+ * The tighter of the host's memory and a cgroup limit: the smaller total and the smaller available
+ * amount. `limitedBy` says whether the cgroup made either smaller.
+ *
+ * @param {{ totalBytes: number, availableBytes: number }} host
+ * @param {{ limitBytes: number, availableBytes: number }|null} cgroup - readCgroupMemory() output.
+ * @returns {{ totalBytes: number, availableBytes: number, limitedBy: 'host'|'cgroup' }}
+ */
+export function tighterMemory(host, cgroup) {
+  if (!cgroup) return { ...host, limitedBy: 'host' };
+  const limited = cgroup.limitBytes < host.totalBytes || cgroup.availableBytes < host.availableBytes;
+  return {
+    totalBytes: Math.min(host.totalBytes, cgroup.limitBytes),
+    availableBytes: Math.min(host.availableBytes, cgroup.availableBytes),
+    limitedBy: limited ? 'cgroup' : 'host',
+  };
+}
+
+/** Host memory from `/proc/meminfo`, tightened by the cgroup limit; null when meminfo is unreadable. */
+function linuxMemory() {
+  const host = parseLinuxMeminfoKb(fs.readFileSync('/proc/meminfo', 'utf8'));
+  if (!host) return null;
+  return tighterMemory(
+    { totalBytes: host.totalKb * 1024, availableBytes: host.availableKb * 1024 },
+    readCgroupMemory(),
+  );
+}
+
+/**
+ * Total memory the run may use, in bytes: `os.totalmem()`, or a smaller cgroup limit on Linux. What
+ * reservations and `--recommend` budgets are sized against.
+ */
+export function totalMemoryBytes() {
+  if (process.platform === 'linux') {
+    const limit = readCgroupMemory()?.limitBytes;
+    if (limit != null && limit < os.totalmem()) return limit;
+  }
+  return os.totalmem();
+}
+
+/** Fraction of swap in use from `/proc/meminfo` text; null without swap or the fields. */
+export function parseLinuxSwap(text) {
+  const field = (key) => {
+    const m = text.match(new RegExp(`^${key}:\\s+(\\d+)\\s+kB`, 'm'));
+    return m ? Number(m[1]) : null;
+  };
+  const total = field('SwapTotal');
+  const free = field('SwapFree');
+  if (!total || free == null) return null;
+  return Math.min(1, Math.max(0, (total - free) / total));
+}
+
+/**
+ * Fraction [0,1] of swap in use, or null when the host has none or it can't be read (only Linux is
+ * read). Heavy swapping is what a box under memory pressure does just before it stops responding.
+ */
+export function swapUsedRatio() {
+  if (process.platform !== 'linux') return null;
+  try {
+    return parseLinuxSwap(fs.readFileSync('/proc/meminfo', 'utf8'));
+  } catch {
+    return null;
+  }
 }
 
 /**
@@ -73,7 +149,8 @@ export function parseDarwinVmStat(text, totalBytes) {
 function platformAvailableRatio() {
   try {
     if (process.platform === 'linux') {
-      return parseLinuxMeminfo(fs.readFileSync('/proc/meminfo', 'utf8'));
+      const mem = linuxMemory();
+      return mem ? mem.availableBytes / mem.totalBytes : null;
     }
     if (process.platform === 'darwin') {
       const out = execSync('vm_stat', { encoding: 'utf8', timeout: 1000 });
@@ -1,5 +1,8 @@
 import {
   parseLinuxMeminfo,
+  parseLinuxMeminfoKb,
+  parseLinuxSwap,
+  tighterMemory,
   parseDarwinVmStat,
   availableMemoryRatio,
   _resetAvailableMemoryCache,
@@ -37,6 +40,46 @@ describe('parseLinuxMeminfo', () => {
   });
 });
 
+describe('parseLinuxMeminfoKb', () => {
+  it('returns the total and available figures in kB', () => {
+    const text = 'MemTotal:       16384000 kB\nMemFree:          512000 kB\nMemAvailable:   12000000 kB\n';
+    expect(parseLinuxMeminfoKb(text)).toEqual({ totalKb: 16384000, availableKb: 12000000 });
+    expect(parseLinuxMeminfoKb('MemTotal:       16384000 kB\n')).toBeNull();
+  });
+});
+
+describe('parseLinuxSwap', () => {
+  it('returns the fraction of swap in use, or null without swap', () => {
+    expect(parseLinuxSwap('SwapTotal:       4000000 kB\nSwapFree:        3000000 kB\n')).toBeCloseTo(0.25, 5);
+    expect(parseLinuxSwap('SwapTotal:             0 kB\nSwapFree:              0 kB\n')).toBeNull();
+    expect(parseLinuxSwap('MemTotal:       16384000 kB\n')).toBeNull();
+  });
+});
+
+describe('tighterMemory', () => {
+  const GB = 1024 ** 3;
+  const host = { totalBytes: 64 * GB, availableBytes: 40 * GB };
+
+  it('keeps the host figures without a cgroup limit', () => {
+    expect(tighterMemory(host, null)).toEqual({ ...host, limitedBy: 'host' });
+  });
+
+  it('takes a container limit below the host RAM', () => {
+    expect(tighterMemory(host, { limitBytes: 4 * GB, availableBytes: 1 * GB })).toEqual({
+      totalBytes: 4 * GB,
+      availableBytes: 1 * GB,
+      limitedBy: 'cgroup',
+    });
+  });
+
+  it('keeps the host figures when the limit is looser than the host', () => {
+    expect(tighterMemory(host, { limitBytes: 128 * GB, availableBytes: 100 * GB })).toEqual({
+      ...host,
+      limitedBy: 'host',
+    });
+  });
+});
+
 describe('parseDarwinVmStat', () => {
   // 16 KiB page size, 24 GiB box.
   const totalBytes = 24 * 1024 * 1024 * 1024;
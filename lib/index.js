@@ -1,15 +1,20 @@
 import { Orchestrator, MEMORY_ABORT_EXIT_CODE } from './orchestrator.js';
-import { MemoryGovernor, resolveMemoryGuard, MEMORY_GUARD_DEFAULTS } from './memory-governor.js';
+import { MemoryGovernor, resolveMemoryGuard, MEMORY_GUARD_DEFAULTS, HOST_TIMELINE_FIELDS } from './memory-governor.js';
 import {
   availableMemoryRatio,
   parseLinuxMeminfo,
   parseDarwinVmStat,
+  totalMemoryBytes,
+  tighterMemory,
+  parseLinuxSwap,
+  swapUsedRatio,
 } from './host-memory.js';
 import { ProcessManager } from './process-manager.js';
-import { HealthCheck } from './health-check.js';
+import { HealthCheck, HEALTH_CHECK_TYPES, healthCheckType, describeHealthCheck, statusMatcher } from './health-check.js';
 import { Logger } from './logger.js';
 import { GitCache } from './git-cache.js';
-import { renderReportHtml } from './report-html.js';
+import { renderReportHtml, renderHistoryHtml } from './report-html.js';
+import { renderJunitXml } from './report-junit.js';
 import {
   recommendPhases,
   decideVerdict,
@@ -31,6 +36,30 @@ import {
   writeAggregateReport,
 } from './workspaces.js';
 import { startActiveLogHint } from './active-log-hint.js';
+import { usesNeeds, buildCommandGraph, effectiveNeeds } from './command-graph.js';
+import { validateConfig, formatValidationIssues, suggest } from './config-validate.js';
+import { formatPlan } from './plan-format.js';
+import { loadPreviousResults, needsRerun, selectRerun, selectAffected } from './rerun-failed.js';
+import {
+  CommandCache,
+  computeCacheKey,
+  expandInputs,
+  matchesInputs,
+  globToRegExp,
+  findLockfile,
+} from './command-cache.js';
+import { Dashboard, renderDashboard, createDashboardState, applyEvent, sampleProcessGroups } from './dashboard.js';
+import { WatchSession, affectedCommands } from './watch.js';
+import { expandMatrices, expandMatrixCommand, matrixCombinations, matrixCellName, groupMatrixCells } from './matrix.js';
+import { listShardItems, estimateDurations, packShards, attributeDuration, ShardTimings } from './shard.js';
+import { RunHistory, computeTrends, resolveHistory, DEFAULT_HISTORY_KEEP } from './history.js';
+import { OUTPUT_MODES, DEFAULT_OUTPUT_MODE, LineBuffer, prefixLine } from './output-stream.js';
+import { RunLogs, resolveRetention, runId, DEFAULT_RETENTION } from './run-logs.js';
+import { resolveArtifacts, collectArtifacts, ARTIFACT_WHEN, DEFAULT_ARTIFACTS_MAX_SIZE_MB } from './artifacts.js';
+import { SecretMasker, secretNames, MASK } from './secrets.js';
+import { ProcessSampler, readProcessTable, treeUsage, resolveSampling, samplingSupported, DEFAULT_SAMPLING } from './process-sampler.js';
+import { readCgroupMemory, readCgroupCpus, parseCgroupMemory, parseCgroupCpu, effectiveCpuCount } from './cgroup.js';
+import { CpuGovernor, resolveCpuGuard, parsePressure, parseLoadavg, CPU_GUARD_DEFAULTS } from './cpu-governor.js';
 
 export {
   Orchestrator,
@@ -43,9 +72,14 @@ export {
   parseDarwinVmStat,
   ProcessManager,
   HealthCheck,
+  HEALTH_CHECK_TYPES,
+  healthCheckType,
+  describeHealthCheck,
+  statusMatcher,
   Logger,
   GitCache,
   renderReportHtml,
+  renderJunitXml,
   recommendPhases,
   decideVerdict,
   formatRecommendationReport,
@@ -63,5 +97,80 @@ export {
   aggregateWorkspacesReport,
   writeAggregateReport,
   startActiveLogHint,
+  usesNeeds,
+  buildCommandGraph,
+  effectiveNeeds,
+  validateConfig,
+  formatValidationIssues,
+  suggest,
+  formatPlan,
+  loadPreviousResults,
+  needsRerun,
+  selectRerun,
+  selectAffected,
+  CommandCache,
+  computeCacheKey,
+  expandInputs,
+  matchesInputs,
+  globToRegExp,
+  findLockfile,
+  Dashboard,
+  renderDashboard,
+  createDashboardState,
+  applyEvent,
+  sampleProcessGroups,
+  WatchSession,
+  affectedCommands,
+  expandMatrices,
+  expandMatrixCommand,
+  matrixCombinations,
+  matrixCellName,
+  groupMatrixCells,
+  listShardItems,
+  estimateDurations,
+  packShards,
+  attributeDuration,
+  ShardTimings,
+  RunHistory,
+  computeTrends,
+  resolveHistory,
+  DEFAULT_HISTORY_KEEP,
+  renderHistoryHtml,
+  OUTPUT_MODES,
+  DEFAULT_OUTPUT_MODE,
+  LineBuffer,
+  prefixLine,
+  RunLogs,
+  resolveRetention,
+  runId,
+  DEFAULT_RETENTION,
+  resolveArtifacts,
+  collectArtifacts,
+  ARTIFACT_WHEN,
+  DEFAULT_ARTIFACTS_MAX_SIZE_MB,
+  SecretMasker,
+  secretNames,
+  MASK,
+  ProcessSampler,
+  readProcessTable,
+  treeUsage,
+  resolveSampling,
+  samplingSupported,
+  DEFAULT_SAMPLING,
+  totalMemoryBytes,
+  tighterMemory,
+  readCgroupMemory,
+  readCgroupCpus,
+  parseCgroupMemory,
+  parseCgroupCpu,
+  effectiveCpuCount,
+  CpuGovernor,
+  resolveCpuGuard,
+  parsePressure,
+  parseLoadavg,
+  CPU_GUARD_DEFAULTS,
+  HOST_TIMELINE_FIELDS,
+  parseLinuxSwap,
+  swapUsedRatio,
 };
 export default Orchestrator;
\ No newline at end of file
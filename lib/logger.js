@@ -36,13 +36,52 @@ class Logger {
     this.activeTasks = new Map();
     this.linesRendered = 0;
 
+    // While a full-screen view (the --ui dashboard) owns the terminal, console output is held back
+    // and each message is handed to `consoleListener` instead. The log file is written as usual.
+    this.consoleSuspended = false;
+    this.consoleListener = null;
+
+    // Secret values to redact from everything written, console and log file alike (see secrets.js).
+    this.masker = null;
+
     this.initializeLogFile();
   }
 
+  /** Redact the values `masker` (a SecretMasker, or null for none) knows from every later message. */
+  setSecretMasker(masker) {
+    this.masker = masker;
+  }
+
+  redact(message) {
+    return this.masker ? this.masker.mask(message) : message;
+  }
+
   // --- Dynamic Output Handling ---
 
+  /** Stop writing to the console; `listener(level, message)` receives each message meanwhile. */
+  suspendConsole(listener = null) {
+    this.clearActiveTasks();
+    this.consoleSuspended = true;
+    this.consoleListener = listener;
+  }
+
+  resumeConsole() {
+    this.consoleSuspended = false;
+    this.consoleListener = null;
+    this.renderActiveTasks();
+  }
+
+  notifyListener(level, message) {
+    if (!this.consoleListener) return;
+    try {
+      this.consoleListener(level, message);
+    } catch {
+      // a listener must never break logging
+    }
+  }
+
   clearActiveTasks() {
-    if (!this.isTTY || this.linesRendered === 0) return;
+    if (!this.isTTY || this.consoleSuspended || this.linesRendered === 0) return;
     // Move cursor up and clear lines
     for (let i = 0; i < this.linesRendered; i++) {
       process.stdout.write('\x1b[1A\x1b[2K'); // Up one line, clear entire line
@@ -51,7 +90,7 @@ class Logger {
   }
 
   renderActiveTasks() {
-    if (!this.isTTY) return;
+    if (!this.isTTY || this.consoleSuspended) return;
     if (this.activeTasks.size === 0) return;
 
     // Render active tasks with a spinner or prefix
@@ -62,6 +101,7 @@ class Logger {
   }
 
   startTask(id, text) {
+    text = this.redact(text);
     if (this.isTTY) {
       this.clearActiveTasks();
       this.activeTasks.set(id, chalk.cyan(`[INFO] ⏳ Running: ${text}`));
@@ -72,6 +112,7 @@ class Logger {
   }
 
   updateTask(id, text) {
+    text = this.redact(text);
     if (this.isTTY && this.activeTasks.has(id)) {
       this.clearActiveTasks();
       this.activeTasks.set(id, chalk.cyan(`[INFO] ⏳ Running: ${text}`));
@@ -90,6 +131,7 @@ class Logger {
   // --- Wrapper for output methods ---
 
   printMessage(logFn) {
+    if (this.consoleSuspended) return;
     if (this.isTTY) {
       this.clearActiveTasks();
       logFn();
@@ -100,6 +142,7 @@ class Logger {
   }
 
   startEphemeral(id, message) {
+    message = this.redact(message);
     if (this.isTTY) {
       this.clearActiveTasks();
       this.activeTasks.set(id, message);
@@ -117,6 +160,7 @@ class Logger {
     }
 
     if (finalMessage) {
+      finalMessage = this.redact(finalMessage);
       if (isError) {
         this.printMessage(() =>
           console.error(chalk.red(`[ERROR] ${finalMessage}`)),
@@ -213,33 +257,42 @@ class Logger {
     if (this.logStream) {
       // Strip ANSI color codes for file output
       // eslint-disable-next-line no-control-regex
-      const cleanMessage = message.replace(/\x1b\[[0-9;]*m/g, '');
+      const cleanMessage = this.redact(message).replace(/\x1b\[[0-9;]*m/g, '');
       this.logStream.write(`${cleanMessage}\n`);
     }
   }
 
   info(message) {
+    message = this.redact(message);
     this.printMessage(() => console.log(chalk.blue(`[INFO] ${message}`)));
     this.writeToFile(`[INFO] ${message}`);
+    this.notifyListener('info', message);
   }
 
   success(message) {
+    message = this.redact(message);
     this.printMessage(() => console.log(chalk.green(`[SUCCESS] ${message}`)));
     this.writeToFile(`[SUCCESS] ${message}`);
+    this.notifyListener('success', message);
   }
 
   error(message) {
+    message = this.redact(message);
     this.printMessage(() => console.error(chalk.red(`[ERROR] ${message}`)));
     this.writeToFile(`[ERROR] ${message}`);
+    this.notifyListener('error', message);
   }
 
   warn(message) {
+    message = this.redact(message);
     this.printMessage(() => console.warn(chalk.yellow(`[WARN] ${message}`)));
     this.writeToFile(`[WARN] ${message}`);
+    this.notifyListener('warn', message);
   }
 
   verbose(message) {
     if (this.isVerbose) {
+      message = this.redact(message);
       this.printMessage(() => console.log(chalk.gray(`[VERBOSE] ${message}`)));
       this.writeToFile(`[VERBOSE] ${message}`);
     }
@@ -0,0 +1,174 @@
+/**
+ * @file matrix.js
+ * @description `matrix` on a command: one config entry that runs as a concrete command per
+ * combination of values, CI-matrix style —
+ *
+ *   { command: 'playwright_ci', matrix: { SHARD: [1, 2, 3, 4], BROWSER: ['chromium', 'firefox'] } }
+ *
+ * runs `playwright_ci` eight times, each cell with its values added to `env` and named after them
+ * (`playwright_ci [SHARD=1,BROWSER=firefox]`). The expansion happens once, when the orchestrator
+ * loads the config, so scheduling, retries, timeouts, caching and the reports all see ordinary
+ * commands; each cell remembers the matrix it came from (`matrixCell`) so the results can be grouped
+ * back together.
+ */
+import path from 'path';
+import { SHARD_COUNT_KEY, SHARD_INDEX_KEY } from './shard.js';
+
+// Keys of a matrix that adjust the combinations rather than add an axis.
+export const MATRIX_DIRECTIVES = ['include', 'exclude'];
+
+// Values compare as strings, so `SHARD: 1` in an exclude matches a cell whose env says "1".
+const same = (a, b) => a !== undefined && b !== undefined && String(a) === String(b);
+
+/**
+ * The value combinations a matrix expands to, in declaration order (the first axis varies slowest).
+ * `exclude` entries drop every combination they match (an entry may name only some axes); each
+ * `include` entry then either adds its extra keys to the combinations whose axis values it matches,
+ * or — when none match — becomes a combination of its own.
+ *
+ * @param {object} matrix
+ * @returns {object[]}
+ */
+export function matrixCombinations(matrix) {
+  const axes = Object.entries(matrix).filter(([key]) => !MATRIX_DIRECTIVES.includes(key));
+  const axisKeys = new Set(axes.map(([key]) => key));
+  let combinations = axes.length > 0 ? [{}] : [];
+  for (const [key, values] of axes) {
+    combinations = combinations.flatMap((combination) => values.map((value) => ({ ...combination, [key]: value })));
+  }
+  const excludes = matrix.exclude || [];
+  combinations = combinations.filter(
+    (combination) => !excludes.some((ex) => Object.entries(ex).every(([key, value]) => same(combination[key], value))),
+  );
+  for (const extra of matrix.include || []) {
+    // A combination takes the entry when its axis values agree and the entry's other keys don't
+    // overwrite something an earlier include already set.
+    const fits = combinations.filter((combination) =>
+      Object.entries(extra).every(([key, value]) =>
+        axisKeys.has(key) ? same(combination[key], value) : combination[key] === undefined || same(combination[key], value),
+      ),
+    );
+    if (fits.length > 0) fits.forEach((combination) => Object.assign(combination, extra));
+    else combinations.push({ ...extra });
+  }
+  return combinations;
+}
+
+/** Display name of one matrix cell: `playwright_ci [SHARD=1,BROWSER=firefox]`. */
+export function matrixCellName(command, values) {
+  return `${command} [${Object.entries(values).map(([key, value]) => `${key}=${value}`).join(',')}]`;
+}
+
+// File-name-safe form of a cell's values, appended to the matrix's log name.
+function cellSuffix(values) {
+  return Object.entries(values)
+    .map(([key, value]) => `${key}=${value}`)
+    .join('.')
+    .replace(/[^\w.=+-]/g, '_');
+}
+
+/**
+ * Expand one command config into its matrix cells. A command without `matrix` or `shard` is returned
+ * as is. Each cell keeps every other key of the command, gets its values merged over `env`, its own
+ * log file (`<command>.<KEY=value...>.log`, or the suffix inserted into a `log` override) and a
+ * `matrixCell` marker naming the script it runs. A `shard` adds a `SHARD_INDEX` axis after the
+ * matrix's own; each shard cell keeps its `shard` config with its index, count and `group` — the
+ * matrix combination it splits (see shard.js).
+ *
+ * @param {object} commandConfig
+ * @returns {object[]}
+ */
+export function expandMatrixCommand(commandConfig) {
+  const { matrix, shard, log, logFile, ...base } = commandConfig;
+  if (matrix == null && shard == null) return [commandConfig];
+  const logOverride = log || logFile;
+  const combinations = matrix != null ? matrixCombinations(matrix) : [{}];
+  const cells = shard == null
+    ? combinations.map((values) => ({ values }))
+    : combinations.flatMap((values) => {
+      const group = Object.keys(values).length > 0 ? matrixCellName(base.command, values) : base.command;
+      return Array.from({ length: shard.count }, (_, i) => ({
+        values: { ...values, [SHARD_INDEX_KEY]: i + 1 },
+        shard: { ...shard, index: i + 1, group },
+      }));
+    });
+  return cells.map(({ values, shard: cellShard }) => {
+    const suffix = cellSuffix(values);
+    const cell = {
+      ...base,
+      command: matrixCellName(base.command, values),
+      env: { ...base.env, ...values, ...(cellShard ? { [SHARD_COUNT_KEY]: cellShard.count } : {}) },
+      ...(cellShard ? { shard: cellShard } : {}),
+      matrixCell: { command: base.command, values, logName: `${base.command.split(/\s+/)[0]}.${suffix}` },
+    };
+    if (logOverride) {
+      const ext = path.extname(logOverride);
+      cell.log = `${logOverride.slice(0, logOverride.length - ext.length)}.${suffix}${ext}`;
+    }
+    return cell;
+  });
+}
+
+/**
+ * Expand every `matrix` command of a config (phases format or legacy array). `needs` entries that
+ * name a matrix command are widened to all of its cells, so "after the e2e shards" is still written
+ * `needs: ['playwright_ci']`. A config without any matrix is returned unchanged.
+ *
+ * @param {object|Array} config
+ * @returns {object|Array}
+ */
+export function expandMatrices(config) {
+  const lists = Array.isArray(config) ? [config] : (config?.phases || []).map((phase) => phase?.parallel);
+  const hasMatrix = lists.some(
+    (list) => Array.isArray(list) && list.some((cmd) => cmd?.matrix != null || cmd?.shard != null),
+  );
+  if (!hasMatrix) return config;
+
+  const cellsOf = new Map();
+  const expandList = (list) =>
+    list.flatMap((cmd) => {
+      const cells = expandMatrixCommand(cmd);
+      if (cells[0] !== cmd) cellsOf.set(cmd.command, cells.map(({ command }) => command));
+      return cells;
+    });
+  const widenNeeds = (cmd) =>
+    cmd.needs == null
+      ? cmd
+      : { ...cmd, needs: [].concat(cmd.needs).flatMap((need) => cellsOf.get(need) ?? [need]) };
+
+  if (Array.isArray(config)) return expandList(config).map(widenNeeds);
+  const phases = config.phases.map((phase) =>
+    Array.isArray(phase?.parallel) ? { ...phase, parallel: expandList(phase.parallel) } : phase,
+  );
+  return {
+    ...config,
+    phases: phases.map((phase) =>
+      Array.isArray(phase?.parallel) ? { ...phase, parallel: phase.parallel.map(widenNeeds) } : phase,
+    ),
+  };
+}
+
+/**
+ * Group result entries that belong to a matrix (those carrying `matrix: { command, values }`), in
+ * first-seen order. A group's `success` is null while any of its cells is unfinished, false when any
+ * failed, true otherwise.
+ *
+ * @param {object[]} entries - Result entries of one run.
+ * @returns {Array<{ command: string, phase: string|null, success: boolean|null, cells: object[] }>}
+ */
+export function groupMatrixCells(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!entry.matrix) continue;
+    const key = `${entry.phase ?? ''}\u0000${entry.matrix.command}`;
+    if (!groups.has(key)) {
+      groups.set(key, { command: entry.matrix.command, phase: entry.phase ?? null, success: true, cells: [] });
+    }
+    groups.get(key).cells.push(entry);
+  }
+  for (const group of groups.values()) {
+    const outcomes = group.cells.map((cell) => cell.success);
+    group.success = outcomes.some((s) => s == null) ? null : outcomes.every(Boolean);
+  }
+  return Array.from(groups.values());
+}
@@ -0,0 +1,115 @@
+import {
+  expandMatrices,
+  expandMatrixCommand,
+  groupMatrixCells,
+  matrixCellName,
+  matrixCombinations,
+} from './matrix.js';
+
+describe('matrixCombinations', () => {
+  test('takes the product of the axes, first axis slowest', () => {
+    expect(matrixCombinations({ SHARD: [1, 2], BROWSER: ['chromium', 'firefox'] })).toEqual([
+      { SHARD: 1, BROWSER: 'chromium' },
+      { SHARD: 1, BROWSER: 'firefox' },
+      { SHARD: 2, BROWSER: 'chromium' },
+      { SHARD: 2, BROWSER: 'firefox' },
+    ]);
+  });
+
+  test('exclude drops partial matches; include extends matching combinations or adds its own', () => {
+    expect(
+      matrixCombinations({
+        SHARD: [1, 2],
+        BROWSER: ['chromium', 'firefox'],
+        exclude: [{ SHARD: '2', BROWSER: 'firefox' }],
+        include: [{ BROWSER: 'chromium', HEADED: 1 }, { SHARD: 1, BROWSER: 'webkit' }],
+      }),
+    ).toEqual([
+      { SHARD: 1, BROWSER: 'chromium', HEADED: 1 },
+      { SHARD: 1, BROWSER: 'firefox' },
+      { SHARD: 2, BROWSER: 'chromium', HEADED: 1 },
+      { SHARD: 1, BROWSER: 'webkit' },
+    ]);
+  });
+});
+
+describe('expandMatrixCommand', () => {
+  test('gives each cell a name, its values in env and a log file of its own', () => {
+    const cells = expandMatrixCommand({
+      command: 'playwright_ci',
+      env: { CI: 'true' },
+      attempts: 2,
+      log: 'logs/e2e.log',
+      matrix: { SHARD: [1, 2] },
+    });
+    expect(cells).toEqual([
+      {
+        command: 'playwright_ci [SHARD=1]',
+        env: { CI: 'true', SHARD: 1 },
+        attempts: 2,
+        log: 'logs/e2e.SHARD=1.log',
+        matrixCell: { command: 'playwright_ci', values: { SHARD: 1 }, logName: 'playwright_ci.SHARD=1' },
+      },
+      expect.objectContaining({ command: 'playwright_ci [SHARD=2]', log: 'logs/e2e.SHARD=2.log' }),
+    ]);
+    expect(matrixCellName('e2e', { BROWSER: 'mobile safari' })).toBe('e2e [BROWSER=mobile safari]');
+    expect(expandMatrixCommand({ command: 'x', matrix: { BROWSER: ['mobile safari'] } })[0].matrixCell.logName).toBe(
+      'x.BROWSER=mobile_safari',
+    );
+  });
+
+  test('a shard adds a SHARD_INDEX axis, grouped per matrix combination', () => {
+    const shard = { count: 2, list_command: 'npx playwright test --list' };
+    const cells = expandMatrixCommand({ command: 'e2e', matrix: { BROWSER: ['chromium', 'webkit'] }, shard });
+    expect(cells.map(({ command }) => command)).toEqual([
+      'e2e [BROWSER=chromium,SHARD_INDEX=1]',
+      'e2e [BROWSER=chromium,SHARD_INDEX=2]',
+      'e2e [BROWSER=webkit,SHARD_INDEX=1]',
+      'e2e [BROWSER=webkit,SHARD_INDEX=2]',
+    ]);
+    expect(cells[1]).toMatchObject({
+      env: { BROWSER: 'chromium', SHARD_INDEX: 2, SHARD_COUNT: 2 },
+      shard: { ...shard, index: 2, group: 'e2e [BROWSER=chromium]' },
+      matrixCell: { command: 'e2e', logName: 'e2e.BROWSER=chromium.SHARD_INDEX=2' },
+    });
+    expect(expandMatrixCommand({ command: 'unit', shard })[0]).toMatchObject({
+      command: 'unit [SHARD_INDEX=1]',
+      shard: { index: 1, group: 'unit' },
+    });
+  });
+});
+
+describe('expandMatrices', () => {
+  test('expands phases and widens needs on a matrix to all of its cells', () => {
+    const config = {
+      max_concurrency: 2,
+      phases: [
+        { name: 'test', parallel: [{ command: 'e2e', matrix: { SHARD: [1, 2] } }, { command: 'unit' }] },
+        { name: 'ship', parallel: [{ command: 'deploy', needs: ['e2e', 'unit'] }] },
+      ],
+    };
+    const expanded = expandMatrices(config);
+    expect(expanded.max_concurrency).toBe(2);
+    expect(expanded.phases[0].parallel.map((c) => c.command)).toEqual(['e2e [SHARD=1]', 'e2e [SHARD=2]', 'unit']);
+    expect(expanded.phases[1].parallel[0].needs).toEqual(['e2e [SHARD=1]', 'e2e [SHARD=2]', 'unit']);
+    // The loaded config itself is left alone.
+    expect(config.phases[0].parallel).toHaveLength(2);
+  });
+
+  test('returns a config without a matrix as is, and expands legacy arrays', () => {
+    const plain = { phases: [{ name: 'p', parallel: [{ command: 'a' }] }] };
+    expect(expandMatrices(plain)).toBe(plain);
+    expect(expandMatrices([{ command: 'a', matrix: { N: [1, 2] } }]).map((c) => c.command)).toEqual(['a [N=1]', 'a [N=2]']);
+  });
+});
+
+describe('groupMatrixCells', () => {
+  test('groups cells by matrix and combines their outcomes', () => {
+    const cell = (n, success) => ({ command: `e2e [N=${n}]`, phase: 'test', success, matrix: { command: 'e2e', values: { N: n } } });
+    const groups = groupMatrixCells([cell(1, true), { command: 'unit', success: false }, cell(2, false), cell(3, null)]);
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ command: 'e2e', phase: 'test', success: null });
+    expect(groups[0].cells.map((c) => c.command)).toEqual(['e2e [N=1]', 'e2e [N=2]', 'e2e [N=3]']);
+    expect(groupMatrixCells([cell(1, true), cell(2, false)])[0].success).toBe(false);
+  });
+});
@@ -1,5 +1,6 @@
+import os from 'os';
 import { log as defaultLogger } from './logger.js';
-import { availableMemoryRatio } from './host-memory.js';
+import { availableMemoryRatio, totalMemoryBytes, swapUsedRatio } from './host-memory.js';
 
 /**
  * @file memory-governor.js
@@ -27,6 +28,16 @@ import { availableMemoryRatio } from './host-memory.js';
  *
  * Both guards read live `os.freemem()/os.totalmem()`. All time/memory sources are injectable so the
  * logic is deterministic under test.
+ *
+ * Free RAM only drops once a command has ramped up, so a floor alone admits two heavy toolchains
+ * started a moment apart. With `reserve` on, admission also counts what the running commands are
+ * still expected to claim: each command with a known peak (a declared `memory_mb`, or its `memoryKb`
+ * from the previous run) reserves it on dispatch, and the next command is held until the reservations
+ * still outstanding plus its own peak fit in available RAM above the admission floor.
+ *
+ * A log line is poor evidence after the fact, so while the watchdog runs it also records a compact
+ * host timeline — available RAM, swap, load average and the number of commands in flight at each
+ * poll — with markers where admission held a command or the watchdog fired (see timeline()).
  */
 
 export const MEMORY_GUARD_DEFAULTS = Object.freeze({
@@ -45,8 +56,48 @@ export const MEMORY_GUARD_DEFAULTS = Object.freeze({
   // external (another process on the box) and may never clear; rather than deadlock the run we admit
   // with a warning once this elapses.
   maxHoldMs: 120000,
+  // Reserve each command's expected peak on dispatch and admit the next one only when the projected
+  // total fits (see admit()). Commands with no known peak reserve nothing.
+  reserve: true,
+  // What the watchdog does first: 'abort' the run, or 'requeue' — kill one command to shed its memory,
+  // rerun it once the others finish, and abort only if pressure persists after that.
+  on_critical: 'abort',
+  // Record the host timeline (see timeline()) on each watchdog poll.
+  timeline: true,
 });
 
+export const ON_CRITICAL_POLICIES = ['abort', 'requeue'];
+
+// Columns of each host timeline point. `availablePct` and `swapPct` are whole percentages, `load1` the
+// 1-minute load average; a value the host can't report is null.
+export const HOST_TIMELINE_FIELDS = ['t', 'availablePct', 'swapPct', 'load1', 'running'];
+// Once the timeline holds this many points, neighbouring ones are merged (keeping the worst of each
+// pair), so a long run keeps its whole shape at a coarser grain.
+const TIMELINE_MAX_POINTS = 240;
+
+const worst = (a, b, pick) => (a == null ? b : b == null ? a : pick(a, b));
+
+// Halve a host timeline: the earlier offset, the lower available RAM, the higher swap, load and count.
+function mergeHostPoints(points) {
+  const merged = [];
+  for (let i = 0; i < points.length; i += 2) {
+    const [t, avail, swap, load, running] = points[i];
+    const next = points[i + 1];
+    merged.push(
+      next
+        ? [
+          t,
+          worst(avail, next[1], Math.min),
+          worst(swap, next[2], Math.max),
+          worst(load, next[3], Math.max),
+          worst(running, next[4], Math.max),
+        ]
+        : points[i],
+    );
+  }
+  return merged;
+}
+
 const toFraction = (value, fallback) => {
   const n = Number(value);
   if (!Number.isFinite(n) || n <= 0 || n >= 1) return fallback;
@@ -80,9 +131,15 @@ export function resolveMemoryGuard(value) {
     sustainedMs: toPositiveMs(value.sustainedMs, d.sustainedMs),
     pollMs: toPositiveMs(value.pollMs, d.pollMs) || d.pollMs,
     maxHoldMs: toPositiveMs(value.maxHoldMs, d.maxHoldMs),
+    reserve: value.reserve !== false,
+    on_critical: ON_CRITICAL_POLICIES.includes(value.on_critical) ? value.on_critical : d.on_critical,
+    timeline: value.timeline !== false,
   };
 }
 
+// MB up to a gigabyte, then GB, for the reservation log lines.
+const formatKb = (kb) => (kb < 1024 * 1024 ? `${Math.round(kb / 1024)} MB` : `${(kb / 1024 / 1024).toFixed(1)} GB`);
+
 export class MemoryGovernor {
   /**
    * @param {object|boolean} options - a `memory_guard` config value (see resolveMemoryGuard).
@@ -92,6 +149,12 @@ export class MemoryGovernor {
    * @param {Function} [deps.now]         - () => current epoch ms.
    * @param {Function} [deps.setTimeoutFn]   - (fn, ms) => timer handle.
    * @param {Function} [deps.clearTimeoutFn] - (handle) => void.
+   * @param {Function} [deps.totalKbFn]   - () => total host RAM in KB.
+   * @param {Function} [deps.usedKbFn]    - (key) => peak KB a running command has reached so far, or
+   *   null when unknown; what it has already claimed no longer counts against its reservation.
+   * @param {Function} [deps.swapRatioFn] - () => fraction of swap in use, or null.
+   * @param {Function} [deps.loadFn]      - () => 1-minute load average, or null.
+   * @param {Function} [deps.runningFn]   - () => how many commands are in flight, or null.
    */
   constructor(options = {}, deps = {}) {
     this.opts = resolveMemoryGuard(options);
@@ -103,10 +166,23 @@ export class MemoryGovernor {
     this._now = deps.now ?? (() => Date.now());
     this._setTimeout = deps.setTimeoutFn ?? ((fn, ms) => setTimeout(fn, ms));
     this._clearTimeout = deps.clearTimeoutFn ?? ((t) => clearTimeout(t));
+    this._totalKbFn = deps.totalKbFn ?? (() => totalMemoryBytes() / 1024);
+    this.usedKbFn = deps.usedKbFn ?? null;
+    this._swapRatioFn = deps.swapRatioFn ?? swapUsedRatio;
+    // os.loadavg() is all zeros on Windows, which has no load average to report.
+    this._loadFn = deps.loadFn ?? (() => (process.platform === 'win32' ? null : os.loadavg()[0]));
+    this.runningFn = deps.runningFn ?? null;
+
+    this.reservations = new Map(); // command -> expected peak KB, while it runs
 
     this._watchTimer = null;
     this._belowSince = null; // epoch ms when free RAM first dropped under the critical floor
     this._aborted = false;
+    this._shedAwaitingRecovery = false; // a command was shed and free RAM has not recovered since
+
+    this._timelineStart = null; // epoch ms of the first timeline sample
+    this._points = [];
+    this._markers = [];
   }
 
   get enabled() {
@@ -148,6 +224,7 @@ export class MemoryGovernor {
 
     const floorPct = Math.round(this.opts.minFreeRatio * 100);
     const start = this._now();
+    this.mark('hold');
     this.logger.info(
       `🧠 [memory-guard] holding next command — available RAM ${this.freePercent()}% < admission floor ${floorPct}% (${inFlight} running)`,
     );
@@ -159,15 +236,162 @@ export class MemoryGovernor {
           `🧠 [memory-guard] available RAM still ${this.freePercent()}% after holding ${Math.round(waited / 1000)}s; ` +
             'admitting anyway (pressure looks external and may not clear).',
         );
+        this.mark('admit');
         return;
       }
       await this._sleep(this.opts.pollMs);
     }
+    this.mark('admit');
     this.logger.info(
       `🧠 [memory-guard] available RAM recovered to ${this.freePercent()}% — releasing held command.`,
     );
   }
 
+  /**
+   * KB the running commands may still claim: each reservation less the peak its command has already
+   * reached (that part is in use, so available RAM already reflects it).
+   */
+  outstandingKb() {
+    let total = 0;
+    for (const [key, reservedKb] of this.reservations) {
+      const usedKb = this.usedKbFn ? Number(this.usedKbFn(key)) || 0 : 0;
+      total += Math.max(0, reservedKb - usedKb);
+    }
+    return total;
+  }
+
+  // Whether `expectedKb` more fits next to the outstanding reservations, keeping the admission floor free.
+  _projection(expectedKb) {
+    const totalKb = this._totalKbFn();
+    const spareKb = (this.freeRatio() - this.opts.minFreeRatio) * totalKb;
+    const outstandingKb = this.outstandingKb();
+    return { fits: outstandingKb + expectedKb <= spareKb, outstandingKb, spareKb };
+  }
+
+  /**
+   * Reservation-based admission gate. Holds `key` until its expected peak fits next to what the
+   * running commands have reserved, then reserves it until release(key). Without an estimate it
+   * still waits for the outstanding reservations to fit, which on an otherwise idle box is exactly
+   * waitForHeadroom(). Like that gate it never holds the first/only in-flight command, and admits
+   * anyway once `maxHoldMs` elapses.
+   *
+   * @param {string} key - The command (used in log lines and by `usedKbFn`).
+   * @param {number|null} expectedKb - Its expected peak, or null when unknown.
+   * @param {number} inFlight - How many commands are already running.
+   * @returns {Promise<{ reservedKb: number|null, heldMs: number }|null>} null when the guard is off or
+   *   not reserving.
+   */
+  async admit(key, expectedKb, inFlight) {
+    if (!this.opts.enabled) return null;
+    if (!this.opts.reserve) {
+      await this.waitForHeadroom(inFlight);
+      return null;
+    }
+    const needKb = expectedKb > 0 ? expectedKb : 0;
+    // A reserved command counts as running even before its caller has counted it in `inFlight`: pool
+    // workers admitted in the same tick all still see the count from before any of them started.
+    const running = Math.max(inFlight, this.reservations.size);
+    const start = this._now();
+    let held = false;
+    let gaveUp = false;
+    for (;;) {
+      const projection = this._projection(needKb);
+      if (running <= 0 || projection.fits) break;
+      const waited = this._now() - start;
+      if (!held) {
+        held = true;
+        this.mark('hold', key);
+        this.logger.info(
+          `🧠 [memory-guard] holding ${key} — needs ~${formatKb(needKb)}, ${formatKb(projection.outstandingKb)} ` +
+            `still reserved by running commands, ${formatKb(Math.max(0, projection.spareKb))} available above ` +
+            `the ${Math.round(this.opts.minFreeRatio * 100)}% floor (${running} running)`,
+        );
+      } else if (waited >= this.opts.maxHoldMs) {
+        this.logger.warn(
+          `🧠 [memory-guard] ${key} still does not fit after holding ${Math.round(waited / 1000)}s; admitting anyway.`,
+        );
+        gaveUp = true;
+        break;
+      }
+      await this._sleep(this.opts.pollMs);
+    }
+    // No await between the check above and this reservation, so two commands released by the same
+    // poll cannot both count on the same headroom.
+    if (needKb > 0) this.reservations.set(key, needKb);
+    const heldMs = held ? this._now() - start : 0;
+    if (held) this.mark('admit', key);
+    if (held && !gaveUp) {
+      this.logger.info(`🧠 [memory-guard] admitting ${key} after ${Math.round(heldMs / 1000)}s.`);
+    }
+    if (needKb > 0) {
+      this.logger.verbose(`🧠 [memory-guard] reserved ~${formatKb(needKb)} for ${key}`);
+    }
+    return { reservedKb: needKb > 0 ? needKb : null, heldMs };
+  }
+
+  /** Drop `key`'s reservation once it has finished. */
+  release(key) {
+    this.reservations.delete(key);
+  }
+
+  /**
+   * Record one host timeline sample. Called on every watchdog poll; no-op with `timeline: false`.
+   */
+  sampleHost(nowTs = this._now()) {
+    if (!this.opts.timeline) return;
+    if (this._timelineStart == null) this._timelineStart = nowTs;
+    const read = (fn) => {
+      try {
+        const v = fn?.();
+        return v == null || !Number.isFinite(Number(v)) ? null : Number(v);
+      } catch {
+        return null;
+      }
+    };
+    const swap = read(this._swapRatioFn);
+    const load = read(this._loadFn);
+    this._points.push([
+      nowTs - this._timelineStart,
+      this.freePercent(),
+      swap == null ? null : Math.round(swap * 100),
+      load == null ? null : Math.round(load * 100) / 100,
+      read(this.runningFn),
+    ]);
+    if (this._points.length > TIMELINE_MAX_POINTS) this._points = mergeHostPoints(this._points);
+  }
+
+  /**
+   * Mark a guard event on the host timeline: `hold` / `admit` for admission, `critical` each time the
+   * watchdog fires, and `shed` for the command the caller stopped under `on_critical: 'requeue'`.
+   *
+   * @param {'hold'|'admit'|'critical'|'shed'} type
+   * @param {string} [command]
+   */
+  mark(type, command) {
+    if (!this.opts.timeline) return;
+    const nowTs = this._now();
+    if (this._timelineStart == null) this._timelineStart = nowTs;
+    this._markers.push({ t: nowTs - this._timelineStart, type, ...(command ? { command } : {}) });
+  }
+
+  /**
+   * The host timeline recorded so far, for the results JSON, or null before the first sample.
+   * `points` are arrays in HOST_TIMELINE_FIELDS order, `t` in ms since `startedAt`.
+   *
+   * @returns {{ startedAt: string, intervalMs: number, fields: string[], points: Array<Array<number|null>>,
+   *   markers: Array<{ t: number, type: string, command?: string }> }|null}
+   */
+  timeline() {
+    if (this._points.length === 0) return null;
+    return {
+      startedAt: new Date(this._timelineStart).toISOString(),
+      intervalMs: this.opts.pollMs,
+      fields: HOST_TIMELINE_FIELDS,
+      points: this._points.map((point) => point.slice()),
+      markers: this._markers.map((marker) => ({ ...marker })),
+    };
+  }
+
   /**
    * Evaluate the abort condition for a single watchdog sample. Updates the "below since" timestamp
    * and returns true when free RAM has stayed under the critical floor for at least `sustainedMs`.
@@ -183,31 +407,51 @@ export class MemoryGovernor {
   }
 
   /**
-   * Start the abort watchdog. `onCritical({ freePercent, sustainedMs })` is invoked at most once,
-   * when free RAM has stayed under the critical floor for the sustained window. The caller is
-   * responsible for killing the child tree and exiting; the watchdog stops itself before firing.
-   * No-op when the guard is disabled.
+   * Start the abort watchdog. `onCritical({ freePercent, sustainedMs, shed })` is invoked when free RAM
+   * has stayed under the critical floor for the sustained window. Under `on_critical: 'abort'` `shed`
+   * is false and the handler is called at most once: the caller kills the child tree and exits, and
+   * the watchdog stops itself before firing. Under 'requeue' `shed` is true and the handler may free
+   * memory by stopping a single command instead, returning true when it did; the watchdog then starts
+   * a new sustained window, and should pressure persist through it without recovering, fires again
+   * with `shed: false`. No-op when the guard is disabled.
    */
   startWatchdog(onCritical) {
     if (!this.opts.enabled || this._watchTimer) return;
     const tick = () => {
       this._watchTimer = null;
       if (this._aborted) return;
+      this.sampleHost();
       if (this._evaluateAbort()) {
-        this._aborted = true;
         const info = {
           freePercent: this.freePercent(),
           sustainedMs: this.opts.sustainedMs,
+          shed: this.opts.on_critical === 'requeue' && !this._shedAwaitingRecovery,
         };
+        this.mark('critical');
+        let shed = false;
         try {
-          onCritical(info);
+          shed = onCritical(info) === true && info.shed;
         } catch {
           // The abort handler exits the process; never let an error here keep the box wedged.
         }
+        if (shed) {
+          this._belowSince = null;
+          this._shedAwaitingRecovery = true;
+          this._arm(tick);
+        } else {
+          this._aborted = true;
+        }
         return;
       }
+      // Free RAM climbed back over the critical floor: a later squeeze may shed again.
+      if (this._belowSince == null) this._shedAwaitingRecovery = false;
       this._arm(tick);
     };
+    // Each run starts its watchdog afresh (a --watch iteration too), and gets a timeline of its own.
+    this._timelineStart = null;
+    this._points = [];
+    this._markers = [];
+    this.sampleHost();
     this._arm(tick);
   }
 
@@ -222,6 +466,8 @@ export class MemoryGovernor {
   /** Stop scheduling further watchdog samples. */
   stopWatchdog() {
     if (this._watchTimer) {
+      // A last sample, so the timeline reaches the end of the run rather than the previous poll.
+      this.sampleHost();
       this._clearTimeout(this._watchTimer);
       this._watchTimer = null;
     }
@@ -230,9 +476,11 @@ export class MemoryGovernor {
   /** One-line summary of the active thresholds, for the run header. */
   describe() {
     if (!this.opts.enabled) return 'memory-guard: disabled';
+    const onCritical = this.opts.on_critical === 'requeue' ? 'requeue one command, then abort,' : 'abort';
     return (
       `memory-guard: hold next command below ${Math.round(this.opts.minFreeRatio * 100)}% available RAM, ` +
-      `abort below ${Math.round(this.opts.abortFreeRatio * 100)}% for ${Math.round(this.opts.sustainedMs / 1000)}s`
+      `${onCritical} below ${Math.round(this.opts.abortFreeRatio * 100)}% for ${Math.round(this.opts.sustainedMs / 1000)}s` +
+      (this.opts.reserve ? ', reserving each command\'s expected peak' : '')
     );
   }
 }
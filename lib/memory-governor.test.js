@@ -6,12 +6,14 @@ const silentLogger = { info() {}, warn() {}, error() {}, verbose() {} };
 // clock by the requested amount, so admission loops are deterministic with no real timers. `ratio`
 // is either a fixed number or a function of the current virtual time — keyed on time (not call
 // count) so it's robust to how many times the implementation reads free RAM per iteration.
-const makeGovernor = (opts, { ratio } = {}) => {
+const makeGovernor = (opts, { ratio, totalKb = 1000000, usedKb = null } = {}) => {
   let nowMs = 0;
   const freeRatioFn = () => (typeof ratio === 'function' ? ratio(nowMs) : ratio ?? 1);
   const gov = new MemoryGovernor(opts, {
     logger: silentLogger,
     freeRatioFn,
+    totalKbFn: () => totalKb,
+    usedKbFn: usedKb && ((key) => usedKb(key, nowMs)),
     now: () => nowMs,
     // setTimeout used only by _sleep here: advance the virtual clock and fire synchronously.
     setTimeoutFn: (fn, ms) => {
@@ -52,6 +54,11 @@ describe('resolveMemoryGuard', () => {
     expect(r.sustainedMs).toBe(MEMORY_GUARD_DEFAULTS.sustainedMs);
   });
 
+  test('on_critical accepts abort or requeue and falls back to abort', () => {
+    expect(resolveMemoryGuard({ on_critical: 'requeue' }).on_critical).toBe('requeue');
+    expect(resolveMemoryGuard({ on_critical: 'shed' }).on_critical).toBe('abort');
+  });
+
   test('{ enabled: false } overlay keeps the guard off', () => {
     expect(resolveMemoryGuard({ enabled: false }).enabled).toBe(false);
   });
@@ -99,6 +106,49 @@ describe('MemoryGovernor.waitForHeadroom (admission)', () => {
   });
 });
 
+describe('MemoryGovernor.admit (reservations)', () => {
+  // 1,000,000 KB of RAM with 65% available: 500,000 KB to spare above the 15% floor.
+  const opts = { minFreeRatio: 0.15, pollMs: 1000, maxHoldMs: 60000 };
+
+  test('reserves a known peak and admits the next command while the projected total fits', async () => {
+    const { gov, now } = makeGovernor(opts, { ratio: 0.65 });
+    expect(await gov.admit('build', 300000, 0)).toEqual({ reservedKb: 300000, heldMs: 0 });
+    expect(await gov.admit('lint', 200000, 1)).toEqual({ reservedKb: 200000, heldMs: 0 });
+    expect(await gov.admit('docs', null, 2)).toEqual({ reservedKb: null, heldMs: 0 });
+    expect(gov.outstandingKb()).toBe(500000);
+    expect(now()).toBe(0);
+  });
+
+  test('holds a command until the running reservations are used up or released', async () => {
+    // build reaches its expected peak at t=3000, so its reservation no longer counts.
+    const { gov, now } = makeGovernor(opts, {
+      ratio: 0.65,
+      usedKb: (key, t) => (key === 'build' && t >= 3000 ? 400000 : 0),
+    });
+    await gov.admit('build', 400000, 0);
+    expect(await gov.admit('test', 200000, 1)).toEqual({ reservedKb: 200000, heldMs: 3000 });
+    expect(now()).toBe(3000);
+
+    gov.release('test');
+    expect(gov.reservations.has('test')).toBe(false);
+  });
+
+  test('never holds the first command, and gives up after maxHoldMs', async () => {
+    const { gov, now } = makeGovernor({ ...opts, maxHoldMs: 5000 }, { ratio: 0.65 });
+    expect(await gov.admit('e2e', 900000, 0)).toEqual({ reservedKb: 900000, heldMs: 0 });
+    const admission = await gov.admit('build', 100000, 1);
+    expect(admission.heldMs).toBeGreaterThanOrEqual(5000);
+    expect(now()).toBeLessThanOrEqual(7000);
+  });
+
+  test('with reserve: false it only applies the admission floor', async () => {
+    const { gov, now } = makeGovernor({ ...opts, reserve: false }, { ratio: (t) => (t < 2000 ? 0.1 : 0.65) });
+    expect(await gov.admit('build', 900000, 1)).toBeNull();
+    expect(gov.reservations.size).toBe(0);
+    expect(now()).toBe(2000);
+  });
+});
+
 describe('MemoryGovernor._evaluateAbort (watchdog condition)', () => {
   test('does not abort while free RAM is above the critical floor', () => {
     const { gov } = makeGovernor({ abortFreeRatio: 0.05, sustainedMs: 10000 }, { ratio: 0.5 });
@@ -168,6 +218,49 @@ describe('MemoryGovernor.startWatchdog', () => {
     expect(pending).toBeNull(); // did not re-arm after firing
   });
 
+  test('on_critical: \'requeue\' sheds first and aborts only if pressure persists without recovering', () => {
+    let nowMs = 0;
+    let ratio = 0.01;
+    let pending = null;
+    const gov = new MemoryGovernor(
+      { abortFreeRatio: 0.05, sustainedMs: 4000, pollMs: 2000, on_critical: 'requeue' },
+      {
+        logger: silentLogger,
+        freeRatioFn: () => ratio,
+        now: () => nowMs,
+        setTimeoutFn: (fn) => {
+          nowMs += 2000;
+          pending = fn;
+          return { unref() {} };
+        },
+        clearTimeoutFn: () => {},
+      },
+    );
+    const calls = [];
+    gov.startWatchdog((info) => {
+      calls.push(info.shed);
+      return true; // a command was shed
+    });
+    const step = (n) => {
+      for (let i = 0; i < n && pending; i += 1) {
+        const fn = pending;
+        pending = null;
+        fn();
+      }
+    };
+
+    step(3); // critical from t=2000, sustained at t=6000 -> shed
+    expect(calls).toEqual([true]);
+    ratio = 0.5;
+    step(1); // recovered: the next squeeze may shed again
+    ratio = 0.01;
+    step(3);
+    expect(calls).toEqual([true, true]);
+    step(3); // still critical a full window after shedding -> abort
+    expect(calls).toEqual([true, true, false]);
+    expect(pending).toBeNull();
+  });
+
   test('disabled guard never arms the watchdog', () => {
     let armed = false;
     const gov = new MemoryGovernor(false, {
@@ -182,3 +275,87 @@ describe('MemoryGovernor.startWatchdog', () => {
     expect(armed).toBe(false);
   });
 });
+
+describe('MemoryGovernor host timeline', () => {
+  // A watchdog on a virtual clock whose host readings follow `host(nowMs)`; `step(n)` fires n polls.
+  const makeWatched = (opts, host) => {
+    let nowMs = 1000;
+    let pending = null;
+    const gov = new MemoryGovernor(
+      { abortFreeRatio: 0.05, sustainedMs: 4000, pollMs: 2000, ...opts },
+      {
+        logger: silentLogger,
+        freeRatioFn: () => host(nowMs).free,
+        swapRatioFn: () => host(nowMs).swap,
+        loadFn: () => host(nowMs).load,
+        runningFn: () => host(nowMs).running,
+        totalKbFn: () => 1000000,
+        now: () => nowMs,
+        setTimeoutFn: (fn) => {
+          pending = () => {
+            nowMs += 2000;
+            fn();
+          };
+          return { unref() {} };
+        },
+        clearTimeoutFn: () => {
+          pending = null;
+        },
+      },
+    );
+    const step = (n) => {
+      for (let i = 0; i < n && pending; i += 1) pending();
+    };
+    return { gov, step };
+  };
+
+  test('samples the host on every poll and marks holds and the watchdog firing', async () => {
+    const { gov, step } = makeWatched({}, (nowMs) =>
+      nowMs < 5000 ? { free: 0.5, swap: 0, load: 1.234, running: 1 } : { free: 0.02, swap: 0.3, load: 6, running: 2 },
+    );
+    expect(gov.timeline()).toBeNull();
+    gov.startWatchdog(() => {});
+    step(1);
+    gov.mark('hold', 'e2e');
+    step(4); // critical from t=5000, sustained at t=9000
+
+    expect(gov.timeline()).toEqual({
+      startedAt: new Date(1000).toISOString(),
+      intervalMs: 2000,
+      fields: ['t', 'availablePct', 'swapPct', 'load1', 'running'],
+      points: [
+        [0, 50, 0, 1.23, 1],
+        [2000, 50, 0, 1.23, 1],
+        [4000, 2, 30, 6, 2],
+        [6000, 2, 30, 6, 2],
+        [8000, 2, 30, 6, 2],
+      ],
+      markers: [
+        { t: 2000, type: 'hold', command: 'e2e' },
+        { t: 8000, type: 'critical' },
+      ],
+    });
+  });
+
+  test('merges neighbouring points into the worst of each pair once it fills up', () => {
+    // Alternate polls: 60% available and load 1, then 40% and load 0.
+    const { gov, step } = makeWatched({}, (nowMs) => {
+      const odd = ((nowMs - 1000) / 2000) % 2 === 1;
+      return { free: odd ? 0.4 : 0.6, swap: null, load: odd ? 0 : 1, running: 1 };
+    });
+    gov.startWatchdog(() => {});
+    step(240);
+    const { points } = gov.timeline();
+    expect(points).toHaveLength(121);
+    expect(points[0]).toEqual([0, 40, null, 1, 1]);
+    expect(points[1][0]).toBe(4000);
+  });
+
+  test('timeline: false records nothing', () => {
+    const { gov, step } = makeWatched({ timeline: false }, () => ({ free: 0.5, swap: 0, load: 1, running: 1 }));
+    gov.startWatchdog(() => {});
+    step(2);
+    gov.mark('hold', 'e2e');
+    expect(gov.timeline()).toBeNull();
+  });
+});
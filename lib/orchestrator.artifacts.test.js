@@ -0,0 +1,70 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Orchestrator } from './orchestrator.js';
+import { withFastTimers, silentLogger, stubProcessManager } from './orchestrator.test-helpers.js';
+
+// These tests cover collecting a command's `artifacts` once it finishes: matching files are copied
+// into the run's log directory and listed in its result entry, and `when: 'on-failure'` only collects
+// for a failed command. The process manager is stubbed; its commands write their "reports" into a
+// temporary working directory.
+
+let dir;
+let prevCwd;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orch-artifacts-'));
+  prevCwd = process.cwd();
+  process.chdir(dir);
+});
+afterEach(() => {
+  process.chdir(prevCwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function run(parallel, { fail = [] } = {}) {
+  const config = { memory_guard: false, history: false, phases: [{ name: 'checks', parallel }] };
+  const orch = new Orchestrator(config, null, dir, null, false, true, [], path.join(dir, 'results.json'));
+  orch.gitCache.updateCache = async () => {};
+  orch.gitCache.getCurrentCommitHash = async () => null;
+  orch.logger = silentLogger;
+  orch.processManager = stubProcessManager({
+    runDir: null,
+    getLogPath: (name) => path.join(dir, `${name}.log`),
+    runCommand: async ({ cmd }) => {
+      fs.mkdirSync(path.join(dir, `${cmd}-report`, 'data'), { recursive: true });
+      fs.writeFileSync(path.join(dir, `${cmd}-report`, 'index.html'), '<html>');
+      fs.writeFileSync(path.join(dir, `${cmd}-report`, 'data', 'trace.zip'), 'zip');
+      return { success: !fail.includes(cmd), output: '', durationMs: 1, memoryKb: null };
+    },
+  });
+  return withFastTimers(() => orch.run({ exit: false }));
+}
+
+describe('Orchestrator artifacts', () => {
+  test('copies a finished command\'s artifacts into the run directory and lists them', async () => {
+    const payload = await run([{ command: 'e2e', artifacts: ['e2e-report/**'] }], { fail: ['e2e'] });
+    const artifactsDir = path.join('scripts-orchestrator-logs', 'runs', payload.runId, 'artifacts', 'e2e');
+
+    expect(payload.commands[0].artifacts).toEqual({
+      dir: artifactsDir,
+      files: [
+        { path: path.join(artifactsDir, 'e2e-report', 'data', 'trace.zip'), size: 3 },
+        { path: path.join(artifactsDir, 'e2e-report', 'index.html'), size: 6 },
+      ],
+      totalBytes: 9,
+    });
+    expect(fs.readFileSync(path.join(dir, artifactsDir, 'e2e-report', 'index.html'), 'utf8')).toBe('<html>');
+  });
+
+  test('when: on-failure leaves a passing command\'s artifacts alone', async () => {
+    const payload = await run(
+      [
+        { command: 'unit', artifacts: { paths: 'unit-report/**', when: 'on-failure' } },
+        { command: 'e2e', artifacts: { paths: 'e2e-report/**', when: 'on-failure' } },
+      ],
+      { fail: ['e2e'] },
+    );
+    expect(payload.commands[0]).not.toHaveProperty('artifacts');
+    expect(payload.commands[1].artifacts.files).toHaveLength(2);
+  });
+});
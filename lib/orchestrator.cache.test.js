@@ -0,0 +1,83 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Orchestrator } from './orchestrator.js';
+
+// These tests cover the orchestrator side of the per-command content-hash cache: a command with
+// `inputs` that passed is replayed (not run) while its inputs are unchanged, is run again once they
+// change or under --force, and is reported as `cached` in its result entry. Keys and storage are
+// covered in command-cache.test.js.
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-cache-'));
+  fs.writeFileSync(path.join(dir, 'a.js'), 'one');
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function makeOrchestrator({ force = false } = {}) {
+  const orch = new Orchestrator({ memory_guard: false, phases: [] }, null, dir, null, false, force);
+  orch._writePartialResults = () => {};
+  const events = [];
+  orch._appendEvent = (type, data) => events.push({ type, ...data });
+  const noop = () => {};
+  orch.logger = new Proxy({}, { get: () => noop });
+  const runs = [];
+  orch.processManager = {
+    getLogPath: (c) => path.join(dir, 'logs', `${c}.log`),
+    runCommand: async ({ cmd }) => {
+      runs.push(cmd);
+      fs.mkdirSync(path.join(dir, 'logs'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'logs', `${cmd}.log`), `output of run ${runs.length}`);
+      return { success: !cmd.startsWith('fail'), output: '', durationMs: 1, memoryKb: null };
+    },
+    cleanupCommand: async () => {},
+  };
+  return { orch, runs, events };
+}
+
+// Inputs are resolved against the working directory, so point at the temp file relatively.
+const build = () => ({ command: 'build', inputs: [path.relative(process.cwd(), path.join(dir, 'a.js'))] });
+
+describe('Orchestrator command cache', () => {
+  test('replays a passing command while its inputs are unchanged', async () => {
+    const first = makeOrchestrator();
+    expect(await first.orch.executeCommand(build())).toBe(true);
+    expect(first.runs).toEqual(['build']);
+    expect(first.orch._resultEntry('build').cached).toBeUndefined();
+
+    fs.writeFileSync(path.join(dir, 'logs', 'build.log'), 'overwritten');
+    const second = makeOrchestrator();
+    expect(await second.orch.executeCommand(build())).toBe(true);
+    expect(second.runs).toEqual([]);
+    expect(second.orch._resultEntry('build')).toMatchObject({ success: true, cached: true });
+    // The stored log is put back where the command's log normally lands.
+    expect(fs.readFileSync(path.join(dir, 'logs', 'build.log'), 'utf8')).toBe('output of run 1');
+    expect(second.events.find((e) => e.type === 'command_end')).toMatchObject({ status: 'cached', success: true });
+  });
+
+  test('runs again when an input changes, and under --force', async () => {
+    await makeOrchestrator().orch.executeCommand(build());
+    fs.writeFileSync(path.join(dir, 'a.js'), 'two');
+    const changed = makeOrchestrator();
+    await changed.orch.executeCommand(build());
+    expect(changed.runs).toEqual(['build']);
+
+    const forced = makeOrchestrator({ force: true });
+    await forced.orch.executeCommand(build());
+    expect(forced.runs).toEqual(['build']);
+  });
+
+  test('never caches failures or background services', async () => {
+    const fail = { ...build(), command: 'fail-build' };
+    await makeOrchestrator().orch.executeCommand(fail);
+    const again = makeOrchestrator();
+    await again.orch.executeCommand(fail);
+    expect(again.runs).toEqual(['fail-build']);
+
+    expect(makeOrchestrator().orch._commandCacheKey({ ...build(), background: true })).toBeNull();
+    expect(makeOrchestrator().orch._commandCacheKey({ command: 'build' })).toBeNull();
+  });
+});
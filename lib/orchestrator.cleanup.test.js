@@ -1,4 +1,5 @@
 import { Orchestrator } from './orchestrator.js';
+import { useTempLogFolder } from './orchestrator.test-helpers.js';
 
 // These tests verify the phase-teardown wiring: that the orchestrator tears down each phase's
 // background dependencies (e.g. a `npm run dev` server) at the end of the phase — on both success
@@ -22,8 +23,10 @@ function withMockedExit(fn) {
     .then(() => codes);
 }
 
+const logFolder = useTempLogFolder();
+
 function makeOrchestrator(config) {
-  const orch = new Orchestrator({ memory_guard: false, ...config });
+  const orch = new Orchestrator({ memory_guard: false, ...config }, null, logFolder());
   // Never gate on git state or write artifacts.
   orch.gitCache.shouldSkipExecution = async () => false;
   orch.gitCache.updateCache = async () => {};
@@ -1,5 +1,5 @@
-import os from 'os';
 import { Orchestrator } from './orchestrator.js';
+import { effectiveCpuCount } from './cgroup.js';
 
 // These tests exercise the pure concurrency math, so keep the host-memory guard out of it —
 // otherwise the admission gate would consult real os.freemem() and could hold on a memory-starved
@@ -10,7 +10,7 @@ const baseConfig = (extra = {}) => ({
   ...extra,
 });
 
-const cpuAuto = () => Math.max(1, os.cpus().length - 1);
+const cpuAuto = () => Math.max(1, effectiveCpuCount() - 1);
 
 describe('Orchestrator max concurrency resolution', () => {
   test('defaults to auto (cpuCount - 1) when nothing is configured', () => {
@@ -0,0 +1,56 @@
+import { Orchestrator } from './orchestrator.js';
+import { withFastTimers, silentLogger, stubProcessManager, useTempLogFolder } from './orchestrator.test-helpers.js';
+
+// These tests cover `cpu_guard`: while the host is contended, the next command of a phase waits for
+// the running ones instead of adding to the load. The pressure readings are stubbed: another job keeps
+// the host contended until the first command finishes.
+
+const logFolder = useTempLogFolder();
+
+function makeOrchestrator(cpuGuard, order) {
+  const config = {
+    memory_guard: false,
+    cpu_guard: cpuGuard,
+    max_concurrency: 2,
+    phases: [{ name: 'build', parallel: [{ command: 'build' }, { command: 'test' }] }],
+  };
+  const orch = new Orchestrator(config, null, logFolder(), null, false, true, []);
+  orch.gitCache.updateCache = async () => {};
+  orch.gitCache.getCurrentCommitHash = async () => null;
+  orch.logger = silentLogger;
+  orch.cpuGovernor.logger = orch.logger;
+  let contended = true;
+  orch.cpuGovernor.contention = () => (contended ? ['load 3.00/CPU > 1.5'] : []);
+  orch.processManager = stubProcessManager({
+    getLogPath: (name) => `/logs/${name}.log`,
+    runCommand: async ({ name }) => {
+      order.push(`start ${name}`);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      if (name === 'build') contended = false;
+      order.push(`end ${name}`);
+      return { success: true, output: '', durationMs: 20, memoryKb: null };
+    },
+  });
+  return orch;
+}
+
+describe('Orchestrator CPU guard', () => {
+  test('holds the next command while the host is contended', async () => {
+    const order = [];
+    const orch = makeOrchestrator({ pollMs: 1 }, order);
+    const payload = await withFastTimers(() => orch.run({ exit: false }));
+
+    expect(order).toEqual(['start build', 'end build', 'start test', 'end test']);
+    expect(payload.success).toBe(true);
+    expect(orch.cpuGovernor.admitted.size).toBe(0);
+  });
+
+  test('is off by default, so both commands start at once', async () => {
+    const order = [];
+    const orch = makeOrchestrator(undefined, order);
+    expect(orch.cpuGovernor.enabled).toBe(false);
+    await withFastTimers(() => orch.run({ exit: false }));
+
+    expect(order.slice(0, 2)).toEqual(['start build', 'start test']);
+  });
+});
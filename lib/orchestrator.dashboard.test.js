@@ -0,0 +1,109 @@
+import { Orchestrator } from './orchestrator.js';
+import { withFastTimers, silentLogger, stubProcessManager, useTempLogFolder } from './orchestrator.test-helpers.js';
+
+// These tests cover the orchestrator side of the --ui dashboard: events reach the dashboard, a
+// command stopped from it is restarted (same attempt) or failed (no further attempts), a failed one
+// can be retried while its phase runs, and a run without an interactive terminal keeps its plain
+// output. Drawing and keys are covered in dashboard.test.js.
+
+const logFolder = useTempLogFolder();
+
+function makeOrchestrator(results) {
+  const orch = new Orchestrator({ memory_guard: false, phases: [] });
+  orch._writePartialResults = () => {};
+  orch.logger = silentLogger;
+  const events = [];
+  orch.dashboard = { onEvent: (event) => events.push(event) };
+  const runs = [];
+  orch.processManager = stubProcessManager({
+    getLogPath: (c) => `/logs/${c}.log`,
+    runCommand: async ({ cmd, name }) => {
+      runs.push({ cmd, name });
+      return { durationMs: 1, memoryKb: null, output: '', ...results.shift() };
+    },
+  });
+  return { orch, runs, events };
+}
+
+describe('Orchestrator dashboard controls', () => {
+  test('a restarted command runs again without spending an attempt', async () => {
+    const { orch, runs, events } = makeOrchestrator([
+      { success: false, stoppedBy: 'restart' },
+      { success: true },
+    ]);
+    expect(await orch.executeCommand({ command: 'build', attempts: 1 })).toBe(true);
+    expect(runs).toEqual([
+      { cmd: 'build', name: 'build' },
+      { cmd: 'build', name: 'build' },
+    ]);
+    expect(events.map((e) => e.type)).toEqual(['command_start', 'command_retry', 'command_end']);
+    expect(events[1]).toMatchObject({ command: 'build', attempt: 1, reason: 'restart' });
+    expect(orch._resultEntry('build').success).toBe(true);
+  });
+
+  test('a killed command fails at once, with the reason in its result entry', async () => {
+    const { orch, runs } = makeOrchestrator([{ success: false, stoppedBy: 'killed' }, { success: true }]);
+    expect(await orch.executeCommand({ command: 'e2e', attempts: 3, retry_command: 'e2e:retry' })).toBe(false);
+    expect(runs).toHaveLength(1);
+    expect(orch._resultEntry('e2e')).toMatchObject({ success: false, failureReason: 'killed from the dashboard' });
+  });
+
+  test('ordinary retries are reported as command_retry events naming the config command', async () => {
+    const { orch, runs, events } = makeOrchestrator([{ success: false }, { success: true }]);
+    await withFastTimers(() => orch.executeCommand({ command: 'test', attempts: 2, retry_command: 'test:retry' }));
+    expect(runs).toEqual([
+      { cmd: 'test', name: 'test' },
+      { cmd: 'test:retry', name: 'test' },
+    ]);
+    expect(events.find((e) => e.type === 'command_retry')).toMatchObject({ attempt: 2, attempts: 2 });
+  });
+
+  test('a failed command retried while its phase runs counts with its new result', async () => {
+    const config = {
+      memory_guard: false,
+      max_concurrency: 2,
+      phases: [{ name: 'checks', parallel: [{ command: 'lint' }, { command: 'build' }] }],
+    };
+    const orch = new Orchestrator(config, null, logFolder(), null, false, true, []);
+    orch.gitCache.updateCache = async () => {};
+    orch.gitCache.getCurrentCommitHash = async () => null;
+    orch.logger = silentLogger;
+    let releaseBuild;
+    const lintResults = [false, true];
+    const runs = [];
+    orch.processManager = stubProcessManager({
+      getLogPath: (c) => `/logs/${c}.log`,
+      runCommand: async ({ name }) => {
+        runs.push(name);
+        if (name === 'build') await new Promise((resolve) => (releaseBuild = resolve));
+        return { success: name === 'build' || lintResults.shift(), output: '', durationMs: 1, memoryKb: null };
+      },
+    });
+    const retried = [];
+    orch.dashboard = {
+      start() {},
+      stop() {},
+      onEvent: (event) => {
+        if (event.type !== 'command_end') return;
+        if (event.command === 'lint' && !event.success) retried.push(orch.retryCommand('lint'));
+        if (event.command === 'lint' && event.success) releaseBuild();
+      },
+    };
+
+    const payload = await withFastTimers(() => orch.run({ exit: false }));
+    expect(runs).toEqual(['lint', 'build', 'lint']);
+    expect(retried).toEqual([true]);
+    expect(payload.success).toBe(true);
+    expect(payload.phases).toEqual([expect.objectContaining({ name: 'checks', success: true })]);
+  });
+
+  test('enableDashboard declines without an interactive terminal', () => {
+    const orch = new Orchestrator({ memory_guard: false, phases: [] });
+    const pm = orch.processManager;
+    const before = pm.ownProcessGroups;
+    expect(orch.enableDashboard({ stdin: { isTTY: false }, stdout: { isTTY: true } })).toBe(false);
+    expect(orch.enableDashboard({ stdin: { isTTY: true, setRawMode() {} }, stdout: { isTTY: undefined } })).toBe(false);
+    expect(orch.dashboard).toBeNull();
+    expect(pm.ownProcessGroups).toBe(before);
+  });
+});
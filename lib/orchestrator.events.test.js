@@ -0,0 +1,135 @@
+import { Orchestrator, MEMORY_ABORT_EXIT_CODE } from './orchestrator.js';
+import { withFastTimers, silentLogger, stubProcessManager, useTempLogFolder } from './orchestrator.test-helpers.js';
+
+// These tests cover embedding the orchestrator in another Node tool: run({ exit: false }) resolves
+// with the results payload (or rejects) instead of ending the process, and every run event is
+// emitted to in-process listeners as it happens. The process manager is stubbed; process.exit is
+// replaced with a function that fails the test if it is ever reached.
+
+const logFolder = useTempLogFolder();
+
+let realExit;
+beforeEach(() => {
+  realExit = process.exit;
+  process.exit = (code) => {
+    throw new Error(`process.exit(${code}) called from an embedded run`);
+  };
+});
+afterEach(() => {
+  process.exit = realExit;
+});
+
+const config = {
+  memory_guard: false,
+  phases: [
+    { name: 'checks', parallel: [{ command: 'lint' }] },
+    { name: 'tests', parallel: [{ command: 'unit' }] },
+  ],
+};
+
+function makeOrchestrator(cfg, { fail = [], beforeResult = null } = {}) {
+  const orch = new Orchestrator(cfg, null, logFolder(), null, false, true);
+  orch.gitCache.updateCache = async () => {};
+  orch.logger = silentLogger;
+  const runs = [];
+  orch.processManager = stubProcessManager({
+    getLogPath: (c) => `/logs/${c}.log`,
+    runCommand: async ({ cmd, onOutput }) => {
+      runs.push(cmd);
+      onOutput?.(`${cmd} says hi\n`, 'stdout');
+      if (beforeResult) await beforeResult(cmd);
+      return { success: !fail.includes(cmd), output: '', durationMs: 1, memoryKb: null };
+    },
+    killActiveForeground() {},
+  });
+  return { orch, runs };
+}
+
+describe('Orchestrator embedded run', () => {
+  test('emits each event to listeners and resolves with the results payload', async () => {
+    const { orch } = makeOrchestrator(config, { fail: ['unit'] });
+    const seen = [];
+    for (const name of ['run:start', 'phase:start', 'command:start', 'command:end', 'phase:end', 'run:end']) {
+      orch.on(name, (event) => seen.push([name, event.phase ?? event.command ?? null]));
+    }
+    const output = [];
+    orch.on('command:output', (event) => output.push(event));
+
+    const payload = await withFastTimers(() => orch.run({ exit: false }));
+
+    expect(payload).toMatchObject({
+      success: false,
+      commands: [
+        { command: 'lint', phase: 'checks', success: true },
+        { command: 'unit', phase: 'tests', success: false },
+      ],
+      phases: [
+        { name: 'checks', success: true },
+        { name: 'tests', success: false },
+      ],
+    });
+    expect(seen).toEqual([
+      ['run:start', null],
+      ['phase:start', 'checks'],
+      ['command:start', 'checks'],
+      ['command:end', 'checks'],
+      ['phase:end', 'checks'],
+      ['phase:start', 'tests'],
+      ['command:start', 'tests'],
+      ['command:end', 'tests'],
+      ['phase:end', 'tests'],
+      ['run:end', null],
+    ]);
+    expect(output).toEqual([
+      { command: 'lint', phase: 'checks', stream: 'stdout', chunk: 'lint says hi\n' },
+      { command: 'unit', phase: 'tests', stream: 'stdout', chunk: 'unit says hi\n' },
+    ]);
+  });
+
+  test('a throwing listener does not stop the run', async () => {
+    const { orch, runs } = makeOrchestrator(config);
+    orch.on('command:start', () => {
+      throw new Error('listener bug');
+    });
+    const payload = await withFastTimers(() => orch.run({ exit: false }));
+    expect(payload.success).toBe(true);
+    expect(runs).toEqual(['lint', 'unit']);
+  });
+
+  test('rejects instead of exiting when the start phase does not exist', async () => {
+    const { orch, runs } = makeOrchestrator(config);
+    orch.startPhase = 'deploy';
+    await expect(orch.run({ exit: false })).rejects.toMatchObject({
+      message: 'Start phase "deploy" not found. Available phases: checks, tests',
+      exitCode: 1,
+    });
+    expect(runs).toEqual([]);
+  });
+
+  test('a memory-guard abort starts nothing new and rejects with the abort exit code', async () => {
+    const { orch, runs } = makeOrchestrator(config, {
+      beforeResult: async (cmd) => {
+        if (cmd === 'lint') await orch._abortOnMemoryPressure({ freePercent: 2, sustainedMs: 10_000 });
+      },
+    });
+    const aborted = [];
+    orch.on('run:aborted', (event) => aborted.push(event.reason));
+
+    await expect(withFastTimers(() => orch.run({ exit: false }))).rejects.toMatchObject({
+      exitCode: MEMORY_ABORT_EXIT_CODE,
+    });
+    expect(runs).toEqual(['lint']);
+    expect(aborted).toEqual(['memory_pressure']);
+  });
+
+  test('an unchanged git state resolves as skipped', async () => {
+    const { orch, runs } = makeOrchestrator(config);
+    orch.force = false;
+    orch.gitCache.shouldSkipExecution = async () => true;
+    const ends = [];
+    orch.on('run:end', (event) => ends.push(event));
+    await expect(orch.run({ exit: false })).resolves.toMatchObject({ success: true, skipped: 'no_changes' });
+    expect(runs).toEqual([]);
+    expect(ends).toMatchObject([{ success: true, skipped: 'no_changes' }]);
+  });
+});
@@ -0,0 +1,64 @@
+import { Orchestrator } from './orchestrator.js';
+import { withFastTimers, silentLogger, stubProcessManager, useTempLogFolder } from './orchestrator.test-helpers.js';
+
+// These tests cover flaky commands — ones that fail and then pass on a retry — through
+// run({ exit: false }): the attempts are recorded and the pass is marked `flaky` in the results and
+// the command_end event, and `fail_on_flaky` turns it into a failure. The process manager is stubbed
+// and fails each command's first attempt when asked to.
+
+const logFolder = useTempLogFolder();
+
+function makeOrchestrator(extra = {}, { flaky = [] } = {}) {
+  const config = {
+    memory_guard: false,
+    phases: [
+      { name: 'checks', parallel: [{ command: 'lint' }, { command: 'e2e', attempts: 3 }] },
+      { name: 'deploy', parallel: [{ command: 'publish' }] },
+    ],
+    ...extra,
+  };
+  const orch = new Orchestrator(config, null, logFolder(), null, false, true);
+  orch.gitCache.updateCache = async () => {};
+  orch.logger = silentLogger;
+  const runs = [];
+  orch.processManager = stubProcessManager({
+    getLogPath: (name) => `/logs/${name}.log`,
+    runCommand: async ({ cmd }) => {
+      runs.push(cmd);
+      const firstAttempt = runs.filter((c) => c === cmd).length === 1;
+      return { success: !(firstAttempt && flaky.includes(cmd)), output: '', durationMs: 1, memoryKb: null };
+    },
+  });
+  const ends = [];
+  orch.on('command:end', (event) => ends.push(event));
+  return { orch, runs, ends };
+}
+
+describe('Orchestrator flaky commands', () => {
+  test('a pass after a failed attempt is reported as flaky, with its attempts', async () => {
+    const { orch, runs, ends } = makeOrchestrator({}, { flaky: ['e2e'] });
+    const payload = await withFastTimers(() => orch.run({ exit: false }));
+
+    expect(runs).toEqual(['lint', 'e2e', 'e2e', 'publish']);
+    expect(payload.success).toBe(true);
+    expect(payload.commands[1]).toMatchObject({ command: 'e2e', success: true, attempts: 2, flaky: true });
+    expect(payload.commands[0]).not.toHaveProperty('flaky');
+    expect(payload.commands[0]).not.toHaveProperty('attempts');
+    expect(ends.find((e) => e.command === 'e2e')).toMatchObject({ success: true, attempts: 2, flaky: true });
+  });
+
+  test('fail_on_flaky fails the command, and the run with it', async () => {
+    const { orch, runs } = makeOrchestrator({ fail_on_flaky: true }, { flaky: ['e2e'] });
+    const payload = await withFastTimers(() => orch.run({ exit: false }));
+
+    expect(runs).toEqual(['lint', 'e2e', 'e2e']);
+    expect(payload.success).toBe(false);
+    expect(payload.commands[1]).toMatchObject({
+      success: false,
+      attempts: 2,
+      flaky: true,
+      failureReason: 'flaky: passed on attempt 2 of 3 (fail_on_flaky)',
+    });
+    expect(payload.commands[2]).toMatchObject({ command: 'publish', skipReason: 'after_phase_failure' });
+  });
+});
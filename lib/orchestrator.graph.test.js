@@ -0,0 +1,151 @@
+import { Orchestrator } from './orchestrator.js';
+import { withFastTimers, silentLogger, stubProcessManager, useTempLogFolder } from './orchestrator.test-helpers.js';
+
+// These tests cover `needs:` graph scheduling: a command starts as soon as its needs pass rather
+// than when its whole previous phase finishes, phases keep working as implicit edges, and a failed
+// need skips its dependents with the same reasons the phase loop records. The process manager is
+// stubbed with controllable commands so start order can be asserted without spawning anything.
+
+const logFolder = useTempLogFolder();
+
+function withMockedExit(fn) {
+  const orig = process.exit;
+  const codes = [];
+  process.exit = (code) => {
+    codes.push(code);
+  };
+  return Promise.resolve()
+    .then(fn)
+    .finally(() => {
+      process.exit = orig;
+    })
+    .then(() => codes);
+}
+
+// Each command resolves when the test releases it (or immediately when listed in `instant`).
+function makeOrchestrator(config, { fail = [], instant = [] } = {}) {
+  const orch = new Orchestrator({ memory_guard: false, max_concurrency: 8, ...config }, null, logFolder());
+  orch.gitCache.shouldSkipExecution = async () => false;
+  orch.gitCache.updateCache = async () => {};
+  orch.gitCache.getCurrentCommitHash = async () => null;
+  orch._writeRunState = () => {};
+  orch._clearRunState = () => {};
+  orch._writePartialResults = () => {};
+  orch._appendEvent = () => {};
+  orch.logger = silentLogger;
+
+  const started = [];
+  const release = new Map();
+  const cleanedPhases = [];
+  orch.processManager = stubProcessManager({
+    setLogFolder() {},
+    getLogPath: (c) => `/logs/${c}.log`,
+    runCommand: ({ cmd }) => {
+      started.push(cmd);
+      const result = { success: !fail.includes(cmd), output: '', durationMs: 1, memoryKb: null };
+      if (instant.includes(cmd)) return Promise.resolve(result);
+      return new Promise((resolve) => release.set(cmd, () => resolve(result)));
+    },
+    cleanupPhase: async (name) => {
+      cleanedPhases.push(name);
+    },
+    addBackgroundProcess() {},
+  });
+  const tick = () => new Promise((r) => setTimeout(r, 0));
+  const finish = async (cmd) => {
+    for (let i = 0; i < 20 && !release.has(cmd); i++) await tick();
+    release.get(cmd)();
+    await tick();
+  };
+  return { orch, started, finish, cleanedPhases, tick };
+}
+
+describe('Orchestrator needs-graph scheduling', () => {
+  test('a command with satisfied needs starts before the previous phase has finished', async () => {
+    const { orch, started, finish, tick } = makeOrchestrator({
+      phases: [
+        { name: 'checks', parallel: [{ command: 'build' }, { command: 'typecheck' }] },
+        {
+          name: 'tests',
+          parallel: [{ command: 'unit', needs: ['build'] }, { command: 'e2e' }],
+        },
+      ],
+    });
+    await withFastTimers(async () => {
+      const done = withMockedExit(() => orch.run());
+      await tick();
+      expect(started).toEqual(['build', 'typecheck']);
+
+      await finish('build');
+      // unit only needs build; e2e (no needs) implicitly waits for all of "checks".
+      expect(started).toEqual(['build', 'typecheck', 'unit']);
+
+      await finish('typecheck');
+      expect(started).toEqual(['build', 'typecheck', 'unit', 'e2e']);
+
+      await finish('unit');
+      await finish('e2e');
+      const codes = await done;
+      expect(codes).toEqual([0]);
+      expect(orch.phaseResults.map((p) => [p.name, p.success])).toEqual([
+        ['checks', true],
+        ['tests', true],
+      ]);
+    });
+  });
+
+  test('a failed need skips explicit dependents as failed_dependency and phase dependents as after_phase_failure', async () => {
+    const { orch, started, cleanedPhases } = makeOrchestrator(
+      {
+        phases: [
+          { name: 'checks', parallel: [{ command: 'build' }, { command: 'lint' }] },
+          {
+            name: 'tests',
+            parallel: [
+              { command: 'unit', needs: ['build'] },
+              { command: 'docs', needs: ['lint'] },
+              { command: 'e2e' },
+            ],
+          },
+        ],
+      },
+      { fail: ['build'], instant: ['build', 'lint', 'docs'] },
+    );
+    const codes = await withFastTimers(() => withMockedExit(() => orch.run()));
+    expect(codes).toEqual([1]);
+    expect(started.sort()).toEqual(['build', 'docs', 'lint']);
+    expect(orch.skipReasons.get('unit')).toBe('failed_dependency');
+    expect(orch.skipReasons.get('e2e')).toBe('after_phase_failure');
+    expect(orch._resultEntry('docs', 'tests').success).toBe(true);
+    // Both phases still settle and tear down their background processes.
+    expect(cleanedPhases.sort()).toEqual(['checks', 'tests']);
+  });
+
+  test('honours the concurrency cap across phases', async () => {
+    const { orch, started, finish, tick } = makeOrchestrator({
+      max_concurrency: 1,
+      phases: [
+        { name: 'one', parallel: [{ command: 'a', needs: [] }, { command: 'b', needs: [] }] },
+      ],
+    });
+    await withFastTimers(async () => {
+      const done = withMockedExit(() => orch.run());
+      await tick();
+      expect(started).toEqual(['a']);
+      await finish('a');
+      expect(started).toEqual(['a', 'b']);
+      await finish('b');
+      await done;
+    });
+  });
+
+  test('an invalid graph is rejected when the orchestrator is constructed', () => {
+    expect(
+      () =>
+        new Orchestrator({
+          memory_guard: false,
+          phases: [{ name: 'p', parallel: [{ command: 'a', needs: ['b'] }, { command: 'b', needs: ['a'] }] }],
+        }),
+    ).toThrow('Dependency cycle detected');
+  });
+});
@@ -0,0 +1,80 @@
+import { Orchestrator } from './orchestrator.js';
+
+// These tests cover how the orchestrator reports a dependency whose health check never passes: the
+// command that needed it is skipped as `failed_dependency`, and its result entry carries a
+// `failureReason` naming the check and why its last attempt failed. Probes themselves are covered in
+// health-check.test.js; here the health checker is stubbed.
+
+function makeOrchestrator(waitFor) {
+  const orch = new Orchestrator({ memory_guard: false, phases: [] });
+  orch._writePartialResults = () => {};
+  orch._appendEvent = () => {};
+  const noop = () => {};
+  orch.logger = new Proxy({}, { get: () => noop });
+  const runs = [];
+  orch.processManager = {
+    getLogPath: (c) => `/logs/${c}.log`,
+    addBackgroundProcess() {},
+    runCommand: async ({ cmd }) => {
+      runs.push(cmd);
+      return { success: true, output: '', durationMs: 1, memoryKb: null };
+    },
+    cleanupCommand: async () => {},
+  };
+  orch.healthCheck = { waitFor };
+  return { orch, runs };
+}
+
+const dev = {
+  command: 'dev',
+  background: true,
+  health_check: { type: 'tcp', port: 5173, max_attempts: 3, interval: 1 },
+};
+
+describe('Orchestrator health check failures', () => {
+  test('skips the dependent command and records why the check failed', async () => {
+    const calls = [];
+    const { orch, runs } = makeOrchestrator(async (check, opts) => {
+      calls.push(opts.maxAttempts);
+      return { ok: false, attempts: opts.maxAttempts, reason: 'connect ECONNREFUSED 127.0.0.1:5173' };
+    });
+
+    expect(await orch.executeCommand({ command: 'e2e', dependencies: [dev] })).toBe(false);
+    // One silent "already running?" probe, then the configured attempts once the service started.
+    expect(calls).toEqual([1, 3]);
+    expect(runs).toEqual(['dev']);
+    expect(orch._resultEntry('e2e')).toMatchObject({
+      success: false,
+      skipReason: 'failed_dependency',
+      failureReason:
+        'health check tcp://localhost:5173 for dev failed after 3 attempt(s): connect ECONNREFUSED 127.0.0.1:5173',
+    });
+  });
+
+  test('a healthy dependency leaves no failure reason', async () => {
+    const { orch, runs } = makeOrchestrator(async (check, opts) => ({
+      ok: opts.maxAttempts > 1,
+      attempts: 1,
+      reason: null,
+    }));
+
+    expect(await orch.executeCommand({ command: 'e2e', dependencies: [dev] })).toBe(true);
+    expect(runs).toEqual(['dev', 'e2e']);
+    expect(orch._resultEntry('e2e').failureReason).toBeUndefined();
+  });
+
+  test('only a network probe can find a service already running', async () => {
+    const probed = [];
+    const { orch, runs } = makeOrchestrator(async (check) => {
+      probed.push(check.type);
+      return { ok: true, attempts: 1, reason: null };
+    });
+    const build = { command: 'build', background: true, health_check: { type: 'file', path: 'dist/ready' } };
+
+    expect(await orch.executeCommand({ command: 'e2e', dependencies: [build, dev] })).toBe(true);
+    // The file left by an earlier run does not skip `build`; the listening port does skip `dev`.
+    expect(runs).toEqual(['build', 'e2e']);
+    // `build` is only waited on once started; `dev` is probed before starting it, then waited on.
+    expect(probed).toEqual(['file', 'tcp', 'tcp']);
+  });
+});
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Orchestrator } from './orchestrator.js';
+import { RunHistory } from './history.js';
+import { withFastTimers, silentLogger, stubProcessManager } from './orchestrator.test-helpers.js';
+
+// These tests cover recording finished runs in the history store: the final results payload is
+// appended with the commit and branch it ran on, and `history: false` records nothing. The process
+// manager and git lookups are stubbed; the history lands in a temporary log folder.
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orch-history-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function makeOrchestrator(extra = {}) {
+  const config = { memory_guard: false, phases: [{ name: 'checks', parallel: [{ command: 'lint' }] }], ...extra };
+  const orch = new Orchestrator(config, null, dir, null, false, true);
+  orch.gitCache.updateCache = async () => {};
+  orch.gitCache.getCurrentCommitHash = async () => '0123456789abcdef';
+  orch.gitCache.getCurrentBranch = async () => 'main';
+  orch.logger = silentLogger;
+  orch.processManager = stubProcessManager({
+    getLogPath: (name) => `/logs/${name}.log`,
+    runCommand: async () => ({ success: true, output: '', durationMs: 3, memoryKb: null }),
+  });
+  return orch;
+}
+
+describe('Orchestrator run history', () => {
+  test('appends each finished run with its commit and branch', async () => {
+    const first = await withFastTimers(() => makeOrchestrator().run({ exit: false }));
+    await withFastTimers(() => makeOrchestrator({ history: { keep: 1 } }).run({ exit: false }));
+
+    const records = new RunHistory(dir).list();
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({
+      sha: '0123456789abcdef',
+      branch: 'main',
+      payload: { success: true, commands: [{ command: 'lint', success: true }] },
+    });
+    expect(records[0].timestamp >= first.timestamp).toBe(true);
+  });
+
+  test('history: false records nothing', async () => {
+    await withFastTimers(() => makeOrchestrator({ history: false }).run({ exit: false }));
+    expect(new RunHistory(dir).list()).toEqual([]);
+  });
+});
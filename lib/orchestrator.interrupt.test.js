@@ -55,6 +55,25 @@ describe('terminal _writePartialResults(true)', () => {
     const payload = JSON.parse(fs.readFileSync(json, 'utf8'));
     expect(payload.success).toBeNull();
   });
+
+  test('a terminal write produces the JUnit report even without json_results', () => {
+    const { dir } = tmpResults();
+    const xmlPath = path.join(dir, 'junit.xml');
+    const orch = new Orchestrator(
+      [{ command: 'build' }, { command: 'test' }], null, null, null, false, false, [], null, null, xmlPath,
+    );
+    orch.logger = new Proxy({}, { get: () => () => {} });
+    orch.startTime = Date.now();
+    orch.commandStartTimes.set('build', new Date().toISOString());
+
+    orch._writePartialResults(false);
+    expect(fs.existsSync(xmlPath)).toBe(false); // only the run's end writes JUnit
+
+    orch._writePartialResults(true);
+    const xml = fs.readFileSync(xmlPath, 'utf8');
+    expect(xml).toContain('<testsuite name="commands" tests="1" failures="0" errors="1" skipped="0"');
+    expect(xml).toContain('<error message="did not finish (interrupted)" type="interrupted"/>');
+  });
 });
 
 describe('finalizeInterrupted', () => {
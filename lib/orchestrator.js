@@ -1,22 +1,52 @@
 import fs from 'fs';
-import os from 'os';
 import path from 'path';
 import { spawn, spawnSync } from 'child_process';
-import { processManager } from './process-manager.js';
-import { healthCheck } from './health-check.js';
+import { EventEmitter } from 'events';
+import { processManager, DEFAULT_TIMEOUT_GRACE_MS } from './process-manager.js';
+import { healthCheck, healthCheckType, describeHealthCheck } from './health-check.js';
 import { log } from './logger.js';
 import { GitCache } from './git-cache.js';
 import { renderReportHtml } from './report-html.js';
+import { renderJunitXml } from './report-junit.js';
 import { findRepoRoot, writeAggregateReport } from './workspaces.js';
 import { startActiveLogHint } from './active-log-hint.js';
 import { MemoryGovernor } from './memory-governor.js';
+import { CpuGovernor } from './cpu-governor.js';
+import { usesNeeds, buildCommandGraph, effectiveNeeds } from './command-graph.js';
+import { selectRerun, selectAffected, loadPreviousResults } from './rerun-failed.js';
+import { CommandCache, computeCacheKey } from './command-cache.js';
+import { Dashboard } from './dashboard.js';
+import { expandMatrices, groupMatrixCells } from './matrix.js';
+import {
+  ShardTimings,
+  listShardItems,
+  estimateDurations,
+  packShards,
+  attributeDuration,
+  readReportedTimings,
+  DEFAULT_SHARD_ENV,
+  SHARD_TIMINGS_KEY,
+} from './shard.js';
+import { RunHistory, resolveHistory } from './history.js';
+import { DEFAULT_OUTPUT_MODE } from './output-stream.js';
+import { RunLogs, resolveRetention, runId } from './run-logs.js';
+import { resolveArtifacts, shouldCollect, collectArtifacts } from './artifacts.js';
+import { SecretMasker } from './secrets.js';
+import { ProcessSampler, resolveSampling, samplingSupported } from './process-sampler.js';
+import { effectiveCpuCount } from './cgroup.js';
 import chalk from 'chalk';
 
 // Exit code used when the run is aborted because host memory ran critically low. Distinct from a
 // plain command-failure (1) so callers/CI can tell "your gate failed" from "the box was about to die".
 export const MEMORY_ABORT_EXIT_CODE = 137;
 
-export class Orchestrator {
+// How often a command requeued under memory pressure checks whether the others have finished.
+const REQUEUE_POLL_MS = 1000;
+
+// Emits every run event under a `noun:verb` name — the NDJSON event type with its underscore turned
+// into a colon (`command_end` → `command:end`) — with the same object as its one argument, plus
+// `command:output` ({ command, phase, stream, chunk }) for each chunk a foreground command prints.
+export class Orchestrator extends EventEmitter {
   constructor(
     config,
     startPhase = null,
@@ -27,8 +57,12 @@ export class Orchestrator {
     metrics = [],
     jsonResultsPath = null,
     htmlResultsPath = null,
+    junitResultsPath = null,
   ) {
-    this.config = config;
+    super();
+    // `matrix` commands are expanded into their cells up front (see matrix.js); everything below —
+    // and every reader of this.config — works on the expanded config.
+    this.config = expandMatrices(config);
     this.startPhase = startPhase;
     this.logFolder = logFolder;
     this.phases = phases;
@@ -53,8 +87,21 @@ export class Orchestrator {
     this.commandPrefix = Object.prototype.hasOwnProperty.call(config ?? {}, 'command_prefix')
       ? this._normalizePrefix(config.command_prefix)
       : 'npm run';
+    // Run-wide default for how long a foreground command may run before it is killed. A command's
+    // own `timeout_ms` wins, then its phase's, then this one (CLI `--timeout` overrides the config
+    // value, wired in index.js). null = no timeout, the historical behaviour.
+    this.defaultTimeoutMs = this._normalizeTimeout(
+      config && !Array.isArray(config) ? config.timeout_ms : undefined,
+    );
+    // Whether foreground output also reaches the console: 'files' (log files only, the historical
+    // behaviour), 'stream' or 'on-failure'. A command's own `output` wins; CLI --stream / --output
+    // override the config value (wired in index.js).
+    this.outputMode = (config && !Array.isArray(config) ? config.output : null) ?? DEFAULT_OUTPUT_MODE;
     this.jsonResultsPath = jsonResultsPath ?? null;
     this.htmlResultsPath = htmlResultsPath ?? null;
+    // JUnit XML for CI test-report ingestion. Unlike the JSON/HTML pair it isn't refreshed while the
+    // run is in flight: it is written once the run ends (naturally, or on interrupt / memory abort).
+    this.junitResultsPath = junitResultsPath ?? null;
     this.processManager = processManager;
     this.healthCheck = healthCheck;
     this.logger = log;
@@ -65,17 +112,36 @@ export class Orchestrator {
     // bounds command *count*, not memory *weight* or the hidden fan of child processes each spawns.
     this.memoryGovernor = new MemoryGovernor(
       config && !Array.isArray(config) ? config.memory_guard : undefined,
-      { logger: log },
+      {
+        logger: log,
+        // The sampled peak of a running command, so the part of its reservation already in use is
+        // not counted twice (see MemoryGovernor.outstandingKb).
+        usedKbFn: (command) => this.processManager.resourceUsage?.(command)?.peakRssKb ?? null,
+        // Commands in flight, for the host timeline (see MemoryGovernor.timeline).
+        runningFn: () => this.processManager.foregroundNames?.().length ?? null,
+      },
     );
-    this.failedCommands = [];
-    this.skippedCommands = [];
-    this.skipReasons = new Map(); // Track why commands were skipped
-    this.commandTimings = new Map(); // command -> { durationMs, memoryKb?, cpuPercent? }
-    this.commandLogPaths = new Map(); // command -> resolved destination log file (absolute)
-    this.phaseResults = []; // { name, success, durationMs } per phase run
+    // CPU / I/O pressure guard: holds the next command while the host is contended by other jobs
+    // (see cpu-governor.js). Off unless `cpu_guard` is set or --cpu-guard is passed.
+    this.cpuGovernor = new CpuGovernor(config && !Array.isArray(config) ? config.cpu_guard : undefined, {
+      logger: log,
+    });
+    this._resetRunState();
     this.gitCache = new GitCache(logFolder);
-    // track per-command start times for incremental JSON
-    this.commandStartTimes = new Map(); // command -> ISO start string
+    // Per-command content-hash cache for commands that declare `inputs` (see command-cache.js).
+    this.commandCache = new CommandCache(logFolder);
+    // Per-item durations behind `shard` packing (see shard.js).
+    this.shardTimings = new ShardTimings(logFolder);
+    // Every finished run's payload, for `--history` trends (see history.js); null with `history: false`.
+    const historyConfig = resolveHistory(config && !Array.isArray(config) ? config.history : undefined);
+    this.runHistory = historyConfig ? new RunHistory(logFolder, historyConfig) : null;
+    // Each run logs to a directory of its own under scripts-orchestrator-logs/runs (see run-logs.js);
+    // `retention` bounds how many of them are kept. runId is set when a run starts.
+    this.runLogs = new RunLogs(
+      logFolder,
+      resolveRetention(config && !Array.isArray(config) ? config.retention : undefined),
+    );
+    this.runId = null;
     // events file path derived from jsonResultsPath
     this.eventsPath = this._deriveEventsPath(jsonResultsPath);
     // library-owned run-state file
@@ -101,6 +167,25 @@ export class Orchestrator {
     // workspace run refreshes the roll-up once when it finishes. Replaces wiring a periodic_hook /
     // post_run that shells out to `scripts-orchestrator --aggregate`.
     this.aggregateOptions = null;
+    // --rerun-failed selection (set via useRerunFailed in index.js): the top-level commands to run
+    // again and the previous entries carried over for the rest. null for an ordinary run.
+    this.rerunFailed = null;
+    // --ui terminal dashboard (see enableDashboard); null when the run prints plain output.
+    this.dashboard = null;
+    // Phases still running (null: a legacy config's commands), each with its commands and the failed
+    // ones retried from the dashboard: name -> { commands: Map(command -> config), retries: Map(command
+    // -> Promise<boolean>) }. See retryCommand.
+    this.retryWindows = new Map();
+    // `fail_on_flaky` (or --fail-on-flaky, wired in index.js): a command that passes only on a retry
+    // fails instead, for gates that must not let flakes through.
+    this.failOnFlaky = config && !Array.isArray(config) ? config.fail_on_flaky === true : false;
+    // run({ exit: false }) clears this; the run then resolves/rejects instead of ending the process.
+    this.exitOnFinish = true;
+    // --watch (see watch.js): the iteration number tagged onto events and results (null outside watch
+    // mode), and whether background dependencies outlive their phase and the run so the next
+    // iteration reuses them.
+    this.iteration = null;
+    this.keepBackgroundProcesses = false;
     this.periodicIntervalMs = 45000;
     this._periodicTimer = null;
     this._periodicRunning = false;
@@ -112,7 +197,59 @@ export class Orchestrator {
     }
 
     // Flatten commands for easier tracking
-    this.allCommands = this.flattenCommands(config);
+    this.allCommands = this.flattenCommands(this.config);
+    // matrix cell name -> { command, values, logName } (see matrix.js); empty without a matrix.
+    this.matrixCells = new Map(
+      this.allCommands.filter((c) => c.matrixCell).map((c) => [c.command, c.matrixCell]),
+    );
+
+    // `secrets` (see secrets.js): the values of the variables it names, in this process's environment
+    // or any command's `env`, are masked in the console, every log, the reports and the events. The
+    // logger and process manager are shared, so a config without secrets clears a previous masker.
+    this.secretMasker = SecretMasker.fromConfig(
+      config && !Array.isArray(config) ? config.secrets : undefined,
+      [process.env, ...this.allCommands.map((c) => c.env).filter(Boolean)],
+    );
+    this.logger.setSecretMasker(this.secretMasker);
+    this.processManager.masker = this.secretMasker;
+    // The memory/cpu metrics come from sampling each command's process tree in /proc (see
+    // process-sampler.js), background services included; `sampling: false`, or a host without /proc,
+    // keeps the /usr/bin/time wrapper.
+    const sampling = resolveSampling(config && !Array.isArray(config) ? config.sampling : undefined);
+    this.processManager.sampler = sampling && samplingSupported() ? new ProcessSampler(sampling) : null;
+
+    // Graph mode: when any command declares `needs`, schedule commands by their edges instead of
+    // phase by phase. Built (and validated — unknown names, cycles) here so a bad graph fails at
+    // load time; throws on an invalid graph.
+    this.graph = usesNeeds(this.config) ? buildCommandGraph(this.config) : null;
+  }
+
+  // Per-run bookkeeping, cleared again before each --watch iteration.
+  _resetRunState() {
+    this.failedCommands = [];
+    this.skippedCommands = [];
+    this.skipReasons = new Map(); // Track why commands were skipped
+    this.timedOutCommands = new Set(); // commands whose final attempt was killed by its timeout
+    this.commandAttempts = new Map(); // command -> attempts it took (restarts from --ui not counted)
+    this.flakyCommands = new Set(); // commands that failed and then passed on a retry
+    this.commandArtifacts = new Map(); // command -> the `artifacts` field of its result entry
+    this.backgroundServices = new Map(); // background command that started -> its phase
+    this.previousMemoryPeaks = new Map(); // command -> its memoryKb in the previous run
+    this.memoryReservations = new Map(); // command -> { reservedKb, source, heldMs } from admission
+    this.memoryRequeues = new Map(); // command -> [{ attempt, reason, memoryKb }] runs shed by the guard
+    this.rerunQueue = Promise.resolve(); // settles when the last requeued command's rerun has started
+    this.failureReasons = new Map(); // command -> why it was skipped (e.g. a dependency's health check)
+    this.commandTimings = new Map(); // command -> { durationMs, memoryKb?, cpuPercent? }
+    this.commandLogPaths = new Map(); // command -> resolved destination log file (absolute)
+    this.phaseResults = []; // { name, success, durationMs } per phase run
+    this.cachedCommands = new Set(); // commands replayed from the command cache this run
+    this.carriedCommands = new Set(); // commands whose previous result was carried over this run
+    this.shardPlans = new Map(); // shard group -> Promise of its packing, made once per run
+    this.shardAssignments = new Map(); // shard cell -> { items, estimates, estimatedMs }
+    // track per-command start times for incremental JSON
+    this.commandStartTimes = new Map(); // command -> ISO start string
+    // Set when the memory guard aborts an embedded run (the CLI exits instead); run() rejects with it.
+    this.abortError = null;
   }
 
   flattenCommands(config) {
@@ -129,16 +266,48 @@ export class Orchestrator {
   }
 
   // Resolve a configured/CLI max_concurrency value to a concrete positive integer cap.
-  // 'auto' (or anything unparseable / <= 0) maps to max(1, cpuCount - 1); a positive number is
-  // floored and used verbatim. Kept side-effect free so it can be reused by the CLI override.
+  // 'auto' (or anything unparseable / <= 0) maps to max(1, cpuCount - 1), where cpuCount is capped by
+  // a container's cgroup CPU quota; a positive number is floored and used verbatim. Kept side-effect
+  // free so it can be reused by the CLI override.
   _resolveMaxConcurrency(value) {
-    const auto = Math.max(1, os.cpus().length - 1);
+    const auto = Math.max(1, effectiveCpuCount() - 1);
     if (value == null || value === 'auto') return auto;
     const n = Math.floor(Number(value));
     if (!Number.isFinite(n) || n <= 0) return auto;
     return n;
   }
 
+  // Coerce a configured timeout to a positive integer of milliseconds, or null (no timeout).
+  _normalizeTimeout(value) {
+    if (value == null || value === false) return null;
+    const n = Math.floor(Number(value));
+    return Number.isFinite(n) && n > 0 ? n : null;
+  }
+
+  // Effective timeout (and SIGTERM->SIGKILL grace) for a command. Precedence: the command's own
+  // `timeout_ms` > its phase's `timeout_ms` > the run-wide default. Dependencies run with their
+  // parent's phase, so they inherit that phase's timeout unless they declare their own.
+  _resolveTimeout(commandConfig = {}, phaseName = null) {
+    const phase =
+      phaseName && this.config && Array.isArray(this.config.phases)
+        ? this.config.phases.find((p) => p.name === phaseName)
+        : null;
+    const pick = (key) => {
+      if (commandConfig[key] != null) return commandConfig[key];
+      if (phase && phase[key] != null) return phase[key];
+      return this.config && !Array.isArray(this.config) ? this.config[key] : undefined;
+    };
+    const timeoutMs =
+      commandConfig.timeout_ms != null || phase?.timeout_ms != null
+        ? this._normalizeTimeout(pick('timeout_ms'))
+        : this.defaultTimeoutMs;
+    const grace = Math.floor(Number(pick('timeout_grace_ms')));
+    return {
+      timeoutMs,
+      timeoutGraceMs: Number.isFinite(grace) && grace >= 0 ? grace : DEFAULT_TIMEOUT_GRACE_MS,
+    };
+  }
+
   // Concurrency cap for a single phase. A phase may pin its own `max_concurrency` to
   // run its commands at a different in-flight count than the rest of the run — e.g. a
   // heavy phase whose commands share one resource (a single dev server, a GPU) sets
@@ -165,6 +334,7 @@ export class Orchestrator {
     let next = 0;
     let inFlight = 0; // commands currently running in this phase — the memory-guard's admission input
     const gov = this.memoryGovernor;
+    const cpu = this.cpuGovernor;
     const runNext = async () => {
       for (;;) {
         // Claim the next index before any await so multiple pool workers cannot all pass
@@ -174,16 +344,23 @@ export class Orchestrator {
         if (current >= items.length) break;
         // Memory-aware admission: a free concurrency slot is necessary but not sufficient. If free
         // host RAM is below the floor, hold here until a running command frees memory rather than
-        // piling a heavier slot onto an already-pressured box. No-op (no await stall) when the guard
-        // is disabled or memory is healthy — see MemoryGovernor.waitForHeadroom.
+        // piling a heavier slot onto an already-pressured box, and until the command's expected peak
+        // fits next to what the running ones have reserved. No-op (no await stall) when the guard is
+        // disabled or memory is healthy — see MemoryGovernor.admit. The CPU guard goes first: it counts
+        // the command as running before its first await, which the next worker's check relies on.
+        if (cpu && cpu.enabled) {
+          await cpu.admit(items[current].command, inFlight);
+        }
         if (gov && gov.enabled) {
-          await gov.waitForHeadroom(inFlight);
+          await this._admit(items[current], inFlight);
         }
         inFlight += 1;
         try {
           results[current] = await worker(items[current], current);
         } finally {
           inFlight -= 1;
+          if (gov) gov.release(items[current].command);
+          if (cpu) cpu.release(items[current].command);
         }
       }
     };
@@ -192,19 +369,480 @@ export class Orchestrator {
     return results;
   }
 
+  // A command's expected peak memory for the memory guard's reservation: its declared `memory_mb`,
+  // else what it peaked at in the previous run. null when neither is known.
+  _expectedMemory(commandConfig) {
+    const declared = Number(commandConfig.memory_mb);
+    if (declared > 0) return { kb: Math.round(declared * 1024), source: 'memory_mb' };
+    const previous = this.previousMemoryPeaks.get(commandConfig.command);
+    return previous ? { kb: previous, source: 'previous_run' } : null;
+  }
+
+  // Memory-guard admission for one command. What it reserved and how long it was held end up in its
+  // result entry, so a report shows why a command started late.
+  async _admit(commandConfig, inFlight) {
+    const expected = this._expectedMemory(commandConfig);
+    const admission = await this.memoryGovernor.admit(commandConfig.command, expected?.kb ?? null, inFlight);
+    if (!admission || (admission.reservedKb == null && admission.heldMs === 0)) return;
+    this.memoryReservations.set(commandConfig.command, {
+      ...(admission.reservedKb != null ? { reservedKb: admission.reservedKb, source: expected.source } : {}),
+      heldMs: admission.heldMs,
+    });
+  }
+
+  // Each command's peak memory in the previous run: the `json_results` file this run is about to
+  // overwrite, else the newest run in the history. Entries without a measured peak are left out.
+  _loadPreviousMemoryPeaks() {
+    let previous = null;
+    if (this.jsonResultsPath) {
+      try {
+        previous = loadPreviousResults(this.jsonResultsPath);
+      } catch {
+        // no previous run yet, or a file from an older format
+      }
+    }
+    if (!previous && this.runHistory) previous = this.runHistory.latest()?.payload ?? null;
+    const peaks = new Map();
+    for (const entry of previous?.commands ?? []) {
+      if (entry.memoryKb > 0) peaks.set(entry.command, entry.memoryKb);
+    }
+    return peaks;
+  }
+
+  // The running command to stop under on_critical: 'requeue': the lowest `memory_priority` first,
+  // then the most memory (sampled peak, else its reservation), then the one that started last and so
+  // loses the least work. null with fewer than two running — rerunning a lone command alone frees
+  // nothing.
+  _memoryVictim() {
+    const names = this.processManager.foregroundNames ? this.processManager.foregroundNames() : [];
+    if (names.length < 2) return null;
+    const configs = new Map(this.allCommands.map((c) => [c.command, c]));
+    const candidates = names.reverse().map((command) => ({
+      command,
+      priority: Number(configs.get(command)?.memory_priority) || 0,
+      memoryKb:
+        this.processManager.resourceUsage?.(command)?.peakRssKb ??
+        this.memoryReservations.get(command)?.reservedKb ??
+        0,
+    }));
+    candidates.sort((a, b) => a.priority - b.priority || b.memoryKb - a.memoryKb);
+    return candidates[0];
+  }
+
+  // on_critical: 'requeue' — stop one command instead of the run. Returns false when there is
+  // nothing to shed, and the watchdog aborts as it would have.
+  _shedUnderMemoryPressure(info) {
+    const victim = this._memoryVictim();
+    if (!victim || !this.processManager.stopCommand(victim.command, 'memory_pressure', 0)) return false;
+    this.memoryGovernor.release(victim.command);
+    this.memoryGovernor.mark('shed', victim.command);
+    const size = victim.memoryKb > 0 ? ` (${Math.round(victim.memoryKb / 1024)} MB)` : '';
+    this.logger.warn(
+      `🧠 [memory-guard] available RAM stayed at ~${info.freePercent}% for ${Math.round(info.sustainedMs / 1000)}s — ` +
+        `stopping ${victim.command}${size} and requeueing it to run once the other commands finish. ` +
+        'The run aborts if pressure persists.',
+    );
+    this._appendEvent('memory_shed', { command: victim.command, freePercent: info.freePercent, memoryKb: victim.memoryKb || null });
+    return true;
+  }
+
+  // Wait until a command shed under memory pressure may run again: after any earlier requeued command
+  // has started, and once no other command is running. Returns the function to call when its rerun
+  // has started, which lets the next one through.
+  async _waitToRerun(command) {
+    const previous = this.rerunQueue;
+    let started;
+    this.rerunQueue = new Promise((resolve) => {
+      started = resolve;
+    });
+    await previous;
+    const others = () => (this.processManager.foregroundNames ? this.processManager.foregroundNames() : []);
+    while (others().some((name) => name !== command)) {
+      await new Promise((resolve) => setTimeout(resolve, REQUEUE_POLL_MS));
+    }
+    this.logger.warn(`Rerunning ${command} (requeued under memory pressure)`);
+    return started;
+  }
+
+  // Record every command of a phase that will not run as skipped, with the given reason.
+  _markPhaseSkipped(phase, reason) {
+    (phase.parallel || []).forEach(({ command }) => {
+      this.skippedCommands.push(command);
+      this.skipReasons.set(command, reason);
+      this.commandTimings.set(command, { durationMs: 0, memoryKb: null, cpuPercent: null });
+    });
+  }
+
+  /**
+   * Restrict the run to the commands that did not pass in a previous run (`--rerun-failed`). Every
+   * other top-level command is skipped as `passed_previously` and reported with its previous entry,
+   * so the new results still cover the whole gate.
+   * @param {object} previous - A previous results payload (see loadPreviousResults).
+   * @returns {{ rerun: string[], carried: number }} What was selected, for the CLI to report.
+   */
+  useRerunFailed(previous) {
+    const { rerun, carried, previousPhases } = selectRerun(
+      previous,
+      this.allCommands.map(({ command }) => command),
+    );
+    this.rerunFailed = { timestamp: previous.timestamp ?? null, rerun, carried, previousPhases };
+    return { rerun: Array.from(rerun), carried: carried.size };
+  }
+
+  /**
+   * Prepare a --watch iteration after the first: clear the previous iteration's bookkeeping and run
+   * only `affected` (plus anything that has no result of its own yet), carrying every other command's
+   * entry over from `previous` — the payload the last iteration resolved with.
+   *
+   * @param {number} iteration
+   * @param {object} previous
+   * @param {Iterable<string>} affected - Top-level commands whose inputs changed.
+   * @returns {{ rerun: string[], carried: number }}
+   */
+  useWatchIteration(iteration, previous, affected) {
+    this._resetRunState();
+    this.iteration = iteration;
+    const { rerun, carried, previousPhases } = selectAffected(
+      previous,
+      this.allCommands.map(({ command }) => command),
+      new Set(affected),
+    );
+    this.rerunFailed = { timestamp: previous.timestamp ?? null, rerun, carried, previousPhases };
+    return { rerun: Array.from(rerun), carried: carried.size };
+  }
+
+  // Skip a command carried over by --rerun-failed or --watch. Returns false when it has to run.
+  _carryCommand(command) {
+    const carried = this.rerunFailed?.carried.get(command);
+    if (!carried) return false;
+    this.carriedCommands.add(command);
+    if (carried.success === false) {
+      // --watch: a failure whose inputs did not change is not rerun, but it still fails this run.
+      this.failedCommands.push(command);
+    } else {
+      this.skippedCommands.push(command);
+      this.skipReasons.set(command, carried.skipReason);
+    }
+    return true;
+  }
+
+  // A phase whose every command is carried over is not entered at all; its previous phase result
+  // stands in for it.
+  _carryPhase(phase) {
+    const commands = phase.parallel || [];
+    if (!this.rerunFailed || !commands.every(({ command }) => this.rerunFailed.carried.has(command))) {
+      return false;
+    }
+    commands.forEach(({ command }) => this._carryCommand(command));
+    const previous = this.rerunFailed.previousPhases.get(phase.name);
+    if (previous) this.phaseResults.push(previous);
+    this.logger.info(`\n⏭️  Skipping phase: ${phase.name} (passed previously)`);
+    return true;
+  }
+
+  // Which phases run this time, mirroring the phase loop's start-phase and optional-phase rules:
+  // every phase paired with the skip reason its commands would get (null = it runs).
+  _resolvePhaseSkips() {
+    const phases = Array.isArray(this.config) ? [] : this.config.phases || [];
+    let startPhaseFound = !this.startPhase;
+    const decisions = phases.map((phase) => {
+      if (!startPhaseFound) {
+        if (phase.name !== this.startPhase) return { phase, skipReason: 'before_start_phase' };
+        startPhaseFound = true;
+      }
+      if (phase.optional === true && this.phases && !this.phases.includes(phase.name)) {
+        return { phase, skipReason: 'optional_phase_not_requested' };
+      }
+      return { phase, skipReason: null };
+    });
+    return { decisions, startPhaseFound };
+  }
+
+  // Tear down the background processes a phase started. --watch keeps them for the next iteration;
+  // they are reclaimed when watching stops.
+  async _cleanupPhase(name) {
+    if (this.keepBackgroundProcesses) return;
+    try {
+      await this.processManager.cleanupPhase(name);
+    } catch (cleanupError) {
+      this.logger.error(`Failed to clean up background processes for phase ${name}: ${cleanupError.message}`);
+    }
+  }
+
+  // Graph-mode scheduler. Starts every command whose needs have passed, up to the run's concurrency
+  // cap (and a phase's own `max_concurrency`), through the same memory-guard admission as
+  // _runWithConcurrency. A command whose need failed is skipped — `failed_dependency` for an
+  // explicit `needs` edge, `after_phase_failure` for an implicit phase edge, matching the reasons the
+  // phase loop records. Phases still report: a phase is "done" (result recorded, background
+  // processes torn down) once its last command settles.
+  async _runGraph() {
+    const outcome = new Map(); // command -> true (passed / benign skip) | false (failed or skipped)
+    const { decisions, startPhaseFound } = this._resolvePhaseSkips();
+
+    // Phase sugar points at the nearest earlier phase that actually runs this time.
+    const activePhases = [];
+    for (const { phase, skipReason } of decisions) {
+      if (skipReason === 'optional_phase_not_requested') {
+        this.logger.info(`\n⏭️  Skipping optional phase: ${phase.name} (not explicitly requested)`);
+      } else if (skipReason === null && this.startPhase === phase.name) {
+        this.logger.info(`\n🎯 Starting from phase: ${phase.name}`);
+      }
+      if (skipReason) {
+        this._markPhaseSkipped(phase, skipReason);
+        (phase.parallel || []).forEach(({ command }) => outcome.set(command, true));
+        continue;
+      }
+      activePhases.push(phase);
+    }
+    if (!startPhaseFound) return { hasFailures: false, startPhaseFound };
+
+    const previousCommands = new Map(); // phase name -> commands of the previous active phase
+    const phaseState = new Map(); // phase name -> { phase, remaining, startedAt, failed }
+    activePhases.forEach((phase, i) => {
+      const prev = i > 0 ? activePhases[i - 1].parallel || [] : [];
+      previousCommands.set(phase.name, prev.map(({ command }) => command));
+      if (this._carryPhase(phase)) {
+        (phase.parallel || []).forEach(({ command }) => outcome.set(command, true));
+        return;
+      }
+      phaseState.set(phase.name, {
+        phase,
+        remaining: (phase.parallel || []).length,
+        startedAt: null,
+        failed: false,
+      });
+    });
+
+    const pending = this.graph.nodes
+      .filter((node) => !outcome.has(node.command))
+      .map((node) => ({
+        ...node,
+        needs: effectiveNeeds(node, previousCommands.get(node.phase) ?? []),
+      }));
+
+    const settle = async (node, ok) => {
+      outcome.set(node.command, ok);
+      const state = phaseState.get(node.phase);
+      if (!state) return;
+      if (!ok) state.failed = true;
+      state.remaining -= 1;
+      if (state.remaining > 0) return;
+      const durationMs = state.startedAt ? Date.now() - state.startedAt : 0;
+      this.phaseResults.push({ name: state.phase.name, success: !state.failed, durationMs });
+      this._appendEvent('phase_end', { phase: state.phase.name, success: !state.failed, durationMs });
+      const durationStr = this.metrics.includes('time') ? `(${this.formatDuration(durationMs)})` : '';
+      this.logger.stopPhase(state.phase.name, !state.failed, durationStr);
+      await this._cleanupPhase(state.phase.name);
+    };
+
+    const limit = this.sequential ? 1 : this.maxConcurrency;
+    const gov = this.memoryGovernor;
+    const cpu = this.cpuGovernor;
+    const running = new Set();
+    const runningByPhase = new Map();
+    this.logger.info(
+      `🕸️  Scheduling ${pending.length} command(s) by \`needs\` (at most ${limit} at a time)`,
+    );
+
+    while (pending.length > 0 || running.size > 0) {
+      // Skip anything whose need has already failed; repeat until stable so skips cascade.
+      let skipped = true;
+      while (skipped) {
+        skipped = false;
+        for (let i = pending.length - 1; i >= 0; i--) {
+          const node = pending[i];
+          const failedNeed = node.needs.find((need) => outcome.get(need) === false);
+          if (failedNeed == null) continue;
+          pending.splice(i, 1);
+          const reason = node.explicit ? 'failed_dependency' : 'after_phase_failure';
+          this.logger.error(`Skipping ${node.command}: needs ${failedNeed}, which did not pass`);
+          this.skippedCommands.push(node.command);
+          this.skipReasons.set(node.command, reason);
+          this.commandTimings.set(node.command, { durationMs: 0, memoryKb: null, cpuPercent: null });
+          await settle(node, false);
+          skipped = true;
+        }
+      }
+
+      // Start every ready command the caps allow, in config order.
+      for (let i = 0; i < pending.length && running.size < limit; ) {
+        const node = pending[i];
+        // --rerun-failed: a command that passed last time settles without taking a slot.
+        if (this._carryCommand(node.command)) {
+          pending.splice(i, 1);
+          await settle(node, true);
+          continue;
+        }
+        const ready = node.needs.every((need) => outcome.get(need) === true);
+        const phase = phaseState.get(node.phase)?.phase;
+        const phaseCap = phase && phase.max_concurrency != null ? this._phaseConcurrency(phase) : Infinity;
+        if (!ready || (runningByPhase.get(node.phase) ?? 0) >= phaseCap) {
+          i++;
+          continue;
+        }
+        if (cpu && cpu.enabled) {
+          await cpu.admit(node.command, running.size);
+        }
+        if (gov && gov.enabled) {
+          await this._admit(node.config, running.size);
+        }
+        pending.splice(i, 1);
+        const state = phaseState.get(node.phase);
+        if (state && state.startedAt == null) {
+          state.startedAt = Date.now();
+          this._appendEvent('phase_start', { phase: node.phase });
+        }
+        runningByPhase.set(node.phase, (runningByPhase.get(node.phase) ?? 0) + 1);
+        const task = (async () => {
+          const ok = await this.executeCommand(node.config, new Set(), node.phase);
+          if (gov) gov.release(node.command);
+          if (cpu) cpu.release(node.command);
+          runningByPhase.set(node.phase, runningByPhase.get(node.phase) - 1);
+          await settle(node, ok);
+          running.delete(task);
+        })();
+        running.add(task);
+      }
+
+      if (running.size === 0) {
+        // Nothing in flight and nothing startable. Cycles are rejected at load time, so this only
+        // happens once every remaining command has been skipped above.
+        if (pending.length > 0) {
+          this.logger.error(`Unschedulable commands: ${pending.map((n) => n.command).join(', ')}`);
+        }
+        break;
+      }
+      await Promise.race(running);
+    }
+
+    const hasFailures = pending.length > 0 || Array.from(outcome.values()).some((ok) => !ok);
+    return { hasFailures, startPhaseFound };
+  }
+
+  /**
+   * Resolve what a run would do, without running anything: which phases are skipped and why, each
+   * command's effective invocation (prefix), env overrides, background dependencies and their
+   * health-check URLs, per-phase concurrency, timeouts, `needs` edges in graph mode, and whether the
+   * git cache would short-circuit the run. Backs `--plan` / `--plan-json`; the result is plain JSON
+   * so plans can be diffed between branches, with the configured secrets masked like the results.
+   * @returns {Promise<object>}
+   */
+  async buildPlan() {
+    const git = this.force
+      ? { skip: false, reason: 'Forced (--force)' }
+      : await this.gitCache.evaluateSkip();
+    const { decisions, startPhaseFound } = this._resolvePhaseSkips();
+
+    // Effective needs per command in graph mode, with phase sugar resolved against the phases that run.
+    const needsOf = new Map();
+    if (this.graph) {
+      const previous = new Map();
+      let last = [];
+      for (const { phase, skipReason } of decisions) {
+        if (skipReason) continue;
+        previous.set(phase.name, last);
+        last = (phase.parallel || []).map(({ command }) => command);
+      }
+      for (const node of this.graph.nodes) {
+        needsOf.set(node.command, effectiveNeeds(node, previous.get(node.phase) ?? []));
+      }
+    }
+
+    const plan = {
+      mode: this.graph ? 'graph' : Array.isArray(this.config) ? 'commands' : 'phases',
+      maxConcurrency: this.sequential ? 1 : this.maxConcurrency,
+      sequential: this.sequential,
+      memoryGuard: this.memoryGovernor.enabled ? this.memoryGovernor.describe() : 'disabled',
+      cpuGuard: this.cpuGovernor.enabled ? this.cpuGovernor.describe() : 'disabled',
+      gitCache: { wouldSkip: git.skip, reason: git.reason },
+      ...this._rerunField(),
+    };
+
+    // --rerun-failed: commands carried over from the previous run are not run again.
+    const planTopLevel = (commandConfig, phaseName) => {
+      const entry = this._planCommand(commandConfig, phaseName, needsOf);
+      const carried = this.rerunFailed?.carried.get(commandConfig.command);
+      return carried ? { ...entry, skipReason: carried.skipReason } : entry;
+    };
+
+    if (Array.isArray(this.config)) {
+      plan.commands = this.config.map((c) => planTopLevel(c, null));
+      return this._redact(plan);
+    }
+
+    plan.startPhase = this.startPhase ?? null;
+    if (this.startPhase && !startPhaseFound) plan.startPhaseFound = false;
+    plan.phases = decisions.map(({ phase, skipReason }) => {
+      const commands = (phase.parallel || []).map((c) => planTopLevel(c, phase.name));
+      const reason =
+        skipReason ??
+        (this.rerunFailed && commands.every((c) => c.skipReason) ? 'passed_previously' : null);
+      return {
+        name: phase.name,
+        ...(phase.optional === true ? { optional: true } : {}),
+        run: reason === null,
+        ...(reason ? { skipReason: reason } : {}),
+        concurrency: this.sequential ? 1 : this._phaseConcurrency(phase),
+        commands,
+      };
+    });
+    return this._redact(plan);
+  }
+
+  // Plan entry for one command (and, recursively, its inline dependencies).
+  _planCommand(commandConfig, phaseName, needsOf = new Map()) {
+    const {
+      command,
+      status = 'enabled',
+      background = false,
+      persist = false,
+      attempts = 1,
+      env,
+      health_check,
+      wait,
+      dependencies = [],
+    } = commandConfig;
+    const { timeoutMs } = this._resolveTimeout(commandConfig, phaseName);
+    const cacheKey = this._commandCacheKey(commandConfig);
+    return {
+      command,
+      invocation: this._displayCommand(command, commandConfig),
+      prefix: this._resolvePrefix(commandConfig),
+      ...(status === 'disabled' ? { disabled: true } : {}),
+      ...(background ? { background: true, ...(persist ? { persist: true } : {}) } : {}),
+      ...(env && Object.keys(env).length > 0 ? { env } : {}),
+      ...(healthCheckType(health_check) ? { healthCheck: describeHealthCheck(health_check) } : {}),
+      ...(wait ? { waitMs: wait } : {}),
+      ...(attempts > 1 ? { attempts } : {}),
+      ...(timeoutMs && !background ? { timeoutMs } : {}),
+      ...(cacheKey
+        ? { cache: !this.force && this.commandCache.lookup(command, cacheKey) ? 'hit' : 'miss' }
+        : {}),
+      ...(needsOf.has(command) ? { needs: needsOf.get(command) } : {}),
+      ...(dependencies.length > 0
+        ? { dependencies: dependencies.map((d) => this._planCommand(d, phaseName)) }
+        : {}),
+    };
+  }
+
   _deriveEventsPath(jsonResultsPath) {
     if (!jsonResultsPath || jsonResultsPath === '-') return null;
     return jsonResultsPath.replace(/\.json$/, '') + '-events.ndjson';
   }
 
+  // `value` with the configured secrets masked, for anything written outside the logger.
+  _redact(value) {
+    return this.secretMasker ? this.secretMasker.maskDeep(value) : value;
+  }
+
   // write current run state atomically
   _writeRunState(extra = {}) {
     if (!this.runStatePath) return;
-    const state = {
+    const state = this._redact({
       startedAt: this.runStartedAt ? new Date(this.runStartedAt).toISOString() : new Date().toISOString(),
       pid: process.pid,
       ...extra,
-    };
+    });
     const tmp = this.runStatePath + '.tmp';
     try {
       fs.mkdirSync(path.dirname(this.runStatePath), { recursive: true });
@@ -219,17 +857,30 @@ export class Orchestrator {
     try { fs.unlinkSync(this.runStatePath); } catch { /* ignore */ }
   }
 
-  // append a structured NDJSON event
+  // append a structured NDJSON event (and show it on the --ui dashboard, when one is up), and emit it
+  // to in-process listeners
   _appendEvent(type, data = {}) {
+    const event = this._redact({ type, timestamp: new Date().toISOString(), ...this._iterationField(), ...data });
+    if (this.dashboard) this.dashboard.onEvent(event);
+    this._emitSafely(type.replace('_', ':'), event);
     if (!this.eventsPath) return;
-    const line = JSON.stringify({ type, timestamp: new Date().toISOString(), ...data });
     try {
-      fs.appendFileSync(this.eventsPath, line + '\n', 'utf8');
+      fs.appendFileSync(this.eventsPath, JSON.stringify(event) + '\n', 'utf8');
     } catch {
       // non-fatal: don't let event logging break the run
     }
   }
 
+  // A listener that throws must not take the run down with it (or skip the bookkeeping after the
+  // event); report it and carry on.
+  _emitSafely(name, payload) {
+    try {
+      this.emit(name, payload);
+    } catch (err) {
+      this.logger.warn(`A "${name}" listener threw: ${err.message}`);
+    }
+  }
+
   // atomically write current run state (completed + in-flight commands) to json_results.
   // `terminal` marks a final write for a run that ended WITHOUT reaching its natural completion
   // (interrupt / memory abort): the top-level `success` becomes `false` (not the in-progress
@@ -238,7 +889,9 @@ export class Orchestrator {
   // INTERRUPTED rather than a false pass. The caller clears the run-state marker, so a terminal
   // write does not rewrite it.
   _writePartialResults(terminal = false) {
-    if (this.jsonResultsPath == null || this.jsonResultsPath === '-') return;
+    const writeJson = this.jsonResultsPath != null && this.jsonResultsPath !== '-';
+    const writeJunit = terminal && this.junitResultsPath != null && this.junitResultsPath !== '-';
+    if (!writeJson && !writeJunit) return;
     const outPath = this.jsonResultsPath || './scripts-orchestrator-results.json';
 
     const commands = [];
@@ -246,38 +899,21 @@ export class Orchestrator {
     const buildEntry = (command, phaseName) => {
       const timing = this.commandTimings.get(command);
       const startedAt = this.commandStartTimes.get(command);
-      const skipped = this.skippedCommands.includes(command);
+      const skipped = this.skippedCommands.includes(command) || this.carriedCommands.has(command);
       const done = timing != null || skipped;
 
       if (!done && startedAt) {
         return {
           command,
           ...(phaseName ? { phase: phaseName } : {}),
+          ...this._matrixField(command),
           success: null,
           startedAt,
           ...this._logFileField(command),
         };
       }
       if (!done) return null; // not yet started — omit
-
-      const skipReason = skipped ? (this.skipReasons.get(command) ?? null) : null;
-      const success =
-        !this.failedCommands.includes(command) &&
-        (skipReason === null ||
-          skipReason === 'disabled' ||
-          skipReason === 'optional_phase_not_requested' ||
-          skipReason === 'before_start_phase');
-      return {
-        command,
-        ...(phaseName ? { phase: phaseName } : {}),
-        success,
-        ...(startedAt ? { startedAt } : {}),
-        ...(timing?.durationMs != null ? { durationMs: timing.durationMs } : {}),
-        ...(this.metrics.includes('memory') ? { memoryKb: timing?.memoryKb ?? null } : {}),
-        ...(this.metrics.includes('cpu') ? { cpuPercent: timing?.cpuPercent ?? null } : {}),
-        ...this._logFileField(command),
-        ...(skipReason ? { skipReason } : {}),
-      };
+      return this._resultEntry(command, phaseName);
     };
 
     if (Array.isArray(this.config)) {
@@ -294,20 +930,35 @@ export class Orchestrator {
       }
     }
 
-    const payload = {
+    const payload = this._redact({
       // in-progress sentinel (null) → replaced by writeJsonResults on natural completion; a
       // terminal write (interrupt / abort) records `false` so the run reads as ended, not running.
       success: terminal ? false : null,
       // Mark a terminal write as an interruption so the report shows a distinct "Interrupted" banner
       // rather than "Failed" — it's non-success (success stays false) but not a gate failure.
       ...(terminal ? { interrupted: true } : {}),
+      ...this._iterationField(),
       timestamp: new Date().toISOString(),
+      ...(this.runId ? { runId: this.runId } : {}),
       ...(this.startTime ? { overallDurationMs: Date.now() - this.startTime } : {}), // elapsed so far
       commands,
+      ...this._servicesField(commands),
+      ...this._matricesField(commands),
+      ...this._hostTimelineField(),
+      ...this._rerunField(),
       ...(this.config.phases && this.phaseResults.length > 0 ? { phases: this.phaseResults } : {}),
       ...(this.memoryHeat ? { memoryHeat: this.memoryHeat } : {}),
       ...(this.durationHeat ? { durationHeat: this.durationHeat } : {}),
-    };
+    });
+
+    if (writeJunit) {
+      try {
+        this.writeJunitResults(payload);
+      } catch (err) {
+        this.logger.verbose(`Terminal JUnit write failed: ${err.message}`);
+      }
+    }
+    if (!writeJson) return;
 
     const tmpPath = outPath + '.tmp';
     try {
@@ -358,19 +1009,24 @@ export class Orchestrator {
   _logFileField(command) {
     const p = this.commandLogPaths.get(command);
     if (!p) return {};
-    let rel = p;
+    return { logFile: this._reportPath(p) };
+  }
+
+  // A path as results report it: relative to cwd, or absolute when it lies outside.
+  _reportPath(p) {
     try {
       const r = path.relative(process.cwd(), p);
-      if (r && !r.startsWith('..')) rel = r;
+      if (r && !r.startsWith('..')) return r;
     } catch {
       // keep absolute path on any failure
     }
-    return { logFile: rel };
+    return p;
   }
 
   // The important output files this run produces, as [label, absolutePath] pairs.
-  // Excludes stdout sinks ('-'). Used to announce report locations in the logs.
-  _reportFiles() {
+  // Excludes stdout sinks ('-'). Used to announce report locations in the logs; `live` leaves out
+  // the JUnit file, which only appears once the run ends.
+  _reportFiles({ live = false } = {}) {
     const files = [];
     if (this.jsonResultsPath != null && this.jsonResultsPath !== '-') {
       files.push(['JSON results', path.resolve(this.jsonResultsPath || './scripts-orchestrator-results.json')]);
@@ -378,6 +1034,9 @@ export class Orchestrator {
     if (this.htmlResultsPath != null && this.htmlResultsPath !== '-') {
       files.push(['HTML report', path.resolve(this.htmlResultsPath || './scripts-orchestrator-results.html')]);
     }
+    if (!live && this.junitResultsPath != null && this.junitResultsPath !== '-') {
+      files.push(['JUnit XML', path.resolve(this.junitResultsPath || './scripts-orchestrator-results.xml')]);
+    }
     if (this.eventsPath) {
       files.push(['Events (NDJSON)', path.resolve(this.eventsPath)]);
     }
@@ -385,8 +1044,8 @@ export class Orchestrator {
   }
 
   // Announce report file locations in the logs (prefix e.g. 'Live reports' / 'Reports written').
-  _announceReportFiles(prefix) {
-    const files = this._reportFiles();
+  _announceReportFiles(prefix, { live = false } = {}) {
+    const files = this._reportFiles({ live });
     if (files.length === 0) return;
     this.logger.info(`📄 ${prefix}:`);
     for (const [label, file] of files) {
@@ -411,10 +1070,95 @@ export class Orchestrator {
     return this.commandPrefix;
   }
 
-  // Format a command for display, honoring its resolved prefix.
+  // Format a command for display, honoring its resolved prefix. A matrix cell shows the script it
+  // runs, not its cell name.
   _displayCommand(command, commandConfig = {}) {
     const prefix = this._resolvePrefix(commandConfig);
-    return prefix ? `${prefix} ${command}` : command;
+    const script = commandConfig.matrixCell?.command ?? command;
+    return prefix ? `${prefix} ${script}` : script;
+  }
+
+  // Content-hash cache key for a command, or null when it is not cacheable: it declares no `inputs`,
+  // it is a background service (which is started for its side effect, not for a result) or a shard.
+  _commandCacheKey(commandConfig) {
+    const { command, inputs, env, background = false, shard } = commandConfig;
+    // A shard cell's items are packed afresh each run, so its last pass says nothing about this one.
+    if (inputs == null || background || shard) return null;
+    try {
+      return computeCacheKey({ commandLine: this._displayCommand(command, commandConfig), inputs, env }).key;
+    } catch (err) {
+      this.logger.verbose(`Command cache disabled for ${command}: ${err.message}`);
+      return null;
+    }
+  }
+
+  // List and pack a shard group's items, once per run however many of its cells ask. A --rerun-failed
+  // or --watch run gives the cells the items they had last time, as long as the item list is unchanged.
+  _planShards(shard) {
+    if (!this.shardPlans.has(shard.group)) {
+      const plan = (async () => {
+        const items = await listShardItems(shard);
+        const { durations, lastPlan } = this.shardTimings.get(shard.group);
+        const estimates = estimateDurations(items, durations);
+        const previous = lastPlan?.shards;
+        const sameItems =
+          previous?.length === shard.count &&
+          previous.flat().length === items.length &&
+          previous.flat().every((item) => estimates.has(item));
+        const shards =
+          this.rerunFailed && sameItems
+            ? previous.map((list) => ({
+              items: list,
+              estimatedMs: Math.round(list.reduce((sum, item) => sum + estimates.get(item), 0)),
+            }))
+            : packShards(items, estimates, shard.count);
+        this.shardTimings.recordPlan(shard.group, shards);
+        this.logger.verbose(
+          `Sharded ${items.length} item(s) of ${shard.group} into ${shard.count}: ` +
+            shards.map((s) => `${s.items.length} (~${this.formatDuration(s.estimatedMs)})`).join(', '),
+        );
+        return { shards, estimates };
+      })().catch((err) => ({ error: err.message }));
+      this.shardPlans.set(shard.group, plan);
+    }
+    return this.shardPlans.get(shard.group);
+  }
+
+  // This cell's items, and the env that hands them to it: a space-separated variable, a file with one
+  // item per line (next to its log) and a file it may write per-item timings to.
+  async _assignShard(commandConfig) {
+    const { command, shard } = commandConfig;
+    const plan = await this._planShards(shard);
+    if (plan.error) return { error: plan.error };
+    const { items, estimatedMs } = plan.shards[shard.index - 1];
+    const variable = shard.env || DEFAULT_SHARD_ENV;
+    const base = (this.commandLogPaths.get(command) || this.processManager.getLogPath(command)).replace(/\.log$/, '');
+    const itemsFile = `${base}.items`;
+    const timingsFile = `${base}.timings.json`;
+    try {
+      fs.mkdirSync(path.dirname(itemsFile), { recursive: true });
+      fs.writeFileSync(itemsFile, items.map((item) => `${item}\n`).join(''), 'utf8');
+      fs.rmSync(timingsFile, { force: true });
+    } catch (err) {
+      this.logger.verbose(`Could not write ${itemsFile}: ${err.message}`);
+    }
+    this.shardAssignments.set(command, { items, estimates: plan.estimates, estimatedMs, timingsFile });
+    return {
+      items,
+      env: { [variable]: items.join(' '), [`${variable}_FILE`]: itemsFile, [SHARD_TIMINGS_KEY]: timingsFile },
+    };
+  }
+
+  // Feed a passing shard cell's timings back into the history: the per-item durations it wrote, if
+  // any, otherwise its run time split over its items by their estimates.
+  _recordShardTimings({ command, shard }, durationMs) {
+    const assignment = this.shardAssignments.get(command);
+    if (!assignment) return;
+    const { items, estimates, timingsFile } = assignment;
+    const reported = readReportedTimings(timingsFile, items);
+    const byItem =
+      Object.keys(reported).length > 0 ? reported : attributeDuration(items, estimates, durationMs);
+    this.shardTimings.recordDurations(shard.group, byItem);
   }
 
   async executeCommand(commandConfig, visited = new Set(), phaseName = null) {
@@ -437,7 +1181,22 @@ export class Orchestrator {
       // that later phases run against. Phase-scoped background processes (the default) are killed at
       // the end of the phase that started them.
       persist = false,
+      output: outputMode,
+      matrixCell,
     } = commandConfig;
+    // A matrix cell is tracked under its cell name but runs the matrix's script, logging to a file
+    // of its own.
+    const script = matrixCell?.command ?? command;
+
+    // An embedded run aborted for memory pressure winds down without starting anything new.
+    if (this.abortError) return false;
+
+    // --rerun-failed: a top-level command that passed last time is not run again. Inline
+    // dependencies (visited is non-empty) always run with the command that declares them.
+    if (visited.size === 0 && this._carryCommand(command)) {
+      this.logger.verbose(`Skipping ${command} (passed previously)`);
+      return true;
+    }
 
     const startTime = Date.now();
     // Effective invocation prefix for this command ('' => run verbatim as a shell command).
@@ -445,10 +1204,10 @@ export class Orchestrator {
 
     // Record the destination log file for this command (honors per-command override).
     // Done early so even disabled/skipped commands report where output would land.
-    this.commandLogPaths.set(command, this.processManager.getLogPath(command, log || logFile));
+    this.commandLogPaths.set(command, this.processManager.getLogPath(matrixCell?.logName ?? command, log || logFile));
 
-    const setTiming = (durationMs, memoryKb = null, cpuPercent = null) => {
-      this.commandTimings.set(command, { durationMs, memoryKb, cpuPercent });
+    const setTiming = (durationMs, memoryKb = null, cpuPercent = null, resources = null) => {
+      this.commandTimings.set(command, { durationMs, memoryKb, cpuPercent, ...(resources ? { resources } : {}) });
     };
 
     // Check for circular dependencies
@@ -472,28 +1231,54 @@ export class Orchestrator {
       return true;
     }
 
-    const checkUrl = health_check?.url;
-    if (checkUrl) {
+    // Replay a foreground command from the content-hash cache when its inputs, command line, env and
+    // lockfile match its last pass. --force always runs it.
+    const cacheKey = this._commandCacheKey(commandConfig);
+    if (cacheKey && !this.force) {
+      const entry = this.commandCache.lookup(command, cacheKey);
+      if (entry) {
+        this.commandCache.replayLog(entry, this.commandLogPaths.get(command));
+        this.cachedCommands.add(command);
+        this.commandStartTimes.set(command, new Date().toISOString());
+        this._appendEvent('command_start', { command, phase: phaseName, scope: 'workspace' });
+        this.logger.success(`♻️  ${command}: inputs unchanged since ${entry.storedAt} — replayed from cache`);
+        setTiming(Date.now() - startTime);
+        this._appendEvent('command_end', {
+          command,
+          phase: phaseName,
+          success: true,
+          durationMs: Date.now() - startTime,
+          status: 'cached',
+        });
+        this._writePartialResults();
+        visited.delete(command);
+        return true;
+      }
+    }
+
+    // A service whose health check already passes (e.g. a dev server left running) is reused rather
+    // than started a second time. Only network probes say anything about a running service: a file
+    // left over from an earlier run, or a command probe that already passes, must not skip the start.
+    const probeType = healthCheckType(health_check);
+    if (probeType === 'http' || probeType === 'tcp') {
+      const target = describeHealthCheck(health_check);
       this.logger.startEphemeral(
-        `check_${checkUrl}`,
-        chalk.blue(`[INFO] ⏳ Checking if ${checkUrl} is already available...`),
+        `check_${target}`,
+        chalk.blue(`[INFO] ⏳ Checking if ${target} is already available...`),
       );
-      const urlAvailable = await this.healthCheck.waitForUrl({
-        url: checkUrl,
-        maxAttempts: 1,
-        silent: true,
-      });
+      const { ok: available } = await this.healthCheck.waitFor(health_check, { maxAttempts: 1, silent: true });
 
-      if (!urlAvailable) {
-        this.logger.stopEphemeral(`check_${checkUrl}`);
+      if (!available) {
+        this.logger.stopEphemeral(`check_${target}`);
       } else {
         this.logger.stopEphemeral(
-          `check_${checkUrl}`,
-          `✅ ${checkUrl} is already available. Skipping ${command} start.`,
+          `check_${target}`,
+          `✅ ${target} is already available. Skipping ${command} start.`,
         );
         this.processManager.addBackgroundProcess({
           command,
-          url: checkUrl,
+          // Only an HTTP url is probed again at cleanup to find a server that outlived its kill.
+          url: probeType === 'http' ? health_check.url : null,
           startedByScript: false,
           process_tracking,
           kill_command,
@@ -515,20 +1300,30 @@ export class Orchestrator {
         this.logger.error(`Skipping ${command} due to failed dependency`);
         this.skippedCommands.push(command);
         this.skipReasons.set(command, 'failed_dependency');
+        const nested = this.failureReasons.get(dependency.command);
+        this.failureReasons.set(
+          command,
+          `dependency ${dependency.command} failed${nested ? ` (${nested})` : ''}`,
+        );
         setTiming(Date.now() - startTime);
         visited.delete(command);
         return false;
       }
 
-      if (dependency.health_check?.url) {
-        const urlAvailable = await this.healthCheck.waitForUrl({
-          url: dependency.health_check.url,
-          maxAttempts: dependency.health_check?.max_attempts || 20,
-          interval: dependency.health_check?.interval || 2000,
+      if (healthCheckType(dependency.health_check)) {
+        const maxAttempts = dependency.health_check.max_attempts || 20;
+        const health = await this.healthCheck.waitFor(dependency.health_check, {
+          maxAttempts,
+          interval: dependency.health_check.interval || 2000,
         });
-        if (!urlAvailable) {
+        if (!health.ok) {
+          const reason =
+            `health check ${describeHealthCheck(dependency.health_check)} for ${dependency.command} ` +
+            `failed after ${maxAttempts} attempt(s): ${health.reason}`;
+          this.logger.error(`Skipping ${command}: ${reason}`);
           this.skippedCommands.push(command);
           this.skipReasons.set(command, 'failed_dependency');
+          this.failureReasons.set(command, reason);
           setTiming(Date.now() - startTime);
           visited.delete(command);
           return false;
@@ -547,6 +1342,30 @@ export class Orchestrator {
       }
     }
 
+    // A shard cell runs with the items packed for it; a group whose items can't be listed fails, and a
+    // cell left without items (more shards than items) has nothing to run.
+    let runEnv = env;
+    if (commandConfig.shard) {
+      const assigned = await this._assignShard(commandConfig);
+      if (assigned.error) {
+        this.logger.error(`${command}: could not list shard items: ${assigned.error}`);
+        this.failedCommands.push(command);
+        this.failureReasons.set(command, `could not list shard items: ${assigned.error}`);
+        setTiming(Date.now() - startTime);
+        visited.delete(command);
+        return false;
+      }
+      if (assigned.items.length === 0) {
+        this.logger.info(`Skipping ${command}: no items left for this shard`);
+        this.skippedCommands.push(command);
+        this.skipReasons.set(command, 'empty_shard');
+        setTiming(Date.now() - startTime);
+        visited.delete(command);
+        return true;
+      }
+      runEnv = { ...env, ...assigned.env };
+    }
+
     // record start and emit event
     this.commandStartTimes.set(command, new Date().toISOString());
     this._appendEvent('command_start', { command, phase: phaseName, scope: 'workspace' });
@@ -557,34 +1376,93 @@ export class Orchestrator {
     let commandOutput = '';
     let commandFailed = false;
     let lastRunResult = null;
+    const { timeoutMs, timeoutGraceMs } = this._resolveTimeout(commandConfig, phaseName);
 
+    let restarted = false; // the previous attempt was restarted from the dashboard
+    const requeues = []; // runs the memory guard stopped; they don't use up `attempts`
+    let rerunStarted = null; // lets the next requeued command go once this rerun has started
     for (let attempt = 1; attempt <= attempts; attempt++) {
-      if (attempt > 1) {
+      if (rerunStarted) {
+        this._appendEvent('command_retry', {
+          command,
+          phase: phaseName,
+          attempt: attempt + requeues.length,
+          attempts,
+          reason: 'memory_pressure',
+        });
+      } else if (restarted) {
+        this._appendEvent('command_retry', { command, phase: phaseName, attempt, attempts, reason: 'restart' });
+      } else if (attempt > 1) {
         this.logger.warn(
           `Retrying ${command} (attempt ${attempt}/${attempts})`,
         );
+        this._appendEvent('command_retry', { command, phase: phaseName, attempt, attempts });
         await new Promise((resolve) => setTimeout(resolve, 1000));
       }
+      restarted = false;
 
-      const runResult = await this.processManager.runCommand({
-        cmd: attempt === 1 ? command : retry_command || command,
+      const running = this.processManager.runCommand({
+        cmd: attempt === 1 ? script : retry_command || script,
+        name: command,
+        logName: matrixCell?.logName ?? null,
         logFile: log || logFile, // Prefer 'log' key over 'logFile' for backwards compatibility
         background,
         healthCheck: health_check,
         kill_command,
         isRetry: attempt > 1,
-        env,
+        env: runEnv,
         reportTime: this.metrics.includes('time'),
         reportMemory: this.metrics.includes('memory'),
         reportCpu: this.metrics.includes('cpu'),
         prefix,
         startPhase: phaseName,
         persist,
+        timeoutMs,
+        timeoutGraceMs,
+        output: outputMode ?? this.outputMode,
+        onOutput:
+          this.listenerCount('command:output') > 0
+            ? (chunk, stream) => this._emitSafely('command:output', { command, phase: phaseName, stream, chunk })
+            : null,
       });
+      if (rerunStarted) {
+        rerunStarted();
+        rerunStarted = null;
+      }
+      const runResult = await running;
       lastRunResult = runResult;
+      this.commandAttempts.set(command, attempt + requeues.length);
       const { success, output } = runResult;
       commandOutput = output;
       result = success;
+      if (runResult.timedOut) {
+        this._appendEvent('command_timeout', { command, phase: phaseName, attempt, timeoutMs });
+      }
+      // Shed by the memory guard (on_critical: 'requeue'): run it again once the others have finished.
+      if (runResult.stoppedBy === 'memory_pressure') {
+        requeues.push({
+          attempt: attempt + requeues.length,
+          reason: 'memory_pressure',
+          memoryKb: runResult.resources?.peakRssKb ?? runResult.memoryKb ?? null,
+        });
+        this.memoryRequeues.set(command, requeues);
+        rerunStarted = await this._waitToRerun(command);
+        attempt--;
+        continue;
+      }
+      // Stopped from the dashboard: a restart reruns the same attempt; a kill fails the command
+      // without spending its remaining attempts.
+      if (runResult.stoppedBy === 'restart') {
+        this.logger.warn(`Restarting ${command} (requested from the dashboard)`);
+        restarted = true;
+        attempt--;
+        continue;
+      }
+      if (runResult.stoppedBy) {
+        this.failureReasons.set(command, `${runResult.stoppedBy} from the dashboard`);
+        commandFailed = true;
+        break;
+      }
 
       if (result) {
         // Remove from failed commands if it was there
@@ -592,6 +1470,16 @@ export class Orchestrator {
           (cmd) => cmd !== command,
         );
         commandFailed = false;
+        // A pass after a failed attempt is a flake: reported as such, and a failure under fail_on_flaky.
+        if (attempt > 1) {
+          this.flakyCommands.add(command);
+          this.logger.warn(`⚠️  ${command} is flaky: it passed on attempt ${attempt}/${attempts}`);
+          if (this.failOnFlaky) {
+            this.failureReasons.set(command, `flaky: passed on attempt ${attempt} of ${attempts} (fail_on_flaky)`);
+            result = false;
+            commandFailed = true;
+          }
+        }
         break;
       } else if (attempt < attempts) {
         if (should_retry && !should_retry(commandOutput)) {
@@ -612,6 +1500,7 @@ export class Orchestrator {
 
     if (commandFailed) {
       this.failedCommands.push(command);
+      if (lastRunResult?.timedOut) this.timedOutCommands.add(command);
 
       // Cleanup any background processes for this failed command
       if (background) {
@@ -629,9 +1518,32 @@ export class Orchestrator {
     }
 
     const totalDurationMs = Date.now() - startTime;
-    setTiming(totalDurationMs, lastRunResult?.memoryKb ?? null, lastRunResult?.cpuPercent ?? null);
+    setTiming(
+      totalDurationMs,
+      lastRunResult?.memoryKb ?? null,
+      lastRunResult?.cpuPercent ?? null,
+      lastRunResult?.resources ?? null,
+    );
+    if (background && result) this.backgroundServices.set(command, phaseName);
+    if (commandConfig.shard && result) this._recordShardTimings(commandConfig, lastRunResult?.durationMs ?? totalDurationMs);
+    if (commandConfig.artifacts && !background) await this._collectArtifacts(commandConfig, result);
+    if (cacheKey && result) {
+      this.commandCache.store(command, cacheKey, {
+        logPath: this.commandLogPaths.get(command),
+        durationMs: totalDurationMs,
+      });
+    }
     // emit completion event and write incremental results
-    this._appendEvent('command_end', { command, phase: phaseName, success: result, durationMs: totalDurationMs });
+    this._appendEvent('command_end', {
+      command,
+      phase: phaseName,
+      success: result,
+      durationMs: totalDurationMs,
+      ...(lastRunResult?.memoryKb != null ? { memoryKb: lastRunResult.memoryKb } : {}),
+      ...(lastRunResult?.cpuPercent != null ? { cpuPercent: lastRunResult.cpuPercent } : {}),
+      ...this._attemptsField(command),
+      ...(this.timedOutCommands.has(command) ? { status: 'timed_out' } : {}),
+    });
     this._writePartialResults();
     visited.delete(command);
     return result;
@@ -660,89 +1572,239 @@ export class Orchestrator {
     } else {
       this.logger.success('\n🎉 All commands executed successfully!');
     }
+    if (this.flakyCommands.size > 0) {
+      this.logger.warn(
+        `⚠️  Flaky (passed only after a retry): ${Array.from(this.flakyCommands).join(', ')}` +
+          (this.failOnFlaky ? ' — counted as failures (fail_on_flaky)' : ''),
+      );
+    }
+  }
+
+  // Why a command did not pass (or was never run), as recorded in its result entry. A command whose
+  // final attempt was killed by its timeout reports `timed_out` so it reads differently from an
+  // ordinary non-zero exit.
+  _skipReasonOf(command) {
+    if (this.skippedCommands.includes(command)) return this.skipReasons.get(command) ?? null;
+    if (this.timedOutCommands.has(command)) return 'timed_out';
+    return null;
+  }
+
+  // Tags a --watch iteration's events and results with its number.
+  _iterationField() {
+    return this.iteration != null ? { iteration: this.iteration } : {};
+  }
+
+  // Copy a finished command's `artifacts` into the run's log directory, under artifacts/<log name>/,
+  // and keep the list for its result entry. Collection problems are reported, never fatal.
+  async _collectArtifacts({ command, artifacts }, success) {
+    const spec = resolveArtifacts(artifacts);
+    if (!spec || !shouldCollect(spec.when, success)) return;
+    const logPath = this.commandLogPaths.get(command);
+    const logsDir =
+      this.processManager.runDir ||
+      path.join(this.logFolder ? path.resolve(this.logFolder) : process.cwd(), 'scripts-orchestrator-logs');
+    const destDir = path.join(logsDir, 'artifacts', logPath ? path.basename(logPath, '.log') : command);
+    try {
+      const { files, totalBytes, omitted } = await collectArtifacts({ ...spec, destDir });
+      if (omitted.length > 0) {
+        this.logger.warn(
+          `⚠️  ${command}: ${omitted.length} artifact file(s) not copied, over the ${spec.maxSizeMb} MB cap`,
+        );
+      }
+      if (files.length === 0 && omitted.length === 0) {
+        this.logger.verbose(`${command}: no files matched its artifacts`);
+        return;
+      }
+      this.commandArtifacts.set(command, {
+        dir: this._reportPath(destDir),
+        files: files.map((file) => ({ path: this._reportPath(file.path), size: file.size })),
+        totalBytes,
+        ...(omitted.length > 0 ? { omitted: omitted.length } : {}),
+      });
+      if (files.length > 0) {
+        this.logger.info(`📦 ${command}: ${files.length} artifact file(s) in ${this._reportPath(destDir)}`);
+      }
+    } catch (err) {
+      this.logger.warn(`⚠️  Could not collect artifacts of ${command}: ${err.message}`);
+    }
+  }
+
+  // How many attempts a retried command took, and whether it passed only on a retry.
+  _attemptsField(command) {
+    const attempts = this.commandAttempts.get(command) ?? 1;
+    return {
+      ...(attempts > 1 ? { attempts } : {}),
+      ...(this.flakyCommands.has(command) ? { flaky: true } : {}),
+      ...(this.memoryRequeues.has(command) ? { requeues: this.memoryRequeues.get(command) } : {}),
+    };
+  }
+
+  // Memory/CPU of a command's process tree as sampled from /proc: a foreground command's totals once
+  // it has finished, a background service's so far (it runs on after its entry is first written).
+  _resourcesOf(command) {
+    const timing = this.commandTimings.get(command);
+    if (timing?.resources) return timing.resources;
+    if (!this.backgroundServices.has(command)) return null;
+    return this.processManager.resourceUsage ? this.processManager.resourceUsage(command) : null;
+  }
+
+  // The metric columns of a result entry, plus the sampled detail behind them (`resources`: average
+  // memory, CPU seconds and the timeline) when the process tree was sampled.
+  _metricsFields(command) {
+    const timing = this.commandTimings.get(command);
+    const resources = this._resourcesOf(command);
+    const wantMemory = this.metrics.includes('memory');
+    const wantCpu = this.metrics.includes('cpu');
+    if (!resources || (!wantMemory && !wantCpu)) {
+      return {
+        ...(wantMemory ? { memoryKb: timing?.memoryKb ?? null } : {}),
+        ...(wantCpu ? { cpuPercent: timing?.cpuPercent ?? null } : {}),
+      };
+    }
+    const { avgRssKb, cpuSec, samples, timeline } = resources;
+    return {
+      ...(wantMemory ? { memoryKb: timing?.memoryKb ?? resources.peakRssKb } : {}),
+      ...(wantCpu ? { cpuPercent: timing?.cpuPercent ?? resources.cpuPercent } : {}),
+      resources: {
+        ...(wantMemory ? { avgRssKb } : {}),
+        ...(wantCpu ? { cpuSec } : {}),
+        samples,
+        ...(timeline ? { timeline } : {}),
+      },
+    };
+  }
+
+  // Background services started as another command's dependency have no entry of their own; their
+  // sampled memory/CPU is listed here instead. Omitted when nothing was sampled.
+  _servicesField(commands) {
+    if (!this.metrics.includes('memory') && !this.metrics.includes('cpu')) return {};
+    const listed = new Set(commands.map((entry) => entry.command));
+    const services = [];
+    for (const [command, phase] of this.backgroundServices) {
+      if (listed.has(command) || !this._resourcesOf(command)) continue;
+      services.push({ command, ...(phase ? { phase } : {}), ...this._metricsFields(command) });
+    }
+    return services.length > 0 ? { services } : {};
+  }
+
+  // The memory guard's host timeline (available RAM, swap, load, commands in flight, guard events),
+  // which the HTML report charts under the Gantt. Omitted when the guard is off or records none.
+  _hostTimelineField() {
+    const timeline = this.memoryGovernor.enabled ? this.memoryGovernor.timeline() : null;
+    return timeline ? { hostTimeline: timeline } : {};
+  }
+
+  // Tags a matrix cell's result entry with the matrix it belongs to and its values.
+  _matrixField(command) {
+    const cell = this.matrixCells.get(command);
+    return cell ? { matrix: { command: cell.command, values: cell.values } } : {};
   }
 
-  writeJsonResults(hasFailures) {
+  // A shard cell's share of its group: how many items it ran and their estimated duration.
+  _shardField(command) {
+    const assignment = this.shardAssignments.get(command);
+    return assignment ? { shard: { items: assignment.items.length, estimatedMs: assignment.estimatedMs } } : {};
+  }
+
+  // The run's matrices, each as one row: its cells and their combined outcome (see groupMatrixCells)
+  // — null while a cell has no result yet, including one a partial payload doesn't list because it
+  // hasn't started. Omitted when the config has none.
+  _matricesField(commands) {
+    if (this.matrixCells.size === 0) return {};
+    const listed = new Set(commands.map((entry) => entry.command));
+    const unstarted = new Set(
+      Array.from(this.matrixCells).filter(([name]) => !listed.has(name)).map(([, cell]) => cell.command),
+    );
+    const matrices = groupMatrixCells(commands).map(({ command, phase, success, cells }) => ({
+      command,
+      ...(phase != null ? { phase } : {}),
+      success: unstarted.has(command) ? null : success,
+      cells: cells.map((cell) => cell.command),
+    }));
+    return { matrices };
+  }
+
+  // Marks a --rerun-failed run in its results: the run it continues and the commands it reran.
+  _rerunField() {
+    if (!this.rerunFailed) return {};
+    return {
+      rerunOf: { timestamp: this.rerunFailed.timestamp, commands: Array.from(this.rerunFailed.rerun) },
+    };
+  }
+
+  // Result entry for a finished (or never-started) command — shared by the incremental and the final
+  // results writers so both report the same shape.
+  _resultEntry(command, phaseName) {
+    const timing = this.commandTimings.get(command);
+    const startedAt = this.commandStartTimes.get(command);
+    const skipReason = this._skipReasonOf(command);
+    const carried = this.rerunFailed?.carried.get(command);
+    if (carried && this.carriedCommands.has(command)) {
+      return { command, ...(phaseName ? { phase: phaseName } : {}), ...this._matrixField(command), ...carried };
+    }
+    const success =
+      !this.failedCommands.includes(command) &&
+      (skipReason === null ||
+        skipReason === 'disabled' ||
+        skipReason === 'optional_phase_not_requested' ||
+        skipReason === 'before_start_phase' ||
+        skipReason === 'empty_shard');
+    return {
+      command,
+      ...(phaseName ? { phase: phaseName } : {}),
+      ...this._matrixField(command),
+      success,
+      ...(startedAt ? { startedAt } : {}),
+      ...(timing?.durationMs != null ? { durationMs: timing.durationMs } : {}),
+      ...this._metricsFields(command),
+      ...(this.memoryReservations.has(command) ? { reservation: this.memoryReservations.get(command) } : {}),
+      ...this._attemptsField(command),
+      ...this._logFileField(command),
+      ...(this.commandArtifacts.has(command) ? { artifacts: this.commandArtifacts.get(command) } : {}),
+      ...this._shardField(command),
+      ...(this.cachedCommands.has(command) ? { cached: true } : {}),
+      ...(skipReason ? { skipReason } : {}),
+      ...(this.failureReasons.has(command) ? { failureReason: this.failureReasons.get(command) } : {}),
+    };
+  }
+
+  // The final results payload for a run that reached its natural end (JSON, HTML and JUnit share it).
+  _finalResultsPayload(hasFailures) {
     const overallDurationMs = this.startTime ? Date.now() - this.startTime : undefined;
 
     const commands = [];
     if (Array.isArray(this.config)) {
       this.config.forEach(({ command }) => {
-        const timing = this.commandTimings.get(command);
-        const skipReason = this.skippedCommands.includes(command)
-          ? this.skipReasons.get(command) ?? null
-          : null;
-        const success =
-          !this.failedCommands.includes(command) &&
-          (skipReason === null ||
-            skipReason === 'disabled' ||
-            skipReason === 'optional_phase_not_requested' ||
-            skipReason === 'before_start_phase');
-        const entry = {
-          command,
-          success,
-          ...(this.commandStartTimes.has(command)
-            ? { startedAt: this.commandStartTimes.get(command) }
-            : {}),
-          ...(timing?.durationMs != null ? { durationMs: timing.durationMs } : {}),
-          ...(this.metrics.includes('memory')
-            ? { memoryKb: timing?.memoryKb ?? null }
-            : {}),
-          ...(this.metrics.includes('cpu')
-            ? { cpuPercent: timing?.cpuPercent ?? null }
-            : {}),
-          ...this._logFileField(command),
-          ...(skipReason ? { skipReason } : {}),
-        };
-        commands.push(entry);
+        commands.push(this._resultEntry(command, null));
       });
     } else if (this.config.phases) {
       this.config.phases.forEach((phase) => {
         (phase.parallel || []).forEach(({ command }) => {
-          const timing = this.commandTimings.get(command);
-          const skipReason = this.skippedCommands.includes(command)
-            ? this.skipReasons.get(command) ?? null
-            : null;
-          const success =
-            !this.failedCommands.includes(command) &&
-            (skipReason === null ||
-              skipReason === 'disabled' ||
-              skipReason === 'optional_phase_not_requested' ||
-              skipReason === 'before_start_phase');
-          const entry = {
-            command,
-            phase: phase.name,
-            success,
-            ...(this.commandStartTimes.has(command)
-              ? { startedAt: this.commandStartTimes.get(command) }
-              : {}),
-            ...(timing?.durationMs != null ? { durationMs: timing.durationMs } : {}),
-            ...(this.metrics.includes('memory')
-              ? { memoryKb: timing?.memoryKb ?? null }
-              : {}),
-            ...(this.metrics.includes('cpu')
-              ? { cpuPercent: timing?.cpuPercent ?? null }
-              : {}),
-            ...this._logFileField(command),
-            ...(skipReason ? { skipReason } : {}),
-          };
-          commands.push(entry);
+          commands.push(this._resultEntry(command, phase.name));
         });
       });
     }
 
-    const payload = {
+    return this._redact({
       success: !hasFailures,
+      ...this._iterationField(),
       timestamp: new Date().toISOString(),
+      ...(this.runId ? { runId: this.runId } : {}),
       ...(overallDurationMs != null ? { overallDurationMs } : {}),
       commands,
+      ...this._servicesField(commands),
+      ...this._matricesField(commands),
+      ...this._hostTimelineField(),
+      ...this._rerunField(),
       ...(this.config.phases && this.phaseResults.length > 0
         ? { phases: this.phaseResults }
         : {}),
       ...(this.memoryHeat ? { memoryHeat: this.memoryHeat } : {}),
       ...(this.durationHeat ? { durationHeat: this.durationHeat } : {}),
-    };
+    });
+  }
 
+  writeJsonResults(hasFailures, payload = this._finalResultsPayload(hasFailures)) {
     const json = JSON.stringify(payload, null, 2);
     if (this.jsonResultsPath === '-') {
       console.log(json);
@@ -755,6 +1817,9 @@ export class Orchestrator {
     if (this.htmlResultsPath != null) {
       this.writeHtmlResults(payload);
     }
+    if (this.junitResultsPath != null) {
+      this.writeJunitResults(payload);
+    }
 
     // Announce the important output files so they're easy to find in the logs.
     this._announceReportFiles('Reports written');
@@ -775,33 +1840,72 @@ export class Orchestrator {
     this.logger.verbose(`Wrote HTML report to ${outPath}`);
   }
 
-  async run() {
+  writeJunitResults(payload) {
+    const xml = renderJunitXml(payload);
+    if (this.junitResultsPath === '-') {
+      console.log(xml);
+      return;
+    }
+    const outPath = this.junitResultsPath || './scripts-orchestrator-results.xml';
+    const tmpPath = outPath + '.tmp';
+    fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+    fs.writeFileSync(tmpPath, xml, 'utf8');
+    fs.renameSync(tmpPath, outPath);
+    this.logger.verbose(`Wrote JUnit XML to ${outPath}`);
+  }
+
+  /**
+   * Run the configured commands.
+   *
+   * By default this is the CLI's run: it ends the process with the run's exit code (0, 1, or
+   * MEMORY_ABORT_EXIT_CODE). With `{ exit: false }` it never calls `process.exit`, so the
+   * orchestrator can be embedded in a larger tool: the promise resolves with the final results
+   * payload (the object written to `json_results`) and rejects when the run could not complete (bad
+   * `startPhase` / `phases`, a memory-guard abort — `error.exitCode` says which exit code the CLI
+   * would have used).
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.exit=true] - End the process when the run finishes.
+   * @returns {Promise<object>} The results payload (`exit: false` only).
+   */
+  async run({ exit = true } = {}) {
+    this.exitOnFinish = exit;
     this.startTime = Date.now();
     this.runStartedAt = this.startTime;
     // write initial run-state at start
     this._writeRunState({ phase: null, activeCommand: null });
+    this._appendEvent('run_start', { commands: this.allCommands.map(({ command }) => command) });
     try {
-      // Check if we should skip execution based on git state (unless forced)
-      if (!this.force) {
+      // Check if we should skip execution based on git state (unless forced; a --watch iteration
+      // always runs)
+      if (!this.force && this.iteration == null) {
         const shouldSkip = await this.gitCache.shouldSkipExecution();
         if (shouldSkip) {
           this.logger.success('🎉 No changes detected, skipping execution!');
           this.logger.info('💡 To force execution, use: --force');
-          process.exit(0);
+          this._clearRunState();
+          this._appendEvent('run_end', { success: true, skipped: 'no_changes' });
+          if (exit) process.exit(0);
+          return { success: true, skipped: 'no_changes', timestamp: new Date().toISOString(), commands: [] };
         }
-      } else {
+      } else if (this.force) {
         this.logger.info(
           '⚡ Force execution enabled, skipping git cache check',
         );
       }
 
+      await this._startRunLogs();
+
       let hasFailures = false;
       let phaseFailed = false;
       let startPhaseFound = false;
 
+      // --ui: from here until the summary, the dashboard owns the terminal.
+      if (this.dashboard) this.dashboard.start();
+
       // Announce where the live report files will be written (they update incrementally,
       // so they can be opened to watch progress while the run is in flight).
-      this._announceReportFiles('Live reports (updated as the run progresses)');
+      this._announceReportFiles('Live reports (updated as the run progresses)', { live: true });
 
       // Start the periodic roll-up hook (no-op unless configured).
       this._startPeriodicHook();
@@ -812,39 +1916,58 @@ export class Orchestrator {
       // Arm the host-memory abort watchdog (no-op when memory_guard is disabled). It runs for the
       // whole run and fires at most once if free RAM stays critically low for a sustained window.
       if (this.memoryGovernor.enabled) {
+        if (this.memoryGovernor.opts.reserve) this.previousMemoryPeaks = this._loadPreviousMemoryPeaks();
         this.logger.info(`🧠 ${this.memoryGovernor.describe()}`);
         this.logger.info(
           '   ↳ Too strict? Disable it for this run with --no-memory-guard, turn it off in config ' +
             'with `memory_guard: false`, or relax the thresholds via ' +
             '`memory_guard: { minFreeRatio, abortFreeRatio, sustainedMs }` (lower the ratios / raise sustainedMs).',
         );
+        // A shed has to stop the command's whole tree to free its memory, so each command leads its own
+        // process group; otherwise only its `sh -c` wrapper would die and the toolchain would run on.
+        if (this.memoryGovernor.opts.on_critical === 'requeue') this.processManager.ownProcessGroups = true;
         this.memoryGovernor.startWatchdog((info) => {
+          // on_critical: 'requeue' sheds one command first; the watchdog keeps watching after it.
+          if (info.shed && this._shedUnderMemoryPressure(info)) return true;
           // Fire-and-forget: the handler ends in process.exit, so we don't await it here.
           this._abortOnMemoryPressure(info);
+          return false;
         });
       }
 
+      if (this.cpuGovernor.enabled) {
+        this.logger.info(`🔥 ${this.cpuGovernor.describe()}`);
+        this.logger.info(
+          '   ↳ Disable it for this run with --no-cpu-guard, or tune ' +
+            '`cpu_guard: { maxCpuPressure, maxIoPressure, maxLoadPerCpu, maxHoldMs }` (`false` turns a signal off).',
+        );
+      }
+
       // Handle both old array format and new phases format
-      if (Array.isArray(this.config)) {
+      if (this.graph) {
+        // `needs` graph: commands start as soon as their needs pass, across phase boundaries.
+        const graphRun = await this._runGraph();
+        hasFailures = graphRun.hasFailures;
+        startPhaseFound = graphRun.startPhaseFound;
+      } else if (Array.isArray(this.config)) {
         // Legacy: Run all commands in parallel or sequential based on flag
+        this._openRetryWindow(null, this.config);
         if (this.sequential) {
           this.logger.info('🔄 Running in sequential mode');
           const results = [];
           for (const commandConfig of this.config) {
             const result = await this.executeCommand(commandConfig);
             results.push(result);
-            if (!result) {
-              hasFailures = true;
-              break; // Stop on first failure in sequential mode
-            }
+            if (!result) break; // Stop on first failure in sequential mode
           }
+          hasFailures = (await this._phaseOutcomes(null, this.config, results)).some((result) => !result);
         } else {
           const results = await this._runWithConcurrency(
             this.config,
             this.maxConcurrency,
             (commandConfig) => this.executeCommand(commandConfig),
           );
-          hasFailures = results.some((result) => !result);
+          hasFailures = (await this._phaseOutcomes(null, this.config, results)).some((result) => !result);
         }
       } else if (this.config.phases) {
         // New: Run phases sequentially, commands within phases in parallel or sequential based on flag
@@ -852,7 +1975,7 @@ export class Orchestrator {
           this.logger.info('🔄 Running in sequential mode');
         } else {
           this.logger.info(
-            `🧮 Max concurrency: ${this.maxConcurrency} (of ${os.cpus().length} CPUs) — commands per phase run at most this many at a time`,
+            `🧮 Max concurrency: ${this.maxConcurrency} (of ${effectiveCpuCount()} CPUs) — commands per phase run at most this many at a time`,
           );
         }
 
@@ -864,11 +1987,7 @@ export class Orchestrator {
               this.logger.info(`\n🎯 Starting from phase: ${phase.name}`);
             } else {
               // Mark all commands in previous phases as skipped
-              phase.parallel.forEach(({ command }) => {
-                this.skippedCommands.push(command);
-                this.skipReasons.set(command, 'before_start_phase');
-                this.commandTimings.set(command, { durationMs: 0, memoryKb: null, cpuPercent: null });
-              });
+              this._markPhaseSkipped(phase, 'before_start_phase');
               continue;
             }
           }
@@ -883,27 +2002,24 @@ export class Orchestrator {
               `\n⏭️  Skipping optional phase: ${phase.name} (not explicitly requested)`,
             );
             // Mark all commands in this phase as skipped
-            phase.parallel.forEach(({ command }) => {
-              this.skippedCommands.push(command);
-              this.skipReasons.set(command, 'optional_phase_not_requested');
-              this.commandTimings.set(command, { durationMs: 0, memoryKb: null, cpuPercent: null });
-            });
+            this._markPhaseSkipped(phase, 'optional_phase_not_requested');
             continue;
           }
 
+          // --rerun-failed: nothing in this phase failed last time.
+          if (this._carryPhase(phase)) continue;
+
           if (phaseFailed) {
             // Mark all commands in remaining phases as skipped
-            phase.parallel.forEach(({ command }) => {
-              this.skippedCommands.push(command);
-              this.skipReasons.set(command, 'after_phase_failure');
-              this.commandTimings.set(command, { durationMs: 0, memoryKb: null, cpuPercent: null });
-            });
+            this._markPhaseSkipped(phase, 'after_phase_failure');
             continue;
           }
 
           const phaseStartTime = Date.now();
+          this._appendEvent('phase_start', { phase: phase.name });
 
           let results;
+          this._openRetryWindow(phase.name, phase.parallel);
           if (this.sequential) {
             // Run commands sequentially
             results = [];
@@ -934,6 +2050,8 @@ export class Orchestrator {
             );
           }
 
+          // A command retried from the dashboard counts with its new result.
+          results = await this._phaseOutcomes(phase.name, phase.parallel, results);
           const phaseHasFailures = results.some((result) => !result);
           const phaseDurationMs = Date.now() - phaseStartTime;
           const phaseDurationStr = this.metrics.includes('time')
@@ -945,6 +2063,7 @@ export class Orchestrator {
             success: !phaseHasFailures,
             durationMs: phaseDurationMs,
           });
+          this._appendEvent('phase_end', { phase: phase.name, success: !phaseHasFailures, durationMs: phaseDurationMs });
 
           if (phaseHasFailures) {
             hasFailures = true;
@@ -957,13 +2076,7 @@ export class Orchestrator {
           // Tear down any background dependencies this phase started (e.g. a `npm run dev` server),
           // on both success and failure, so they don't leak into later phases or past the run. A
           // dependency declared `persist: true` is left running and reclaimed by run-end cleanup().
-          try {
-            await this.processManager.cleanupPhase(phase.name);
-          } catch (cleanupError) {
-            this.logger.error(
-              `Failed to clean up background processes for phase ${phase.name}: ${cleanupError.message}`,
-            );
-          }
+          await this._cleanupPhase(phase.name);
         }
       }
 
@@ -972,10 +2085,7 @@ export class Orchestrator {
         const availablePhases = this.config.phases
           .map((p) => p.name)
           .join(', ');
-        this.logger.error(
-          `❌ Start phase "${this.startPhase}" not found. Available phases: ${availablePhases}`,
-        );
-        process.exit(1);
+        this._failRun(`Start phase "${this.startPhase}" not found. Available phases: ${availablePhases}`);
       }
 
       // Validate phases if specified
@@ -985,10 +2095,9 @@ export class Orchestrator {
           (phase) => !availablePhases.includes(phase),
         );
         if (invalidPhases.length > 0) {
-          this.logger.error(
-            `❌ Invalid phases specified: ${invalidPhases.join(', ')}. Available phases: ${availablePhases.join(', ')}`,
+          this._failRun(
+            `Invalid phases specified: ${invalidPhases.join(', ')}. Available phases: ${availablePhases.join(', ')}`,
           );
-          process.exit(1);
         }
       }
 
@@ -1006,6 +2115,9 @@ export class Orchestrator {
         this.failedCommands.length > 0 ||
         failureSkippedCommands.length > 0;
 
+      // An embedded run stopped by the memory guard: the abort handler already tore everything down.
+      if (this.abortError) throw this.abortError;
+
       // The run reached its natural end — disarm the memory watchdog so it can't fire during the
       // shutdown/cleanup window, and stop the fan-out active-log poller.
       this.memoryGovernor.stopWatchdog();
@@ -1014,13 +2126,16 @@ export class Orchestrator {
       // Add a small delay to ensure all processes have finished
       await new Promise((resolve) => setTimeout(resolve, 1000));
 
+      this._stopDashboard();
       this.summarizeResults();
 
       // Cleanup before exit since finally blocks don't run after process.exit()
-      try {
-        await this.processManager.cleanup();
-      } catch (error) {
-        this.logger.error(`Cleanup failed: ${error.message}`);
+      if (!this.keepBackgroundProcesses) {
+        try {
+          await this.processManager.cleanup();
+        } catch (error) {
+          this.logger.error(`Cleanup failed: ${error.message}`);
+        }
       }
 
       // Log overall time after cleanup has finished (only when metrics include time)
@@ -1039,11 +2154,17 @@ export class Orchestrator {
       const runDurationMs = this.startTime ? Date.now() - this.startTime : undefined;
       this._appendEvent('run_end', { success: !hasFailures, ...(runDurationMs != null ? { durationMs: runDurationMs } : {}) });
 
-      // Write JSON results if requested
+      // Write JSON results if requested (JUnit rides along; without JSON it is written on its own)
+      const payload = this._finalResultsPayload(hasFailures);
       if (this.jsonResultsPath != null) {
-        this.writeJsonResults(hasFailures);
+        this.writeJsonResults(hasFailures, payload);
+      } else if (this.junitResultsPath != null) {
+        this.writeJunitResults(payload);
+        this._announceReportFiles('Reports written');
       }
 
+      await this._recordHistory(payload);
+
       // clear run-state file — run is done
       this._clearRunState();
 
@@ -1060,6 +2181,7 @@ export class Orchestrator {
       }
 
       // Force exit with appropriate status
+      if (!exit) return payload;
       if (hasFailures) {
         this.logger.info('Exiting with failure status...');
         process.exit(1);
@@ -1068,6 +2190,7 @@ export class Orchestrator {
         process.exit(0);
       }
     } catch (error) {
+      this._stopDashboard();
       this.logger.error(`Orchestrator failed: ${error.message}`);
 
       // Stop periodic ticks + active-log hint + memory watchdog on error.
@@ -1085,10 +2208,52 @@ export class Orchestrator {
         this.logger.error(`Cleanup failed: ${cleanupError.message}`);
       }
 
+      if (!exit) throw error;
       process.exit(1);
     }
   }
 
+  // Give this run its own log directory and prune older ones by `retention`. If the directory can't
+  // be created, command logs go straight into scripts-orchestrator-logs as they used to.
+  async _startRunLogs() {
+    try {
+      const sha = await this.gitCache.getCurrentCommitHash();
+      this.runId = runId(new Date(this.runStartedAt).toISOString(), sha);
+      const { dir, pruned, compressed } = this.runLogs.start(this.runId);
+      this.processManager.runDir = dir;
+      this.logger.info(`📁 Logs for this run: ${path.relative(process.cwd(), dir) || dir}`);
+      if (pruned.length > 0) this.logger.verbose(`Pruned old run logs: ${pruned.join(', ')}`);
+      if (compressed.length > 0) this.logger.verbose(`Compressed old run logs: ${compressed.join(', ')}`);
+    } catch (err) {
+      this.runId = null;
+      this.processManager.runDir = null;
+      this.logger.warn(`⚠️  Could not set up this run's log directory (${err.message}); logging without one`);
+    }
+  }
+
+  // Append the finished run to the history store, tagged with the commit and branch it ran on. A
+  // history that can't be written costs a data point, never the run.
+  async _recordHistory(payload) {
+    if (!this.runHistory) return;
+    try {
+      const [sha, branch] = await Promise.all([
+        this.gitCache.getCurrentCommitHash(),
+        this.gitCache.getCurrentBranch(),
+      ]);
+      this.runHistory.append(payload, { sha, branch });
+    } catch (err) {
+      this.logger.verbose(`Could not record run history: ${err.message}`);
+    }
+  }
+
+  // A run that can't go on (bad --phase / --phases): the CLI reports it and exits 1 on the spot; an
+  // embedded run() rejects with the message instead.
+  _failRun(message) {
+    if (!this.exitOnFinish) throw Object.assign(new Error(message), { exitCode: 1 });
+    this.logger.error(`❌ ${message}`);
+    process.exit(1);
+  }
+
   // Finalize the run after an external termination (SIGINT/SIGTERM/SIGQUIT/SIGHUP) or an uncaught
   // fault. The run did not reach its natural end, so the LIBRARY — not the consumer's run wrapper —
   // owns leaving everything in a consistent, non-"running" state:
@@ -1104,9 +2269,18 @@ export class Orchestrator {
   // and so re-flagged a killed run as RUNNING (because the root results JSON still held the
   // in-progress success:null sentinel).
   async finalizeInterrupted() {
+    this._stopDashboard();
     this._stopPeriodicHook();
     this._stopActiveLogHint();
     this.memoryGovernor.stopWatchdog();
+    // Commands running under a timeout lead their own process group and so never saw the
+    // terminal's Ctrl-C; take them down explicitly (SIGKILL after their timeout grace) before the
+    // background cleanup.
+    try {
+      await this.processManager.stopActiveForeground('after interrupt');
+    } catch (err) {
+      this.logger.verbose(`Foreground kill failed: ${err.message}`);
+    }
     try {
       await this.processManager.cleanup();
     } catch (err) {
@@ -1123,6 +2297,77 @@ export class Orchestrator {
     if (this.aggregateOptions) this._fireAggregate(false);
   }
 
+  /**
+   * Run a failed command again (from the --ui dashboard) while the rest of its phase is still running.
+   * The phase waits for it, and its new result replaces the failure. Not in a `needs` graph: there the
+   * failure has already skipped the commands that need it.
+   *
+   * @param {string} command
+   * @returns {boolean} Whether it is being retried.
+   */
+  retryCommand(command) {
+    if (this.graph || !this.failedCommands.includes(command)) return false;
+    for (const [phaseName, window] of this.retryWindows) {
+      const commandConfig = window.commands.get(command);
+      if (!commandConfig) continue;
+      this.failedCommands = this.failedCommands.filter((cmd) => cmd !== command);
+      this.failureReasons.delete(command);
+      this.timedOutCommands.delete(command);
+      this.logger.warn(`Retrying ${command} (requested from the dashboard)`);
+      this._appendEvent('command_retry', {
+        command,
+        phase: phaseName,
+        attempt: 1,
+        attempts: commandConfig.attempts ?? 1,
+        reason: 'retry',
+      });
+      window.retries.set(command, this.executeCommand(commandConfig, new Set(), phaseName));
+      return true;
+    }
+    return false;
+  }
+
+  // Let retryCommand run a phase's failed commands again until _closeRetryWindow.
+  _openRetryWindow(phaseName, commandConfigs) {
+    this.retryWindows.set(phaseName, {
+      commands: new Map(commandConfigs.map((commandConfig) => [commandConfig.command, commandConfig])),
+      retries: new Map(),
+    });
+  }
+
+  // Stop taking retries for a phase and wait for the ones under way: command -> its new result.
+  async _closeRetryWindow(phaseName) {
+    const window = this.retryWindows.get(phaseName);
+    this.retryWindows.delete(phaseName);
+    const results = new Map();
+    for (const [command, retry] of window?.retries ?? []) results.set(command, await retry);
+    return results;
+  }
+
+  // A phase's (or a legacy config's) outcome per command, with the dashboard retries' results in
+  // place of the failures they replaced.
+  async _phaseOutcomes(phaseName, commandConfigs, results) {
+    const retried = await this._closeRetryWindow(phaseName);
+    return results.map((result, i) => retried.get(commandConfigs[i].command) ?? result);
+  }
+
+  /**
+   * Opt in to the --ui terminal dashboard. It needs an interactive terminal on both stdin (keys) and
+   * stdout; without one this returns false and the run keeps the plain line-by-line output.
+   */
+  enableDashboard({ stdin = process.stdin, stdout = process.stdout } = {}) {
+    if (!stdin.isTTY || !stdout.isTTY || typeof stdin.setRawMode !== 'function') return false;
+    this.dashboard = new Dashboard({ orchestrator: this, stdin, stdout });
+    // Commands lead their own process groups so the dashboard can stop exactly one of them.
+    this.processManager.ownProcessGroups = true;
+    return true;
+  }
+
+  // Hand the terminal back to plain output (idempotent).
+  _stopDashboard() {
+    if (this.dashboard) this.dashboard.stop();
+  }
+
   // Start the fan-out active-log poller — only meaningful on the repo-root run, where the root's own
   // logs carry just the task-runner summary and the real detail is under each workspace. A workspace
   // run gets per-command "Tail:" hints from the process manager instead (no fan-out to point into).
@@ -1238,6 +2483,7 @@ export class Orchestrator {
   // the box swap to death (or the OS OOM-killer pick a victim). Kill the child process tree, persist
   // whatever partial results we have, and exit with a distinct non-zero code + actionable diagnostic.
   async _abortOnMemoryPressure(info) {
+    this._stopDashboard();
     this.logger.error(
       `\n🛑 [memory-guard] ABORTING: host available RAM stayed at ~${info.freePercent}% for ${Math.round(info.sustainedMs / 1000)}s — ` +
         'below the critical floor. Killing running commands before the machine swaps to death.',
@@ -1251,6 +2497,12 @@ export class Orchestrator {
         '`memory_guard: { abortFreeRatio, sustainedMs, minFreeRatio }` — lower abortFreeRatio/minFreeRatio ' +
         'and/or raise sustainedMs so brief dips no longer abort.',
     );
+    if (this.memoryGovernor.opts.on_critical !== 'requeue') {
+      this.logger.error(
+        '   ↳ To lose only the largest command next time: `memory_guard: { on_critical: \'requeue\' }` stops it ' +
+          'and reruns it once the others finish.',
+      );
+    }
     this._appendEvent('run_aborted', { reason: 'memory_pressure', freePercent: info.freePercent });
 
     // Stop any further scheduling first so nothing new is dispatched while we tear down.
@@ -1283,6 +2535,14 @@ export class Orchestrator {
     this._clearRunState();
     // Force a static, non-refreshing roll-up so a memory-killed run doesn't linger as RUNNING.
     if (this.aggregateOptions) this._fireAggregate(false);
+    if (!this.exitOnFinish) {
+      // Embedded run(): the killed commands settle, nothing new starts, and run() rejects with this.
+      this.abortError = Object.assign(
+        new Error(`Run aborted: host available RAM stayed at ~${info.freePercent}% (memory guard)`),
+        { exitCode: MEMORY_ABORT_EXIT_CODE },
+      );
+      return;
+    }
     process.exit(MEMORY_ABORT_EXIT_CODE);
   }
 
@@ -0,0 +1,105 @@
+import { Orchestrator } from './orchestrator.js';
+import { withFastTimers, silentLogger, stubProcessManager, useTempLogFolder } from './orchestrator.test-helpers.js';
+
+// These tests cover `matrix` commands end to end through run({ exit: false }): each cell runs the
+// matrix's script under its own name, env and log file, and the results group the cells back into
+// one `matrices` entry. The process manager is stubbed and records what it was asked to run.
+
+const logFolder = useTempLogFolder();
+
+function makeOrchestrator(config, { fail = [] } = {}) {
+  const orch = new Orchestrator({ memory_guard: false, ...config }, null, logFolder(), null, false, true);
+  orch.gitCache.updateCache = async () => {};
+  orch.logger = silentLogger;
+  const runs = [];
+  orch.processManager = stubProcessManager({
+    getLogPath: (name) => `/logs/${name.split(/\s+/)[0]}.log`,
+    runCommand: async ({ cmd, name, logName, env }) => {
+      runs.push({ cmd, name, logName, env });
+      return { success: !fail.includes(name), output: '', durationMs: 1, memoryKb: null };
+    },
+  });
+  return { orch, runs };
+}
+
+describe('Orchestrator matrix commands', () => {
+  test('runs one cell per combination and groups them in the results', async () => {
+    const { orch, runs } = makeOrchestrator(
+      {
+        phases: [
+          {
+            name: 'e2e',
+            parallel: [
+              { command: 'playwright_ci', env: { CI: '1' }, matrix: { SHARD: [1, 2], BROWSER: ['chromium', 'firefox'] } },
+            ],
+          },
+        ],
+      },
+      { fail: ['playwright_ci [SHARD=2,BROWSER=chromium]'] },
+    );
+
+    const payload = await withFastTimers(() => orch.run({ exit: false }));
+
+    expect(runs).toHaveLength(4);
+    expect(runs[0]).toEqual({
+      cmd: 'playwright_ci',
+      name: 'playwright_ci [SHARD=1,BROWSER=chromium]',
+      logName: 'playwright_ci.SHARD=1.BROWSER=chromium',
+      env: { CI: '1', SHARD: 1, BROWSER: 'chromium' },
+    });
+    expect(payload.success).toBe(false);
+    expect(payload.commands[2]).toMatchObject({
+      command: 'playwright_ci [SHARD=2,BROWSER=chromium]',
+      phase: 'e2e',
+      matrix: { command: 'playwright_ci', values: { SHARD: 2, BROWSER: 'chromium' } },
+      success: false,
+      logFile: expect.stringContaining('playwright_ci.SHARD=2.BROWSER=chromium.log'),
+    });
+    expect(payload.matrices).toEqual([
+      {
+        command: 'playwright_ci',
+        phase: 'e2e',
+        success: false,
+        cells: [
+          'playwright_ci [SHARD=1,BROWSER=chromium]',
+          'playwright_ci [SHARD=1,BROWSER=firefox]',
+          'playwright_ci [SHARD=2,BROWSER=chromium]',
+          'playwright_ci [SHARD=2,BROWSER=firefox]',
+        ],
+      },
+    ]);
+  });
+
+  test('a command that needs a matrix waits for every cell', async () => {
+    const { orch, runs } = makeOrchestrator({
+      phases: [
+        {
+          name: 'all',
+          parallel: [
+            { command: 'shard', matrix: { N: [1, 2] } },
+            { command: 'merge', needs: ['shard'] },
+          ],
+        },
+      ],
+    });
+    expect(orch.graph).not.toBeNull();
+    const payload = await withFastTimers(() => orch.run({ exit: false }));
+    expect(runs.map((r) => r.name)).toEqual(['shard [N=1]', 'shard [N=2]', 'merge']);
+    expect(payload.matrices[0]).toMatchObject({ command: 'shard', success: true });
+  });
+
+  test('a matrix with a cell not started yet has no outcome in a partial payload', () => {
+    const { orch } = makeOrchestrator({ phases: [{ name: 'all', parallel: [{ command: 'shard', matrix: { N: [1, 2] } }] }] });
+    const first = { command: 'shard [N=1]', phase: 'all', matrix: { command: 'shard', values: { N: 1 } }, success: true };
+    expect(orch._matricesField([first]).matrices).toEqual([
+      { command: 'shard', phase: 'all', success: null, cells: ['shard [N=1]'] },
+    ]);
+  });
+
+  test('a config without a matrix reports no matrices', async () => {
+    const { orch } = makeOrchestrator({ phases: [{ name: 'p', parallel: [{ command: 'lint' }] }] });
+    const payload = await withFastTimers(() => orch.run({ exit: false }));
+    expect(payload.matrices).toBeUndefined();
+    expect(payload.commands[0].matrix).toBeUndefined();
+  });
+});
@@ -0,0 +1,36 @@
+import { Orchestrator } from './orchestrator.js';
+import { withFastTimers, silentLogger, stubProcessManager, useTempLogFolder } from './orchestrator.test-helpers.js';
+
+// These tests cover how the orchestrator picks each command's output mode: a command's own `output`
+// wins over the config-wide one, which defaults to 'files'. The process manager is stubbed and records
+// the mode it was handed.
+
+const logFolder = useTempLogFolder();
+
+async function outputModes(config) {
+  const orch = new Orchestrator({ memory_guard: false, ...config }, null, logFolder(), null, false, true);
+  orch.gitCache.updateCache = async () => {};
+  orch.logger = silentLogger;
+  const modes = {};
+  orch.processManager = stubProcessManager({
+    getLogPath: (name) => `/logs/${name}.log`,
+    runCommand: async ({ cmd, output }) => {
+      modes[cmd] = output;
+      return { success: true, output: '', durationMs: 1, memoryKb: null };
+    },
+  });
+  await withFastTimers(() => orch.run({ exit: false }));
+  return modes;
+}
+
+const phases = [{ name: 'checks', parallel: [{ command: 'lint' }, { command: 'test', output: 'stream' }] }];
+
+describe('Orchestrator output modes', () => {
+  test('commands log to files only unless configured otherwise', async () => {
+    expect(await outputModes({ phases })).toEqual({ lint: 'files', test: 'stream' });
+  });
+
+  test('a command\'s own output wins over the config-wide one', async () => {
+    expect(await outputModes({ output: 'on-failure', phases })).toEqual({ lint: 'on-failure', test: 'stream' });
+  });
+});
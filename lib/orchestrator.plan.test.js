@@ -0,0 +1,177 @@
+import { Orchestrator } from './orchestrator.js';
+import { formatPlan } from './plan-format.js';
+import { log } from './logger.js';
+
+// buildPlan() backs --plan / --plan-json: it must resolve exactly what a run would do (skipped
+// phases, prefixes, concurrency, git cache) without spawning anything. The git cache is stubbed so
+// the tests don't depend on the checkout they run in.
+
+function makeOrchestrator(config, { startPhase = null, phases = null, sequential = false, force = false, git } = {}) {
+  const fullConfig = Array.isArray(config) ? config : { memory_guard: false, max_concurrency: 4, ...config };
+  const orch = new Orchestrator(fullConfig, startPhase, null, phases, sequential, force);
+  orch.gitCache.evaluateSkip = async () => git ?? { skip: false, reason: 'No cached git hash found', hash: 'abc' };
+  orch.processManager = {
+    runCommand: () => {
+      throw new Error('plan must not run commands');
+    },
+  };
+  return orch;
+}
+
+const phasedConfig = {
+  phases: [
+    {
+      name: 'build',
+      parallel: [
+        {
+          command: 'build',
+          env: { NODE_ENV: 'production' },
+          dependencies: [
+            { command: 'dev', background: true, health_check: { url: 'http://localhost:3000' }, wait: 2000 },
+          ],
+        },
+      ],
+    },
+    { name: 'test', max_concurrency: 2, parallel: [{ command: 'lint', shell: true }, { command: 'unit', attempts: 3 }] },
+    { name: 'e2e', optional: true, parallel: [{ command: 'playwright', status: 'disabled' }] },
+  ],
+};
+
+describe('Orchestrator.buildPlan', () => {
+  test('resolves prefixes, env, background deps, and per-phase concurrency', async () => {
+    const plan = await makeOrchestrator(phasedConfig, { phases: [] }).buildPlan();
+    expect(plan.mode).toBe('phases');
+    expect(plan.maxConcurrency).toBe(4);
+    expect(plan.memoryGuard).toBe('disabled');
+    expect(plan.gitCache).toEqual({ wouldSkip: false, reason: 'No cached git hash found' });
+
+    const [build, test, e2e] = plan.phases;
+    expect(build.run).toBe(true);
+    expect(build.concurrency).toBe(4);
+    expect(build.commands[0]).toMatchObject({
+      command: 'build',
+      invocation: 'npm run build',
+      prefix: 'npm run',
+      env: { NODE_ENV: 'production' },
+    });
+    expect(build.commands[0].dependencies[0]).toMatchObject({
+      command: 'dev',
+      background: true,
+      healthCheck: 'http://localhost:3000',
+      waitMs: 2000,
+    });
+
+    expect(test.concurrency).toBe(2);
+    expect(test.commands[0]).toMatchObject({ invocation: 'lint', prefix: '' });
+    expect(test.commands[1].attempts).toBe(3);
+
+    expect(e2e).toMatchObject({ optional: true, run: false, skipReason: 'optional_phase_not_requested' });
+    expect(e2e.commands[0].disabled).toBe(true);
+  });
+
+  test('marks phases before the --phase start as skipped', async () => {
+    const plan = await makeOrchestrator(phasedConfig, { startPhase: 'test', phases: ['e2e'] }).buildPlan();
+    expect(plan.startPhase).toBe('test');
+    expect(plan.phases.map((p) => [p.name, p.run, p.skipReason])).toEqual([
+      ['build', false, 'before_start_phase'],
+      ['test', true, undefined],
+      ['e2e', true, undefined],
+    ]);
+    expect(plan.startPhaseFound).toBeUndefined();
+  });
+
+  test('flags an unknown start phase', async () => {
+    const plan = await makeOrchestrator(phasedConfig, { startPhase: 'nope' }).buildPlan();
+    expect(plan.startPhaseFound).toBe(false);
+    expect(plan.phases.every((p) => p.skipReason === 'before_start_phase')).toBe(true);
+  });
+
+  test('--sequential pins every phase to a concurrency of 1', async () => {
+    const plan = await makeOrchestrator(phasedConfig, { sequential: true }).buildPlan();
+    expect(plan.maxConcurrency).toBe(1);
+    expect(plan.phases.map((p) => p.concurrency)).toEqual([1, 1, 1]);
+  });
+
+  test('reports when the git cache would short-circuit, unless forced', async () => {
+    const git = { skip: true, reason: 'Git state unchanged (abc1234)', hash: 'abc1234' };
+    expect((await makeOrchestrator(phasedConfig, { git }).buildPlan()).gitCache).toEqual({
+      wouldSkip: true,
+      reason: 'Git state unchanged (abc1234)',
+    });
+    expect((await makeOrchestrator(phasedConfig, { git, force: true }).buildPlan()).gitCache).toEqual({
+      wouldSkip: false,
+      reason: 'Forced (--force)',
+    });
+  });
+
+  test('includes resolved needs in graph mode, with phase sugar against the phases that run', async () => {
+    const config = {
+      phases: [
+        { name: 'a', parallel: [{ command: 'compile' }] },
+        { name: 'b', optional: true, parallel: [{ command: 'docs' }] },
+        { name: 'c', parallel: [{ command: 'test' }, { command: 'lint', needs: [] }] },
+      ],
+    };
+    const plan = await makeOrchestrator(config, { phases: [] }).buildPlan();
+    expect(plan.mode).toBe('graph');
+    const c = plan.phases[2].commands;
+    expect(c.find((x) => x.command === 'test').needs).toEqual(['compile']);
+    expect(c.find((x) => x.command === 'lint').needs).toEqual([]);
+  });
+
+  test('legacy array configs plan a flat command list', async () => {
+    const plan = await makeOrchestrator([{ command: 'build', timeout_ms: 60000 }]).buildPlan();
+    expect(plan.mode).toBe('commands');
+    expect(plan.phases).toBeUndefined();
+    expect(plan.commands).toEqual([
+      { command: 'build', invocation: 'npm run build', prefix: 'npm run', timeoutMs: 60000 },
+    ]);
+  });
+
+  test('plan is plain JSON', async () => {
+    const plan = await makeOrchestrator(phasedConfig).buildPlan();
+    expect(JSON.parse(JSON.stringify(plan))).toEqual(plan);
+  });
+
+  test('masks the values of secret variables, in the JSON and the rendered tree', async () => {
+    const token = 'tok-5f2a9c81';
+    const config = {
+      secrets: ['*_TOKEN'],
+      phases: [{ name: 'release', parallel: [{ command: 'publish', env: { DEPLOY_TOKEN: token, CI: '1' } }] }],
+    };
+    try {
+      const plan = await makeOrchestrator(config).buildPlan();
+      expect(plan.phases[0].commands[0].env).toEqual({ DEPLOY_TOKEN: '***', CI: '1' });
+      expect(JSON.stringify(plan)).not.toContain(token);
+      expect(formatPlan(plan)).toContain('env DEPLOY_TOKEN=*** CI=1');
+      expect(formatPlan(plan)).not.toContain(token);
+    } finally {
+      log.setSecretMasker(null);
+    }
+  });
+});
+
+describe('formatPlan', () => {
+  // Strip ANSI colour codes so assertions read the plain tree.
+  // eslint-disable-next-line no-control-regex
+  const plain = (s) => s.replace(/\x1b\[[0-9;]*m/g, '');
+
+  test('renders phases, skipped phases, and inline dependencies as a tree', async () => {
+    const plan = await makeOrchestrator(phasedConfig, { phases: [] }).buildPlan();
+    const out = plain(formatPlan(plan, { source: 'scripts-orchestrator.config.js' }));
+    expect(out).toContain('Execution plan — scripts-orchestrator.config.js');
+    expect(out).toContain('git cache: run would proceed — No cached git hash found');
+    expect(out).toContain('├─ Phase "build" · concurrency 4');
+    expect(out).toContain('npm run build');
+    expect(out).toMatch(/before: npm run dev .*background .*health http:\/\/localhost:3000 .*wait 2s/);
+    expect(out).toContain('Phase "test" · concurrency 2 (phase override)');
+    expect(out).toContain('attempts 3');
+    expect(out).toContain('└─ Phase "e2e" · skipped (optional phase not requested)');
+  });
+
+  test('warns when the git cache would skip the run', async () => {
+    const git = { skip: true, reason: 'Git state unchanged (abc1234)', hash: 'abc1234' };
+    const out = plain(formatPlan(await makeOrchestrator(phasedConfig, { git }).buildPlan()));
+    expect(out).toContain('run would be SKIPPED — Git state unchanged (abc1234)');
+  });
+});
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Orchestrator } from './orchestrator.js';
+import { ProcessManager } from './process-manager.js';
+import { withFastTimers, silentLogger, stubProcessManager, useTempLogFolder } from './orchestrator.test-helpers.js';
+
+// These tests cover `memory_guard.on_critical: 'requeue'`: instead of aborting the run, the watchdog
+// stops the command holding the most memory (or the lowest `memory_priority`) and reruns it once the
+// others have finished. The process manager is stubbed: a stopped command resolves the way
+// runCommand does for a stop, and the test fires the shed the watchdog would. The last test sheds a
+// real process tree.
+
+const logFolder = useTempLogFolder();
+
+const PRESSURE = { freePercent: 3, sustainedMs: 15000 };
+const PEAKS = { webpack: 900000, lint: 100000 };
+
+function makeOrchestrator(commands) {
+  const config = { memory_guard: false, max_concurrency: 2, phases: [{ name: 'build', parallel: commands }] };
+  const orch = new Orchestrator(config, null, logFolder(), null, false, true, ['memory']);
+  orch.gitCache.updateCache = async () => {};
+  orch.gitCache.getCurrentCommitHash = async () => null;
+  orch.logger = silentLogger;
+  const running = new Map(); // name -> resolve of its pending runCommand
+  const runs = [];
+  let shedFired = false;
+  orch.processManager = stubProcessManager({
+    getLogPath: (name) => `/logs/${name}.log`,
+    runCommand: ({ name }) =>
+      new Promise((resolve) => {
+        runs.push(`start ${name}`);
+        const done = (result) => {
+          running.delete(name);
+          runs.push(`end ${name}`);
+          resolve({ durationMs: 5, memoryKb: PEAKS[name], ...result });
+        };
+        running.set(name, done);
+        // A rerun finishes on its own; the first runs wait until both are running, when the watchdog
+        // sheds one of them and the rest pass.
+        if (shedFired) {
+          setTimeout(() => done({ success: true, output: '' }), 0);
+        } else if (running.size === 2) {
+          shedFired = true;
+          setTimeout(() => {
+            orch._shedUnderMemoryPressure(PRESSURE);
+            for (const finish of running.values()) finish({ success: true, output: '' });
+          }, 0);
+        }
+      }),
+    foregroundNames: () => [...running.keys()],
+    resourceUsage: (name) => (running.has(name) ? { peakRssKb: PEAKS[name] } : null),
+    stopCommand: (name, reason) => {
+      const done = running.get(name);
+      if (!done) return false;
+      done({ success: false, output: '', stoppedBy: reason });
+      return true;
+    },
+  });
+  return { orch, runs };
+}
+
+describe('Orchestrator memory-pressure requeue', () => {
+  test('stops the largest command and reruns it once the others have finished', async () => {
+    const { orch, runs } = makeOrchestrator([{ command: 'webpack' }, { command: 'lint' }]);
+    const events = [];
+    orch.on('memory:shed', (event) => events.push(['shed', event.command]));
+    orch.on('command:retry', (event) => events.push(['retry', event.command, event.attempt, event.reason]));
+    const payload = await withFastTimers(() => orch.run({ exit: false }));
+
+    expect(runs).toEqual(['start webpack', 'start lint', 'end webpack', 'end lint', 'start webpack', 'end webpack']);
+    expect(events).toEqual([
+      ['shed', 'webpack'],
+      ['retry', 'webpack', 2, 'memory_pressure'],
+    ]);
+    expect(payload.success).toBe(true);
+    const webpack = payload.commands.find((c) => c.command === 'webpack');
+    expect(webpack).toEqual(
+      expect.objectContaining({
+        success: true,
+        attempts: 2,
+        requeues: [{ attempt: 1, reason: 'memory_pressure', memoryKb: 900000 }],
+      }),
+    );
+    expect(webpack).not.toHaveProperty('flaky');
+    expect(payload.commands.find((c) => c.command === 'lint')).not.toHaveProperty('requeues');
+  });
+
+  test('a lower memory_priority is shed first, and a lone command is never shed', () => {
+    const { orch } = makeOrchestrator([{ command: 'webpack' }, { command: 'lint', memory_priority: -1 }]);
+    orch.processManager.foregroundNames = () => ['webpack', 'lint'];
+    orch.processManager.resourceUsage = (name) => ({ peakRssKb: PEAKS[name] });
+    expect(orch._memoryVictim()).toEqual({ command: 'lint', priority: -1, memoryKb: 100000 });
+
+    orch.processManager.foregroundNames = () => ['webpack'];
+    expect(orch._memoryVictim()).toBeNull();
+    expect(orch._shedUnderMemoryPressure(PRESSURE)).toBe(false);
+  });
+
+  (process.platform === 'linux' ? test : test.skip)('a shed stops the command\'s whole process tree', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orch-requeue-'));
+    try {
+      // `big` runs a sleep under its `sh -c`; once shed, its rerun finds the marker and passes at once.
+      const config = {
+        memory_guard: { on_critical: 'requeue', minFreeRatio: 0.001, abortFreeRatio: 0.0005 },
+        command_prefix: '',
+        max_concurrency: 2,
+        history: false,
+        phases: [
+          {
+            name: 'build',
+            parallel: [
+              { command: 'test -f shed || { sleep 6 & echo $! > big.pid; wait; }', memory_priority: -1 },
+              { command: 'sleep 1' },
+            ],
+          },
+        ],
+      };
+      const orch = new Orchestrator(config, null, dir, null, false, true, [], path.join(dir, 'results.json'));
+      orch.gitCache.updateCache = async () => {};
+      orch.gitCache.getCurrentCommitHash = async () => null;
+      orch.logger = silentLogger;
+      const pm = new ProcessManager();
+      pm.logger = silentLogger;
+      pm.setLogFolder(dir);
+      orch.processManager = pm;
+      const prevCwd = process.cwd();
+      process.chdir(dir);
+      let sleepPid = null;
+      const shed = (async () => {
+        while (!fs.existsSync('big.pid') || fs.readFileSync('big.pid', 'utf8').trim() === '') {
+          await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        sleepPid = Number(fs.readFileSync('big.pid', 'utf8'));
+        fs.writeFileSync('shed', '');
+        return orch._shedUnderMemoryPressure(PRESSURE);
+      })();
+      const startedAt = Date.now();
+      let payload;
+      try {
+        payload = await orch.run({ exit: false });
+      } finally {
+        process.chdir(prevCwd);
+      }
+
+      expect(await shed).toBe(true);
+      expect(Date.now() - startedAt).toBeLessThan(4000);
+      expect(payload.success).toBe(true);
+      // The sleep is gone (or a zombie waiting to be reaped), not left running for its 6 seconds.
+      const state = (() => {
+        try {
+          const stat = fs.readFileSync(`/proc/${sleepPid}/stat`, 'utf8');
+          return stat.slice(stat.lastIndexOf(')') + 2, stat.lastIndexOf(')') + 3);
+        } catch {
+          return null;
+        }
+      })();
+      expect(state === null || state === 'Z').toBe(true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }, 15000);
+});
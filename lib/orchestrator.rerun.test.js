@@ -0,0 +1,213 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Orchestrator } from './orchestrator.js';
+import { withFastTimers, silentLogger, stubProcessManager } from './orchestrator.test-helpers.js';
+
+// These tests cover --rerun-failed end to end through run(): only the commands that did not pass
+// last time are started, the rest are skipped as `passed_previously`, and the final results merge
+// the previous entries back in so the report still covers the whole gate. The process manager is
+// stubbed; the final results JSON is written to a temp dir and read back.
+
+function withMockedExit(fn) {
+  const orig = process.exit;
+  const codes = [];
+  process.exit = (code) => {
+    codes.push(code);
+  };
+  return Promise.resolve()
+    .then(fn)
+    .finally(() => {
+      process.exit = orig;
+    })
+    .then(() => codes);
+}
+
+let tmpDir;
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rerun-failed-'));
+});
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function makeOrchestrator(config, { fail = [] } = {}) {
+  const jsonPath = path.join(tmpDir, 'results.json');
+  const orch = new Orchestrator({ memory_guard: false, ...config }, null, tmpDir, null, false, true, [], jsonPath);
+  orch.gitCache.updateCache = async () => {};
+  orch._writeRunState = () => {};
+  orch._clearRunState = () => {};
+  orch._appendEvent = () => {};
+  orch.logger = silentLogger;
+
+  const started = [];
+  orch.processManager = stubProcessManager({
+    setLogFolder() {},
+    getLogPath: (c) => `/logs/${c}.log`,
+    runCommand: async ({ cmd }) => {
+      started.push(cmd);
+      return { success: !fail.includes(cmd), output: '', durationMs: 1, memoryKb: null };
+    },
+    addBackgroundProcess() {},
+  });
+  const results = () => JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+  return { orch, started, results };
+}
+
+const previous = {
+  success: false,
+  timestamp: '2026-01-01T00:00:00.000Z',
+  commands: [
+    { command: 'build', phase: 'build', success: true, startedAt: '2026-01-01T00:00:00.000Z', durationMs: 900, logFile: 'logs/build.log' },
+    { command: 'stylelint', phase: 'build', success: false, durationMs: 40 },
+    { command: 'unit', phase: 'test', success: true, durationMs: 300 },
+    { command: 'playwright_ci', phase: 'test', success: false, skipReason: 'timed_out', durationMs: 5000 },
+    { command: 'deploy', phase: 'ship', success: false, durationMs: 0, skipReason: 'after_phase_failure' },
+  ],
+  phases: [
+    { name: 'build', success: false, durationMs: 950 },
+    { name: 'docs', success: true, durationMs: 120 },
+  ],
+};
+
+describe('Orchestrator --rerun-failed', () => {
+  test('runs only the failed commands (with their inline dependencies) and merges the results', async () => {
+    const { orch, started, results } = makeOrchestrator({
+      phases: [
+        { name: 'build', parallel: [{ command: 'build' }, { command: 'stylelint' }] },
+        {
+          name: 'test',
+          parallel: [
+            { command: 'unit' },
+            { command: 'playwright_ci', dependencies: [{ command: 'dev', background: true }] },
+          ],
+        },
+        { name: 'ship', parallel: [{ command: 'deploy' }] },
+      ],
+    });
+    expect(orch.useRerunFailed(previous)).toEqual({
+      rerun: ['stylelint', 'playwright_ci', 'deploy'],
+      carried: 2,
+    });
+
+    const codes = await withFastTimers(() => withMockedExit(() => orch.run()));
+    expect(codes).toEqual([0]);
+    expect(started).toEqual(['stylelint', 'dev', 'playwright_ci', 'deploy']);
+
+    const out = results();
+    expect(out.success).toBe(true);
+    expect(out.rerunOf).toEqual({
+      timestamp: '2026-01-01T00:00:00.000Z',
+      commands: ['stylelint', 'playwright_ci', 'deploy'],
+    });
+    expect(out.commands.find((c) => c.command === 'build')).toEqual({
+      command: 'build',
+      phase: 'build',
+      success: true,
+      durationMs: 900,
+      logFile: 'logs/build.log',
+      skipReason: 'passed_previously',
+    });
+    expect(out.commands.find((c) => c.command === 'playwright_ci')).toMatchObject({ success: true });
+    expect(out.commands.find((c) => c.command === 'playwright_ci').skipReason).toBeUndefined();
+  });
+
+  test('a phase with nothing to rerun is not entered and keeps its previous phase result', async () => {
+    const { orch, started, results } = makeOrchestrator({
+      phases: [
+        { name: 'docs', parallel: [{ command: 'docs' }] },
+        { name: 'build', parallel: [{ command: 'build' }, { command: 'stylelint' }] },
+      ],
+    });
+    orch.useRerunFailed({
+      ...previous,
+      commands: [...previous.commands, { command: 'docs', phase: 'docs', success: true, durationMs: 100 }],
+    });
+    await withFastTimers(() => withMockedExit(() => orch.run()));
+    expect(started).toEqual(['stylelint']);
+    expect(results().phases).toEqual([
+      { name: 'docs', success: true, durationMs: 120 },
+      expect.objectContaining({ name: 'build', success: true }),
+    ]);
+  });
+
+  test('a rerun that fails again still reports the carried commands as passed', async () => {
+    const { orch, results } = makeOrchestrator(
+      { phases: [{ name: 'build', parallel: [{ command: 'build' }, { command: 'stylelint' }] }] },
+      { fail: ['stylelint'] },
+    );
+    orch.useRerunFailed(previous);
+    const codes = await withFastTimers(() => withMockedExit(() => orch.run()));
+    expect(codes).toEqual([1]);
+    const out = results();
+    expect(out.success).toBe(false);
+    expect(out.commands.map((c) => [c.command, c.success, c.skipReason])).toEqual([
+      ['build', true, 'passed_previously'],
+      ['stylelint', false, undefined],
+    ]);
+  });
+
+  test('graph mode settles carried commands as passed so their dependents can start', async () => {
+    const { orch, started, results } = makeOrchestrator({
+      phases: [
+        { name: 'build', parallel: [{ command: 'build' }, { command: 'stylelint', needs: [] }] },
+        { name: 'test', parallel: [{ command: 'playwright_ci', needs: ['build'] }, { command: 'unit' }] },
+      ],
+    });
+    orch.useRerunFailed(previous);
+    const codes = await withFastTimers(() => withMockedExit(() => orch.run()));
+    expect(codes).toEqual([0]);
+    expect(started.sort()).toEqual(['playwright_ci', 'stylelint']);
+    expect(results().commands.filter((c) => c.skipReason === 'passed_previously').map((c) => c.command)).toEqual([
+      'build',
+      'unit',
+    ]);
+  });
+
+  test('the plan shows carried commands and phases', async () => {
+    const { orch } = makeOrchestrator({
+      phases: [
+        { name: 'docs', parallel: [{ command: 'docs' }] },
+        { name: 'build', parallel: [{ command: 'build' }, { command: 'stylelint' }] },
+      ],
+    });
+    orch.gitCache.evaluateSkip = async () => ({ skip: false, reason: 'stub' });
+    orch.useRerunFailed({
+      ...previous,
+      commands: [...previous.commands, { command: 'docs', phase: 'docs', success: true }],
+    });
+    const plan = await orch.buildPlan();
+    expect(plan.rerunOf.commands).toEqual(['stylelint']);
+    expect(plan.phases[0]).toMatchObject({ run: false, skipReason: 'passed_previously' });
+    expect(plan.phases[1].run).toBe(true);
+    expect(plan.phases[1].commands.map((c) => c.skipReason)).toEqual(['passed_previously', undefined]);
+  });
+});
+
+describe('Orchestrator watch iterations', () => {
+  test('reruns only the affected commands and keeps an unchanged failure failing', async () => {
+    const { orch, started, results } = makeOrchestrator(
+      { phases: [{ name: 'build', parallel: [{ command: 'build' }, { command: 'stylelint' }, { command: 'unit' }] }] },
+      { fail: ['stylelint'] },
+    );
+    orch.keepBackgroundProcesses = true;
+    const cleanups = [];
+    orch.processManager.cleanupPhase = async (name) => cleanups.push(name);
+    orch.processManager.cleanup = async () => cleanups.push('all');
+    orch.iteration = 1;
+    const first = await withFastTimers(() => orch.run({ exit: false }));
+    expect(first).toMatchObject({ success: false, iteration: 1 });
+
+    expect(orch.useWatchIteration(2, first, ['unit'])).toEqual({ rerun: ['unit'], carried: 2 });
+    const second = await withFastTimers(() => orch.run({ exit: false }));
+    expect(started).toEqual(['build', 'stylelint', 'unit', 'unit']);
+    expect(second).toMatchObject({ success: false, iteration: 2 });
+    expect(results().commands.map((c) => [c.command, c.success, c.skipReason])).toEqual([
+      ['build', true, 'passed_previously'],
+      ['stylelint', false, undefined],
+      ['unit', true, undefined],
+    ]);
+    // Background dependencies stay up between iterations.
+    expect(cleanups).toEqual([]);
+  });
+});
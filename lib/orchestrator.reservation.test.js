@@ -0,0 +1,82 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Orchestrator } from './orchestrator.js';
+import { withFastTimers, silentLogger, stubProcessManager } from './orchestrator.test-helpers.js';
+
+// These tests cover the memory guard's reservations: a command's expected peak — its declared
+// `memory_mb`, else its memoryKb in the previous results — is reserved before it starts, and a
+// command that would not fit next to the running reservations waits. The host is pinned at
+// 1,000,000 KB with 65% available, so 500,000 KB fit above the 15% admission floor.
+
+function makeOrchestrator(jsonPath, order) {
+  const config = {
+    memory_guard: { pollMs: 1 },
+    history: false,
+    max_concurrency: 2,
+    phases: [
+      {
+        name: 'build',
+        parallel: [{ command: 'build' }, { command: 'test', memory_mb: 300 }],
+      },
+    ],
+  };
+  const orch = new Orchestrator(config, null, path.dirname(jsonPath), null, false, true, [], jsonPath);
+  orch.gitCache.updateCache = async () => {};
+  orch.gitCache.getCurrentCommitHash = async () => null;
+  orch.memoryGovernor._freeRatioFn = () => 0.65;
+  orch.memoryGovernor._totalKbFn = () => 1000000;
+  orch.logger = silentLogger;
+  orch.processManager = stubProcessManager({
+    getLogPath: (name) => `/logs/${name}.log`,
+    runCommand: async ({ name }) => {
+      order.push(`start ${name}`);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      order.push(`end ${name}`);
+      return { success: true, output: '', durationMs: 20, memoryKb: null };
+    },
+  });
+  return orch;
+}
+
+describe('Orchestrator memory reservations', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'so-reserve-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('holds a command whose expected peak does not fit next to the running reservations', async () => {
+    const jsonPath = path.join(tmpDir, 'results.json');
+    fs.writeFileSync(jsonPath, JSON.stringify({ commands: [{ command: 'build', success: true, memoryKb: 300000 }] }));
+    const order = [];
+    const payload = await withFastTimers(() => makeOrchestrator(jsonPath, order).run({ exit: false }));
+
+    expect(order).toEqual(['start build', 'end build', 'start test', 'end test']);
+    const [build, test] = payload.commands;
+    expect(build.reservation).toEqual({ reservedKb: 300000, source: 'previous_run', heldMs: 0 });
+    expect(test.reservation).toEqual({ reservedKb: 307200, source: 'memory_mb', heldMs: expect.any(Number) });
+    expect(test.reservation.heldMs).toBeGreaterThan(0);
+    // The hold is on the host timeline too, for the HTML report to mark under the Gantt.
+    expect(payload.hostTimeline.points.length).toBeGreaterThan(0);
+    expect(payload.hostTimeline.markers.map(({ type, command }) => [type, command])).toEqual([
+      ['hold', 'test'],
+      ['admit', 'test'],
+    ]);
+  });
+
+  test('runs side by side when only the declared estimate is known and it fits', async () => {
+    const order = [];
+    const payload = await withFastTimers(() =>
+      makeOrchestrator(path.join(tmpDir, 'results.json'), order).run({ exit: false }),
+    );
+
+    expect(order.slice(0, 2)).toEqual(['start build', 'start test']);
+    expect(payload.commands[0]).not.toHaveProperty('reservation');
+    expect(payload.commands[1].reservation).toEqual({ reservedKb: 307200, source: 'memory_mb', heldMs: 0 });
+  });
+});
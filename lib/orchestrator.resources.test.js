@@ -0,0 +1,80 @@
+import { Orchestrator } from './orchestrator.js';
+import { withFastTimers, silentLogger, stubProcessManager, useTempLogFolder } from './orchestrator.test-helpers.js';
+
+// These tests cover process-tree sampling in the results: a foreground command's sampled peaks fill
+// its memory/CPU columns with the detail under `resources`, and a background service started as a
+// dependency — which has no entry of its own — is listed under `services`. The process manager is
+// stubbed and reports what a ProcessSampler would.
+
+const logFolder = useTempLogFolder();
+
+const usage = (peakRssKb, cpuPercent) => ({
+  peakRssKb,
+  avgRssKb: peakRssKb / 2,
+  cpuSec: 1.5,
+  cpuPercent,
+  samples: 3,
+  durationMs: 1000,
+  timeline: [
+    [0, peakRssKb / 4, 0],
+    [500, peakRssKb, cpuPercent],
+    [1000, peakRssKb / 4, cpuPercent],
+  ],
+});
+
+function makeOrchestrator(metrics) {
+  const config = {
+    memory_guard: false,
+    phases: [
+      {
+        name: 'e2e',
+        parallel: [{ command: 'playwright', dependencies: [{ command: 'dev', background: true }] }],
+      },
+    ],
+  };
+  const orch = new Orchestrator(config, null, logFolder(), null, false, true, metrics);
+  orch.gitCache.updateCache = async () => {};
+  orch.gitCache.getCurrentCommitHash = async () => null;
+  orch.logger = silentLogger;
+  orch.processManager = stubProcessManager({
+    getLogPath: (name) => `/logs/${name}.log`,
+    runCommand: async ({ background }) =>
+      background
+        ? { success: true, output: '', durationMs: 1, memoryKb: null }
+        : { success: true, output: '', durationMs: 1, memoryKb: 2048, cpuPercent: 150, resources: usage(2048, 150) },
+    resourceUsage: (name) => (name === 'dev' ? usage(8192, 40) : null),
+  });
+  return orch;
+}
+
+describe('Orchestrator sampled resources', () => {
+  test('records the sampled detail of a command and the services it depended on', async () => {
+    const payload = await withFastTimers(() => makeOrchestrator(['memory', 'cpu']).run({ exit: false }));
+
+    expect(payload.commands).toEqual([
+      expect.objectContaining({
+        command: 'playwright',
+        memoryKb: 2048,
+        cpuPercent: 150,
+        resources: { avgRssKb: 1024, cpuSec: 1.5, samples: 3, timeline: usage(2048, 150).timeline },
+      }),
+    ]);
+    expect(payload.services).toEqual([
+      {
+        command: 'dev',
+        phase: 'e2e',
+        memoryKb: 8192,
+        cpuPercent: 40,
+        resources: { avgRssKb: 4096, cpuSec: 1.5, samples: 3, timeline: usage(8192, 40).timeline },
+      },
+    ]);
+  });
+
+  test('leaves resources and services out when no metric asks for them', async () => {
+    const payload = await withFastTimers(() => makeOrchestrator([]).run({ exit: false }));
+
+    expect(payload.commands[0]).not.toHaveProperty('resources');
+    expect(payload.commands[0]).not.toHaveProperty('memoryKb');
+    expect(payload).not.toHaveProperty('services');
+  });
+});
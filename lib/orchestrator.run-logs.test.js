@@ -0,0 +1,64 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Orchestrator } from './orchestrator.js';
+import { ProcessManager } from './process-manager.js';
+import { withFastTimers, silentLogger } from './orchestrator.test-helpers.js';
+
+// These tests cover per-run log directories: each run writes its command logs to a directory of its
+// own, named after its start time and commit, so a rerun no longer overwrites the previous run's logs,
+// and the results point into it. Commands really run (a quick `echo`) through a process manager of
+// the test's own; git lookups are stubbed and the logs land in a temporary log folder.
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orch-run-logs-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function runOnce(message, extra = {}) {
+  const config = {
+    memory_guard: false,
+    history: false,
+    command_prefix: '',
+    phases: [{ name: 'checks', parallel: [{ command: `echo ${message}` }] }],
+    ...extra,
+  };
+  const orch = new Orchestrator(config, null, dir, null, false, true, [], path.join(dir, 'results.json'));
+  orch.gitCache.updateCache = async () => {};
+  orch.gitCache.getCurrentCommitHash = async () => '0123456789abcdef';
+  orch.logger = silentLogger;
+  const pm = new ProcessManager();
+  pm.logger = silentLogger;
+  pm.setLogFolder(dir);
+  pm.cleanup = async () => {};
+  pm.cleanupPhase = async () => {};
+  orch.processManager = pm;
+  return withFastTimers(() => orch.run({ exit: false }));
+}
+
+describe('Orchestrator per-run log directories', () => {
+  test('each run logs to its own directory, which the results point at', async () => {
+    const runs = path.join(dir, 'scripts-orchestrator-logs', 'runs');
+    const first = await runOnce('first');
+    await new Promise((resolve) => setTimeout(resolve, 5)); // distinct start times
+    const second = await runOnce('second');
+
+    expect(first.runId).toMatch(/-0123456$/);
+    expect(second.runId).not.toBe(first.runId);
+    expect(first.commands[0].logFile).toBe(path.join(runs, first.runId, 'echo.log'));
+    expect(fs.readFileSync(first.commands[0].logFile, 'utf8')).toBe('first\n');
+    expect(fs.readFileSync(second.commands[0].logFile, 'utf8')).toBe('second\n');
+    expect(fs.readlinkSync(path.join(runs, 'latest'))).toBe(second.runId);
+  });
+
+  test('retention prunes older runs as a new one starts', async () => {
+    await runOnce('first', { retention: { runs: 1 } });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const second = await runOnce('second', { retention: { runs: 1 } });
+    const runs = fs.readdirSync(path.join(dir, 'scripts-orchestrator-logs', 'runs')).sort();
+    expect(runs).toEqual([second.runId, 'latest']);
+  });
+});
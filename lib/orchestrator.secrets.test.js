@@ -0,0 +1,73 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Orchestrator } from './orchestrator.js';
+import { log } from './logger.js';
+import { withFastTimers, silentLogger, stubProcessManager } from './orchestrator.test-helpers.js';
+
+// These tests cover `secrets`: the values of the variables it names are masked in the results JSON,
+// the NDJSON events, emitted events and everything the shared logger writes. The process manager is
+// stubbed; the command line carries the token, as a verbatim shell command would.
+
+const TOKEN = 'tok-5f2a9c81';
+
+function makeOrchestrator(extra, jsonPath) {
+  const config = {
+    memory_guard: false,
+    command_prefix: '',
+    phases: [
+      {
+        name: 'release',
+        parallel: [{ command: `./publish.sh --token ${TOKEN}`, env: { DEPLOY_TOKEN: TOKEN } }],
+      },
+    ],
+    ...extra,
+  };
+  const orch = new Orchestrator(config, null, path.dirname(jsonPath), null, false, true, [], jsonPath);
+  orch.gitCache.updateCache = async () => {};
+  orch.gitCache.getCurrentCommitHash = async () => null;
+  orch.logger = silentLogger;
+  orch.processManager = stubProcessManager({
+    getLogPath: () => '/logs/publish.log',
+    runCommand: async () => ({ success: false, output: '', durationMs: 1, memoryKb: null }),
+  });
+  return orch;
+}
+
+describe('Orchestrator secrets', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'so-secrets-'));
+  });
+
+  afterEach(() => {
+    log.setSecretMasker(null);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('masks the values of the named variables in the results, events and log lines', async () => {
+    const jsonPath = path.join(tmpDir, 'results.json');
+    const orch = makeOrchestrator({ secrets: ['*_TOKEN'] }, jsonPath);
+    const ends = [];
+    orch.on('command:end', (event) => ends.push(event));
+    const payload = await withFastTimers(() => orch.run({ exit: false }));
+
+    expect(payload.commands[0].command).toBe('./publish.sh --token ***');
+    expect(ends[0].command).toBe('./publish.sh --token ***');
+    const written = fs.readFileSync(jsonPath, 'utf8') + fs.readFileSync(orch.eventsPath, 'utf8');
+    expect(written).toContain('--token ***');
+    expect(written).not.toContain(TOKEN);
+    expect(log.redact(`Running: DEPLOY_TOKEN=${TOKEN} ./publish.sh`)).toBe('Running: DEPLOY_TOKEN=*** ./publish.sh');
+  });
+
+  test('writes values as they are without a secrets list', async () => {
+    const jsonPath = path.join(tmpDir, 'results.json');
+    const orch = makeOrchestrator({}, jsonPath);
+    const payload = await withFastTimers(() => orch.run({ exit: false }));
+
+    expect(orch.secretMasker).toBeNull();
+    expect(payload.commands[0].command).toBe(`./publish.sh --token ${TOKEN}`);
+    expect(log.redact(TOKEN)).toBe(TOKEN);
+  });
+});
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Orchestrator } from './orchestrator.js';
+import { withFastTimers, silentLogger, stubProcessManager } from './orchestrator.test-helpers.js';
+
+// These tests cover `shard` commands end to end through run({ exit: false }): the group's items are
+// listed once, packed by their recorded durations and handed to each cell in its env, and a passing
+// cell's run time feeds the next run's packing. The process manager is stubbed; timings and item
+// files land in a temporary log folder.
+
+// Leave list_command's (minutes-long) timeout alone so a real child process can finish.
+const KEEP_LIST_TIMEOUT = { keepFromMs: 60_000 };
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orch-shard-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function makeOrchestrator(shard, { durations = {} } = {}) {
+  const config = { memory_guard: false, phases: [{ name: 'tests', parallel: [{ command: 'unit', shard }] }] };
+  const orch = new Orchestrator(config, null, dir, null, false, true);
+  orch.gitCache.updateCache = async () => {};
+  orch.logger = silentLogger;
+  const runs = [];
+  orch.processManager = stubProcessManager({
+    getLogPath: (name) => path.join(dir, 'scripts-orchestrator-logs', `${name.split(/\s+/)[0]}.log`),
+    runCommand: async ({ name, env }) => {
+      runs.push({ name, env });
+      const items = env.SHARD_ITEMS.split(' ');
+      // Cells report exact per-item timings, as a test runner's reporter would.
+      fs.writeFileSync(env.SHARD_TIMINGS_FILE, JSON.stringify(Object.fromEntries(items.map((i) => [i, durations[i]]))));
+      return { success: true, output: '', durationMs: items.reduce((sum, item) => sum + (durations[item] ?? 0), 0) };
+    },
+  });
+  return { orch, runs };
+}
+
+describe('Orchestrator shard commands', () => {
+  test('hands each cell its packed items and records their timings for the next run', async () => {
+    const shard = { count: 2, list_command: 'printf "a\\nb\\nc\\nd\\n"' };
+    const durations = { a: 4000, b: 1000, c: 1000, d: 2000 };
+    const first = makeOrchestrator(shard, { durations });
+
+    const payload = await withFastTimers(() => first.orch.run({ exit: false }), KEEP_LIST_TIMEOUT);
+
+    expect(first.runs.map(({ name, env }) => [name, env.SHARD_ITEMS, env.SHARD_INDEX, env.SHARD_COUNT])).toEqual([
+      ['unit [SHARD_INDEX=1]', 'a c', 1, 2],
+      ['unit [SHARD_INDEX=2]', 'b d', 2, 2],
+    ]);
+    const { SHARD_ITEMS_FILE, SHARD_TIMINGS_FILE } = first.runs[0].env;
+    expect(fs.readFileSync(SHARD_ITEMS_FILE, 'utf8')).toBe('a\nc\n');
+    expect(SHARD_TIMINGS_FILE).toMatch(/unit\.SHARD_INDEX=1\.timings\.json$/);
+    expect(payload.commands[0]).toMatchObject({ success: true, shard: { items: 2, estimatedMs: 2 } });
+
+    // With the reported timings, the next run gives the slow item a shard of its own.
+    const second = makeOrchestrator(shard, { durations });
+    await withFastTimers(() => second.orch.run({ exit: false }), KEEP_LIST_TIMEOUT);
+    expect(second.runs.map(({ env }) => env.SHARD_ITEMS)).toEqual(['a', 'b c d']);
+  });
+
+  test('a cell left without items is skipped without failing the run', async () => {
+    const { orch, runs } = makeOrchestrator({ count: 3, list_command: 'echo only' });
+    const payload = await withFastTimers(() => orch.run({ exit: false }), KEEP_LIST_TIMEOUT);
+    expect(runs.map(({ name }) => name)).toEqual(['unit [SHARD_INDEX=1]']);
+    expect(payload.success).toBe(true);
+    expect(payload.commands[1]).toMatchObject({ skipReason: 'empty_shard', success: true });
+  });
+
+  test('a list_command that fails fails every cell of the group', async () => {
+    const { orch, runs } = makeOrchestrator({ count: 2, list_command: 'exit 2' });
+    const payload = await withFastTimers(() => orch.run({ exit: false }), KEEP_LIST_TIMEOUT);
+    expect(runs).toEqual([]);
+    expect(payload.success).toBe(false);
+    expect(payload.commands.map((c) => [c.success, c.failureReason])).toEqual([
+      [false, 'could not list shard items: list_command exited with code 2'],
+      [false, 'could not list shard items: list_command exited with code 2'],
+    ]);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * @file orchestrator.test-helpers.js
+ * @description Fixtures shared by the orchestrator.<topic>.test.js files that drive a whole run()
+ * against a stubbed process manager.
+ */
+/* eslint-env jest */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Run `fn` with every timer shortened to at most 5ms: run() waits a fixed second before its
+ * end-of-run cleanup, and retries pause a second between attempts.
+ *
+ * @param {() => Promise<*>} fn
+ * @param {object} [opts]
+ * @param {number} [opts.keepFromMs] - Leave timers this long or longer alone, e.g. the timeout of a
+ *   real child process that has to be able to finish.
+ */
+export async function withFastTimers(fn, { keepFromMs = Infinity } = {}) {
+  const realSetTimeout = global.setTimeout;
+  global.setTimeout = (cb, ms, ...rest) => realSetTimeout(cb, ms >= keepFromMs ? ms : Math.min(ms ?? 0, 5), ...rest);
+  try {
+    return await fn();
+  } finally {
+    global.setTimeout = realSetTimeout;
+  }
+}
+
+/** A logger that drops everything. */
+export const silentLogger = new Proxy({}, { get: () => () => {} });
+
+/** A process manager whose cleanup hooks do nothing; `overrides` brings runCommand and the rest. */
+export function stubProcessManager(overrides) {
+  return {
+    cleanupPhase: async () => {},
+    cleanup: async () => {},
+    cleanupCommand: async () => {},
+    ...overrides,
+  };
+}
+
+/**
+ * Give each test of the calling file a temporary log folder, removed after it: a run records its
+ * history and run logs there rather than in the repo's own scripts-orchestrator-logs.
+ *
+ * @returns {() => string} The current test's folder.
+ */
+export function useTempLogFolder() {
+  let dir = null;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orch-logs-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return () => dir;
+}
@@ -0,0 +1,110 @@
+import { Orchestrator } from './orchestrator.js';
+import { DEFAULT_TIMEOUT_GRACE_MS } from './process-manager.js';
+
+// These tests cover the orchestrator side of per-command timeouts: how `timeout_ms` is resolved
+// (command > phase > run-wide default), that a timed-out attempt goes through the normal retry
+// flow, and that a command whose final attempt timed out is recorded as `timed_out`. The process
+// manager is stubbed, so the kill itself is covered in process-manager.test.js.
+
+function makeOrchestrator(config) {
+  const orch = new Orchestrator({ memory_guard: false, ...config });
+  orch._writePartialResults = () => {};
+  const events = [];
+  orch._appendEvent = (type, data) => events.push({ type, ...data });
+  orch.events = events;
+  const noop = () => {};
+  orch.logger = new Proxy({}, { get: () => noop });
+  return orch;
+}
+
+function stubRunner(orch, results) {
+  const seen = [];
+  orch.processManager = {
+    getLogPath: (c) => `/logs/${c}.log`,
+    runCommand: async (opts) => {
+      seen.push(opts);
+      return results[Math.min(seen.length, results.length) - 1];
+    },
+    cleanupCommand: async () => {},
+  };
+  return seen;
+}
+
+const timedOut = { success: false, timedOut: true, output: '', durationMs: 5, memoryKb: null };
+const passed = { success: true, output: '', durationMs: 1, memoryKb: null };
+
+describe('Orchestrator timeout resolution', () => {
+  const config = {
+    timeout_ms: 60000,
+    phases: [
+      { name: 'e2e', timeout_ms: 30000, timeout_grace_ms: 1000, parallel: [] },
+      { name: 'unit', parallel: [] },
+    ],
+  };
+
+  test('a command timeout beats its phase, which beats the run-wide default', () => {
+    const orch = makeOrchestrator(config);
+    expect(orch._resolveTimeout({ command: 'a', timeout_ms: 500 }, 'e2e').timeoutMs).toBe(500);
+    expect(orch._resolveTimeout({ command: 'a' }, 'e2e')).toEqual({ timeoutMs: 30000, timeoutGraceMs: 1000 });
+    expect(orch._resolveTimeout({ command: 'a' }, 'unit')).toEqual({
+      timeoutMs: 60000,
+      timeoutGraceMs: DEFAULT_TIMEOUT_GRACE_MS,
+    });
+  });
+
+  test('a CLI override of the default applies only where nothing more specific is set', () => {
+    const orch = makeOrchestrator(config);
+    orch.defaultTimeoutMs = orch._normalizeTimeout(1000);
+    expect(orch._resolveTimeout({ command: 'a' }, 'unit').timeoutMs).toBe(1000);
+    expect(orch._resolveTimeout({ command: 'a' }, 'e2e').timeoutMs).toBe(30000);
+  });
+
+  test('no timeout anywhere means none (0 and invalid values disable it)', () => {
+    const orch = makeOrchestrator({ phases: [{ name: 'p', timeout_ms: 0, parallel: [] }] });
+    expect(orch._resolveTimeout({ command: 'a' }, 'p').timeoutMs).toBeNull();
+    expect(orch._resolveTimeout({ command: 'a', timeout_ms: 'soon' }, null).timeoutMs).toBeNull();
+  });
+});
+
+describe('Orchestrator timed-out commands', () => {
+  test('forwards the resolved timeout to runCommand', async () => {
+    const orch = makeOrchestrator({ phases: [{ name: 'p', timeout_ms: 1234, parallel: [] }] });
+    const seen = stubRunner(orch, [passed]);
+    await orch.executeCommand({ command: 'test' }, new Set(), 'p');
+    expect(seen[0].timeoutMs).toBe(1234);
+  });
+
+  test('a timed-out attempt is retried and the command passes cleanly', async () => {
+    const orch = makeOrchestrator({ phases: [{ name: 'p', parallel: [] }] });
+    const seen = stubRunner(orch, [timedOut, passed]);
+    const ok = await orch.executeCommand({ command: 'e2e', attempts: 2, timeout_ms: 100 }, new Set(), 'p');
+    expect(ok).toBe(true);
+    expect(seen).toHaveLength(2);
+    expect(seen[1].isRetry).toBe(true);
+    expect(orch._resultEntry('e2e', 'p')).toMatchObject({ success: true });
+    expect(orch._resultEntry('e2e', 'p').skipReason).toBeUndefined();
+    expect(orch.events.filter((e) => e.type === 'command_timeout')).toHaveLength(1);
+  });
+
+  test('should_retry still gates a timed-out attempt', async () => {
+    const orch = makeOrchestrator({ phases: [{ name: 'p', parallel: [] }] });
+    const seen = stubRunner(orch, [timedOut, passed]);
+    const ok = await orch.executeCommand(
+      { command: 'e2e', attempts: 3, timeout_ms: 100, should_retry: () => false },
+      new Set(),
+      'p',
+    );
+    expect(ok).toBe(false);
+    expect(seen).toHaveLength(1);
+  });
+
+  test('a command whose last attempt timed out is recorded as timed_out', async () => {
+    const orch = makeOrchestrator({ phases: [{ name: 'p', parallel: [] }] });
+    stubRunner(orch, [timedOut]);
+    const ok = await orch.executeCommand({ command: 'e2e', timeout_ms: 100 }, new Set(), 'p');
+    expect(ok).toBe(false);
+    expect(orch._resultEntry('e2e', 'p')).toMatchObject({ success: false, skipReason: 'timed_out' });
+    const end = orch.events.find((e) => e.type === 'command_end');
+    expect(end).toMatchObject({ success: false, status: 'timed_out' });
+  });
+});
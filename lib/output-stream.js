@@ -0,0 +1,85 @@
+/**
+ * @file output-stream.js
+ * @description Console output modes for foreground commands. By default ('files') a command's
+ * stdout/stderr only goes to its log file; 'stream' also tees each line to the console behind a
+ * colored `[command]` prefix, and 'on-failure' holds the output back and prints it, prefixed the same
+ * way, only when the command fails. The log file is written in every mode.
+ *
+ * Output is split into whole lines before it reaches the console: a child writes in arbitrary chunks,
+ * and printing chunks as they arrive would splice two parallel commands' output together mid-line.
+ */
+import chalk from 'chalk';
+
+export const OUTPUT_MODES = ['files', 'stream', 'on-failure'];
+export const DEFAULT_OUTPUT_MODE = 'files';
+// 'on-failure' keeps at most this many of a command's last lines in memory; the log file has them all.
+export const MAX_HELD_LINES = 1000;
+
+// Prefix colors, picked per command name so a command keeps its color across runs and retries. Red is
+// left out: it already means "error" in the orchestrator's own lines.
+const PREFIX_COLORS = ['cyan', 'magenta', 'yellow', 'green', 'blue', 'cyanBright', 'magentaBright', 'yellowBright'];
+
+/** The chalk color name for a command's prefix (stable for a given name). */
+export function prefixColor(name) {
+  let hash = 0;
+  for (const ch of String(name)) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+  return PREFIX_COLORS[hash % PREFIX_COLORS.length];
+}
+
+/** `line` behind the command's colored `[name]` prefix. */
+export function prefixLine(name, line) {
+  return `${chalk[prefixColor(name)](`[${name}]`)} ${line}`;
+}
+
+/**
+ * Splits chunked output into complete lines. `push` returns the lines a chunk completed and keeps any
+ * trailing partial line for the next chunk; `flush` returns that remainder once the stream has ended.
+ */
+export class LineBuffer {
+  constructor() {
+    this.partial = '';
+  }
+
+  push(chunk) {
+    const lines = (this.partial + chunk).split(/\r?\n/);
+    this.partial = lines.pop();
+    return lines;
+  }
+
+  flush() {
+    const rest = this.partial;
+    this.partial = '';
+    return rest ? [rest] : [];
+  }
+}
+
+/**
+ * The last `max` output lines of a command held back under 'on-failure', as [stream, line] pairs.
+ * Older lines are dropped as new ones arrive, so a chatty command that passes costs bounded memory;
+ * `take` returns what is left and how many were dropped.
+ */
+export class HeldLines {
+  constructor(max = MAX_HELD_LINES) {
+    this.max = max;
+    this.lines = [];
+    this.dropped = 0;
+  }
+
+  push(lines) {
+    for (const line of lines) this.lines.push(line);
+    // Trimmed in batches rather than per line, so holding N lines costs O(N).
+    if (this.lines.length > 2 * this.max) this._trim();
+  }
+
+  take() {
+    this._trim();
+    return { lines: this.lines, dropped: this.dropped };
+  }
+
+  _trim() {
+    const excess = this.lines.length - this.max;
+    if (excess <= 0) return;
+    this.lines.splice(0, excess);
+    this.dropped += excess;
+  }
+}
@@ -0,0 +1,36 @@
+import { HeldLines, LineBuffer, prefixColor, prefixLine } from './output-stream.js';
+
+// eslint-disable-next-line no-control-regex
+const plain = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+describe('LineBuffer', () => {
+  test('returns only complete lines and carries a partial line into the next chunk', () => {
+    const buffer = new LineBuffer();
+    expect(buffer.push('compiling a')).toEqual([]);
+    expect(buffer.push('pp\r\ndone\nwarn')).toEqual(['compiling app', 'done']);
+    expect(buffer.push('ing: x\n')).toEqual(['warning: x']);
+    expect(buffer.flush()).toEqual([]);
+    buffer.push('no newline at the end');
+    expect(buffer.flush()).toEqual(['no newline at the end']);
+  });
+});
+
+describe('HeldLines', () => {
+  test('keeps only the last lines and counts the ones it dropped', () => {
+    const held = new HeldLines(3);
+    held.push([['stdout', 'a'], ['stdout', 'b']]);
+    expect(held.take()).toEqual({ lines: [['stdout', 'a'], ['stdout', 'b']], dropped: 0 });
+    for (let i = 0; i < 10; i += 1) held.push([['stderr', String(i)]]);
+    expect(held.take()).toEqual({ lines: [['stderr', '7'], ['stderr', '8'], ['stderr', '9']], dropped: 9 });
+  });
+});
+
+describe('prefixLine', () => {
+  test('puts the command name in brackets, in a color that stays the same for that name', () => {
+    expect(plain(prefixLine('test:unit', 'PASS src/a.test.js'))).toBe('[test:unit] PASS src/a.test.js');
+    expect(prefixColor('test:unit')).toBe(prefixColor('test:unit'));
+    const colors = new Set(['lint', 'build', 'test', 'e2e', 'typecheck', 'docs'].map(prefixColor));
+    expect(colors.size).toBeGreaterThan(1);
+    expect(colors.has('red')).toBe(false);
+  });
+});
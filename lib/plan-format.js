@@ -0,0 +1,105 @@
+/**
+ * @file plan-format.js
+ * @description Renders the JSON plan from `Orchestrator.buildPlan()` as the human-readable tree
+ * printed by `--plan` / `--dry-run`. Purely presentational: every decision (skips, prefixes,
+ * concurrency, git cache) is made by the orchestrator, so the tree and `--plan-json` never disagree.
+ */
+import chalk from 'chalk';
+
+const REASON_LABELS = {
+  before_start_phase: 'before --phase start',
+  optional_phase_not_requested: 'optional phase not requested',
+  passed_previously: 'passed previously',
+};
+
+function fmtMs(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  return s % 60 === 0 ? `${s / 60}m` : `${Math.floor(s / 60)}m ${s % 60}s`;
+}
+
+// One-line description of a command: its invocation plus the details that change how it runs.
+function commandLine(cmd, c) {
+  const details = [];
+  if (cmd.skipReason === 'passed_previously') details.push(c.dim('passed previously, not rerun'));
+  if (cmd.disabled) details.push(c.yellow('disabled'));
+  if (cmd.background) details.push(c.magenta(cmd.persist ? 'background, persist' : 'background'));
+  if (cmd.healthCheck) details.push(`health ${cmd.healthCheck}`);
+  if (cmd.waitMs) details.push(`wait ${fmtMs(cmd.waitMs)}`);
+  if (cmd.attempts) details.push(`attempts ${cmd.attempts}`);
+  if (cmd.timeoutMs) details.push(`timeout ${fmtMs(cmd.timeoutMs)}`);
+  if (cmd.cache) details.push(cmd.cache === 'hit' ? c.green('cached') : 'cache miss');
+  if (cmd.needs) details.push(`needs ${cmd.needs.length > 0 ? cmd.needs.join(', ') : '(none)'}`);
+  if (cmd.env) {
+    details.push(`env ${Object.entries(cmd.env).map(([k, v]) => `${k}=${v}`).join(' ')}`);
+  }
+  const text = cmd.disabled || cmd.skipReason ? c.dim(cmd.invocation) : cmd.invocation;
+  return details.length > 0 ? `${text}  ${c.dim('·')} ${details.join(c.dim(' · '))}` : text;
+}
+
+// Inline `dependencies` are nested under the command that starts them, labelled "before:".
+function pushCommands(lines, commands, indent, c, label = '') {
+  commands.forEach((cmd, i) => {
+    const last = i === commands.length - 1;
+    lines.push(`${indent}${last ? '└─ ' : '├─ '}${label}${commandLine(cmd, c)}`);
+    if (cmd.dependencies) {
+      pushCommands(lines, cmd.dependencies, indent + (last ? '   ' : '│  '), c, c.dim('before: '));
+    }
+  });
+}
+
+/**
+ * Render a plan as a tree.
+ *
+ * @param {object} plan - Result of Orchestrator.buildPlan().
+ * @param {object} [opts]
+ * @param {string} [opts.source] - Config path shown in the header.
+ * @returns {string}
+ */
+export function formatPlan(plan, { source = null } = {}) {
+  const c = chalk;
+  const lines = [];
+  lines.push(c.bold(`🗺️  Execution plan${source ? ` — ${source}` : ''} (dry run, nothing is executed)`));
+  lines.push(
+    c.dim(
+      `   mode: ${plan.mode} · max concurrency ${plan.maxConcurrency}${plan.sequential ? ' (sequential)' : ''} · ${plan.memoryGuard}${
+        plan.cpuGuard && plan.cpuGuard !== 'disabled' ? ` · ${plan.cpuGuard}` : ''
+      }`,
+    ),
+  );
+  lines.push(
+    plan.gitCache.wouldSkip
+      ? c.yellow(`   git cache: run would be SKIPPED — ${plan.gitCache.reason} (use --force to run anyway)`)
+      : c.dim(`   git cache: run would proceed — ${plan.gitCache.reason}`),
+  );
+  if (plan.rerunOf) {
+    lines.push(c.dim(`   rerun of ${plan.rerunOf.timestamp ?? 'a previous run'}: ${plan.rerunOf.commands.join(', ') || '(nothing failed)'}`));
+  }
+  if (plan.startPhaseFound === false) {
+    lines.push(c.red(`   ⚠ start phase "${plan.startPhase}" not found — the run would exit with an error`));
+  }
+
+  if (plan.commands) {
+    pushCommands(lines, plan.commands, '', c);
+    return lines.join('\n');
+  }
+
+  plan.phases.forEach((phase, i) => {
+    const last = i === plan.phases.length - 1;
+    const header = `Phase "${phase.name}"`;
+    if (!phase.run) {
+      lines.push(
+        c.dim(`${last ? '└─ ' : '├─ '}${header} · skipped (${REASON_LABELS[phase.skipReason] ?? phase.skipReason})`),
+      );
+      return;
+    }
+    const concurrency =
+      phase.concurrency !== plan.maxConcurrency
+        ? c.cyan(`concurrency ${phase.concurrency} (phase override)`)
+        : `concurrency ${phase.concurrency}`;
+    lines.push(`${last ? '└─ ' : '├─ '}${c.bold(header)}${phase.optional ? ' (optional)' : ''} · ${concurrency}`);
+    pushCommands(lines, phase.commands, last ? '   ' : '│  ', c);
+  });
+  return lines.join('\n');
+}
@@ -0,0 +1,26 @@
+/**
+ * @file process-group.js
+ * @description Short-lived helper commands — a shard `list_command`, a `command` health probe — run
+ * through `sh -c`. Killing that child on a timeout stops only the wrapper: whatever it started keeps
+ * running and holding the output pipes open. Spawned as the leader of its own process group, the whole
+ * tree can be signalled at once, as ProcessManager does for a command that times out.
+ */
+import { spawn } from 'child_process';
+
+/** Spawn a shell command as the leader of a new process group (Windows has none; it runs as is). */
+export function spawnGroupLeader(command, options = {}) {
+  return spawn(command, { ...options, shell: true, detached: process.platform !== 'win32' });
+}
+
+/** Signal the process group `child` leads, falling back to the child alone. */
+export function killGroup(child, signal = 'SIGKILL') {
+  if (process.platform !== 'win32' && child.pid) {
+    try {
+      process.kill(-child.pid, signal);
+      return;
+    } catch {
+      // not a group leader (or already gone) — fall through to the child itself
+    }
+  }
+  child.kill(signal);
+}
@@ -2,7 +2,11 @@ import { spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { log } from './logger.js';
-import { HealthCheck } from './health-check.js';
+import { HealthCheck, healthCheckType } from './health-check.js';
+import { DEFAULT_OUTPUT_MODE, HeldLines, LineBuffer, prefixLine } from './output-stream.js';
+
+// How long a timed-out command gets between SIGTERM and SIGKILL to flush output and exit cleanly.
+export const DEFAULT_TIMEOUT_GRACE_MS = 5000;
 
 export class ProcessManager {
   constructor() {
@@ -13,8 +17,27 @@ export class ProcessManager {
     // commands (build/test/type-check) — the things that actually consume host memory. We track them
     // so the memory-guard watchdog can kill them on a hard abort; background dev servers are tracked
     // separately in backgroundProcessesDetails and cleaned up via cleanup().
-    this.activeForegroundProcesses = new Map(); // pid -> { cmd, processInstance }
+    this.activeForegroundProcesses = new Map(); // pid -> { cmd, name, processInstance, stopReason }
+    // When set (by the --ui dashboard, or for memory_guard.on_critical: 'requeue'), every foreground
+    // command leads its own process group so a single command's whole tree can be stopped from the
+    // keyboard or by the memory guard without touching the others.
+    this.ownProcessGroups = false;
+    // Where foreground output goes besides the log file: 'files', 'stream' or 'on-failure' (see
+    // output-stream.js). A runCommand `output` option overrides it for one command.
+    this.outputMode = DEFAULT_OUTPUT_MODE;
     this.logFolder = 'scripts-orchestrator-logs'; // Default log folder
+    // This run's own log directory (`scripts-orchestrator-logs/runs/<run id>/`, set by the
+    // orchestrator, see run-logs.js). null writes command logs straight into scripts-orchestrator-logs.
+    this.runDir = null;
+    // Redacts secret values from what commands print before it reaches a log file or the console (a
+    // SecretMasker, set by the orchestrator from `secrets`); null writes output as it comes.
+    this.masker = null;
+    // Samples each command's process tree from /proc for the memory/cpu metrics (a ProcessSampler,
+    // set by the orchestrator where /proc exists, see process-sampler.js); null falls back to
+    // wrapping foreground commands in /usr/bin/time.
+    this.sampler = null;
+    // GNU time, which wraps Linux foreground commands for their memory/CPU metrics.
+    this.timeBinary = '/usr/bin/time';
   }
 
   formatDuration(ms) {
@@ -36,13 +59,18 @@ export class ProcessManager {
   getLogPath(command, logFileOverride = null) {
     // A per-command 'log'/'logFile' override wins, resolved against cwd.
     if (logFileOverride) return path.resolve(logFileOverride);
+    // Use only the first word of the command for the log filename
+    const logName = command.split(/\s+/)[0];
+    return path.join(this.logsDir(), `${logName}.log`);
+  }
+
+  // Directory default command logs (and /usr/bin/time output) are written to.
+  logsDir() {
+    if (this.runDir) return this.runDir;
     const baseDir = this.logFolder
       ? path.resolve(this.logFolder)
       : process.cwd();
-    const LOGS_DIR = path.join(baseDir, 'scripts-orchestrator-logs');
-    // Use only the first word of the command for the log filename
-    const logName = command.split(/\s+/)[0];
-    return path.join(LOGS_DIR, `${logName}.log`);
+    return path.join(baseDir, 'scripts-orchestrator-logs');
   }
 
   addBackgroundProcess({
@@ -148,6 +176,9 @@ export class ProcessManager {
 
   async runCommand({
     cmd,
+    name = cmd,
+    // Name the default log file is derived from when it isn't `cmd` (a matrix cell's own log).
+    logName = null,
     logFile,
     background = false,
     healthCheck = null,
@@ -160,20 +191,25 @@ export class ProcessManager {
     prefix = 'npm run',
     startPhase = null,
     persist = false,
+    timeoutMs = null,
+    timeoutGraceMs = DEFAULT_TIMEOUT_GRACE_MS,
+    // Called with (chunk, 'stdout' | 'stderr') for each chunk a foreground command prints, after it
+    // has been appended to the log file.
+    onOutput = null,
+    // 'files' | 'stream' | 'on-failure'; defaults to this.outputMode. Background commands only ever
+    // write their log file — a dev server's output would drown everything else.
+    output = null,
   }) {
     // Resolve how the command is invoked. A non-empty prefix (e.g. 'npm run') is
     // prepended to the command name; an empty/false prefix runs the command verbatim
     // as a regular shell command. `displayCmd` is what we surface in logs.
     const commandPrefix = prefix ? String(prefix).trim() : '';
     const displayCmd = commandPrefix ? `${commandPrefix} ${cmd}` : cmd;
-    const baseDir = this.logFolder
-      ? path.resolve(this.logFolder)
-      : process.cwd();
-    const LOGS_DIR = path.join(baseDir, 'scripts-orchestrator-logs');
+    const LOGS_DIR = this.logsDir();
     // Use only the first word of the command for the log filename
-    const logName = cmd.split(/\s+/)[0];
+    const logBase = (logName ?? cmd).split(/\s+/)[0];
     // Single source of truth for the destination log path (honors per-command override).
-    const LOG_FILE = this.getLogPath(cmd, logFile);
+    const LOG_FILE = this.getLogPath(logName ?? cmd, logFile);
 
     try {
       if (!fs.existsSync(LOGS_DIR)) {
@@ -222,11 +258,18 @@ export class ProcessManager {
           fullCommand = `${envStr} ${displayCmd}`;
         }
       }
+      const sampled = (reportMemory || reportCpu) && this.sampler != null;
+      // A sampled command is still wrapped in GNU time where it is installed: the kernel's max RSS
+      // catches the peak of a command that finishes between two samples.
       const useTimeWrapper =
-        (reportMemory || reportCpu) && !background && (process.platform === 'linux' || process.platform === 'darwin');
+        (reportMemory || reportCpu) &&
+        !background &&
+        (sampled
+          ? process.platform === 'linux' && fs.existsSync(this.timeBinary)
+          : process.platform === 'linux' || process.platform === 'darwin');
       if (useTimeWrapper && process.platform === 'linux') {
-        timeOutputPath = path.join(LOGS_DIR, `.time-${logName}-${startTime}.txt`);
-        fullCommand = `/usr/bin/time -v -o ${JSON.stringify(timeOutputPath)} sh -c ${JSON.stringify(fullCommand)}`;
+        timeOutputPath = path.join(LOGS_DIR, `.time-${logBase}-${startTime}.txt`);
+        fullCommand = `${this.timeBinary} -v -o ${JSON.stringify(timeOutputPath)} sh -c ${JSON.stringify(fullCommand)}`;
       } else if (useTimeWrapper && process.platform === 'darwin') {
         fullCommand = `/usr/bin/time -l sh -c ${JSON.stringify(fullCommand)}`;
       }
@@ -236,9 +279,14 @@ export class ProcessManager {
       // Create isolated environment for each process
       const isolatedEnv = this.createIsolatedEnvironment({ command: cmd, env });
 
+      // A foreground command with a timeout is spawned as its own process-group leader so that,
+      // on expiry, the whole toolchain tree (npm -> node -> browsers) can be signalled at once
+      // rather than just the `sh -c` wrapper.
+      const timeoutEnabled = !background && Number.isFinite(timeoutMs) && timeoutMs > 0;
+
       const options = {
         shell: true,
-        detached: background,
+        detached: background || timeoutEnabled || this.ownProcessGroups,
         stdio: ['ignore', 'pipe', 'pipe'],
         cwd: process.cwd(),
         env: isolatedEnv,
@@ -251,10 +299,13 @@ export class ProcessManager {
       try {
         this.logger.verbose(`Spawning process with command: ${fullCommand}`);
         const processInstance = spawn(fullCommand, [], options);
+        if (sampled && processInstance.pid) this.sampler.track(name, processInstance.pid);
 
         // Register foreground (gate) commands so the memory-guard can kill them on a hard abort.
+        // `name` is the config command this process runs for, even when `cmd` is its retry_command.
+        const foreground = { cmd, name, processInstance, stopReason: null, graceMs: timeoutGraceMs };
         if (!background && processInstance.pid) {
-          this.activeForegroundProcesses.set(processInstance.pid, { cmd, processInstance });
+          this.activeForegroundProcesses.set(processInstance.pid, foreground);
         }
 
         processInstance.on('error', (error) => {
@@ -289,25 +340,10 @@ export class ProcessManager {
             );
           });
 
-          processInstance.stdout.on('data', (data) => {
-            try {
-              fs.appendFileSync(LOG_FILE, data.toString());
-            } catch (error) {
-              this.logger.error(
-                `Failed to write to log file: ${error.message}`,
-              );
-            }
-          });
-
-          processInstance.stderr.on('data', (data) => {
-            try {
-              fs.appendFileSync(LOG_FILE, data.toString());
-            } catch (error) {
-              this.logger.error(
-                `Failed to write to log file: ${error.message}`,
-              );
-            }
-          });
+          const appendLog = this.maskedAppender(LOG_FILE);
+          processInstance.stdout.on('data', (data) => appendLog.write(data.toString()));
+          processInstance.stderr.on('data', (data) => appendLog.write(data.toString()));
+          processInstance.on('close', () => appendLog.end());
 
           const verifyProcess = async () => {
             const maxAttempts = 5;
@@ -375,7 +411,8 @@ export class ProcessManager {
                   command: cmd,
                   pgid: processGroupId,
                   startTime: Date.now(),
-                  url: healthCheck?.url,
+                  // Probed over HTTP at cleanup, so only an http check's url is kept.
+                  url: healthCheckType(healthCheck) === 'http' ? healthCheck.url : undefined,
                   startedByScript: true,
                   kill_command,
                   prefix: commandPrefix,
@@ -436,30 +473,70 @@ export class ProcessManager {
 
           verifyProcess().then(resolve);
         } else {
-          processInstance.stdout.on('data', (data) => {
-            try {
-              fs.appendFileSync(LOG_FILE, data.toString());
-            } catch (error) {
-              this.logger.error(
-                `Failed to write to log file: ${error.message}`,
+          // Graceful-then-forced kill on timeout: SIGTERM the process group, then SIGKILL it if it
+          // is still holding the pipes open after the grace period.
+          let timedOut = false;
+          let timeoutTimer = null;
+          let graceTimer = null;
+          if (timeoutEnabled && processInstance.pid) {
+            const pid = processInstance.pid;
+            timeoutTimer = setTimeout(() => {
+              timedOut = true;
+              this.logger.warn(
+                `Timed out: ${displayCmd} after ${this.formatDuration(timeoutMs)}, sending SIGTERM`,
               );
-            }
-          });
+              this.killProcessGroup(pid, 'SIGTERM');
+              graceTimer = setTimeout(() => {
+                this.logger.warn(
+                  `${displayCmd} still running ${this.formatDuration(timeoutGraceMs)} after SIGTERM, sending SIGKILL`,
+                );
+                this.killProcessGroup(pid, 'SIGKILL');
+              }, Math.max(0, timeoutGraceMs));
+            }, timeoutMs);
+          }
 
-          processInstance.stderr.on('data', (data) => {
-            try {
-              fs.appendFileSync(LOG_FILE, data.toString());
-            } catch (error) {
-              this.logger.error(
-                `Failed to write to log file: ${error.message}`,
-              );
-            }
-          });
+          // Console copy of the output, line by line: printed as it comes under 'stream', held back
+          // until the command has failed under 'on-failure' (only its last MAX_HELD_LINES lines).
+          const outputMode = output ?? this.outputMode;
+          const lineBuffers = { stdout: new LineBuffer(), stderr: new LineBuffer() };
+          const heldLines = new HeldLines();
+          const consoleLines = (stream, lines) => {
+            if (lines.length === 0) return;
+            if (outputMode === 'stream') this.printOutputLines(name, lines.map((line) => [stream, line]));
+            else heldLines.push(lines.map((line) => [stream, line]));
+          };
+
+          // Each stream is masked on its own: a secret split across two chunks of stdout must not
+          // be broken up by a stderr chunk landing in between.
+          const appendLog = { stdout: this.maskedAppender(LOG_FILE), stderr: this.maskedAppender(LOG_FILE) };
+          const forward = (stream, chunk) => {
+            if (!chunk) return;
+            if (outputMode !== 'files') consoleLines(stream, lineBuffers[stream].push(chunk));
+            if (onOutput) onOutput(chunk, stream);
+          };
+          const capture = (stream) => (data) => forward(stream, appendLog[stream].write(data.toString()));
+          processInstance.stdout.on('data', capture('stdout'));
+          processInstance.stderr.on('data', capture('stderr'));
 
           processInstance.on('close', async (code) => {
+            if (timeoutTimer) clearTimeout(timeoutTimer);
+            if (graceTimer) clearTimeout(graceTimer);
             if (processInstance.pid) {
               this.activeForegroundProcesses.delete(processInstance.pid);
             }
+            forward('stdout', appendLog.stdout.end());
+            forward('stderr', appendLog.stderr.end());
+            if (outputMode !== 'files') {
+              consoleLines('stdout', lineBuffers.stdout.flush());
+              consoleLines('stderr', lineBuffers.stderr.flush());
+            }
+            const dumpHeldOutput = () => {
+              const { lines, dropped } = heldLines.take();
+              if (dropped > 0) {
+                lines.unshift(['stdout', `... ${dropped} earlier line(s) not shown, see ${LOG_FILE}`]);
+              }
+              if (lines.length > 0) this.printOutputLines(name, lines);
+            };
             let output = '';
             try {
               output = fs.readFileSync(LOG_FILE, 'utf8');
@@ -475,7 +552,14 @@ export class ProcessManager {
               : '';
             let memoryKb = null;
             let cpuPercent = null;
-            if (reportMemory || reportCpu) {
+            const resources = sampled ? this.sampler.stop(name) : null;
+            if (resources) {
+              // Samples can miss a short peak; time's max RSS is of the single largest process, so
+              // neither is always the higher one.
+              const timeKb = timeOutputPath ? this.parseGnuTimeMemory(this.readTimeFile(timeOutputPath)) : null;
+              if (reportMemory) memoryKb = Math.max(resources.peakRssKb, timeKb ?? 0);
+              if (reportCpu) cpuPercent = resources.cpuPercent;
+            } else if (reportMemory || reportCpu) {
               // Both metrics are parsed from the same /usr/bin/time output, so read it once.
               let cpu = null;
               if (timeOutputPath) {
@@ -489,10 +573,38 @@ export class ProcessManager {
               if (reportCpu) cpuPercent = this.computeCpuPercent(cpu, durationMs);
             }
 
-            if (code !== 0) {
+            if (foreground.stopReason) {
+              this.logger.warn(`Stopped: ${displayCmd}${durationStr} (${foreground.stopReason})`);
+              dumpHeldOutput();
+              resolve({
+                success: false,
+                stoppedBy: foreground.stopReason,
+                output,
+                durationMs,
+                memoryKb,
+                cpuPercent,
+                ...(resources ? { resources } : {}),
+              });
+            } else if (timedOut) {
+              this.logger.error(
+                `Failed: ${displayCmd} ⏰${durationStr} (timed out after ${this.formatDuration(timeoutMs)})`,
+              );
+              dumpHeldOutput();
+              this.logger.verbose(`Process output: ${output}`);
+              resolve({
+                success: false,
+                timedOut: true,
+                output,
+                durationMs,
+                memoryKb,
+                cpuPercent,
+                ...(resources ? { resources } : {}),
+              });
+            } else if (code !== 0) {
               this.logger.error(
                 `Failed: ${displayCmd} ❌${durationStr} (exit code: ${code})`,
               );
+              dumpHeldOutput();
               this.logger.verbose(`Process output: ${output}`);
               resolve({
                 success: false,
@@ -500,6 +612,7 @@ export class ProcessManager {
                 durationMs,
                 memoryKb,
                 cpuPercent,
+                ...(resources ? { resources } : {}),
               });
             } else {
               this.logger.success(`Completed: ${displayCmd} ✅${durationStr}`);
@@ -509,6 +622,7 @@ export class ProcessManager {
                 durationMs,
                 memoryKb,
                 cpuPercent,
+                ...(resources ? { resources } : {}),
               });
             }
           });
@@ -526,6 +640,45 @@ export class ProcessManager {
     });
   }
 
+  /**
+   * Appends a command's output to its log file with secret values masked (see secrets.js). `write`
+   * appends a chunk and returns the text it wrote; with a masker, the end of a chunk that might be the
+   * start of a secret waits for the next one, and `end` writes (and returns) whatever is still held.
+   * @param {string} logFile
+   * @returns {{ write: (chunk: string) => string, end: () => string }}
+   */
+  maskedAppender(logFile) {
+    const masked = this.masker ? this.masker.stream() : null;
+    const append = (text) => {
+      if (!text) return text;
+      try {
+        fs.appendFileSync(logFile, text);
+      } catch (error) {
+        this.logger.error(`Failed to write to log file: ${error.message}`);
+      }
+      return text;
+    };
+    return {
+      write: (chunk) => append(masked ? masked.push(chunk) : chunk),
+      end: () => append(masked ? masked.flush() : ''),
+    };
+  }
+
+  /**
+   * Print a command's output lines to the console behind its `[name]` prefix, stderr lines to stderr.
+   * Each line is written whole, so parallel commands interleave only between lines.
+   * @param {string} name - config command name, used as the prefix
+   * @param {Array<['stdout'|'stderr', string]>} lines
+   */
+  printOutputLines(name, lines) {
+    this.logger.printMessage(() => {
+      for (const [stream, line] of lines) {
+        if (stream === 'stderr') console.error(prefixLine(name, line));
+        else console.log(prefixLine(name, line));
+      }
+    });
+  }
+
   createIsolatedEnvironment({ command, env = null }) {
     // Create a deep copy to avoid any reference sharing
     const baseEnv = JSON.parse(JSON.stringify(process.env));
@@ -567,10 +720,10 @@ export class ProcessManager {
    * bare pid otherwise. SIGKILL is uncatchable, so a wedged toolchain can't ignore it. Synchronous and
    * best-effort: this runs on the way to process.exit, so it must never throw or block.
    */
-  killActiveForeground(signal = 'SIGKILL') {
+  killActiveForeground(signal = 'SIGKILL', reason = 'to relieve memory pressure') {
     const entries = Array.from(this.activeForegroundProcesses.values());
     if (entries.length === 0) return;
-    this.logger.warn(`- Killing ${entries.length} running command(s) to relieve memory pressure...`);
+    this.logger.warn(`- Killing ${entries.length} running command(s) ${reason}...`);
     for (const { cmd, processInstance } of entries) {
       const pid = processInstance?.pid;
       if (!pid) continue;
@@ -594,6 +747,76 @@ export class ProcessManager {
     this.activeForegroundProcesses.clear();
   }
 
+  /**
+   * Stop every tracked foreground command on interrupt: a command running under a timeout leads its
+   * own process group, so the terminal's Ctrl-C never reaches it and it must be signalled explicitly.
+   * Each group gets SIGTERM, then SIGKILL if the command is still running after its `timeoutGraceMs`,
+   * as a timed-out command would. Resolves once every command has closed or been killed.
+   */
+  async stopActiveForeground(reason = 'after interrupt') {
+    const entries = Array.from(this.activeForegroundProcesses);
+    if (entries.length === 0) return;
+    this.logger.warn(`- Stopping ${entries.length} running command(s) ${reason}...`);
+    await Promise.all(
+      entries.map(
+        ([pid, { cmd, processInstance, graceMs }]) =>
+          new Promise((resolve) => {
+            const timer = setTimeout(() => {
+              this.logger.warn(
+                `- ${cmd} still running ${this.formatDuration(graceMs)} after SIGTERM, sending SIGKILL`,
+              );
+              this.killProcessGroup(pid, 'SIGKILL');
+              resolve();
+            }, graceMs);
+            processInstance.once('close', () => {
+              clearTimeout(timer);
+              resolve();
+            });
+            this.killProcessGroup(pid, 'SIGTERM');
+          }),
+      ),
+    );
+  }
+
+  /**
+   * Memory/CPU sampled from config command `name`'s process tree (see ProcessSampler.usage) — live
+   * while a background service runs, final once it has been stopped. null without a sampler.
+   */
+  resourceUsage(name) {
+    return this.sampler ? this.sampler.usage(name) : null;
+  }
+
+  /** Config command names of the running foreground processes, in the order they started. */
+  foregroundNames() {
+    return Array.from(this.activeForegroundProcesses.values(), (entry) => entry.name);
+  }
+
+  /** Pid of the running foreground process for config command `name`, or null. */
+  foregroundPid(name) {
+    for (const [pid, entry] of this.activeForegroundProcesses) {
+      if (entry.name === name) return pid;
+    }
+    return null;
+  }
+
+  /**
+   * Stop one running foreground command on request (the --ui dashboard's kill / restart keys). Its
+   * process group gets SIGTERM, then SIGKILL if it is still alive after `graceMs`; runCommand then
+   * resolves with `stoppedBy: reason` instead of a plain failure. Returns false if `name` isn't running.
+   */
+  stopCommand(name, reason = 'killed', graceMs = DEFAULT_TIMEOUT_GRACE_MS) {
+    const pid = this.foregroundPid(name);
+    if (pid == null) return false;
+    const entry = this.activeForegroundProcesses.get(pid);
+    entry.stopReason = reason;
+    this.killProcessGroup(pid, 'SIGTERM');
+    const timer = setTimeout(() => {
+      if (this.activeForegroundProcesses.get(pid) === entry) this.killProcessGroup(pid, 'SIGKILL');
+    }, graceMs);
+    if (typeof timer.unref === 'function') timer.unref();
+    return true;
+  }
+
   async cleanup() {
     try {
       this.logger.info('\nCleaning up background processes...');
@@ -783,6 +1006,7 @@ export class ProcessManager {
           logFile: null,
           background: false,
           prefix,
+          output: 'files',
         });
         if (result.success) {
           this.logger.verbose(
@@ -2,6 +2,8 @@ import path from 'path';
 import fs from 'fs';
 import os from 'os';
 import { ProcessManager } from './process-manager.js';
+import { SecretMasker } from './secrets.js';
+import { ProcessSampler, samplingSupported } from './process-sampler.js';
 
 describe('ProcessManager.getLogPath', () => {
   test('resolves the default per-command log path under the log folder', () => {
@@ -79,6 +81,154 @@ describe('ProcessManager.runCommand prefix handling', () => {
   });
 });
 
+describe('ProcessManager.runCommand output modes', () => {
+  let tmpDir;
+  let prevCwd;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'so-output-'));
+    prevCwd = process.cwd();
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(prevCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Run `cmd` in the given output mode and collect what it printed to the console, without colors.
+  async function runCapturing(cmd, output, masker = null) {
+    const pm = new ProcessManager();
+    pm.setLogFolder(tmpDir);
+    pm.masker = masker;
+    const noop = () => {};
+    pm.logger = new Proxy({ printMessage: (fn) => fn() }, { get: (target, key) => target[key] ?? noop });
+    const printed = [];
+    const { log: realLog, error: realError } = console;
+    // eslint-disable-next-line no-control-regex
+    const plain = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+    console.log = (text) => printed.push(['stdout', plain(text)]);
+    console.error = (text) => printed.push(['stderr', plain(text)]);
+    try {
+      const result = await pm.runCommand({ cmd, name: 'job', prefix: '', output });
+      // The "Tail: <log>" hint is printed in every mode; only the command's own lines matter here.
+      const lines = printed.filter(([, line]) => !line.startsWith('[INFO] Tail:'));
+      return { result, printed: lines, log: fs.readFileSync(pm.getLogPath(cmd), 'utf8') };
+    } finally {
+      console.log = realLog;
+      console.error = realError;
+    }
+  }
+
+  const SCRIPT = 'printf "one\\ntw"; sleep 0.2; printf "o\\n"; echo oops >&2';
+
+  test('stream prints whole prefixed lines, even when a line arrives in pieces', async () => {
+    const { result, printed, log } = await runCapturing(SCRIPT, 'stream');
+    expect(result.success).toBe(true);
+    expect(printed).toEqual([
+      ['stdout', '[job] one'],
+      ['stdout', '[job] two'],
+      ['stderr', '[job] oops'],
+    ]);
+    expect(log).toBe('one\ntwo\noops\n');
+  });
+
+  test('on-failure prints nothing for a pass and the whole output once a command fails', async () => {
+    const passed = await runCapturing(SCRIPT, 'on-failure');
+    expect(passed.printed).toEqual([]);
+    expect(passed.log).toBe('one\ntwo\noops\n');
+
+    const failed = await runCapturing(`${SCRIPT}; exit 3`, 'on-failure');
+    expect(failed.result.success).toBe(false);
+    expect(failed.printed.map(([, line]) => line)).toEqual(['[job] one', '[job] two', '[job] oops']);
+  });
+
+  test('on-failure prints only the last lines of a long output, saying how many it left out', async () => {
+    const { result, printed, log } = await runCapturing('seq 1 1500; exit 1', 'on-failure');
+    expect(result.success).toBe(false);
+    expect(printed).toHaveLength(1001);
+    expect(printed[0][1]).toMatch(/^\[job\] \.\.\. 500 earlier line\(s\) not shown, see .*seq\.log$/);
+    expect(printed[1][1]).toBe('[job] 501');
+    expect(printed[1000][1]).toBe('[job] 1500');
+    expect(log.split('\n')).toHaveLength(1501);
+  });
+
+  test('files keeps the output in the log file only', async () => {
+    const { printed, log } = await runCapturing(`${SCRIPT}; exit 1`, 'files');
+    expect(printed).toEqual([]);
+    expect(log).toBe('one\ntwo\noops\n');
+  });
+
+  test('masks secret values in the log file and the console, even when split across chunks', async () => {
+    const masker = new SecretMasker(['hunter2-token']);
+    const { printed, log } = await runCapturing(
+      'printf "auth hunter2"; sleep 0.2; printf -- "-token ok\n"; echo hunter2-token >&2',
+      'stream',
+      masker,
+    );
+    expect(printed).toEqual([
+      ['stdout', '[job] auth *** ok'],
+      ['stderr', '[job] ***'],
+    ]);
+    expect(log).toBe('auth *** ok\n***\n');
+  });
+});
+
+describe('ProcessManager.runCommand process-tree sampling', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'so-sampling-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  (samplingSupported() ? test : test.skip)('reports memory and CPU from /proc', async () => {
+    const pm = new ProcessManager();
+    pm.setLogFolder(tmpDir);
+    const noop = () => {};
+    pm.logger = new Proxy({}, { get: () => noop });
+    pm.sampler = new ProcessSampler({ intervalMs: 50 });
+    const result = await pm.runCommand({
+      cmd: 'sleep 0.4 & sleep 0.4; wait',
+      prefix: '',
+      reportMemory: true,
+      reportCpu: true,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.memoryKb).toBeGreaterThan(0);
+    expect(result.cpuPercent).toEqual(expect.any(Number));
+    expect(result.resources.samples).toBeGreaterThan(1);
+    expect(result.resources.timeline.length).toBe(result.resources.samples);
+    expect(fs.readdirSync(pm.logsDir()).filter((f) => f.startsWith('.time-'))).toEqual([]);
+    expect(pm.sampler.timer).toBeNull();
+  });
+
+  (samplingSupported() ? test : test.skip)('keeps GNU time\'s max RSS when the samples missed the peak', async () => {
+    // Stands in for GNU time: reports a peak no sample could have seen, then runs the command.
+    const fakeTime = path.join(tmpDir, 'time');
+    fs.writeFileSync(
+      fakeTime,
+      '#!/bin/sh\nout="$3"; shift 3\necho "Maximum resident set size (kbytes): 9999999" > "$out"\nexec "$@"\n',
+      { mode: 0o755 },
+    );
+    const pm = new ProcessManager();
+    pm.setLogFolder(tmpDir);
+    const noop = () => {};
+    pm.logger = new Proxy({}, { get: () => noop });
+    pm.sampler = new ProcessSampler({ intervalMs: 50 });
+    pm.timeBinary = fakeTime;
+    const result = await pm.runCommand({ cmd: 'true', prefix: '', reportMemory: true });
+
+    expect(result.success).toBe(true);
+    expect(result.memoryKb).toBe(9999999);
+    expect(fs.readdirSync(pm.logsDir()).filter((f) => f.startsWith('.time-'))).toEqual([]);
+  });
+});
+
 describe('ProcessManager CPU metric parsing', () => {
   const pm = new ProcessManager();
 
@@ -270,3 +420,139 @@ describe('ProcessManager background dependency teardown (real process tree)', ()
     expect(pm.backgroundProcessesDetails).toHaveLength(0);
   }, 20000);
 });
+
+describe('ProcessManager.runCommand timeout', () => {
+  let tmpDir;
+  let prevCwd;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'so-timeout-'));
+    prevCwd = process.cwd();
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(prevCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('SIGTERMs a hung command once its timeout expires and reports timedOut', async () => {
+    if (process.platform === 'win32') return; // process-group semantics are POSIX-only
+    const pm = new ProcessManager();
+    pm.setLogFolder(tmpDir);
+    const started = Date.now();
+    const result = await pm.runCommand({
+      cmd: 'sleep 30',
+      prefix: '',
+      timeoutMs: 300,
+      timeoutGraceMs: 5000,
+    });
+    expect(result.success).toBe(false);
+    expect(result.timedOut).toBe(true);
+    // sleep honours SIGTERM, so the grace period is never used.
+    expect(Date.now() - started).toBeLessThan(4000);
+    expect(pm.activeForegroundProcesses.size).toBe(0);
+  }, 10000);
+
+  test('escalates to SIGKILL when the command ignores SIGTERM', async () => {
+    if (process.platform === 'win32') return;
+    const pm = new ProcessManager();
+    pm.setLogFolder(tmpDir);
+    const result = await pm.runCommand({
+      cmd: 'trap "" TERM; while true; do sleep 0.1; done',
+      prefix: '',
+      timeoutMs: 200,
+      timeoutGraceMs: 300,
+    });
+    expect(result.success).toBe(false);
+    expect(result.timedOut).toBe(true);
+  }, 10000);
+
+  test('leaves a command that finishes in time alone', async () => {
+    const pm = new ProcessManager();
+    pm.setLogFolder(tmpDir);
+    const result = await pm.runCommand({ cmd: 'echo quick', prefix: '', timeoutMs: 5000 });
+    expect(result.success).toBe(true);
+    expect(result.timedOut).toBeUndefined();
+  });
+});
+
+describe('ProcessManager.stopCommand', () => {
+  let tmpDir;
+  let prevCwd;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'so-stop-'));
+    prevCwd = process.cwd();
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(prevCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('stops one running command by its config name and reports why', async () => {
+    if (process.platform === 'win32') return;
+    const pm = new ProcessManager();
+    pm.setLogFolder(tmpDir);
+    pm.ownProcessGroups = true;
+    expect(pm.stopCommand('e2e')).toBe(false);
+
+    const running = pm.runCommand({ cmd: 'sleep 30 && echo e2e', name: 'e2e', prefix: '' });
+    while (pm.foregroundPid('e2e') == null) await new Promise((r) => setTimeout(r, 10));
+    const started = Date.now();
+    expect(pm.stopCommand('e2e', 'killed')).toBe(true);
+    const result = await running;
+
+    expect(result).toMatchObject({ success: false, stoppedBy: 'killed' });
+    // The whole group went down with SIGTERM, so the `sleep` child did not hold the pipes open.
+    expect(Date.now() - started).toBeLessThan(4000);
+    expect(pm.foregroundPid('e2e')).toBeNull();
+  }, 10000);
+});
+
+describe('ProcessManager.stopActiveForeground', () => {
+  let tmpDir;
+  let prevCwd;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'so-interrupt-'));
+    prevCwd = process.cwd();
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(prevCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('SIGKILLs a command still running its timeout grace after SIGTERM', async () => {
+    if (process.platform === 'win32') return;
+    const pm = new ProcessManager();
+    pm.logger = new Proxy({}, { get: () => () => {} });
+    pm.setLogFolder(tmpDir);
+    let ready = false;
+    const running = pm.runCommand({
+      cmd: 'trap "" TERM; echo ready; while true; do sleep 0.1; done',
+      name: 'hung',
+      prefix: '',
+      timeoutMs: 60000,
+      timeoutGraceMs: 300,
+      onOutput: () => (ready = true),
+    });
+    // Signal only once the trap is set; earlier, SIGTERM alone would end the shell.
+    while (!ready) await new Promise((r) => setTimeout(r, 10));
+    const started = Date.now();
+    await pm.stopActiveForeground();
+    const result = await running;
+
+    expect(result.success).toBe(false);
+    expect(Date.now() - started).toBeLessThan(4000);
+    expect(pm.foregroundPid('hung')).toBeNull();
+  }, 10000);
+
+  test('resolves at once with nothing running', async () => {
+    await new ProcessManager().stopActiveForeground();
+  });
+});
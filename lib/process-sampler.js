@@ -0,0 +1,307 @@
+/**
+ * @file process-sampler.js
+ * @description Memory/CPU metrics from `/proc` instead of `/usr/bin/time`. Each command's process
+ * tree — the spawned shell, everything it forked, and anything left in its process group — is
+ * sampled on an interval, giving its peak and average resident memory, its CPU time and a compact
+ * timeline for the HTML report.
+ *
+ * Unlike the `time` wrapper this needs no binary in the image (slim and Alpine images lack GNU time),
+ * counts the whole tree rather than the wrapped `sh -c`, and covers background services, which keep
+ * running long after `runCommand` has returned. Linux only; elsewhere the orchestrator falls back to
+ * the `time` wrapper.
+ */
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+// /proc/<pid>/stat counts memory in pages and CPU time in clock ticks. Both depend on the kernel: pages
+// are 4 KB on x86 but often 16 KB or 64 KB on arm64. These are only used when they can't be read.
+export const DEFAULT_CLOCK_TICKS = 100;
+export const DEFAULT_PAGE_KB = 4;
+
+/**
+ * Page size in KB implied by a process's own `status` (`VmRSS:  1234 kB`) and `stat` (field 24, RSS
+ * in pages), rounded to a power of two since both are read a moment apart. null when either is missing.
+ */
+export function pageKbFromSelf(statusText, statText) {
+  const vmRss = String(statusText ?? '').match(/^VmRSS:\s+(\d+)\s+kB/m);
+  const stat = String(statText ?? '');
+  const pages = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[21]);
+  if (!vmRss || !(pages > 0)) return null;
+  return 2 ** Math.round(Math.log2(Number(vmRss[1]) / pages));
+}
+
+let units = null;
+
+/**
+ * This kernel's page size (KB) and clock ticks per second, read once: from `getconf`, else (no getconf
+ * in the image) the page size from this process's own /proc entries, else the defaults.
+ *
+ * @returns {{ pageKb: number, clockTicks: number }}
+ */
+export function kernelUnits() {
+  if (units) return units;
+  const getconf = (name) => {
+    try {
+      const n = Number(execFileSync('getconf', [name], { encoding: 'utf8', timeout: 1000, stdio: ['ignore', 'pipe', 'ignore'] }));
+      return n > 0 ? n : null;
+    } catch {
+      return null;
+    }
+  };
+  const read = (file) => {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch {
+      return null;
+    }
+  };
+  const pageBytes = getconf('PAGESIZE');
+  units = {
+    pageKb: pageBytes ? pageBytes / 1024 : pageKbFromSelf(read('/proc/self/status'), read('/proc/self/stat')) ?? DEFAULT_PAGE_KB,
+    clockTicks: getconf('CLK_TCK') ?? DEFAULT_CLOCK_TICKS,
+  };
+  return units;
+}
+
+// Sampling when `sampling` is not set (or `true`). `maxPoints` bounds each command's timeline: once it
+// fills up, neighbouring points are merged, so a long command keeps its whole shape at a coarser grain.
+export const DEFAULT_SAMPLING = { intervalMs: 1000, timeline: true, maxPoints: 120 };
+
+/**
+ * Normalize the `sampling` config key: false keeps the `/usr/bin/time` wrapper, true / omitted uses
+ * the defaults, an object (`interval_ms`, `timeline`, `max_points`) overrides some of them.
+ *
+ * @param {boolean|object|undefined} value
+ * @returns {{ intervalMs: number, timeline: boolean, maxPoints: number }|null}
+ */
+export function resolveSampling(value) {
+  if (value === false) return null;
+  const spec = value && typeof value === 'object' ? value : {};
+  return {
+    intervalMs: spec.interval_ms ?? DEFAULT_SAMPLING.intervalMs,
+    timeline: spec.timeline ?? DEFAULT_SAMPLING.timeline,
+    maxPoints: spec.max_points ?? DEFAULT_SAMPLING.maxPoints,
+  };
+}
+
+/** Whether this host has a readable `/proc` to sample. */
+export function samplingSupported(procRoot = '/proc') {
+  try {
+    fs.accessSync(path.join(procRoot, 'self', 'stat'), fs.constants.R_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Every process on the host, read from `/proc/<pid>/stat`. `cpuTicks` is the process's own user +
+ * system time; `childTicks` is what its exited (and reaped) children used.
+ *
+ * @param {string} [procRoot]
+ * @param {number} [pageKb] - Page size the RSS field is counted in (see kernelUnits()).
+ * @returns {Map<number, { ppid: number, pgid: number, rssKb: number, cpuTicks: number, childTicks: number }>}
+ */
+export function readProcessTable(procRoot = '/proc', pageKb = kernelUnits().pageKb) {
+  const table = new Map();
+  let pids;
+  try {
+    pids = fs.readdirSync(procRoot).filter((name) => /^\d+$/.test(name));
+  } catch {
+    return table;
+  }
+  for (const pid of pids) {
+    let stat;
+    try {
+      stat = fs.readFileSync(path.join(procRoot, pid, 'stat'), 'utf8');
+    } catch {
+      continue; // exited while we were scanning
+    }
+    // The command name (field 2) may contain spaces and parentheses; fields resume after the last ')'.
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    table.set(Number(pid), {
+      ppid: Number(fields[1]),
+      pgid: Number(fields[2]),
+      cpuTicks: Number(fields[11]) + Number(fields[12]),
+      childTicks: Number(fields[13]) + Number(fields[14]),
+      rssKb: Number(fields[21]) * pageKb,
+    });
+  }
+  return table;
+}
+
+/**
+ * Total memory and CPU time of the tree rooted at `rootPid`: its descendants, plus — when the root
+ * leads a process group — the rest of that group, which catches a child that daemonized away from
+ * its parent. null when the root has exited.
+ *
+ * @param {Map} table - readProcessTable() output.
+ * @param {number} rootPid
+ * @returns {{ rssKb: number, cpuTicks: number, processes: number }|null}
+ */
+export function treeUsage(table, rootPid) {
+  const root = table.get(rootPid);
+  if (!root) return null;
+  const children = new Map();
+  for (const [pid, proc] of table) {
+    if (!children.has(proc.ppid)) children.set(proc.ppid, []);
+    children.get(proc.ppid).push(pid);
+  }
+  const members = new Set([rootPid]);
+  const queue = [rootPid];
+  while (queue.length > 0) {
+    for (const child of children.get(queue.shift()) ?? []) {
+      if (members.has(child)) continue;
+      members.add(child);
+      queue.push(child);
+    }
+  }
+  if (root.pgid === rootPid) {
+    for (const [pid, proc] of table) if (proc.pgid === rootPid) members.add(pid);
+  }
+  let rssKb = 0;
+  let cpuTicks = 0;
+  for (const pid of members) {
+    const proc = table.get(pid);
+    rssKb += proc.rssKb;
+    cpuTicks += proc.cpuTicks + proc.childTicks;
+  }
+  return { rssKb, cpuTicks, processes: members.size };
+}
+
+// Halve a timeline by merging neighbouring points: the earlier offset, the higher memory, the mean CPU.
+function mergePoints(points) {
+  const merged = [];
+  for (let i = 0; i < points.length; i += 2) {
+    const [at, rssKb, cpu] = points[i];
+    const next = points[i + 1];
+    merged.push(next ? [at, Math.max(rssKb, next[1]), Math.round((cpu + next[2]) / 2)] : [at, rssKb, cpu]);
+  }
+  return merged;
+}
+
+export class ProcessSampler {
+  /**
+   * @param {object} [opts] - resolveSampling() output, plus:
+   * @param {string} [opts.procRoot]
+   * @param {number} [opts.pageKb] - Page size and clock ticks of the kernel; kernelUnits() by default.
+   * @param {number} [opts.clockTicks]
+   * @param {() => number} [opts.now] - Clock (ms since the epoch).
+   */
+  constructor({
+    intervalMs = DEFAULT_SAMPLING.intervalMs,
+    timeline = DEFAULT_SAMPLING.timeline,
+    maxPoints = DEFAULT_SAMPLING.maxPoints,
+    procRoot = '/proc',
+    pageKb = kernelUnits().pageKb,
+    clockTicks = kernelUnits().clockTicks,
+    now = Date.now,
+  } = {}) {
+    this.intervalMs = intervalMs;
+    this.timeline = timeline;
+    this.maxPoints = maxPoints;
+    this.procRoot = procRoot;
+    this.pageKb = pageKb;
+    this.clockTicks = clockTicks;
+    this.now = now;
+    this.trees = new Map(); // key -> sampling state of one command's tree
+    this.timer = null;
+  }
+
+  /** Start sampling the tree rooted at `pid` under `key` (a command name), replacing an earlier one. */
+  track(key, pid) {
+    const tree = {
+      pid,
+      startedAt: this.now(),
+      endedAt: null,
+      samples: 0,
+      peakRssKb: 0,
+      rssTotalKb: 0,
+      cpuTicks: 0,
+      last: null,
+      points: [],
+    };
+    this.trees.set(key, tree);
+    this._sampleTrees([tree], readProcessTable(this.procRoot, this.pageKb));
+    if (!this.timer) {
+      this.timer = setInterval(() => this.sample(), this.intervalMs);
+      this.timer.unref?.();
+    }
+  }
+
+  /** Take one sample of every tree still running. */
+  sample() {
+    const running = [...this.trees.values()].filter((tree) => tree.endedAt == null);
+    if (running.length > 0) this._sampleTrees(running, readProcessTable(this.procRoot, this.pageKb));
+    if (![...this.trees.values()].some((tree) => tree.endedAt == null)) this.close();
+  }
+
+  _sampleTrees(trees, table) {
+    const at = this.now();
+    for (const tree of trees) {
+      const usage = treeUsage(table, tree.pid);
+      if (!usage) {
+        tree.endedAt = at;
+        continue;
+      }
+      // CPU time only grows; a child that exits before its parent reaps it briefly drops out of the sum.
+      const cpuTicks = Math.max(tree.cpuTicks, usage.cpuTicks);
+      const cpuPercent = tree.last
+        ? Math.round(((cpuTicks - tree.last.cpuTicks) / this.clockTicks / Math.max(0.001, (at - tree.last.at) / 1000)) * 100)
+        : 0;
+      tree.samples += 1;
+      tree.peakRssKb = Math.max(tree.peakRssKb, usage.rssKb);
+      tree.rssTotalKb += usage.rssKb;
+      tree.cpuTicks = cpuTicks;
+      tree.last = { at, cpuTicks };
+      if (this.timeline) {
+        tree.points.push([at - tree.startedAt, usage.rssKb, cpuPercent]);
+        if (tree.points.length > this.maxPoints) tree.points = mergePoints(tree.points);
+      }
+    }
+  }
+
+  /**
+   * What `key`'s tree has used so far (or in total, once it has exited); null when it isn't tracked.
+   *
+   * @returns {{ peakRssKb: number|null, avgRssKb: number|null, cpuSec: number, cpuPercent: number|null,
+   *   samples: number, durationMs: number, timeline?: Array<[number, number, number]> }|null}
+   *   `timeline` points are `[ms since start, rssKb, cpuPercent]`.
+   */
+  usage(key) {
+    const tree = this.trees.get(key);
+    if (!tree) return null;
+    const durationMs = (tree.endedAt ?? this.now()) - tree.startedAt;
+    const cpuSec = Math.round((tree.cpuTicks / this.clockTicks) * 100) / 100;
+    return {
+      peakRssKb: tree.samples > 0 ? tree.peakRssKb : null,
+      avgRssKb: tree.samples > 0 ? Math.round(tree.rssTotalKb / tree.samples) : null,
+      cpuSec,
+      cpuPercent: tree.samples > 0 && durationMs > 0 ? Math.round((cpuSec / (durationMs / 1000)) * 100) : null,
+      samples: tree.samples,
+      durationMs,
+      ...(this.timeline ? { timeline: tree.points.slice() } : {}),
+    };
+  }
+
+  /** Stop sampling `key`'s tree and return its usage (see usage()). */
+  stop(key) {
+    const tree = this.trees.get(key);
+    if (!tree) return null;
+    if (tree.endedAt == null) {
+      this._sampleTrees([tree], readProcessTable(this.procRoot, this.pageKb));
+      if (tree.endedAt == null) tree.endedAt = this.now();
+    }
+    const usage = this.usage(key);
+    this.trees.delete(key);
+    if (this.trees.size === 0) this.close();
+    return usage;
+  }
+
+  /** Stop the sampling timer; a later track() starts it again. */
+  close() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
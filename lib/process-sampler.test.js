@@ -0,0 +1,154 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  ProcessSampler,
+  readProcessTable,
+  pageKbFromSelf,
+  treeUsage,
+  resolveSampling,
+  samplingSupported,
+  DEFAULT_SAMPLING,
+} from './process-sampler.js';
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'so-proc-'));
+  fs.mkdirSync(path.join(dir, 'self'));
+  fs.writeFileSync(path.join(dir, 'self', 'stat'), '');
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Write a fake /proc/<pid>/stat with the fields the sampler reads.
+function stat(pid, { comm = 'node', ppid = 1, pgrp = pid, utime = 0, stime = 0, cutime = 0, rssPages = 0 } = {}) {
+  fs.mkdirSync(path.join(dir, String(pid)), { recursive: true });
+  // pid (comm) state ppid pgrp session tty tpgid flags minflt cminflt majflt cmajflt utime stime
+  // cutime cstime priority nice threads itrealvalue starttime vsize rss ...
+  const fields = ['S', ppid, pgrp, pgrp, 0, -1, 0, 0, 0, 0, 0, utime, stime, cutime, 0, 20, 0, 1, 0, 0, 0, rssPages, 0];
+  fs.writeFileSync(path.join(dir, String(pid), 'stat'), `${pid} (${comm}) ${fields.join(' ')}\n`);
+}
+
+describe('resolveSampling', () => {
+  test('false turns sampling off, true / omitted uses the defaults, an object overrides some', () => {
+    expect(resolveSampling(false)).toBeNull();
+    expect(resolveSampling(undefined)).toEqual(DEFAULT_SAMPLING);
+    expect(resolveSampling(true)).toEqual(DEFAULT_SAMPLING);
+    expect(resolveSampling({ interval_ms: 250, timeline: false })).toEqual({ intervalMs: 250, timeline: false, maxPoints: 120 });
+  });
+
+  test('samplingSupported checks for a readable /proc', () => {
+    expect(samplingSupported(dir)).toBe(true);
+    expect(samplingSupported(path.join(dir, 'missing'))).toBe(false);
+  });
+});
+
+describe('treeUsage', () => {
+  test('sums the descendants of the root and the rest of its process group', () => {
+    stat(100, { comm: 'sh', rssPages: 100, utime: 1 });
+    stat(101, { comm: 'node (worker)', ppid: 100, pgrp: 100, rssPages: 1000, utime: 50, stime: 10 });
+    stat(102, { ppid: 101, pgrp: 100, rssPages: 10, cutime: 5 });
+    stat(103, { comm: 'daemon', ppid: 1, pgrp: 100, rssPages: 1 }); // reparented, still in the group
+    stat(200, { comm: 'other', rssPages: 500, utime: 99 });
+
+    const table = readProcessTable(dir, 4);
+    expect(treeUsage(table, 100)).toEqual({ rssKb: 4 * 1111, cpuTicks: 66, processes: 4 });
+    expect(treeUsage(table, 101)).toEqual({ rssKb: 4 * 1010, cpuTicks: 65, processes: 2 });
+    expect(treeUsage(table, 999)).toBeNull();
+  });
+
+  test('counts RSS in the page size it is given', () => {
+    stat(100, { rssPages: 100 });
+    expect(treeUsage(readProcessTable(dir, 64), 100).rssKb).toBe(6400);
+  });
+});
+
+describe('pageKbFromSelf', () => {
+  test('derives the page size from VmRSS and the stat RSS field', () => {
+    const stat = (rssPages) => `42 (node (x)) S ${[1, 42, 42, 0, -1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 20, 0, 1, 0, 0, 0, rssPages, 0].join(' ')}`;
+    expect(pageKbFromSelf('Name:\tnode\nVmRSS:\t   40960 kB\n', stat(10240))).toBe(4);
+    // Read a moment apart, the two rarely agree exactly.
+    expect(pageKbFromSelf('VmRSS:\t   41000 kB\n', stat(640))).toBe(64);
+    expect(pageKbFromSelf('VmRSS:\t   40960 kB\n', '')).toBeNull();
+    expect(pageKbFromSelf(null, stat(10))).toBeNull();
+  });
+});
+
+describe('ProcessSampler', () => {
+  function makeSampler(opts = {}) {
+    let clock = 1000;
+    const sampler = new ProcessSampler({ procRoot: dir, pageKb: 4, clockTicks: 100, now: () => clock, ...opts });
+    return { sampler, advance: (ms) => (clock += ms) };
+  }
+
+  test('records the peak, average, CPU time and timeline of a tree until it is stopped', () => {
+    const { sampler, advance } = makeSampler();
+    stat(100, { rssPages: 100 });
+    sampler.track('build', 100);
+
+    advance(1000);
+    stat(100, { rssPages: 100, utime: 50 });
+    stat(101, { ppid: 100, rssPages: 400, utime: 30 });
+    sampler.sample();
+
+    advance(1000);
+    fs.rmSync(path.join(dir, '101'), { recursive: true });
+    stat(100, { rssPages: 200, utime: 60, cutime: 40 });
+    const usage = sampler.stop('build');
+
+    expect(usage).toEqual({
+      peakRssKb: 2000,
+      avgRssKb: Math.round((400 + 2000 + 800) / 3),
+      cpuSec: 1,
+      cpuPercent: 50,
+      samples: 3,
+      durationMs: 2000,
+      timeline: [
+        [0, 400, 0],
+        [1000, 2000, 80],
+        [2000, 800, 20],
+      ],
+    });
+    expect(sampler.usage('build')).toBeNull();
+    expect(sampler.timer).toBeNull();
+  });
+
+  test('keeps the usage of a tree that exited on its own, as a background service does', () => {
+    const { sampler, advance } = makeSampler({ timeline: false });
+    stat(300, { rssPages: 250 });
+    sampler.track('dev', 300);
+    advance(500);
+    fs.rmSync(path.join(dir, '300'), { recursive: true });
+    sampler.sample();
+    advance(5000);
+
+    expect(sampler.usage('dev')).toEqual({
+      peakRssKb: 1000,
+      avgRssKb: 1000,
+      cpuSec: 0,
+      cpuPercent: 0,
+      samples: 1,
+      durationMs: 500,
+    });
+    expect(sampler.timer).toBeNull();
+    sampler.close();
+  });
+
+  test('merges neighbouring timeline points once maxPoints is reached', () => {
+    const { sampler, advance } = makeSampler({ maxPoints: 4 });
+    for (let i = 0; i < 5; i++) {
+      stat(100, { rssPages: 10 * (i + 1) });
+      if (i === 0) sampler.track('test', 100);
+      else sampler.sample();
+      advance(100);
+    }
+    const { timeline } = sampler.stop('test');
+    expect(timeline).toEqual([
+      [0, 80, 0],
+      [200, 160, 0],
+      [400, 200, 0],
+      [500, 200, 0], // the final sample taken by stop()
+    ]);
+  });
+});
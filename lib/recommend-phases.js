@@ -20,8 +20,9 @@
  * model allowed, while genuinely parallel steps can't be stacked into oversubscription.
  */
 
-import os from 'os';
 import chalk from 'chalk';
+import { totalMemoryBytes } from './host-memory.js';
+import { effectiveCpuCount } from './cgroup.js';
 
 const KB = 1024;
 const GB = 1024 * 1024 * 1024;
@@ -36,8 +37,9 @@ const GB = 1024 * 1024 * 1024;
  * the host, so each gets 1/N of RAM and cores.
  */
 export function computeBudget(opts = {}) {
-  const totalMemBytes = opts.totalMemBytes != null ? Number(opts.totalMemBytes) : os.totalmem();
-  const cores = opts.cores != null ? Number(opts.cores) : os.cpus().length;
+  // Defaults are the container's limits when the run sits in a cgroup tighter than the host.
+  const totalMemBytes = opts.totalMemBytes != null ? Number(opts.totalMemBytes) : totalMemoryBytes();
+  const cores = opts.cores != null ? Number(opts.cores) : effectiveCpuCount();
   const fanout = Math.max(1, Number(opts.fanout) || 1);
   const memSafety = opts.memSafety != null ? Number(opts.memSafety) : 0.8;
   const budgetBytes =
@@ -110,6 +112,8 @@ export function usableSteps(payload) {
         durationMs: c.durationMs,
         memoryKb: typeof c.memoryKb === 'number' && c.memoryKb > 0 ? c.memoryKb : 0,
         cpuPercent: typeof c.cpuPercent === 'number' && c.cpuPercent > 0 ? c.cpuPercent : 0,
+        // `resources` marks a memory peak sampled over the whole process tree (see process-sampler.js).
+        ...(c.resources ? { treeMemory: true } : {}),
         ...(scope ? { scope } : {}), // additive, roll-up path only
       };
     });
@@ -144,8 +148,12 @@ const HEAVY_MEM_FRACTION = 0.25;
  *
  * This is the correction that stops `Σ(thin peaks) ≤ budget` from green-lighting a phase whose real
  * concurrent RSS is a multiple of the budget (the failure that drove the host into swap).
+ *
+ * A peak sampled from /proc (`treeMemory`) already sums every child's RSS, so it is used as measured —
+ * scaling it by the CPU fan would count the workers twice.
  */
 export function effectiveMemoryKb(step) {
+  if (step.treeMemory) return step.memoryKb;
   return step.memoryKb * Math.max(1, stepCores(step));
 }
 
@@ -281,7 +289,7 @@ export function resolveFanout(payload, meta, opts = {}) {
 
 /**
  * Produce a full recommendation object from a results payload. Pure — all host inputs are taken from
- * `opts` or `os`, so it's testable without a real machine.
+ * `opts` or the host (its cgroup limits included), so it's testable without a real machine.
  */
 export function recommendPhases(payload, opts = {}) {
   const meta = flattenCommands(payload);
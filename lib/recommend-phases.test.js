@@ -224,6 +224,14 @@ describe('effectiveMemoryKb / effectiveBytes (CPU-corrected weight)', () => {
     expect(effectiveMemoryKb({ memoryKb: GB_KB, cpuPercent: 0 })).toBe(GB_KB); // no metric -> 1 core
     expect(effectiveMemoryKb({ memoryKb: GB_KB, cpuPercent: 100 })).toBe(GB_KB);
   });
+
+  test('uses a whole-tree peak sampled from /proc as measured', () => {
+    const [step] = usableSteps({
+      commands: [{ command: 'test', phase: 'p', durationMs: 10, memoryKb: GB_KB, cpuPercent: 600, resources: { samples: 4 } }],
+    });
+    expect(step.treeMemory).toBe(true);
+    expect(effectiveMemoryKb(step)).toBe(GB_KB);
+  });
 });
 
 describe('isHeavy', () => {
@@ -1,4 +1,5 @@
 import path from 'path';
+import { groupMatrixCells } from './matrix.js';
 
 // Generic, domain-agnostic HTML renderer for orchestrator-shaped result payloads.
 //
@@ -35,6 +36,20 @@ export function formatMem(kb) {
   return `${(mb / 1024).toFixed(1)} GB`;
 }
 
+// File sizes (input in bytes): B, then KB / MB / GB.
+export function formatBytes(bytes) {
+  if (bytes == null) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
 // Default heat thresholds (fraction of the heaviest command in the run).
 export const DEFAULT_HEAT_THRESHOLDS = { mid: 0.33, high: 0.66 };
 
@@ -73,10 +88,10 @@ export function cpuHeat(cpuPercent, maxCpu, thresholds = DEFAULT_HEAT_THRESHOLDS
 }
 
 // Keys that are folded into the synthetic Status column or the Gantt rather than shown raw.
-const HANDLED_KEYS = new Set(['success', 'startedAt', 'skipReason']);
+const HANDLED_KEYS = new Set(['success', 'startedAt', 'skipReason', 'cached', 'matrix', 'shard', 'flaky', 'resources', 'reservation', 'requeues']);
 
 // Preferred left-to-right order for known columns (others appended alphabetically).
-const KNOWN_ORDER = ['command', 'phase', 'durationMs', 'memoryKb', 'cpuPercent', 'logFile'];
+const KNOWN_ORDER = ['command', 'phase', 'durationMs', 'memoryKb', 'cpuPercent', 'logFile', 'artifacts'];
 
 const COLUMN_LABELS = {
   command: 'Command',
@@ -85,6 +100,7 @@ const COLUMN_LABELS = {
   memoryKb: 'Memory',
   cpuPercent: 'CPU',
   logFile: 'Log',
+  artifacts: 'Artifacts',
 };
 
 function humanizeKey(key) {
@@ -115,7 +131,12 @@ function statusOf(entry) {
     if (isRunning(entry)) return { kind: 'running', label: 'Running' };
     return { kind: 'muted', label: '—' };
   }
+  if (entry.skipReason === 'passed_previously') return { kind: 'ok', label: 'Passed previously' };
+  if (entry.cached && entry.success) return { kind: 'ok', label: 'CACHED' };
+  // Passed only on a retry: amber while it counts as a pass, red when fail_on_flaky failed it.
+  if (entry.flaky) return { kind: entry.success ? 'warn' : 'fail', label: 'Flaky' };
   if (entry.success) return { kind: 'ok', label: 'OK' };
+  if (entry.skipReason === 'timed_out') return { kind: 'fail', label: 'Timed out' };
   return { kind: 'fail', label: entry.skipReason || 'Failed' };
 }
 
@@ -209,40 +230,147 @@ function cpuCellWrap(cpuPercent, maxCpu, thresholds) {
   return `<div class="cellbar"><span class="cpuval${heatCls}">${cpuPercent}%</span><div class="bar cpu${heatCls}" style="width:${percent.toFixed(1)}%"></div></div>`;
 }
 
+// A sampled command's memory or CPU over its run (`resources.timeline`, see process-sampler.js),
+// drawn as a small line under the cell's bar. Nothing without at least two samples.
+function timelineSpark(resources, kind) {
+  const timeline = resources?.timeline;
+  if (!Array.isArray(timeline) || timeline.length < 2) return '';
+  const series = kind === 'mem' ? 1 : 2;
+  const w = 120;
+  const h = 18;
+  const pad = 2;
+  const end = timeline[timeline.length - 1][0] || 1;
+  const max = Math.max(1, ...timeline.map((point) => point[series]));
+  const coords = timeline
+    .map((point) => {
+      const x = pad + (point[0] / end) * (w - 2 * pad);
+      const y = h - pad - (point[series] / max) * (h - 2 * pad);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+  const title = `${kind === 'mem' ? `peak ${formatMem(max)}` : `peak ${max}% CPU`} · ${timeline.length} samples over ${formatMs(end)}`;
+  return `<svg class="spark timeline ${kind}" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}"><title>${escapeHtml(title)}</title><polyline points="${coords}"/></svg>`;
+}
+
+// What the memory guard reserved for a command before starting it, and how long it held the command
+// for memory (`reservation`, see MemoryGovernor.admit).
+function reservationNote(reservation) {
+  if (!reservation) return '';
+  const parts = [];
+  if (reservation.reservedKb != null) {
+    const from = reservation.source === 'memory_mb' ? 'declared memory_mb' : 'previous run';
+    parts.push(`<span title="${escapeHtml(`expected peak, from the ${from}`)}">reserved ${formatMem(reservation.reservedKb)}</span>`);
+  }
+  if (reservation.heldMs > 0) parts.push(`held ${formatMs(reservation.heldMs)} for memory`);
+  return `<div class="reservation muted">${parts.join(' · ')}</div>`;
+}
+
+// Runs the memory guard stopped and requeued (`requeues`, on_critical: 'requeue'), under the command.
+function requeueNote(requeues) {
+  if (!Array.isArray(requeues) || requeues.length === 0) return '';
+  const runs = requeues
+    .map((r) => `attempt ${r.attempt}${r.memoryKb != null ? ` at ${formatMem(r.memoryKb)}` : ''}`)
+    .join(', ');
+  return `<div class="requeued muted">requeued under memory pressure: ${escapeHtml(runs)}</div>`;
+}
+
+// One status chip per matrix (or shard) cell, labelled with its values and linked to its log.
+function renderMatrixChips(cells, ctx) {
+  const base = ctx.repoRoot || process.cwd();
+  const chips = cells.map((cell) => {
+    const st = statusOf(cell);
+    const label = Object.entries(cell.matrix.values || {}).map(([k, val]) => `${k}=${val}`).join(', ');
+    const items = cell.shard?.items != null ? ` · ${cell.shard.items} item(s)` : '';
+    const title = `${cell.command}: ${st.label}${cell.durationMs != null ? ` · ${formatMs(cell.durationMs)}` : ''}${items}`;
+    const chip = `<span class="badge ${st.kind}" title="${escapeHtml(title)}">${escapeHtml(label)}</span>`;
+    return cell.logFile ? `<a href="file://${escapeHtml(path.resolve(base, cell.logFile))}">${chip}</a>` : chip;
+  });
+  return `<div class="matrix-cells">${chips.join('')}</div>`;
+}
+
+// A command's collected artifacts: a collapsed list of links to the copies, with their sizes.
+function renderArtifacts(artifacts, ctx) {
+  const base = ctx.repoRoot || process.cwd();
+  const files = artifacts.files || [];
+  const omitted = artifacts.omitted ? ` · ${artifacts.omitted} over the size cap` : '';
+  const summary = `${files.length} file${files.length === 1 ? '' : 's'} · ${formatBytes(artifacts.totalBytes ?? 0)}${omitted}`;
+  const dirLink = artifacts.dir
+    ? `<li><a class="logref" href="file://${escapeHtml(path.resolve(base, artifacts.dir))}">${escapeHtml(artifacts.dir)}/</a></li>`
+    : '';
+  const items = files
+    .map((file) => {
+      const name = artifacts.dir ? path.relative(artifacts.dir, file.path) : file.path;
+      const href = `file://${path.resolve(base, file.path)}`;
+      return `<li><a class="logref" href="${escapeHtml(href)}" title="${escapeHtml(file.path)}">${escapeHtml(name)}</a> <span class="muted">${formatBytes(file.size)}</span></li>`;
+    })
+    .join('');
+  return `<details class="artifacts"><summary>${escapeHtml(summary)}</summary><ul>${dirLink}${items}</ul></details>`;
+}
+
 // Render a single command cell for a given column key.
 function renderCell(key, c, ctx) {
   const v = c[key];
   switch (key) {
   case 'command':
-    return `<code>${escapeHtml(v)}</code>`;
+    if (c.matrixCells) return `<code>${escapeHtml(v)}</code>${renderMatrixChips(c.matrixCells, ctx)}`;
+    return `<code>${escapeHtml(v)}</code>${requeueNote(c.requeues)}`;
   case 'phase':
     return v != null ? escapeHtml(v) : '—';
   case 'durationMs':
     return v != null ? durCellWrap(v, ctx.maxDuration, ctx.durationHeatThresholds) : '—';
   case 'memoryKb':
-    return v != null ? memCellWrap(v, ctx.maxMemory, ctx.heatThresholds) : '—';
+    return (
+      (v != null ? memCellWrap(v, ctx.maxMemory, ctx.heatThresholds) + timelineSpark(c.resources, 'mem') : '—') +
+      reservationNote(c.reservation)
+    );
   case 'cpuPercent':
     // Average CPU utilisation: 100% = one core busy for the whole run; >100% = multiple cores.
-    return v != null ? cpuCellWrap(v, ctx.maxCpu, ctx.cpuHeatThresholds) : '—';
+    return v != null ? cpuCellWrap(v, ctx.maxCpu, ctx.cpuHeatThresholds) + timelineSpark(c.resources, 'cpu') : '—';
   case 'logFile': {
     const base = ctx.repoRoot || process.cwd();
     return v
       ? `<a class="logref" href="file://${escapeHtml(path.resolve(base, v))}" title="${escapeHtml(v)}"><code>${escapeHtml(v)}</code></a>`
       : '—';
   }
+  case 'artifacts':
+    return v ? renderArtifacts(v, ctx) : '—';
   default:
     if (v == null) return '—';
     return escapeHtml(typeof v === 'object' ? JSON.stringify(v) : v);
   }
 }
 
+// A matrix's cells (entries tagged `matrix`) collapse into one row where its first cell stood: the
+// combined status, a chip per cell, and the slowest / heaviest cell's duration, memory and CPU.
+function collapseMatrices(commands) {
+  const byFirstCell = new Map(groupMatrixCells(commands).map((group) => [group.cells[0], group]));
+  const worst = (cells, key) => {
+    const values = cells.map((cell) => cell[key]).filter((value) => value != null);
+    return values.length > 0 ? { [key]: Math.max(...values) } : {};
+  };
+  return commands.flatMap((c) => {
+    if (!c.matrix) return [c];
+    const group = byFirstCell.get(c);
+    if (!group) return [];
+    return [{
+      command: group.command,
+      ...(group.phase != null ? { phase: group.phase } : {}),
+      success: group.success,
+      ...worst(group.cells, 'durationMs'),
+      ...worst(group.cells, 'memoryKb'),
+      ...worst(group.cells, 'cpuPercent'),
+      matrixCells: group.cells,
+    }];
+  });
+}
+
 function renderCommandsTable(commands, columns, ctx) {
   if (!commands || commands.length === 0) return '';
   const headerCells = ['<th>Status</th>', ...columns.map((k) => `<th>${escapeHtml(humanizeKey(k))}</th>`)];
   // Float running commands to the very top (live work to watch), then failed ones, so neither
   // hides below passing rows.
   const rowRank = (c) => (isRunning(c) ? 0 : c.success === false ? 1 : 2);
-  const ordered = [...commands].sort((a, b) => rowRank(a) - rowRank(b));
+  const ordered = collapseMatrices(commands).sort((a, b) => rowRank(a) - rowRank(b));
   const rows = ordered
     .map((c) => {
       const st = statusOf(c);
@@ -264,8 +392,58 @@ function renderPhasesTable(phases, ctx) {
   return `<section><h3>Phases</h3><table><thead><tr><th>Phase</th><th>Status</th><th>Duration</th></tr></thead><tbody>${rows}</tbody></table></section>`;
 }
 
-// Critical-path Gantt for one command list (uses observed startedAt + durationMs).
-function renderGantt(commands, overallDurationMs, hasPhases, ctx = {}) {
+const HOST_MARKER_LABELS = { hold: 'held', admit: 'admitted', critical: 'watchdog fired', shed: 'stopped' };
+
+// The memory guard's host timeline (see MemoryGovernor.timeline) as two extra Gantt rows on the
+// Gantt's own time axis: RAM and swap in use, then the load average against the commands in flight.
+// Markers show where admission held a command or the watchdog fired, so a dip can be matched to the
+// bars that overlapped it.
+function renderHostRows(hostTimeline, runStart, spanMs, anyMemory) {
+  const points = hostTimeline?.points;
+  const start = Date.parse(hostTimeline?.startedAt);
+  if (!Array.isArray(points) || points.length === 0 || !Number.isFinite(start)) return '';
+  const fields = hostTimeline.fields || [];
+  const col = (name) => fields.indexOf(name);
+  const [iT, iAvail, iSwap, iLoad, iRunning] = ['t', 'availablePct', 'swapPct', 'load1', 'running'].map(col);
+  if (iT < 0) return '';
+  const w = 1000;
+  const h = 40;
+  const x = (t) => Math.min(w, Math.max(0, ((start + t - runStart) / spanMs) * w)).toFixed(1);
+  const line = (index, max, cls, valueOf = (v) => v) => {
+    if (index < 0) return '';
+    const coords = points
+      .filter((point) => point[index] != null)
+      .map((point) => `${x(point[iT])},${(h - (Math.min(max, valueOf(point[index])) / max) * (h - 2) - 1).toFixed(1)}`);
+    return coords.length > 0 ? `<polyline class="${cls}" points="${coords.join(' ')}"/>` : '';
+  };
+  const markers = (hostTimeline.markers || [])
+    .map((m) => {
+      const label = `${HOST_MARKER_LABELS[m.type] ?? m.type}${m.command ? ` ${m.command}` : ''} at +${formatMs(m.t)}`;
+      return `<line class="marker ${escapeHtml(m.type)}" x1="${x(m.t)}" x2="${x(m.t)}" y1="0" y2="${h}"><title>${escapeHtml(label)}</title></line>`;
+    })
+    .join('');
+  const values = (index) => (index < 0 ? [] : points.map((point) => point[index]).filter((v) => v != null));
+  const loadMax = Math.max(1, ...values(iLoad), ...values(iRunning));
+  const minAvail = values(iAvail).length > 0 ? Math.min(...values(iAvail)) : null;
+  const maxSwap = values(iSwap).length > 0 ? Math.max(...values(iSwap)) : null;
+  const memTitle = [
+    minAvail != null ? `lowest available RAM ${minAvail}%` : null,
+    maxSwap != null ? `peak swap ${maxSwap}%` : null,
+  ].filter(Boolean).join(' · ');
+  const loadTitle = `peak load ${Math.max(0, ...values(iLoad))} · up to ${Math.max(0, ...values(iRunning))} command(s) in flight`;
+  const svg = (title, body) =>
+    `<svg class="host-chart" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none"><title>${escapeHtml(title)}</title>${body}${markers}</svg>`;
+  const row = (label, chart) =>
+    `<div class="gantt-row host"><div class="gantt-label">${label}</div>${anyMemory ? '<div class="gantt-mem"></div>' : ''}<div class="gantt-track host">${chart}</div></div>`;
+  return (
+    row('host RAM / swap', svg(memTitle, line(iAvail, 100, 'ram', (v) => 100 - v) + line(iSwap, 100, 'swap'))) +
+    row('host load / running', svg(loadTitle, line(iRunning, loadMax, 'running') + line(iLoad, loadMax, 'load')))
+  );
+}
+
+// Critical-path Gantt for one command list (uses observed startedAt + durationMs), with the host
+// timeline under it when the memory guard recorded one.
+function renderGantt(commands, overallDurationMs, hasPhases, ctx = {}, hostTimeline = null) {
   const timed = (commands || [])
     .filter((c) => c.startedAt && c.durationMs != null)
     .map((c) => ({ ...c, _start: Date.parse(c.startedAt) }))
@@ -317,7 +495,13 @@ function renderGantt(commands, overallDurationMs, hasPhases, ctx = {}) {
       ` amber ≥ ${Math.round(t.mid * 100)}%, red ≥ ${Math.round(t.high * 100)}%) so you can spot which` +
       ' parallel commands are too memory-hungry to overlap.'
     : '';
-  return `<details class="foldable"><summary>Actual Critical Path</summary><p class="muted">★ marks each phase's bottleneck — the chain that drives wall-clock time. Critical path ≈ <strong>${formatMs(criticalTotal)}</strong>${overallDurationMs != null ? ` of ${formatMs(overallDurationMs)} total` : ''}.${memLegend}</p><div class="gantt">${timed.map(ganttRow).join('')}</div></details>`;
+  const hostRows = renderHostRows(hostTimeline, runStart, spanMs, anyMemory);
+  const hostLegend = hostRows
+    ? ' The host rows below show RAM in use (purple) and swap (red), then the load average (amber) against' +
+      ' the commands in flight (blue); vertical lines mark a held command (amber), its admission (green)' +
+      ' and the memory watchdog firing or stopping a command (red).'
+    : '';
+  return `<details class="foldable"><summary>Actual Critical Path</summary><p class="muted">★ marks each phase's bottleneck — the chain that drives wall-clock time. Critical path ≈ <strong>${formatMs(criticalTotal)}</strong>${overallDurationMs != null ? ` of ${formatMs(overallDurationMs)} total` : ''}.${memLegend}${hostLegend}</p><div class="gantt">${timed.map(ganttRow).join('')}${hostRows}</div></details>`;
 }
 
 // Cross-section "Overall Critical Path". The per-section Gantt above credits only each phase's
@@ -457,7 +641,7 @@ function renderSection(section, columns, ctx) {
   const inner =
     renderMeta(section.meta) +
     renderPhasesTable(section.phases, ctx) +
-    renderGantt(section.commands, section.overallDurationMs, hasPhases, ctx) +
+    renderGantt(section.commands, section.overallDurationMs, hasPhases, ctx, section.hostTimeline) +
     renderCommandsTable(section.commands, columns, ctx) +
     failFirst(section.sections || []).map((s) => renderSection(s, columns, ctx)).join('');
   // Expand sections that contain a failure or something still running; clean/passing ones collapse
@@ -494,6 +678,8 @@ tr.running { background: rgba(59,130,246,0.08); }
 .badge.running { background: #3b82f6; color: #fff; }
 .badge.warn { background: #f59e0b; color: #0f0f0f; }
 .badge.muted { background: #555; color: #ddd; }
+.matrix-cells { display: flex; flex-wrap: wrap; gap: 0.25rem; margin-top: 0.35rem; }
+.matrix-cells a { text-decoration: none; }
 .cellbar { min-width: 90px; }
 .cellbar span { font-size: 0.85em; }
 .bar { height: 6px; background: #3b82f6; border-radius: 4px; min-width: 2px; margin-top: 2px; }
@@ -534,6 +720,8 @@ tr.running { background: rgba(59,130,246,0.08); }
 code { font-size: 0.9em; background: #333; padding: 0.1rem 0.3rem; border-radius: 4px; }
 a.logref { color: #60a5fa; text-decoration: none; }
 a.logref:hover { text-decoration: underline; }
+details.artifacts summary { cursor: pointer; white-space: nowrap; }
+details.artifacts ul { margin: 0.35rem 0 0; padding-left: 1rem; font-size: 0.85em; }
 .muted { color: #888; font-size: 0.85rem; margin: 0 0 0.6rem; }
 .gantt { background: #2a2a2a; border-radius: 8px; padding: 0.6rem 0.75rem; }
 .gantt-row { display: flex; align-items: center; gap: 0.5rem; padding: 2px 0; }
@@ -551,6 +739,16 @@ a.logref:hover { text-decoration: underline; }
 .gantt-mem.mem-mid { color: #f59e0b; }
 .gantt-mem.mem-high { color: #ef4444; font-weight: 600; }
 .gantt-dur { font-size: 0.65rem; color: #0f0f0f; padding: 0 4px; white-space: nowrap; }
+.gantt-track.host { height: 40px; }
+.host-chart { display: block; width: 100%; height: 40px; }
+.host-chart polyline { fill: none; stroke-width: 1.5; vector-effect: non-scaling-stroke; }
+.host-chart .ram { stroke: #8b5cf6; }
+.host-chart .swap { stroke: #ef4444; }
+.host-chart .load { stroke: #f59e0b; }
+.host-chart .running { stroke: #3b82f6; stroke-dasharray: 3 2; }
+.host-chart .marker { stroke-width: 1; vector-effect: non-scaling-stroke; stroke: #ef4444; }
+.host-chart .marker.hold { stroke: #f59e0b; }
+.host-chart .marker.admit { stroke: #22c55e; }
 .gantt-scope { color: #777; font-size: 0.72rem; }
 details.section { background: #232323; border-radius: 8px; margin-bottom: 0.6rem; padding: 0.25rem 0.75rem; }
 details.section > summary { cursor: pointer; padding: 0.5rem 0; display: flex; align-items: center; gap: 0.6rem; }
@@ -566,6 +764,9 @@ details.section > summary { cursor: pointer; padding: 0.5rem 0; display: flex; a
 .failures h3 { color: #ef4444; margin-top: 0.2rem; }
 .failures.none h3 { color: #a0a0a0; }
 .failures .count { background: #ef4444; color: #fff; border-radius: 999px; padding: 0.05rem 0.5rem; font-size: 0.75rem; }
+.failures.flaky { border-left: 4px solid #f59e0b; }
+.failures.flaky h3 { color: #f59e0b; }
+.failures.flaky .count { background: #f59e0b; color: #0f0f0f; }
 .failures table { margin-bottom: 0; }
 .allpass { margin: 0.2rem 0; color: #ccc; font-size: 0.9rem; }
 /* Filter toggle: hides passing rows and sections. */
@@ -578,6 +779,16 @@ details.foldable .legend { margin: 0.3rem 0; }
 body.failures-only tr.ok, body.failures-only tr.muted { display: none; }
 body.failures-only details.section:not(.has-failure):not(.has-running) { display: none; }
 body.failures-only .foldable { display: none; }
+/* Run-history sparklines (--history): one line per metric, the latest run dotted. */
+.spark { vertical-align: middle; }
+.spark polyline { fill: none; stroke: #3b82f6; stroke-width: 1.5; }
+.spark.mem polyline { stroke: #8b5cf6; }
+.spark.cpu polyline { stroke: #f59e0b; }
+.spark circle { fill: #e0e0e0; }
+.spark.timeline { display: block; margin-top: 0.2rem; }
+.reservation, .requeued { font-size: 0.8em; margin: 0.2rem 0 0; }
+.spark-val { font-size: 0.85em; margin-left: 0.4rem; color: #bbb; }
+.muted { color: #888; }
 `;
 
 // Legend explaining the green→amber→red heat scale and what each heat-coded metric column means.
@@ -624,13 +835,46 @@ function renderFailures(payload, ctx) {
       const section = c._section ? escapeHtml(c._section) : '—';
       const phase = c.phase != null ? escapeHtml(c.phase) : '—';
       const durationMs = c.durationMs != null ? formatMs(c.durationMs) : '—';
-      const log = renderCell('logFile', c, ctx);
+      const log = renderCell('logFile', c, ctx) + (c.artifacts ? renderArtifacts(c.artifacts, ctx) : '');
       return `<tr class="fail"><td><span class="badge ${st.kind}">${escapeHtml(st.label)}</span></td><td>${section}</td><td>${phase}</td><td><code>${escapeHtml(c.command)}</code></td><td>${durationMs}</td><td>${log}</td></tr>`;
     })
     .join('');
   return `<section class="failures"><h3>Failures <span class="count">${failed.length}</span></h3><table><thead><tr><th>Status</th><th>Section</th><th>Phase</th><th>Command</th><th>Duration</th><th>Log</th></tr></thead><tbody>${rows}</tbody></table></section>`;
 }
 
+// Background services that ran as a dependency (a dev server behind the e2e tests) and so have no row
+// of their own: their sampled memory and CPU. Omitted when the run lists none.
+function renderServices(services) {
+  if (!services || services.length === 0) return '';
+  const rows = services
+    .map((svc) => {
+      const phase = svc.phase != null ? escapeHtml(svc.phase) : '—';
+      const memory = svc.memoryKb != null ? `${formatMem(svc.memoryKb)}${timelineSpark(svc.resources, 'mem')}` : '—';
+      const cpu = svc.cpuPercent != null ? `${svc.cpuPercent}%${timelineSpark(svc.resources, 'cpu')}` : '—';
+      return `<tr><td><code>${escapeHtml(svc.command)}</code></td><td>${phase}</td><td>${memory}</td><td>${cpu}</td></tr>`;
+    })
+    .join('');
+  return `<section><h3>Background services</h3><table><thead><tr><th>Service</th><th>Phase</th><th>Peak memory</th><th>CPU</th></tr></thead><tbody>${rows}</tbody></table></section>`;
+}
+
+// Commands that passed only after a failed attempt, listed under the Failures block so a flake isn't
+// mistaken for a clean pass. Rows failed by fail_on_flaky appear in both tables. Omitted when none.
+function renderFlaky(payload, ctx) {
+  const flaky = collectCommandsTagged(payload).filter((c) => c.flaky);
+  if (flaky.length === 0) return '';
+  const rows = flaky
+    .map((c) => {
+      const st = statusOf(c);
+      const section = c._section ? escapeHtml(c._section) : '—';
+      const phase = c.phase != null ? escapeHtml(c.phase) : '—';
+      const durationMs = c.durationMs != null ? formatMs(c.durationMs) : '—';
+      const log = renderCell('logFile', c, ctx);
+      return `<tr class="${st.kind}"><td><span class="badge ${st.kind}">${escapeHtml(st.label)}</span></td><td>${section}</td><td>${phase}</td><td><code>${escapeHtml(c.command)}</code></td><td>${escapeHtml(c.attempts ?? '—')}</td><td>${durationMs}</td><td>${log}</td></tr>`;
+    })
+    .join('');
+  return `<section class="failures flaky"><h3>Flaky <span class="count">${flaky.length}</span></h3><table><thead><tr><th>Status</th><th>Section</th><th>Phase</th><th>Command</th><th>Attempts</th><th>Duration</th><th>Log</th></tr></thead><tbody>${rows}</tbody></table></section>`;
+}
+
 export function renderReportHtml(payload) {
   const { success, timestamp, overallDurationMs, title } = payload;
   const topCommands = payload.commands || [];
@@ -673,10 +917,11 @@ export function renderReportHtml(payload) {
 
   const topBlocks =
     renderPhasesTable(payload.phases, ctx) +
-    renderGantt(topCommands, overallDurationMs, hasTopPhases, ctx) +
+    renderGantt(topCommands, overallDurationMs, hasTopPhases, ctx, payload.hostTimeline) +
     (topCommands.length > 0
       ? `<section><h3>Commands</h3>${renderCommandsTable(topCommands, columns, ctx)}</section>`
-      : '');
+      : '') +
+    renderServices(payload.services);
 
   // Failing sections float to the top so the reader meets failures before passing work.
   const sectionBlocks = failFirst(sections).map((s) => renderSection(s, columns, ctx)).join('');
@@ -684,11 +929,12 @@ export function renderReportHtml(payload) {
   // Pass/fail counts for the summary cards, and whether a "only failures" filter is worth offering.
   const passedCount = allCommands.filter((c) => c.success === true).length;
   const failedCount = allCommands.filter((c) => c.success === false).length;
+  const flakyCount = allCommands.filter((c) => c.flaky).length;
   const anyFailure = failedCount > 0;
   const countsCard = allCommands.length > 0
-    ? `<div class="card ${anyFailure ? 'fail' : 'ok'}">
+    ? `<div class="card ${anyFailure ? 'fail' : flakyCount > 0 ? 'warn' : 'ok'}">
       <div class="label">Checks</div>
-      <div class="value">${passedCount} passed${anyFailure ? ` · ${failedCount} failed` : ''}</div>
+      <div class="value">${passedCount} passed${anyFailure ? ` · ${failedCount} failed` : ''}${flakyCount > 0 ? ` · ${flakyCount} flaky` : ''}</div>
     </div>`
     : '';
   const sectionsCard = sections.length > 0
@@ -734,6 +980,7 @@ export function renderReportHtml(payload) {
   </div>
   ${filterToggle}
   ${renderFailures(payload, ctx)}
+  ${renderFlaky(payload, ctx)}
   <details class="foldable legend-fold"><summary>Legend &amp; performance</summary>
   ${renderLegend(ctx, present)}
   ${overallCriticalPath}
@@ -744,3 +991,110 @@ export function renderReportHtml(payload) {
 </body>
 </html>`;
 }
+
+// ---- run history (--history) ------------------------------------------------------------------
+
+// Inline SVG line of a per-run series; null points (runs the command sat out) leave a gap in the
+// x axis rather than a zero. The tooltip gives the range and the latest value.
+function renderSparkline(values, kind, format) {
+  const points = values.map((v, i) => [v, i]).filter(([v]) => v != null);
+  if (points.length === 0) return '<span class="muted">—</span>';
+  const w = 120;
+  const h = 24;
+  const pad = 3;
+  const nums = points.map(([v]) => v);
+  const min = Math.min(...nums);
+  const max = Math.max(...nums);
+  const x = (i) => (values.length > 1 ? pad + (i * (w - 2 * pad)) / (values.length - 1) : w / 2);
+  const y = (v) => (max === min ? h / 2 : h - pad - ((v - min) * (h - 2 * pad)) / (max - min));
+  const coords = points.map(([v, i]) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+  const [latest, at] = points[points.length - 1];
+  const title = `min ${format(min)} · max ${format(max)} · latest ${format(latest)}`;
+  return `<svg class="spark ${kind}" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}"><title>${escapeHtml(title)}</title><polyline points="${coords}"/><circle cx="${x(at).toFixed(1)}" cy="${y(latest).toFixed(1)}" r="2"/></svg><span class="spark-val">${escapeHtml(format(latest))}</span>`;
+}
+
+const formatCpu = (pct) => `${Math.round(pct)}%`;
+
+function passRateBadge(trend) {
+  if (trend.passRate == null) return '<span class="muted">—</span>';
+  const kind = trend.passRate === 1 ? 'ok' : trend.passRate >= 0.8 ? 'warn' : 'fail';
+  return `<span class="badge ${kind}">${Math.round(trend.passRate * 100)}%</span> <span class="muted">${trend.passed}/${trend.runs}</span>`;
+}
+
+const shortSha = (sha) => (sha ? sha.slice(0, 7) : '—');
+
+/**
+ * Render computeTrends() output (see history.js) as a standalone page in the report's styling:
+ * per-command pass rates and duration / memory / CPU sparklines, the latest run's regressions, and
+ * the stored runs.
+ *
+ * @param {object} trends
+ * @param {object} [opts]
+ * @param {string} [opts.title]
+ * @returns {string}
+ */
+export function renderHistoryHtml(trends, { title = 'Scripts Orchestrator History' } = {}) {
+  const { runs = [], commands = [], regressions = [] } = trends;
+  const passedRuns = runs.filter((r) => r.success === true).length;
+  const latest = runs[runs.length - 1];
+  const latestStatus = latest ? statusOf({ success: latest.success }) : { kind: 'muted', label: '—' };
+  const hasMem = commands.some((c) => c.memoryKb.some((v) => v != null));
+  const hasCpu = commands.some((c) => c.cpuPercent.some((v) => v != null));
+
+  const regressionRows = regressions
+    .map(
+      (r) =>
+        `<tr class="fail"><td><code>${escapeHtml(r.command)}</code></td><td>${formatMs(r.latestMs)}</td><td>${formatMs(r.baselineMs)}</td><td>+${formatMs(r.deltaMs)} (×${r.ratio})</td><td><code>${escapeHtml(shortSha(r.sha))}</code></td></tr>`,
+    )
+    .join('');
+  const regressionBlock = regressions.length > 0
+    ? `<section class="failures"><h3>Regressions in the latest run <span class="count">${regressions.length}</span></h3><table><thead><tr><th>Command</th><th>Latest</th><th>Median before</th><th>Change</th><th>Commit</th></tr></thead><tbody>${regressionRows}</tbody></table></section>`
+    : '<section class="failures none"><h3>Regressions</h3><p class="allpass"><span class="badge ok">OK</span> No command got more than 10% slower than its median.</p></section>';
+
+  const commandRows = commands
+    .map((c) => {
+      const kind = c.lastSuccess === false ? 'fail' : 'ok';
+      return `<tr class="${kind}"><td><code>${escapeHtml(c.command)}</code></td><td>${passRateBadge(c)}</td><td>${renderSparkline(c.durationMs, 'dur', formatMs)}</td>${hasMem ? `<td>${renderSparkline(c.memoryKb, 'mem', formatMem)}</td>` : ''}${hasCpu ? `<td>${renderSparkline(c.cpuPercent, 'cpu', formatCpu)}</td>` : ''}</tr>`;
+    })
+    .join('');
+  const commandsBlock = `<section><h3>Commands</h3><table><thead><tr><th>Command</th><th>Pass rate</th><th>Duration</th>${hasMem ? '<th>Memory</th>' : ''}${hasCpu ? '<th>CPU</th>' : ''}</tr></thead><tbody>${commandRows}</tbody></table></section>`;
+
+  const runRows = [...runs]
+    .reverse()
+    .map((r) => {
+      const st = statusOf({ success: r.success });
+      return `<tr class="${st.kind}"><td><span class="badge ${st.kind}">${escapeHtml(st.label)}</span></td><td>${escapeHtml(r.timestamp)}</td><td>${escapeHtml(r.branch ?? '—')}</td><td><code>${escapeHtml(shortSha(r.sha))}</code></td><td>${formatMs(r.overallDurationMs)}</td></tr>`;
+    })
+    .join('');
+  const runsBlock = `<details class="foldable"><summary>Runs (newest first)</summary><table><thead><tr><th>Status</th><th>Timestamp</th><th>Branch</th><th>Commit</th><th>Total time</th></tr></thead><tbody>${runRows}</tbody></table></details>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="summary">
+    <div class="card">
+      <div class="label">Runs</div>
+      <div class="value">${runs.length}</div>
+    </div>
+    ${runs.length > 0 ? `
+    <div class="card ${passedRuns === runs.length ? 'ok' : 'fail'}">
+      <div class="label">Passed</div>
+      <div class="value">${passedRuns} of ${runs.length}</div>
+    </div>
+    <div class="card ${latestStatus.kind}">
+      <div class="label">Latest</div>
+      <div class="value" style="font-size:0.9rem">${escapeHtml(latest.timestamp)}${latest.branch ? ` · ${escapeHtml(latest.branch)}` : ''}</div>
+    </div>` : ''}
+  </div>
+  ${regressionBlock}
+  ${commandsBlock}
+  ${runsBlock}
+</body>
+</html>`;
+}
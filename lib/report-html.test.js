@@ -1,4 +1,4 @@
-import { renderReportHtml } from './report-html.js';
+import { renderReportHtml, renderHistoryHtml } from './report-html.js';
 
 describe('renderReportHtml', () => {
   test('renders a flat payload with a commands table and status badges', () => {
@@ -108,6 +108,66 @@ describe('renderReportHtml', () => {
     expect(html).not.toContain('<th>Started At</th>');
   });
 
+  test('a timed-out command gets its own "Timed out" failure badge', () => {
+    const html = renderReportHtml({
+      success: false,
+      timestamp: '2026-06-17T00:00:00.000Z',
+      commands: [{ command: 'e2e', success: false, durationMs: 60000, skipReason: 'timed_out' }],
+    });
+    expect(html).toContain('badge fail');
+    expect(html).toContain('Timed out');
+  });
+
+  test('a command replayed from the command cache reads "CACHED" and gets no raw column', () => {
+    const html = renderReportHtml({
+      success: true,
+      timestamp: '2026-06-17T00:00:00.000Z',
+      commands: [{ command: 'build', success: true, durationMs: 3, cached: true }],
+    });
+    expect(html).toContain('badge ok');
+    expect(html).toContain('CACHED');
+    expect(html).not.toContain('<th>Cached</th>');
+  });
+
+  test('a command carried over by --rerun-failed reads "Passed previously"', () => {
+    const html = renderReportHtml({
+      success: true,
+      timestamp: '2026-06-17T00:00:00.000Z',
+      commands: [{ command: 'build', success: true, durationMs: 900, skipReason: 'passed_previously' }],
+    });
+    expect(html).toContain('badge ok');
+    expect(html).toContain('Passed previously');
+  });
+
+  test('matrix cells collapse into one row with a status chip per cell', () => {
+    const cell = (values, success, durationMs) => ({
+      command: `e2e [${Object.entries(values).map(([k, v]) => `${k}=${v}`).join(',')}]`,
+      phase: 'test',
+      matrix: { command: 'e2e', values },
+      success,
+      durationMs,
+      logFile: `logs/e2e.SHARD=${values.SHARD}.log`,
+    });
+    const html = renderReportHtml({
+      success: false,
+      timestamp: '2026-06-17T00:00:00.000Z',
+      commands: [
+        cell({ SHARD: 1 }, true, 1000),
+        { command: 'unit', phase: 'test', success: true, durationMs: 500 },
+        cell({ SHARD: 2 }, false, 4000),
+      ],
+    });
+    const table = html.slice(html.indexOf('<h3>Commands</h3>'));
+    expect(table.match(/<tr class=/g)).toHaveLength(2);
+    expect(table).toContain('<tr class="fail"><td><span class="badge fail">Failed</span></td><td><code>e2e</code>');
+    expect(table).toContain('<span class="badge ok" title="e2e [SHARD=1]: OK · 1.0s">SHARD=1</span>');
+    expect(table).toContain('logs/e2e.SHARD=2.log');
+    expect(table).toContain('4.0s'); // the slowest cell's duration
+    expect(html).not.toContain('<th>Matrix</th>');
+    // The failures list still names the failing cell.
+    expect(html).toContain('<code>e2e [SHARD=2]</code>');
+  });
+
   test('statusKind drives the badge color for custom states', () => {
     const html = renderReportHtml({
       success: true,
@@ -516,6 +576,144 @@ describe('renderReportHtml', () => {
     expect(html).toContain('classList.toggle("failures-only"');
   });
 
+  test('a flaky pass gets an amber badge, a count and a row in the Flaky table', () => {
+    const html = renderReportHtml({
+      success: true,
+      timestamp: 't',
+      commands: [
+        { command: 'lint', success: true, durationMs: 1 },
+        { command: 'e2e', success: true, durationMs: 2000, attempts: 2, flaky: true },
+      ],
+    });
+    expect(html).toContain('2 passed · 1 flaky');
+    expect(html).toContain('<section class="failures flaky"><h3>Flaky <span class="count">1</span></h3>');
+    expect(html).toContain('<td><code>e2e</code></td><td>2</td><td>2.0s</td>');
+    expect(html).toContain('<span class="badge warn">Flaky</span>');
+    expect(html).not.toContain('<th>Flaky</th>');
+
+    const clean = renderReportHtml({ success: true, timestamp: 't', commands: [{ command: 'lint', success: true }] });
+    expect(clean).not.toContain('failures flaky');
+  });
+
+  test('links a command\'s artifacts from its row and from the Failures table', () => {
+    const artifacts = {
+      dir: 'logs/runs/r1/artifacts/e2e',
+      files: [
+        { path: 'logs/runs/r1/artifacts/e2e/playwright-report/index.html', size: 2048 },
+        { path: 'logs/runs/r1/artifacts/e2e/shot.png', size: 300 },
+      ],
+      totalBytes: 2348,
+      omitted: 1,
+    };
+    const html = renderReportHtml({
+      success: false,
+      timestamp: 't',
+      commands: [{ command: 'e2e', success: false, durationMs: 10, artifacts }],
+    });
+    expect(html).toContain('<th>Artifacts</th>');
+    expect(html.split('<summary>2 files · 2.3 KB · 1 over the size cap</summary>')).toHaveLength(3);
+    expect(html).toContain(
+      `<a class="logref" href="file://${process.cwd()}/logs/runs/r1/artifacts/e2e/playwright-report/index.html"`,
+    );
+    expect(html).toContain('>playwright-report/index.html</a> <span class="muted">2.0 KB</span>');
+    expect(html).toContain('>shot.png</a> <span class="muted">300 B</span>');
+  });
+
+  test('draws sampled timelines under the metric cells and lists background services', () => {
+    const timeline = [
+      [0, 1024, 0],
+      [1000, 4096, 200],
+      [2000, 2048, 100],
+    ];
+    const html = renderReportHtml({
+      success: true,
+      timestamp: 't',
+      commands: [
+        { command: 'test', success: true, durationMs: 2000, memoryKb: 4096, cpuPercent: 150, resources: { samples: 3, timeline } },
+      ],
+      services: [{ command: 'dev', phase: 'e2e', memoryKb: 8192, cpuPercent: 40, resources: { samples: 3, timeline } }],
+    });
+    expect(html).not.toContain('<th>Resources</th>');
+    expect(html).toContain('<title>peak 4.0 MB · 3 samples over 2.0s</title>');
+    expect(html).toContain('<title>peak 200% CPU · 3 samples over 2.0s</title>');
+    expect(html).toContain('<polyline points="2.0,12.5 60.0,2.0 118.0,9.0"/>');
+    expect(html).toContain('<h3>Background services</h3>');
+    expect(html).toContain('<td><code>dev</code></td><td>e2e</td><td>8.0 MB<svg class="spark timeline mem"');
+  });
+
+  test('notes the memory reserved for a command and how long it was held under its memory cell', () => {
+    const html = renderReportHtml({
+      success: true,
+      timestamp: 't',
+      commands: [
+        { command: 'build', success: true, memoryKb: 2097152, reservation: { reservedKb: 2097152, source: 'previous_run', heldMs: 0 } },
+        { command: 'e2e', success: true, memoryKb: 1048576, reservation: { reservedKb: 1572864, source: 'memory_mb', heldMs: 12000 } },
+      ],
+    });
+    expect(html).not.toContain('<th>Reservation</th>');
+    expect(html).toContain('<div class="reservation muted"><span title="expected peak, from the previous run">reserved 2.0 GB</span></div>');
+    expect(html).toContain('from the declared memory_mb">reserved 1.5 GB</span> · held 12.0s for memory</div>');
+  });
+
+  test('notes the runs the memory guard requeued under the command', () => {
+    const html = renderReportHtml({
+      success: true,
+      timestamp: 't',
+      commands: [
+        {
+          command: 'webpack',
+          success: true,
+          attempts: 2,
+          requeues: [{ attempt: 1, reason: 'memory_pressure', memoryKb: 3145728 }],
+        },
+      ],
+    });
+    expect(html).not.toContain('<th>Requeues</th>');
+    expect(html).toContain(
+      '<code>webpack</code><div class="requeued muted">requeued under memory pressure: attempt 1 at 3.0 GB</div>',
+    );
+  });
+
+  test('charts the host timeline under the Gantt, on the same time axis, with guard markers', () => {
+    const html = renderReportHtml({
+      success: true,
+      timestamp: 't',
+      overallDurationMs: 10000,
+      commands: [
+        { command: 'build', success: true, startedAt: '2026-06-17T00:00:00.000Z', durationMs: 6000 },
+        { command: 'e2e', success: true, startedAt: '2026-06-17T00:00:05.000Z', durationMs: 5000 },
+      ],
+      hostTimeline: {
+        startedAt: '2026-06-17T00:00:00.000Z',
+        intervalMs: 2000,
+        fields: ['t', 'availablePct', 'swapPct', 'load1', 'running'],
+        points: [
+          [0, 60, 0, 1, 1],
+          [5000, 10, 20, 4, 2],
+          [10000, 70, null, 2, 0],
+        ],
+        markers: [{ t: 2000, type: 'hold', command: 'e2e' }, { t: 5000, type: 'admit', command: 'e2e' }],
+      },
+    });
+    expect(html).toContain('<div class="gantt-label">host RAM / swap</div>');
+    expect(html).toContain('<title>lowest available RAM 10% · peak swap 20%</title>');
+    // RAM in use: 40% at the start, 90% halfway through, 30% at the end of the 10s axis.
+    expect(html).toContain('<polyline class="ram" points="0.0,23.8 500.0,4.8 1000.0,27.6"/>');
+    expect(html).toContain('<polyline class="swap" points="0.0,39.0 500.0,31.4"/>');
+    expect(html).toContain('<title>peak load 4 · up to 2 command(s) in flight</title>');
+    expect(html).toContain('<line class="marker hold" x1="200.0" x2="200.0" y1="0" y2="40"><title>held e2e at +2.0s</title></line>');
+    expect(html).toContain('<title>admitted e2e at +5.0s</title>');
+  });
+
+  test('draws no host rows without a host timeline', () => {
+    const html = renderReportHtml({
+      success: true,
+      timestamp: 't',
+      commands: [{ command: 'a', success: true, startedAt: '2026-06-17T00:00:00.000Z', durationMs: 2000 }],
+    });
+    expect(html).not.toContain('gantt-row host');
+  });
+
   test('Gantt omits the memory chip entirely when no command reports memory', () => {
     const html = renderReportHtml({
       success: true,
@@ -531,3 +729,52 @@ describe('renderReportHtml', () => {
     expect(html).not.toContain('gantt-bar crit mem-');
   });
 });
+
+describe('renderHistoryHtml', () => {
+  const trends = {
+    runs: [
+      { timestamp: '2026-01-01T00:00:00.000Z', sha: 'aaaaaaa1111', branch: 'main', success: true },
+      { timestamp: '2026-01-02T00:00:00.000Z', sha: 'bbbbbbb2222', branch: 'feat/x', success: false },
+    ],
+    commands: [
+      {
+        command: 'build',
+        runs: 2,
+        passed: 2,
+        failed: 0,
+        passRate: 1,
+        lastSuccess: true,
+        durationMs: [1000, 2000],
+        memoryKb: [null, null],
+        cpuPercent: [null, null],
+      },
+      {
+        command: 'test <unit>',
+        runs: 2,
+        passed: 1,
+        failed: 1,
+        passRate: 0.5,
+        lastSuccess: false,
+        durationMs: [500, null],
+        memoryKb: [null, null],
+        cpuPercent: [null, null],
+      },
+    ],
+    regressions: [{ command: 'build', latestMs: 2000, baselineMs: 1000, deltaMs: 1000, ratio: 2, sha: 'bbbbbbb2222' }],
+  };
+
+  test('shows pass rates, a sparkline per metric present and the regressions', () => {
+    const html = renderHistoryHtml(trends);
+    expect(html).toContain('<div class="value">1 of 2</div>');
+    expect(html).toContain('<span class="badge fail">50%</span> <span class="muted">1/2</span>');
+    expect(html).toContain('<code>test &lt;unit&gt;</code>');
+    expect(html).toContain('<title>min 1.0s · max 2.0s · latest 2.0s</title>');
+    expect(html).toContain('<td>+1.0s (×2)</td><td><code>bbbbbbb</code></td>');
+    expect(html).not.toContain('<th>Memory</th>');
+    expect(html).toContain('feat/x');
+  });
+
+  test('says so when nothing regressed', () => {
+    expect(renderHistoryHtml({ ...trends, regressions: [] })).toContain('No command got more than 10% slower');
+  });
+});
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import path from 'path';
+
+// JUnit XML renderer for orchestrator-shaped result payloads, for CI servers and review tools that
+// ingest test reports rather than the orchestrator's own JSON.
+//
+// Like the HTML renderer it works on any payload the library writes: a single run (`commands`,
+// optionally with `phases`) or a workspace roll-up (`sections`, each with its own `commands`). Each
+// phase becomes a <testsuite> (prefixed with the section title in a roll-up) and each command a
+// <testcase>. Failed commands embed the tail of their log file; skipped ones carry their skipReason.
+
+// Lines of a failed command's log embedded in its <failure>.
+export const DEFAULT_LOG_TAIL_LINES = 100;
+
+// A timed-out command did run (and was killed), so unlike the other skip reasons it is a failure.
+const TIMED_OUT = 'timed_out';
+
+// eslint-disable-next-line no-control-regex
+const ANSI = /\x1b\[[0-9;?]*[A-Za-z]/g;
+// Characters XML 1.0 does not allow, even escaped.
+// eslint-disable-next-line no-control-regex
+const INVALID_XML = /[\x00-\x08\x0b\x0c\x0e-\x1f￾￿]/g;
+
+export function escapeXml(s) {
+  if (s == null) return '';
+  return String(s)
+    .replace(INVALID_XML, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Text as a CDATA section; a literal `]]>` is split across two sections.
+function cdata(text) {
+  return `<![CDATA[${String(text).replace(INVALID_XML, '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+const seconds = (ms) => (Number.isFinite(ms) ? (ms / 1000).toFixed(3) : '0.000');
+
+// The last `lines` lines of a command's log, or null if it can't be read.
+function readLogTail(logFile, baseDir, lines) {
+  if (!logFile || lines <= 0) return null;
+  try {
+    const text = fs.readFileSync(path.resolve(baseDir, logFile), 'utf8').replace(ANSI, '');
+    const all = text.split('\n');
+    if (all[all.length - 1] === '') all.pop();
+    return all.slice(-lines).join('\n');
+  } catch {
+    return null;
+  }
+}
+
+// How a result entry maps onto JUnit: passed, failure, error (never finished) or skipped.
+export function junitOutcome(entry) {
+  if (entry.success == null) return { kind: 'error', type: 'interrupted', message: 'did not finish (interrupted)' };
+  if (entry.skipReason === TIMED_OUT) {
+    return { kind: 'failure', type: TIMED_OUT, message: entry.failureReason || 'timed out' };
+  }
+  if (entry.skipReason) {
+    const why = entry.failureReason ? `${entry.skipReason}: ${entry.failureReason}` : entry.skipReason;
+    return { kind: 'skipped', message: why };
+  }
+  if (entry.success === false) {
+    return { kind: 'failure', type: 'failure', message: entry.failureReason || 'command failed' };
+  }
+  return { kind: 'passed' };
+}
+
+function renderTestcase(entry, suiteName, opts) {
+  const outcome = junitOutcome(entry);
+  const open = `    <testcase name="${escapeXml(entry.command)}" classname="${escapeXml(suiteName)}" time="${seconds(entry.durationMs)}"`;
+  const body = [];
+  if (outcome.kind === 'skipped') {
+    body.push(`      <skipped message="${escapeXml(outcome.message)}"/>`);
+  } else if (outcome.kind === 'failure' || outcome.kind === 'error') {
+    const tail = readLogTail(entry.logFile, opts.baseDir, opts.logTailLines);
+    const tag = outcome.kind;
+    const attrs = `message="${escapeXml(outcome.message)}" type="${escapeXml(outcome.type)}"`;
+    body.push(tail ? `      <${tag} ${attrs}>${cdata(tail)}</${tag}>` : `      <${tag} ${attrs}/>`);
+  }
+  if (entry.logFile) body.push(`      <system-out>${cdata(`log: ${entry.logFile}`)}</system-out>`);
+  return body.length === 0 ? `${open}/>` : [`${open}>`, ...body, '    </testcase>'].join('\n');
+}
+
+// Group a scope's commands into suites by phase, in first-seen order. Phase durations come from the
+// payload's `phases` when recorded, otherwise from the commands' own timings.
+function suitesOf(scope, prefix) {
+  const byPhase = new Map();
+  for (const entry of scope.commands || []) {
+    const key = entry.phase ?? null;
+    if (!byPhase.has(key)) byPhase.set(key, []);
+    byPhase.get(key).push(entry);
+  }
+  const phaseDurations = new Map((scope.phases || []).map((p) => [p.name, p.durationMs]));
+  return Array.from(byPhase, ([phase, commands]) => {
+    const label = phase ?? 'commands';
+    const recorded = phaseDurations.get(phase);
+    return {
+      name: prefix ? `${prefix} › ${label}` : label,
+      commands,
+      durationMs: Number.isFinite(recorded)
+        ? recorded
+        : commands.reduce((sum, c) => sum + (Number.isFinite(c.durationMs) ? c.durationMs : 0), 0),
+    };
+  });
+}
+
+function collectSuites(payload, prefix = null) {
+  const suites = suitesOf(payload, prefix);
+  for (const section of payload.sections || []) {
+    const title = prefix ? `${prefix} › ${section.title}` : section.title;
+    suites.push(...collectSuites(section, title));
+  }
+  return suites;
+}
+
+/**
+ * Render a results payload (a run's results JSON or a workspace roll-up) as JUnit XML.
+ *
+ * @param {object} payload
+ * @param {object} [opts]
+ * @param {string} [opts.baseDir] - Directory `logFile` paths are relative to (a roll-up's `repoRoot` wins).
+ * @param {number} [opts.logTailLines] - Log lines embedded in each failure.
+ * @param {string} [opts.name] - Name of the top-level <testsuites>.
+ * @returns {string}
+ */
+export function renderJunitXml(payload, opts = {}) {
+  const options = {
+    baseDir: payload.repoRoot || opts.baseDir || process.cwd(),
+    logTailLines: opts.logTailLines ?? DEFAULT_LOG_TAIL_LINES,
+  };
+  const name = opts.name || payload.title || 'scripts-orchestrator';
+  const timestamp = (payload.timestamp || new Date().toISOString()).replace(/\.\d+Z$|Z$/, '');
+
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+  const suites = collectSuites(payload).map((suite) => {
+    const counts = { tests: suite.commands.length, failures: 0, errors: 0, skipped: 0 };
+    for (const entry of suite.commands) {
+      const { kind } = junitOutcome(entry);
+      if (kind === 'failure') counts.failures++;
+      else if (kind === 'error') counts.errors++;
+      else if (kind === 'skipped') counts.skipped++;
+    }
+    for (const key of Object.keys(totals)) totals[key] += counts[key];
+    return [
+      `  <testsuite name="${escapeXml(suite.name)}" tests="${counts.tests}" failures="${counts.failures}" ` +
+        `errors="${counts.errors}" skipped="${counts.skipped}" time="${seconds(suite.durationMs)}" ` +
+        `timestamp="${escapeXml(timestamp)}">`,
+      ...suite.commands.map((entry) => renderTestcase(entry, suite.name, options)),
+      '  </testsuite>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${totals.tests}" failures="${totals.failures}" ` +
+      `errors="${totals.errors}" skipped="${totals.skipped}" time="${seconds(payload.overallDurationMs)}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { escapeXml, junitOutcome, renderJunitXml } from './report-junit.js';
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-junit-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('renderJunitXml', () => {
+  test('one testsuite per phase, one testcase per command, with counts and seconds', () => {
+    const xml = renderJunitXml({
+      success: false,
+      timestamp: '2026-06-04T07:13:21.000Z',
+      overallDurationMs: 64210,
+      commands: [
+        { command: 'lint', phase: 'build', success: true, durationMs: 4200 },
+        { command: 'unit', phase: 'tests', success: true, cached: true, durationMs: 0 },
+        { command: 'e2e', phase: 'tests', success: false, skipReason: 'timed_out', durationMs: 300000 },
+        { command: 'visual', phase: 'tests', success: false, skipReason: 'failed_dependency', failureReason: 'dependency storybook failed (nested)' },
+        { command: 'perf', phase: 'optional', success: true, skipReason: 'optional_phase_not_requested' },
+      ],
+      phases: [{ name: 'build', success: true, durationMs: 5000 }],
+    });
+
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n')).toBe(true);
+    expect(xml).toContain('<testsuites name="scripts-orchestrator" tests="5" failures="1" errors="0" skipped="2" time="64.210">');
+    // Recorded phase duration wins; otherwise the commands' durations are summed.
+    expect(xml).toContain('<testsuite name="build" tests="1" failures="0" errors="0" skipped="0" time="5.000" timestamp="2026-06-04T07:13:21">');
+    expect(xml).toContain('<testsuite name="tests" tests="3" failures="1" errors="0" skipped="1" time="300.000"');
+    expect(xml).toContain('<testcase name="lint" classname="build" time="4.200"/>');
+    expect(xml).toContain('<testcase name="unit" classname="tests" time="0.000"/>');
+    expect(xml).toContain('<failure message="timed out" type="timed_out"/>');
+    expect(xml).toContain('<skipped message="failed_dependency: dependency storybook failed (nested)"/>');
+    expect(xml).toContain('<skipped message="optional_phase_not_requested"/>');
+  });
+
+  test('embeds the tail of a failed command\'s log as CDATA, without colour codes', () => {
+    const lines = Array.from({ length: 5 }, (_, i) => `line ${i + 1}`);
+    fs.writeFileSync(path.join(dir, 'build.log'), `${lines.join('\n')}\n\x1b[31mError: a ]]> b\x1b[0m\n`);
+    const xml = renderJunitXml(
+      { commands: [{ command: 'build', success: false, failureReason: 'killed from the dashboard', logFile: 'build.log' }] },
+      { baseDir: dir, logTailLines: 2 },
+    );
+    expect(xml).toContain('<testsuite name="commands" tests="1" failures="1"');
+    expect(xml).toContain(
+      '<failure message="killed from the dashboard" type="failure"><![CDATA[line 5\nError: a ]]]]><![CDATA[> b]]></failure>',
+    );
+    expect(xml).toContain('<system-out><![CDATA[log: build.log]]></system-out>');
+    expect(xml).not.toContain('line 4');
+  });
+
+  test('a missing log still yields an empty failure element', () => {
+    const xml = renderJunitXml({ commands: [{ command: 'x', success: false, logFile: 'nope.log' }] }, { baseDir: dir });
+    expect(xml).toContain('<failure message="command failed" type="failure"/>');
+  });
+
+  test('flattens a workspace roll-up into section › phase suites, reading logs from repoRoot', () => {
+    fs.mkdirSync(path.join(dir, 'packages', 'ui'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'packages', 'ui', 'test.log'), 'FAIL Button\n');
+    const xml = renderJunitXml({
+      title: 'Monorepo gate',
+      repoRoot: dir,
+      sections: [
+        { title: 'root', commands: [{ command: 'lint', phase: 'checks', success: true, durationMs: 1000 }] },
+        {
+          title: 'packages/ui',
+          commands: [{ command: 'test', phase: 'tests', success: false, logFile: 'packages/ui/test.log', durationMs: 2000 }],
+        },
+      ],
+    });
+    expect(xml).toContain('<testsuites name="Monorepo gate" tests="2" failures="1"');
+    expect(xml).toContain('<testsuite name="root › checks" tests="1"');
+    expect(xml).toContain('<testcase name="test" classname="packages/ui › tests" time="2.000">');
+    expect(xml).toContain('<![CDATA[FAIL Button]]>');
+  });
+});
+
+test('junitOutcome treats an unfinished command as an error', () => {
+  expect(junitOutcome({ command: 'a', success: null })).toMatchObject({ kind: 'error', type: 'interrupted' });
+  expect(junitOutcome({ command: 'a', success: true, skipReason: 'passed_previously' })).toEqual({
+    kind: 'skipped',
+    message: 'passed_previously',
+  });
+});
+
+test('escapeXml escapes markup and drops characters XML cannot carry', () => {
+  expect(escapeXml('a<b & "c"\x07>')).toBe('a&lt;b &amp; &quot;c&quot;&gt;');
+  expect(escapeXml(null)).toBe('');
+});
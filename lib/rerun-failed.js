@@ -0,0 +1,132 @@
+/**
+ * @file rerun-failed.js
+ * @description Support for `--rerun-failed <results.json>`: read a previous run's results and work
+ * out which commands have to run again. A command is rerun when it failed last time — `success:
+ * false`, a failure `skipReason`, still in flight when the run was interrupted, or missing from the
+ * results altogether. Every other command is carried over: it is not run, and its previous entry is
+ * merged into the new results so the report still covers the whole gate.
+ *
+ * `--watch` uses the same carry-over between iterations, selecting by changed inputs instead.
+ */
+import fs from 'fs';
+
+// Skip reasons that mean "did not pass"; they mirror the ones the orchestrator counts as failures.
+const FAILURE_SKIP_REASONS = new Set(['failed_dependency', 'after_phase_failure', 'timed_out']);
+
+// Skip reasons for commands that never ran because something else failed: they have no result of
+// their own to carry.
+const KNOCK_ON_SKIP_REASONS = new Set(['failed_dependency', 'after_phase_failure']);
+
+// Skip reasons for commands that did not run last time without failing. A carried entry keeps them,
+// so a disabled command is not reported as having passed.
+const BENIGN_SKIP_REASONS = new Set(['disabled', 'optional_phase_not_requested', 'before_start_phase', 'empty_shard']);
+
+/**
+ * Read and parse a previous results JSON.
+ *
+ * @param {string} filePath - Absolute or cwd-relative path to a `json_results` file.
+ * @returns {object} The parsed payload.
+ * @throws {Error} when the file is missing, is not JSON, or has no `commands` array.
+ */
+export function loadPreviousResults(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`previous results not found at ${filePath}`);
+  }
+  let payload;
+  try {
+    payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`failed to parse ${filePath}: ${err.message}`);
+  }
+  if (!payload || !Array.isArray(payload.commands)) {
+    throw new Error(`${filePath} is not a results file (no "commands" array)`);
+  }
+  return payload;
+}
+
+/** Whether a previous result entry has to run again. A missing entry never passed, so it does. */
+export function needsRerun(entry) {
+  if (entry == null || entry.success !== true) return true;
+  return FAILURE_SKIP_REASONS.has(entry.skipReason);
+}
+
+/**
+ * Split the current config's top-level commands into the ones to rerun and the ones carried over.
+ *
+ * @param {object} previous - A previous results payload (see loadPreviousResults).
+ * @param {string[]} commandNames - Top-level command names of the current config.
+ * @returns {{ rerun: Set<string>, carried: Map<string, object>, previousPhases: Map<string, object> }}
+ *   `carried` maps a command to the entry to report for it: the previous metrics and log file, with
+ *   `skipReason: 'passed_previously'` (or the previous benign skip reason). `startedAt` is dropped so
+ *   old timestamps do not stretch this run's timeline.
+ */
+export function selectRerun(previous, commandNames) {
+  const previousByName = new Map(previous.commands.map((entry) => [entry.command, entry]));
+  const rerun = new Set();
+  const carried = new Map();
+  for (const name of commandNames) {
+    const entry = previousByName.get(name);
+    if (needsRerun(entry)) {
+      rerun.add(name);
+      continue;
+    }
+    carried.set(name, carryEntry(entry));
+  }
+  const previousPhases = new Map((previous.phases || []).map((phase) => [phase.name, phase]));
+  return { rerun, carried, previousPhases };
+}
+
+// The entry reported for a carried command: its previous metrics, log file and artifacts. A pass gets
+// `passed_previously` (or keeps its benign skip reason); a failure keeps its outcome and reasons.
+function carryEntry(entry) {
+  const { durationMs, memoryKb, cpuPercent, resources, logFile, artifacts, skipReason, failureReason } = entry;
+  const metrics = {
+    ...(durationMs != null ? { durationMs } : {}),
+    ...(memoryKb !== undefined ? { memoryKb } : {}),
+    ...(cpuPercent !== undefined ? { cpuPercent } : {}),
+    ...(resources ? { resources } : {}),
+    ...(logFile ? { logFile } : {}),
+    ...(artifacts ? { artifacts } : {}),
+  };
+  if (needsRerun(entry)) {
+    return {
+      success: false,
+      ...metrics,
+      ...(skipReason ? { skipReason } : {}),
+      ...(failureReason ? { failureReason } : {}),
+    };
+  }
+  return {
+    success: true,
+    ...metrics,
+    skipReason: BENIGN_SKIP_REASONS.has(skipReason) ? skipReason : 'passed_previously',
+  };
+}
+
+/**
+ * Split the current config's top-level commands for a `--watch` iteration. The `affected` commands
+ * (their inputs changed) run again, and so does any command without a result of its own — missing
+ * from `previous`, or skipped because a dependency or an earlier phase failed. Every other command
+ * is carried over as selectRerun does, except that a failure stays a failure: editing unrelated
+ * files must not turn it green.
+ *
+ * @param {object} previous - The results payload of the previous iteration.
+ * @param {string[]} commandNames - Top-level command names of the current config.
+ * @param {Set<string>} affected - Commands to run again.
+ * @returns {{ rerun: Set<string>, carried: Map<string, object>, previousPhases: Map<string, object> }}
+ */
+export function selectAffected(previous, commandNames, affected) {
+  const previousByName = new Map(previous.commands.map((entry) => [entry.command, entry]));
+  const rerun = new Set();
+  const carried = new Map();
+  for (const name of commandNames) {
+    const entry = previousByName.get(name);
+    if (affected.has(name) || entry == null || entry.success == null || KNOCK_ON_SKIP_REASONS.has(entry.skipReason)) {
+      rerun.add(name);
+      continue;
+    }
+    carried.set(name, carryEntry(entry));
+  }
+  const previousPhases = new Map((previous.phases || []).map((phase) => [phase.name, phase]));
+  return { rerun, carried, previousPhases };
+}
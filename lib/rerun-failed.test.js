@@ -0,0 +1,89 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadPreviousResults, needsRerun, selectAffected, selectRerun } from './rerun-failed.js';
+
+describe('needsRerun', () => {
+  test('reruns failures, failure skip reasons, interrupted and missing entries', () => {
+    expect(needsRerun({ success: false })).toBe(true);
+    expect(needsRerun({ success: false, skipReason: 'failed_dependency' })).toBe(true);
+    expect(needsRerun({ success: true, skipReason: 'timed_out' })).toBe(true);
+    expect(needsRerun({ success: null, startedAt: '2026-01-01T00:00:00.000Z' })).toBe(true);
+    expect(needsRerun(undefined)).toBe(true);
+  });
+
+  test('keeps passes and benign skips', () => {
+    expect(needsRerun({ success: true })).toBe(false);
+    expect(needsRerun({ success: true, skipReason: 'passed_previously' })).toBe(false);
+    expect(needsRerun({ success: true, skipReason: 'disabled' })).toBe(false);
+  });
+});
+
+describe('selectRerun', () => {
+  const previous = {
+    commands: [
+      { command: 'build', success: true, startedAt: '2026-01-01T00:00:00.000Z', durationMs: 10, memoryKb: 2048 },
+      { command: 'lint', success: false },
+      { command: 'e2e', success: true, skipReason: 'disabled', durationMs: 0 },
+      { command: 'removed', success: false },
+    ],
+    phases: [{ name: 'p', success: false, durationMs: 12 }],
+  };
+
+  test('splits the current commands into rerun and carried entries', () => {
+    const { rerun, carried, previousPhases } = selectRerun(previous, ['build', 'lint', 'e2e', 'new']);
+    expect(Array.from(rerun)).toEqual(['lint', 'new']);
+    expect(carried.get('build')).toEqual({
+      success: true,
+      durationMs: 10,
+      memoryKb: 2048,
+      skipReason: 'passed_previously',
+    });
+    // A command that did not run last time keeps its reason rather than claiming a pass.
+    expect(carried.get('e2e').skipReason).toBe('disabled');
+    expect(previousPhases.get('p')).toEqual({ name: 'p', success: false, durationMs: 12 });
+  });
+});
+
+describe('selectAffected', () => {
+  test('reruns affected, knock-on skipped and unfinished commands and carries the rest as they were', () => {
+    const previous = {
+      commands: [
+        { command: 'lint', success: true, durationMs: 5 },
+        { command: 'unit', success: false, failureReason: 'exit code 1', durationMs: 7 },
+        { command: 'e2e', success: false, skipReason: 'failed_dependency' },
+        { command: 'docs', success: null },
+        { command: 'build', success: true },
+      ],
+    };
+    const { rerun, carried } = selectAffected(previous, ['lint', 'unit', 'e2e', 'docs', 'build', 'new'], new Set(['build']));
+    expect(Array.from(rerun)).toEqual(['e2e', 'docs', 'build', 'new']);
+    expect(carried.get('lint')).toEqual({ success: true, durationMs: 5, skipReason: 'passed_previously' });
+    // A failure whose inputs did not change stays a failure.
+    expect(carried.get('unit')).toMatchObject({ success: false, failureReason: 'exit code 1' });
+  });
+});
+
+describe('loadPreviousResults', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rerun-load-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads a results file', () => {
+    const file = path.join(dir, 'results.json');
+    fs.writeFileSync(file, JSON.stringify({ success: false, commands: [] }));
+    expect(loadPreviousResults(file)).toEqual({ success: false, commands: [] });
+  });
+
+  test('rejects missing, malformed and non-results files', () => {
+    expect(() => loadPreviousResults(path.join(dir, 'nope.json'))).toThrow(/not found/);
+    fs.writeFileSync(path.join(dir, 'bad.json'), '{');
+    expect(() => loadPreviousResults(path.join(dir, 'bad.json'))).toThrow(/failed to parse/);
+    fs.writeFileSync(path.join(dir, 'other.json'), '{"title":"x"}');
+    expect(() => loadPreviousResults(path.join(dir, 'other.json'))).toThrow(/not a results file/);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * @file run-logs.js
+ * @description Per-run log directories. Each run writes its command logs to
+ * `scripts-orchestrator-logs/runs/<timestamp>-<sha>/` instead of truncating one shared
+ * `<command>.log`, so the log of an earlier failure survives a rerun. `runs/latest` is a symlink to the
+ * newest run's directory, for tailing.
+ *
+ * Old runs are pruned by a retention policy (how many runs, how old, how much disk in total), and can
+ * be gzipped instead of kept as plain text. The run that is starting is never pruned or compressed.
+ */
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+export const RUNS_DIR = 'runs';
+export const LATEST_LINK = 'latest';
+
+// Retention when `retention` is not set (or `true`). `compress` gzips the logs of every older run.
+export const DEFAULT_RETENTION = { runs: 20, maxAgeDays: 14, maxSizeMb: 500, compress: false };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize the `retention` config key: false keeps every run, true / omitted uses the defaults, an
+ * object overrides some of them.
+ *
+ * @param {boolean|object|undefined} value
+ * @returns {{ runs: number, maxAgeDays: number, maxSizeMb: number, compress: boolean }|null}
+ */
+export function resolveRetention(value) {
+  if (value === false) return null;
+  return { ...DEFAULT_RETENTION, ...(value && typeof value === 'object' ? value : {}) };
+}
+
+/**
+ * The ID of a run started at `timestamp` (ISO) on commit `sha`: sortable by time, safe as a file name.
+ * Run directories and history records are both named after it.
+ */
+export function runId(timestamp, sha = null) {
+  return `${timestamp.replace(/[:.]/g, '-')}-${sha ? sha.slice(0, 7) : 'nogit'}`;
+}
+
+function dirSize(dir) {
+  let total = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) total += dirSize(full);
+    else if (entry.isFile()) total += fs.statSync(full).size;
+  }
+  return total;
+}
+
+export class RunLogs {
+  /**
+   * @param {string|null} logFolder - Base directory of `scripts-orchestrator-logs` (cwd when null).
+   * @param {object|null} [retention] - resolveRetention() output; null never prunes.
+   */
+  constructor(logFolder = null, retention = DEFAULT_RETENTION) {
+    const baseDir = logFolder ? path.resolve(logFolder) : process.cwd();
+    this.root = path.join(baseDir, 'scripts-orchestrator-logs', RUNS_DIR);
+    this.retention = retention;
+  }
+
+  /**
+   * Create the directory of a new run, point `latest` at it and prune older runs.
+   *
+   * @param {string} id - runId() of the run.
+   * @returns {{ dir: string, pruned: string[], compressed: string[] }}
+   */
+  start(id) {
+    const dir = path.join(this.root, id);
+    fs.mkdirSync(dir, { recursive: true });
+    this._linkLatest(id);
+    const { pruned, compressed } = this.prune(id);
+    return { dir, pruned, compressed };
+  }
+
+  /** IDs of the stored runs, oldest first. */
+  list() {
+    try {
+      return fs
+        .readdirSync(this.root, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && entry.name !== LATEST_LINK)
+        .map((entry) => entry.name)
+        .sort();
+    } catch {
+      return [];
+    }
+  }
+
+  // Swap the link in with a rename so a tailer never sees `latest` missing. Where symlinks are not
+  // allowed (Windows without developer mode) the runs are still there, just without the shortcut.
+  _linkLatest(id) {
+    const link = path.join(this.root, LATEST_LINK);
+    const tmp = `${link}.${process.pid}.tmp`;
+    try {
+      fs.rmSync(tmp, { force: true });
+      fs.symlinkSync(id, tmp, 'dir');
+      fs.renameSync(tmp, link);
+    } catch {
+      fs.rmSync(tmp, { force: true });
+    }
+  }
+
+  /**
+   * Apply the retention policy to every run but `current`: drop runs past the newest `runs`, runs
+   * older than `maxAgeDays`, then the oldest runs until the total is within `maxSizeMb`; with
+   * `compress`, gzip the `.log` files of the runs that are left.
+   *
+   * @param {string|null} current - The run to leave alone.
+   * @param {number} [now] - Clock for `maxAgeDays` (ms since the epoch).
+   * @returns {{ pruned: string[], compressed: string[] }} Run IDs removed / compressed.
+   */
+  prune(current = null, now = Date.now()) {
+    const pruned = [];
+    const compressed = [];
+    if (!this.retention) return { pruned, compressed };
+    const { runs, maxAgeDays, maxSizeMb, compress } = this.retention;
+
+    let older = this.list().filter((id) => id !== current);
+    const remove = (id) => {
+      fs.rmSync(path.join(this.root, id), { recursive: true, force: true });
+      pruned.push(id);
+    };
+
+    // `runs` counts the current run too.
+    if (Number.isFinite(runs)) {
+      const excess = older.length - Math.max(0, runs - (current ? 1 : 0));
+      older.splice(0, Math.max(0, excess)).forEach(remove);
+    }
+    if (Number.isFinite(maxAgeDays)) {
+      older = older.filter((id) => {
+        const expired = now - fs.statSync(path.join(this.root, id)).mtimeMs > maxAgeDays * DAY_MS;
+        if (expired) remove(id);
+        return !expired;
+      });
+    }
+    if (compress) {
+      for (const id of older) if (this._compress(id)) compressed.push(id);
+    }
+    if (Number.isFinite(maxSizeMb)) {
+      const sizes = new Map(older.map((id) => [id, dirSize(path.join(this.root, id))]));
+      let total = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+      if (current && fs.existsSync(path.join(this.root, current))) total += dirSize(path.join(this.root, current));
+      while (older.length > 0 && total > maxSizeMb * 1024 * 1024) {
+        const id = older.shift();
+        total -= sizes.get(id);
+        remove(id);
+      }
+    }
+    return { pruned, compressed: compressed.filter((id) => !pruned.includes(id)) };
+  }
+
+  // Replace each `.log` file of a run with `.log.gz`. Returns whether anything was compressed.
+  _compress(id) {
+    const dir = path.join(this.root, id);
+    let any = false;
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith('.log')) continue;
+      const file = path.join(dir, name);
+      fs.writeFileSync(`${file}.gz`, zlib.gzipSync(fs.readFileSync(file)));
+      fs.rmSync(file, { force: true });
+      any = true;
+    }
+    return any;
+  }
+}
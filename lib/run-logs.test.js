@@ -0,0 +1,86 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { RunLogs, resolveRetention, runId, DEFAULT_RETENTION } from './run-logs.js';
+
+describe('resolveRetention', () => {
+  test('false keeps every run; otherwise the defaults fill in what is not set', () => {
+    expect(resolveRetention(false)).toBeNull();
+    expect(resolveRetention(undefined)).toEqual(DEFAULT_RETENTION);
+    expect(resolveRetention(true)).toEqual(DEFAULT_RETENTION);
+    expect(resolveRetention({ runs: 5, compress: true })).toEqual({ ...DEFAULT_RETENTION, runs: 5, compress: true });
+  });
+});
+
+describe('runId', () => {
+  test('is the file-name-safe start time and the short commit', () => {
+    expect(runId('2026-03-01T09:15:00.250Z', '0123456789abcdef')).toBe('2026-03-01T09-15-00-250Z-0123456');
+    expect(runId('2026-03-01T09:15:00.250Z')).toBe('2026-03-01T09-15-00-250Z-nogit');
+  });
+});
+
+describe('RunLogs', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-logs-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Create a finished run with one log of `bytes` bytes, last modified `ageDays` ago.
+  function oldRun(logs, id, { ageDays = 0, bytes = 10 } = {}) {
+    const runDir = path.join(logs.root, id);
+    fs.mkdirSync(runDir, { recursive: true });
+    fs.writeFileSync(path.join(runDir, 'build.log'), 'x'.repeat(bytes));
+    const t = (Date.now() - ageDays * 24 * 60 * 60 * 1000) / 1000;
+    fs.utimesSync(runDir, t, t);
+  }
+
+  test('start creates the run directory and points latest at it', () => {
+    const logs = new RunLogs(dir);
+    const { dir: runDir } = logs.start('2026-01-01T00-00-00-000Z-aaaaaaa');
+    expect(runDir).toBe(path.join(dir, 'scripts-orchestrator-logs', 'runs', '2026-01-01T00-00-00-000Z-aaaaaaa'));
+    logs.start('2026-01-02T00-00-00-000Z-bbbbbbb');
+    expect(fs.readlinkSync(path.join(logs.root, 'latest'))).toBe('2026-01-02T00-00-00-000Z-bbbbbbb');
+    expect(logs.list()).toEqual(['2026-01-01T00-00-00-000Z-aaaaaaa', '2026-01-02T00-00-00-000Z-bbbbbbb']);
+  });
+
+  test('keeps at most `runs` runs, the starting one included', () => {
+    const logs = new RunLogs(dir, resolveRetention({ runs: 2 }));
+    oldRun(logs, 'r1');
+    oldRun(logs, 'r2');
+    oldRun(logs, 'r3');
+    expect(logs.start('r4').pruned).toEqual(['r1', 'r2']);
+    expect(logs.list()).toEqual(['r3', 'r4']);
+  });
+
+  test('drops runs older than maxAgeDays, then the oldest until the total fits maxSizeMb', () => {
+    const logs = new RunLogs(dir, resolveRetention({ maxAgeDays: 7, maxSizeMb: 1 }));
+    oldRun(logs, 'r1', { ageDays: 30 });
+    oldRun(logs, 'r2', { bytes: 600 * 1024 });
+    oldRun(logs, 'r3', { bytes: 600 * 1024 });
+    expect(logs.start('r4').pruned).toEqual(['r1', 'r2']);
+    expect(logs.list()).toEqual(['r3', 'r4']);
+  });
+
+  test('compress gzips the logs of older runs and leaves the current one alone', () => {
+    const logs = new RunLogs(dir, resolveRetention({ compress: true }));
+    oldRun(logs, 'r1', { bytes: 100 });
+    const { dir: current, compressed } = logs.start('r2');
+    fs.writeFileSync(path.join(current, 'build.log'), 'running');
+    expect(compressed).toEqual(['r1']);
+    expect(fs.readdirSync(path.join(logs.root, 'r1'))).toEqual(['build.log.gz']);
+    expect(zlib.gunzipSync(fs.readFileSync(path.join(logs.root, 'r1', 'build.log.gz'))).toString()).toBe('x'.repeat(100));
+    expect(logs.prune('r2').compressed).toEqual([]);
+    expect(fs.readdirSync(current)).toEqual(['build.log']);
+  });
+
+  test('retention: false never prunes', () => {
+    const logs = new RunLogs(dir, null);
+    oldRun(logs, 'r1', { ageDays: 365 });
+    expect(logs.start('r2').pruned).toEqual([]);
+    expect(logs.list()).toEqual(['r1', 'r2']);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * @file secrets.js
+ * @description Redaction of secret values. The `secrets` config key names environment variables —
+ * exactly (`NPM_TOKEN`) or by pattern (`*_TOKEN`) — whose values must never be written out. The values
+ * are read from the orchestrator's own environment and from each command's `env`, and every occurrence
+ * is replaced with `***` in what the library writes: console lines, the main log, per-command logs,
+ * results JSON, NDJSON events and the HTML/JUnit reports.
+ *
+ * Only the written text is masked; the commands themselves still get the real values.
+ */
+
+export const MASK = '***';
+
+// Values shorter than this are not masked: hiding every `1` or `true` would garble the output and
+// protect nothing.
+export const MIN_SECRET_LENGTH = 4;
+
+// `*` matches any run of characters, `?` one; everything else is literal.
+function namePattern(spec) {
+  const source = spec.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * The names of the variables in `env` that a `secrets` list covers.
+ *
+ * @param {string|string[]|undefined} specs - Variable names and `*` / `?` patterns.
+ * @param {object} env
+ * @returns {string[]}
+ */
+export function secretNames(specs, env) {
+  const patterns = [].concat(specs ?? []).map(namePattern);
+  return Object.keys(env ?? {}).filter((name) => patterns.some((pattern) => pattern.test(name)));
+}
+
+export class SecretMasker {
+  /** @param {Iterable<string>} values - Secret values; short and empty ones are ignored. */
+  constructor(values = []) {
+    const unique = new Set();
+    for (const value of values) {
+      if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH) continue;
+      unique.add(value);
+      // A value quoted into a shell string (the /usr/bin/time wrapper) appears JSON-escaped.
+      const escaped = JSON.stringify(value).slice(1, -1);
+      if (escaped !== value) unique.add(escaped);
+    }
+    // Longest first, so a secret that contains another is masked whole.
+    this.values = [...unique].sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * A masker for the variables `specs` names, taking their values from each of `envs` (the
+   * orchestrator's environment, then every command's `env`). Returns null when there is nothing to
+   * mask.
+   *
+   * @param {string|string[]|undefined} specs
+   * @param {object[]} envs
+   * @returns {SecretMasker|null}
+   */
+  static fromConfig(specs, envs = [process.env]) {
+    if (specs == null || [].concat(specs).length === 0) return null;
+    const values = envs.flatMap((env) => secretNames(specs, env).map((name) => env[name]));
+    const masker = new SecretMasker(values.map((value) => (value == null ? value : String(value))));
+    return masker.values.length > 0 ? masker : null;
+  }
+
+  /** `text` with every secret value replaced by `***`. */
+  mask(text) {
+    let masked = String(text);
+    for (const value of this.values) masked = masked.split(value).join(MASK);
+    return masked;
+  }
+
+  /** A copy of `value` with every string in it (keys included) masked. */
+  maskDeep(value) {
+    if (typeof value === 'string') return this.mask(value);
+    if (Array.isArray(value)) return value.map((item) => this.maskDeep(item));
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [this.mask(key), this.maskDeep(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * A masker for text that arrives in chunks (a child's stdout), where a secret can be split across
+   * two chunks. `push` returns the masked text that is safe to write now, holding back a tail that
+   * could still turn out to be the start of a secret; `flush` returns that tail once the stream ends.
+   */
+  stream() {
+    let pending = '';
+    return {
+      push: (chunk) => {
+        const masked = this.mask(pending + chunk);
+        const hold = this._heldTail(masked);
+        pending = masked.slice(masked.length - hold);
+        return masked.slice(0, masked.length - hold);
+      },
+      flush: () => {
+        const rest = pending;
+        pending = '';
+        return rest;
+      },
+    };
+  }
+
+  // Length of the longest suffix of `text` that is a proper prefix of a secret value.
+  _heldTail(text) {
+    let longest = 0;
+    for (const value of this.values) {
+      for (let n = Math.min(value.length - 1, text.length); n > longest; n--) {
+        if (text.endsWith(value.slice(0, n))) {
+          longest = n;
+          break;
+        }
+      }
+    }
+    return longest;
+  }
+}
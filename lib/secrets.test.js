@@ -0,0 +1,47 @@
+import { SecretMasker, secretNames, MASK } from './secrets.js';
+
+describe('secretNames', () => {
+  test('matches exact names and * / ? patterns against the variables that are set', () => {
+    const env = { NPM_TOKEN: 'a', GH_TOKEN: 'b', TOKEN_URL: 'c', API_KEY1: 'd', PATH: '/bin' };
+    expect(secretNames(['NPM_TOKEN'], env)).toEqual(['NPM_TOKEN']);
+    expect(secretNames(['*_TOKEN', 'API_KEY?'], env)).toEqual(['NPM_TOKEN', 'GH_TOKEN', 'API_KEY1']);
+    expect(secretNames(['MISSING'], env)).toEqual([]);
+  });
+});
+
+describe('SecretMasker', () => {
+  test('fromConfig reads the values from every env it is given, and is null with nothing to mask', () => {
+    const masker = SecretMasker.fromConfig(['*_TOKEN'], [{ NPM_TOKEN: 'npm-secret' }, { GH_TOKEN: 'gh-secret' }]);
+    expect(masker.mask('npm-secret and gh-secret')).toBe(`${MASK} and ${MASK}`);
+    expect(SecretMasker.fromConfig(undefined, [{ NPM_TOKEN: 'npm-secret' }])).toBeNull();
+    expect(SecretMasker.fromConfig(['*_TOKEN'], [{ PATH: '/bin' }])).toBeNull();
+  });
+
+  test('ignores short values and masks a longer secret whole when it contains a shorter one', () => {
+    const masker = new SecretMasker(['1', 'yes', 'abcd', 'abcd-efgh']);
+    expect(masker.mask('1 abcd-efgh abcd')).toBe('1 *** ***');
+    expect(masker.mask('yes')).toBe('yes');
+  });
+
+  test('masks the JSON-escaped form of a value too', () => {
+    const masker = new SecretMasker(['pa"ss\\word']);
+    expect(masker.mask(JSON.stringify('pa"ss\\word'))).toBe('"***"');
+  });
+
+  test('maskDeep masks strings anywhere in a payload and leaves other values alone', () => {
+    const masker = new SecretMasker(['s3cr3t']);
+    expect(
+      masker.maskDeep({ command: 'deploy', error: 'bad token s3cr3t', env: { s3cr3t: 1 }, list: ['s3cr3t', 2, null] }),
+    ).toEqual({ command: 'deploy', error: `bad token ${MASK}`, env: { [MASK]: 1 }, list: [MASK, 2, null] });
+  });
+
+  test('stream holds back a possible secret prefix until the next chunk decides it', () => {
+    const stream = new SecretMasker(['s3cr3t']).stream();
+    expect(stream.push('token: s3')).toBe('token: ');
+    expect(stream.push('cr3t\nnext s')).toBe(`${MASK}\nnext `);
+    expect(stream.push('ome text')).toBe('some text');
+    expect(stream.push(' s3c')).toBe(' ');
+    expect(stream.flush()).toBe('s3c');
+    expect(stream.flush()).toBe('');
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * @file shard.js
+ * @description `shard` on a command: split its work items (test files, packages, …) across `count`
+ * cells so that every cell takes about as long as the others. The items come from a glob (`items`) or
+ * from a command that prints one per line (`list_command`); they are packed longest-first onto the
+ * least-loaded shard, using per-item durations recorded by previous runs, and each cell receives its
+ * list in an environment variable and a file.
+ *
+ * Cells are expanded like matrix cells (see matrix.js) along a `SHARD_INDEX` axis; the items are only
+ * enumerated and packed when the first cell of a shard group is about to run.
+ */
+import fs from 'fs';
+import path from 'path';
+import { expandInputs } from './command-cache.js';
+import { spawnGroupLeader, killGroup } from './process-group.js';
+
+// Axis the cells are expanded along, and the other variables every cell gets.
+export const SHARD_INDEX_KEY = 'SHARD_INDEX';
+export const SHARD_COUNT_KEY = 'SHARD_COUNT';
+// A cell may write `{ "<item>": ms, ... }` here to record exact per-item durations.
+export const SHARD_TIMINGS_KEY = 'SHARD_TIMINGS_FILE';
+// Default variable holding a cell's items (space-separated); `<name>_FILE` names a file with one per line.
+export const DEFAULT_SHARD_ENV = 'SHARD_ITEMS';
+// How long `list_command` may take before the shard group fails.
+export const DEFAULT_LIST_TIMEOUT_MS = 120000;
+
+/**
+ * The items a shard group splits: the files matching `items`, or the non-empty lines `list_command`
+ * prints, in a stable (sorted, de-duplicated) order.
+ *
+ * @param {object} shard - The command's `shard` config.
+ * @param {object} [opts]
+ * @param {string} [opts.cwd]
+ * @returns {Promise<string[]>}
+ */
+export function listShardItems(shard, { cwd = process.cwd() } = {}) {
+  if (shard.items != null) return Promise.resolve(expandInputs(shard.items, cwd));
+  const timeoutMs = shard.timeout_ms ?? DEFAULT_LIST_TIMEOUT_MS;
+  return new Promise((resolve, reject) => {
+    const child = spawnGroupLeader(shard.list_command, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => (stdout += chunk));
+    child.stderr.on('data', (chunk) => (stderr += chunk));
+    const timer = setTimeout(() => {
+      killGroup(child);
+      reject(new Error(`list_command did not finish within ${timeoutMs}ms`));
+    }, timeoutMs);
+    child.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.once('exit', (code, signal) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        const detail = stderr.trim().split('\n').slice(-3).join(' ');
+        const how = signal ? `signal ${signal}` : `code ${code}`;
+        reject(new Error(`list_command exited with ${how}${detail ? `: ${detail}` : ''}`));
+        return;
+      }
+      const lines = stdout.split('\n').map((line) => line.trim()).filter(Boolean);
+      resolve(Array.from(new Set(lines)).sort());
+    });
+  });
+}
+
+/**
+ * Expected duration of each item: its recorded duration, else the mean of the recorded ones (a new
+ * spec file is assumed to be average), else 1 — with no history at all every item weighs the same
+ * and the shards simply get equal counts.
+ *
+ * @param {string[]} items
+ * @param {Record<string, number>} [recorded]
+ * @returns {Map<string, number>}
+ */
+export function estimateDurations(items, recorded = {}) {
+  const known = items.map((item) => recorded[item]).filter((ms) => Number.isFinite(ms) && ms > 0);
+  const fallback = known.length > 0 ? known.reduce((sum, ms) => sum + ms, 0) / known.length : 1;
+  return new Map(
+    items.map((item) => {
+      const ms = recorded[item];
+      return [item, Number.isFinite(ms) && ms > 0 ? ms : fallback];
+    }),
+  );
+}
+
+/**
+ * Pack items into `count` shards, longest first, each onto the shard with the least estimated time
+ * so far (ties go to the lower shard). The same First-Fit-Decreasing ordering packPhases uses, with a
+ * fixed number of bins instead of a capacity. Each shard's items keep the input order.
+ *
+ * @param {string[]} items
+ * @param {Map<string, number>} estimates
+ * @param {number} count
+ * @returns {Array<{ items: string[], estimatedMs: number }>}
+ */
+export function packShards(items, estimates, count) {
+  const order = new Map(items.map((item, i) => [item, i]));
+  const sorted = [...items].sort((a, b) => estimates.get(b) - estimates.get(a) || order.get(a) - order.get(b));
+  const shards = Array.from({ length: count }, () => ({ items: [], estimatedMs: 0 }));
+  for (const item of sorted) {
+    let target = shards[0];
+    for (const shard of shards) if (shard.estimatedMs < target.estimatedMs) target = shard;
+    target.items.push(item);
+    target.estimatedMs += estimates.get(item);
+  }
+  for (const shard of shards) {
+    shard.items.sort((a, b) => order.get(a) - order.get(b));
+    shard.estimatedMs = Math.round(shard.estimatedMs);
+  }
+  return shards;
+}
+
+/**
+ * Split a shard's measured duration over its items in proportion to their estimates — the per-item
+ * history for cells that don't report their own timings.
+ *
+ * @returns {Record<string, number>}
+ */
+export function attributeDuration(items, estimates, durationMs) {
+  const total = items.reduce((sum, item) => sum + estimates.get(item), 0);
+  if (!(total > 0) || !Number.isFinite(durationMs)) return {};
+  return Object.fromEntries(items.map((item) => [item, Math.round((durationMs * estimates.get(item)) / total)]));
+}
+
+/** Per-item timings a cell wrote to its SHARD_TIMINGS_FILE, limited to its own items; {} if none. */
+export function readReportedTimings(file, items) {
+  let reported;
+  try {
+    reported = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return {};
+  }
+  if (!reported || typeof reported !== 'object') return {};
+  const own = new Set(items);
+  return Object.fromEntries(
+    Object.entries(reported).filter(([item, ms]) => own.has(item) && Number.isFinite(ms) && ms >= 0),
+  );
+}
+
+/**
+ * Per-item durations and the last packing of every shard group, kept in one JSON file next to the
+ * command logs. Durations are smoothed (the mean of the stored and the new value) so one slow run
+ * doesn't reshuffle every shard.
+ */
+export class ShardTimings {
+  constructor(logFolder = null) {
+    const baseDir = logFolder ? path.resolve(logFolder) : process.cwd();
+    this.file = path.join(baseDir, 'scripts-orchestrator-logs', '.shard-timings.json');
+  }
+
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return data && typeof data.groups === 'object' ? data : { groups: {} };
+    } catch {
+      return { groups: {} };
+    }
+  }
+
+  _save(data) {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(data, null, 2) + '\n', 'utf8');
+      fs.renameSync(`${this.file}.tmp`, this.file);
+    } catch {
+      /* losing the history only costs balance on the next run */
+    }
+  }
+
+  /** `{ durations, lastPlan }` recorded for a shard group (empty when there is none). */
+  get(group) {
+    const entry = this._load().groups[group] || {};
+    return { durations: entry.durations || {}, lastPlan: entry.lastPlan || null };
+  }
+
+  /**
+   * Remember how a group was packed, so a rerun of one of its cells gets the same items. Durations of
+   * items that no longer exist are dropped.
+   */
+  recordPlan(group, shards) {
+    const data = this._load();
+    data.groups[group] = data.groups[group] || {};
+    const entry = data.groups[group];
+    const current = new Set(shards.flatMap((shard) => shard.items));
+    entry.durations = Object.fromEntries(
+      Object.entries(entry.durations || {}).filter(([item]) => current.has(item)),
+    );
+    entry.lastPlan = { createdAt: new Date().toISOString(), shards: shards.map((shard) => shard.items) };
+    this._save(data);
+  }
+
+  /** Merge measured per-item durations into a group's history. */
+  recordDurations(group, byItem) {
+    if (Object.keys(byItem).length === 0) return;
+    const data = this._load();
+    data.groups[group] = data.groups[group] || {};
+    const entry = data.groups[group];
+    entry.durations = entry.durations || {};
+    const durations = entry.durations;
+    for (const [item, ms] of Object.entries(byItem)) {
+      durations[item] = Number.isFinite(durations[item]) ? Math.round((durations[item] + ms) / 2) : ms;
+    }
+    this._save(data);
+  }
+}
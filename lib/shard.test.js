@@ -0,0 +1,113 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  ShardTimings,
+  attributeDuration,
+  estimateDurations,
+  listShardItems,
+  packShards,
+  readReportedTimings,
+} from './shard.js';
+
+describe('estimateDurations', () => {
+  test('unknown items weigh the mean of the known ones, or 1 without any history', () => {
+    const estimates = estimateDurations(['a', 'b', 'c'], { a: 1000, b: 3000, gone: 9000 });
+    expect(Object.fromEntries(estimates)).toEqual({ a: 1000, b: 3000, c: 2000 });
+    expect(Object.fromEntries(estimateDurations(['a', 'b']))).toEqual({ a: 1, b: 1 });
+  });
+});
+
+describe('packShards', () => {
+  test('balances the estimated time across shards, keeping each shard in input order', () => {
+    const items = ['a', 'b', 'c', 'd', 'e', 'f'];
+    const estimates = new Map([['a', 10], ['b', 70], ['c', 20], ['d', 40], ['e', 30], ['f', 30]]);
+    expect(packShards(items, estimates, 2)).toEqual([
+      { items: ['b', 'f'], estimatedMs: 100 },
+      { items: ['a', 'c', 'd', 'e'], estimatedMs: 100 },
+    ]);
+  });
+
+  test('equal weights spread evenly, and extra shards stay empty', () => {
+    const ones = estimateDurations(['a', 'b', 'c']);
+    expect(packShards(['a', 'b', 'c'], ones, 2).map((s) => s.items)).toEqual([['a', 'c'], ['b']]);
+    expect(packShards(['a'], ones, 3).map((s) => s.items)).toEqual([['a'], [], []]);
+  });
+});
+
+describe('attributeDuration', () => {
+  test('splits a measured duration in proportion to the estimates', () => {
+    const estimates = new Map([['a', 1], ['b', 3]]);
+    expect(attributeDuration(['a', 'b'], estimates, 8000)).toEqual({ a: 2000, b: 6000 });
+    expect(attributeDuration(['a', 'b'], estimates, undefined)).toEqual({});
+  });
+});
+
+describe('listShardItems', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shard-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('expands `items` globs relative to cwd', async () => {
+    fs.mkdirSync(path.join(dir, 'e2e'));
+    for (const file of ['b.spec.ts', 'a.spec.ts', 'helper.ts']) fs.writeFileSync(path.join(dir, 'e2e', file), '');
+    await expect(listShardItems({ items: 'e2e/*.spec.ts' }, { cwd: dir })).resolves.toEqual([
+      'e2e/a.spec.ts',
+      'e2e/b.spec.ts',
+    ]);
+  });
+
+  test('collects the lines a list_command prints, and rejects when it fails', async () => {
+    await expect(listShardItems({ list_command: 'printf "b\\n\\na\\nb\\n"' }, { cwd: dir })).resolves.toEqual([
+      'a',
+      'b',
+    ]);
+    await expect(listShardItems({ list_command: 'echo nope >&2; exit 3' }, { cwd: dir })).rejects.toThrow(
+      'list_command exited with code 3: nope',
+    );
+  });
+
+  test('a list_command that times out is killed with everything it started', async () => {
+    await expect(
+      listShardItems({ list_command: '(sleep 0.5; touch late) & wait', timeout_ms: 100 }, { cwd: dir }),
+    ).rejects.toThrow('list_command did not finish within 100ms');
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    expect(fs.existsSync(path.join(dir, 'late'))).toBe(false);
+  });
+});
+
+describe('ShardTimings', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shard-timings-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('smooths recorded durations and forgets items that are no longer listed', () => {
+    const timings = new ShardTimings(dir);
+    expect(timings.get('e2e')).toEqual({ durations: {}, lastPlan: null });
+
+    timings.recordDurations('e2e', { a: 1000, b: 2000 });
+    timings.recordDurations('e2e', { a: 3000 });
+    expect(new ShardTimings(dir).get('e2e').durations).toEqual({ a: 2000, b: 2000 });
+
+    timings.recordPlan('e2e', [{ items: ['a'] }, { items: ['c'] }]);
+    expect(timings.get('e2e')).toEqual({
+      durations: { a: 2000 },
+      lastPlan: { createdAt: expect.any(String), shards: [['a'], ['c']] },
+    });
+  });
+
+  test('reads the timings a cell reported for its own items only', () => {
+    const file = path.join(dir, 'timings.json');
+    fs.writeFileSync(file, JSON.stringify({ a: 1200, other: 50, b: 'slow' }));
+    expect(readReportedTimings(file, ['a', 'b'])).toEqual({ a: 1200 });
+    expect(readReportedTimings(path.join(dir, 'missing.json'), ['a'])).toEqual({});
+  });
+});
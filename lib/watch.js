@@ -0,0 +1,217 @@
+/**
+ * @file watch.js
+ * @description `--watch`: keep the orchestrator alive after a full first run, watch the working tree
+ * and, when files change, rerun only the commands whose `inputs` globs match them. Every other
+ * command's previous result is carried into the iteration's results (see selectAffected), so each
+ * iteration rewrites a complete `json_results` / HTML report. Background dependencies stay up
+ * between iterations and are torn down when watching stops.
+ */
+import fs from 'fs';
+import path from 'path';
+import { log } from './logger.js';
+import { matchesInputs } from './command-cache.js';
+
+// Quiet period after the last file event before an iteration starts, so an editor's save (or a
+// `git checkout`) that touches several files triggers one iteration, not one per file.
+export const DEFAULT_DEBOUNCE_MS = 300;
+
+// Directory names never watched, wherever they appear.
+const IGNORED_DIRS = new Set(['.git', 'node_modules', 'scripts-orchestrator-logs']);
+
+/**
+ * The top-level commands a set of changed files affects: those whose own `inputs`, or an inline
+ * dependency's, match one of the files. Commands without `inputs` are never rerun by a change.
+ *
+ * @param {object[]} commands - Top-level command configs.
+ * @param {string[]} changedFiles - Paths relative to the directory `inputs` are resolved from.
+ * @returns {string[]}
+ */
+export function affectedCommands(commands, changedFiles) {
+  const touched = (config) =>
+    (config.inputs != null && changedFiles.some((file) => matchesInputs(config.inputs, file))) ||
+    (config.dependencies || []).some(touched);
+  return commands.filter(touched).map(({ command }) => command);
+}
+
+// Every per-command log override in the config, dependencies included.
+function logOverrides(commands, out = []) {
+  for (const config of commands) {
+    if (config.log || config.logFile) out.push(path.resolve(config.log || config.logFile));
+    logOverrides(config.dependencies || [], out);
+  }
+  return out;
+}
+
+export class WatchSession {
+  /**
+   * @param {import('./orchestrator.js').Orchestrator} orchestrator
+   * @param {object} [opts]
+   * @param {string} [opts.cwd] - Directory to watch; `inputs` are relative to it.
+   * @param {number} [opts.debounceMs]
+   * @param {Function} [opts.watch] - fs.watch-compatible function (injectable for tests).
+   */
+  constructor(orchestrator, { cwd = process.cwd(), debounceMs = DEFAULT_DEBOUNCE_MS, logger = log, watch = fs.watch } = {}) {
+    this.orchestrator = orchestrator;
+    this.cwd = path.resolve(cwd);
+    this.debounceMs = debounceMs;
+    this.logger = logger;
+    this.watch = watch;
+    this.watchers = [];
+    this.pending = new Set(); // changed files not yet handled
+    this.timer = null;
+    this.running = false; // an iteration is in flight
+    this.iteration = 0;
+    this.lastResult = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Run the first (full) iteration, then watch. Resolves with the exit code of the last iteration
+   * once stop() is called; rejects if an iteration could not complete (bad start phase, memory-guard
+   * abort).
+   *
+   * @returns {Promise<number>}
+   */
+  start() {
+    this.orchestrator.keepBackgroundProcesses = true;
+    this.done = new Promise((resolve, reject) => {
+      this._resolve = resolve;
+      this._reject = reject;
+    });
+    this._ignore = this._ignoredPaths();
+    this._iterate(null).then(() => {
+      if (this.stopped) return;
+      this._startWatching();
+      this.logger.info('👀 Watching for changes — Ctrl-C to stop');
+    });
+    return this.done;
+  }
+
+  /** Stop watching and tear down the background processes kept between iterations. */
+  async stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+    try {
+      await this.orchestrator.processManager.cleanup();
+    } catch (err) {
+      this.logger.error(`Cleanup failed: ${err.message}`);
+    }
+    this._resolve(this.lastResult?.success === false ? 1 : 0);
+  }
+
+  // Files and directories whose changes are the orchestrator's own output: logs, reports, the
+  // run-state file and the write-then-rename temporaries next to them.
+  _ignoredPaths() {
+    const orch = this.orchestrator;
+    // A log folder at (or above) the watched directory would swallow every change; the command logs
+    // inside it are still skipped by name.
+    const logFolder = orch.logFolder ? path.resolve(orch.logFolder) : null;
+    const dirs = logFolder && logFolder.startsWith(this.cwd + path.sep) ? [logFolder] : [];
+    const files = [
+      ...orch._reportFiles().map(([, file]) => file),
+      ...(orch.runStatePath ? [orch.runStatePath] : []),
+      ...logOverrides(orch.allCommands),
+    ];
+    return { dirs, files: new Set(files.flatMap((file) => [file, `${file}.tmp`])) };
+  }
+
+  _isIgnored(rel) {
+    if (rel.split(/[\\/]/).some((segment) => IGNORED_DIRS.has(segment))) return true;
+    const abs = path.resolve(this.cwd, rel);
+    if (this._ignore.files.has(abs)) return true;
+    return this._ignore.dirs.some((dir) => abs === dir || abs.startsWith(dir + path.sep));
+  }
+
+  _startWatching() {
+    const onEvent = (dir) => (eventType, file) => {
+      if (file) this._onChange(path.join(dir, file.toString()));
+    };
+    try {
+      this.watchers.push(this.watch(this.cwd, { recursive: true }, onEvent('')));
+    } catch {
+      // No recursive watching on this platform / Node version: watch each directory that exists now.
+      for (const dir of this._directories('')) {
+        try {
+          this.watchers.push(this.watch(path.join(this.cwd, dir), onEvent(dir)));
+        } catch (err) {
+          this.logger.verbose(`Not watching ${dir || '.'}: ${err.message}`);
+        }
+      }
+    }
+    for (const watcher of this.watchers) {
+      watcher.on?.('error', (err) => this.logger.verbose(`File watcher error: ${err.message}`));
+    }
+  }
+
+  _directories(dir, out = []) {
+    out.push(dir);
+    let entries = [];
+    try {
+      entries = fs.readdirSync(path.join(this.cwd, dir), { withFileTypes: true });
+    } catch {
+      return out;
+    }
+    for (const entry of entries) {
+      const rel = dir ? path.join(dir, entry.name) : entry.name;
+      if (entry.isDirectory() && !this._isIgnored(rel)) this._directories(rel, out);
+    }
+    return out;
+  }
+
+  _onChange(rel) {
+    if (this.stopped || this._isIgnored(rel)) return;
+    this.pending.add(rel.split(path.sep).join('/'));
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._flush(), this.debounceMs);
+  }
+
+  // Start an iteration for the changes collected so far. Changes that arrive while one is running
+  // wait for it to finish.
+  _flush() {
+    if (this.running || this.stopped || this.pending.size === 0) return;
+    const files = Array.from(this.pending).sort();
+    this.pending.clear();
+    const affected = affectedCommands(this.orchestrator.allCommands, files);
+    const shown = files.length > 3 ? `${files.slice(0, 3).join(', ')} and ${files.length - 3} more` : files.join(', ');
+    if (affected.length === 0) {
+      this.logger.verbose(`Changed: ${shown} — no command's inputs match; nothing to rerun`);
+      return;
+    }
+    this.logger.info(`👀 Changed: ${shown}`);
+    this._iterate(affected);
+  }
+
+  async _iterate(affected) {
+    this.running = true;
+    this.iteration += 1;
+    const orch = this.orchestrator;
+    if (affected) {
+      const { rerun, carried } = orch.useWatchIteration(this.iteration, this.lastResult, affected);
+      this.logger.info(
+        `🔁 Iteration ${this.iteration}: rerunning ${rerun.join(', ')} (${carried} carried over)`,
+      );
+    } else {
+      orch.iteration = this.iteration;
+    }
+    try {
+      this.lastResult = await orch.run({ exit: false });
+    } catch (err) {
+      this.stopped = true;
+      clearTimeout(this.timer);
+      this.watchers.forEach((watcher) => watcher.close());
+      try {
+        await orch.processManager.cleanup();
+      } catch (cleanupError) {
+        this.logger.error(`Cleanup failed: ${cleanupError.message}`);
+      }
+      this._reject(err);
+      return;
+    } finally {
+      this.running = false;
+    }
+    if (this.pending.size > 0) this._flush();
+  }
+}
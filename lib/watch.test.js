@@ -0,0 +1,119 @@
+import path from 'path';
+import { WatchSession, affectedCommands } from './watch.js';
+
+const commands = [
+  { command: 'lint', inputs: ['src/**/*.js', '!**/*.test.js'] },
+  { command: 'unit', inputs: ['src/**'] },
+  { command: 'e2e', dependencies: [{ command: 'dev', inputs: ['server/'] }] },
+  { command: 'docs' },
+];
+
+describe('affectedCommands', () => {
+  test('matches a command by its own or an inline dependency’s inputs', () => {
+    expect(affectedCommands(commands, ['src/a.js'])).toEqual(['lint', 'unit']);
+    expect(affectedCommands(commands, ['src/a.test.js'])).toEqual(['unit']);
+    expect(affectedCommands(commands, ['server/index.js'])).toEqual(['e2e']);
+    expect(affectedCommands(commands, ['README.md'])).toEqual([]);
+  });
+});
+
+describe('WatchSession', () => {
+  const cwd = path.resolve('/work/app');
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+  // A stand-in orchestrator whose runs resolve with the next queued result (or wait on a promise).
+  function makeSession(results) {
+    const iterations = [];
+    let cleanups = 0;
+    const orchestrator = {
+      allCommands: commands,
+      logFolder: path.join(cwd, 'logs'),
+      runStatePath: path.join(cwd, '.orchestrator-run.json'),
+      _reportFiles: () => [['JSON', path.join(cwd, 'results.json')]],
+      processManager: {
+        cleanup: async () => {
+          cleanups++;
+        },
+      },
+      useWatchIteration(iteration, previous, affected) {
+        iterations.push({ iteration, previous, affected });
+        return { rerun: affected, carried: commands.length - affected.length };
+      },
+      run: async () => results.shift(),
+    };
+    const listeners = [];
+    const watch = (dir, opts, listener) => {
+      listeners.push(listener);
+      return { close() {}, on() {} };
+    };
+    const noop = () => {};
+    const session = new WatchSession(orchestrator, {
+      cwd,
+      debounceMs: 1,
+      watch,
+      logger: new Proxy({}, { get: () => noop }),
+    });
+    const change = (file) => listeners.forEach((listener) => listener('change', file));
+    return { session, orchestrator, iterations, change, cleanups: () => cleanups };
+  }
+
+  test('reruns the commands a change affects and ignores the orchestrator’s own output', async () => {
+    const first = { success: false, commands: [] };
+    const { session, orchestrator, iterations, change, cleanups } = makeSession([first, { success: true }]);
+    const done = session.start();
+    await settle();
+    expect(orchestrator.keepBackgroundProcesses).toBe(true);
+    expect(orchestrator.iteration).toBe(1);
+
+    for (const file of ['logs/unit.log', 'results.json.tmp', 'node_modules/x/index.js', '.git/HEAD', 'README.md']) {
+      change(file);
+    }
+    await settle();
+    expect(iterations).toEqual([]);
+
+    change('src/a.test.js');
+    change('src/a.js');
+    await settle();
+    expect(iterations).toEqual([{ iteration: 2, previous: first, affected: ['lint', 'unit'] }]);
+
+    await session.stop();
+    await expect(done).resolves.toBe(0);
+    expect(cleanups()).toBe(1);
+  });
+
+  test('changes made during an iteration start another one when it finishes', async () => {
+    let finish;
+    const slow = new Promise((resolve) => {
+      finish = resolve;
+    });
+    const { session, iterations, change } = makeSession([{ success: true }, slow, { success: false }]);
+    const done = session.start();
+    await settle();
+
+    change('src/a.js');
+    await settle();
+    change('server/index.js');
+    await settle();
+    expect(iterations.map((i) => i.iteration)).toEqual([2]);
+
+    finish({ success: true });
+    await settle();
+    expect(iterations.map((i) => [i.iteration, i.affected])).toEqual([
+      [2, ['lint', 'unit']],
+      [3, ['e2e']],
+    ]);
+
+    await session.stop();
+    await expect(done).resolves.toBe(1);
+  });
+
+  test('an iteration that cannot complete stops watching and rejects', async () => {
+    const { session, orchestrator, cleanups } = makeSession([]);
+    orchestrator.run = async () => {
+      throw Object.assign(new Error('Start phase "deploy" not found'), { exitCode: 1 });
+    };
+    await expect(session.start()).rejects.toMatchObject({ exitCode: 1 });
+    expect(session.stopped).toBe(true);
+    expect(cleanups()).toBe(1);
+  });
+});
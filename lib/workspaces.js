@@ -14,7 +14,9 @@ import fs from 'fs';
 import path from 'path';
 import { renderReportHtml } from './report-html.js';
 
-const DEFAULTS = {
+// Defaults for writeAggregateReport's options (it also accepts `repoRoot` and `inProgress`).
+// Exported so config validation can recognise the `aggregate` keys without a second copy.
+export const AGGREGATE_DEFAULTS = {
   title: 'Workspaces Quality Report',
   outJson: 'logs/monorepo-quality-report.json',
   outHtml: 'logs/monorepo-quality-report.html',
@@ -143,11 +145,23 @@ function isStale(jsonAbs, payload, runStartedAt) {
   return false;
 }
 
-/** Re-root a workspace command's logFile (relative to the workspace) onto the repo root. */
+/**
+ * Re-root a workspace command's logFile and artifact paths (relative to the workspace) onto the repo
+ * root.
+ */
 function commandsWithRepoRelLogs(commands, relDir) {
+  const reroot = (p) => (path.isAbsolute(p) ? p : toPosix(path.join(relDir, p)));
   return (commands || []).map((c) => {
-    if (!c.logFile) return { ...c };
-    return { ...c, logFile: toPosix(path.join(relDir, c.logFile)) };
+    const out = { ...c };
+    if (c.logFile) out.logFile = toPosix(path.join(relDir, c.logFile));
+    if (c.artifacts) {
+      out.artifacts = {
+        ...c.artifacts,
+        dir: reroot(c.artifacts.dir),
+        files: (c.artifacts.files || []).map((file) => ({ ...file, path: reroot(file.path) })),
+      };
+    }
+    return out;
   });
 }
 
@@ -298,7 +312,7 @@ function classifyWorkspace({ noOp, exists, stale, success, lastKnownSuccess, inP
 
 function resolveOptions(options = {}) {
   const repoRoot = path.resolve(options.repoRoot || findRepoRoot() || process.cwd());
-  const merged = { ...DEFAULTS, ...options, repoRoot };
+  const merged = { ...AGGREGATE_DEFAULTS, ...options, repoRoot };
   const abs = (p) => (path.isAbsolute(p) ? p : path.join(repoRoot, p));
   return {
     ...merged,
@@ -327,7 +341,7 @@ function collectGlobalCommands(opts, runStartedAt) {
  * Build the generic report document aggregating the root run's global checks and every
  * workspace's own orchestrator results.
  *
- * @param {object} [options] see DEFAULTS for the supported keys (all paths repo-root-relative)
+ * @param {object} [options] see AGGREGATE_DEFAULTS for the supported keys (all paths repo-root-relative)
  * @returns {object} a renderable report payload ({ title, success, sections, ... })
  */
 export function aggregateWorkspacesReport(options = {}) {
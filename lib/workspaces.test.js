@@ -107,7 +107,13 @@ describe('aggregateWorkspacesReport', () => {
       results: {
         success: false,
         timestamp: fresh(),
-        commands: [{ command: 'build', success: false }],
+        commands: [
+          {
+            command: 'build',
+            success: false,
+            artifacts: { dir: 'logs/art/build', files: [{ path: 'logs/art/build/out.txt', size: 3 }], totalBytes: 3 },
+          },
+        ],
       },
     });
 
@@ -121,6 +127,11 @@ describe('aggregateWorkspacesReport', () => {
 
     const a = report.sections.find((s) => s.title === '@pkg/a');
     expect(a.statusLabel).toBe('FAIL');
+    expect(a.commands[0].artifacts).toEqual({
+      dir: 'packages/a/logs/art/build',
+      files: [{ path: 'packages/a/logs/art/build/out.txt', size: 3 }],
+      totalBytes: 3,
+    });
   });
 
   test('success when every scope passes', () => {
@@ -17,6 +17,9 @@ export default {
   // command. A command at/above `high` is coloured red, at/above `mid` amber, below `mid` green, in
   // the Duration table column. Defaults to { mid: 0.33, high: 0.66 } if omitted/invalid.
   // duration_heat: { mid: 0.33, high: 0.66 },
+  // Optional: kill any foreground command still running after this many ms (SIGTERM, then SIGKILL
+  // after timeout_grace_ms). A phase or command may set its own timeout_ms. CLI --timeout overrides.
+  // timeout_ms: 15 * 60 * 1000,
   phases: [
     {
       name: 'build',
@@ -126,7 +129,9 @@ export default {
             {
               command: 'dev',
               background: true,
-              url: 'http://localhost:5173',
+              health_check: {
+                url: 'http://localhost:5173',
+              },
             },
           ],
         },